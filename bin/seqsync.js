@@ -0,0 +1,16 @@
+#!/usr/bin/env node
+/**
+ * seqsync command - batch pairwise alignment from the shell.
+ * See src/utils/cli.js for the options; `seqsync --help` lists them.
+ */
+
+import { readFileSync } from 'node:fs';
+import { runCli } from '../src/utils/cli.js';
+
+const { exitCode, stdout, stderr } = runCli(process.argv.slice(2), {
+  readInput: (path) => readFileSync(path === '-' ? process.stdin.fd : path, 'utf8'),
+});
+
+process.stdout.write(stdout);
+process.stderr.write(stderr);
+process.exitCode = exitCode;
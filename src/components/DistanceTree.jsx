@@ -0,0 +1,119 @@
+/**
+ * DistanceTree - all-vs-all distances as a heatmap beside their tree
+ * Heatmap rows and columns follow the tree's leaf order. Hovering a cell
+ * highlights its two sequences in the tree; clicking a cell, leaf or clade
+ * keeps that selection.
+ */
+
+import { useState } from 'react';
+import GuideTree from './GuideTree';
+import ExportMenu from './ExportMenu';
+import { DISTANCE_ALIGNMENTS, DISTANCE_CORRECTIONS, treeLeaves, toNewick, toPhylip } from '../utils/phylogeny';
+
+const TREE_EXPORTS = {
+  newick: { label: 'Newick tree', extension: 'nwk', mime: 'text/plain' },
+  phylip: { label: 'PHYLIP distances', extension: 'phy', mime: 'text/plain' },
+};
+
+const formatDistance = (value) => value.toFixed(4);
+
+/**
+ * @param {object} result - buildPhylogeny result
+ * @param {string} error - Job error, shown instead of the result
+ */
+const DistanceTree = ({ result, error }) => {
+  const [selection, setSelection] = useState([]);
+  const [hovered, setHovered] = useState(null);
+
+  if (error) {
+    return <div className="notice-card"><h3>Cannot build the tree</h3><p>{error}</p></div>;
+  }
+  if (!result) return null;
+
+  const { labels, distances, pDistances, sites, tree, alignment, correction, algorithm } = result;
+  const order = treeLeaves(tree).map(leaf => leaf.index);
+  const highlighted = hovered || selection.filter(index => index < labels.length);
+  const marked = new Set(highlighted);
+  const values = distances.flatMap((row, i) => row.filter((_, j) => j > i));
+  const max = Math.max(...values);
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const toggle = (indices) => {
+    const same = indices.length === selection.length && indices.every(index => selection.includes(index));
+    setSelection(same ? [] : indices);
+  };
+
+  return (
+    <>
+      <div className="alignment-card">
+        <div className="alignment-header">
+          <div className="alignment-title">
+            <span className="algorithm-badge msa">DIST</span>
+            <h3>{algorithm}</h3>
+          </div>
+          <div className="score-pill" title="Mean pairwise distance">{formatDistance(mean)}</div>
+        </div>
+
+        <div className="msa-summary">
+          <span>{labels.length} sequences</span>
+          <span>{values.length} pairs</span>
+          <span>{DISTANCE_ALIGNMENTS[alignment].label}</span>
+          <span>{DISTANCE_CORRECTIONS[correction].label}</span>
+        </div>
+
+        <div className="heatmap-scroll">
+          <table className="distance-heatmap" onMouseLeave={() => setHovered(null)}>
+            <thead>
+              <tr>
+                <th className="corner-cell"></th>
+                {order.map(j => (
+                  <th key={j} className={`heatmap-column ${marked.has(j) ? 'selected' : ''}`} title={labels[j]}>
+                    <span>{labels[j]}</span>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {order.map(i => (
+                <tr key={i}>
+                  <th className={`heatmap-row ${marked.has(i) ? 'selected' : ''}`} title={labels[i]}>{labels[i]}</th>
+                  {order.map(j => {
+                    const shade = max > 0 ? distances[i][j] / max : 0;
+                    return (
+                      <td
+                        key={j}
+                        className={`heatmap-cell ${marked.has(i) && marked.has(j) ? 'selected' : ''}`}
+                        style={{ backgroundColor: `rgba(3, 102, 214, ${shade.toFixed(3)})`, color: shade > 0.55 ? '#fff' : undefined }}
+                        title={i === j
+                          ? labels[i]
+                          : `${labels[i]} vs ${labels[j]} • d = ${formatDistance(distances[i][j])} • p = ${formatDistance(pDistances[i][j])} • ${sites[i][j]} sites`}
+                        onMouseEnter={() => setHovered(i === j ? [i] : [i, j])}
+                        onClick={() => toggle(i === j ? [i] : [i, j])}
+                      >
+                        {i === j ? '' : formatDistance(distances[i][j])}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <span className="option-hint">
+          Distances are {DISTANCE_CORRECTIONS[correction].label} over the gap-free columns of each pairwise alignment.
+          Hover a cell to find the pair in the tree; click a cell, leaf or node to select it.
+        </span>
+
+        <ExportMenu
+          formats={TREE_EXPORTS}
+          fileName={`distance_tree_${result.treeMethod}`}
+          build={(format) => (format === 'newick' ? `${toNewick(tree)}\n` : toPhylip(distances, labels))}
+        />
+      </div>
+
+      <GuideTree tree={tree} title="Distance Tree" selected={highlighted} onSelect={toggle} />
+    </>
+  );
+};
+
+export default DistanceTree;
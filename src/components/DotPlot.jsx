@@ -0,0 +1,271 @@
+/**
+ * DotPlot - canvas dot plot from utils/dotPlot with alignment path overlay
+ * Dots are painted one pixel per bin and scaled up; paths and the region
+ * selection live in an SVG on top, in residue coordinates (minus-strand
+ * paths run along anti-diagonals). Dragging selects
+ * a region that can be loaded into the alignment inputs.
+ */
+
+import { useState, useRef, useEffect } from 'react';
+import { alignmentPath } from '../utils/dotPlot';
+import { STRANDS } from '../utils/strands';
+
+// Length of the longer side on screen, and the least either side may shrink to
+const DISPLAY_SIZE = 480;
+const MIN_SIDE = 48;
+
+// Share of full intensity given to a bin holding a single dot
+const MIN_ALPHA = 0.35;
+
+// Residue ranges spanned by two corners of a drag, 0-based and end-exclusive
+const regionBetween = (start, end) => ({
+  seq1: [Math.min(start.row, end.row), Math.max(start.row, end.row)],
+  seq2: [Math.min(start.col, end.col), Math.max(start.col, end.col)],
+});
+
+const DOT_COLORS = {
+  light: { forward: [36, 41, 46], reverse: [215, 58, 73] },
+  dark: { forward: [201, 209, 217], reverse: [248, 81, 73] },
+};
+
+/**
+ * @param {object} plot - dotPlot result
+ * @param {object} names - { seq1, seq2 } axis labels
+ * @param {object[]} alignments - [{ key, label, result }] to overlay
+ * @param {object} options - Dot plot options (see DOT_PLOT_DEFAULTS)
+ * @param {function} onOptionsChange - (options) => void
+ * @param {boolean} nucleotide - Offer inverted repeats
+ * @param {boolean} darkMode - Theme for the dot colours
+ * @param {function} onSelectRegion - ({ seq1: [start, end], seq2: [start, end] }),
+ *   0-based and end-exclusive
+ */
+const DotPlot = ({
+  plot,
+  names,
+  alignments,
+  options,
+  onOptionsChange,
+  nucleotide,
+  darkMode,
+  onSelectRegion,
+}) => {
+  const canvasRef = useRef(null);
+  const [hiddenPaths, setHiddenPaths] = useState([]);
+  const [drag, setDrag] = useState(null);
+  const [selection, setSelection] = useState(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!plot || !canvas) return;
+    const context = canvas.getContext('2d');
+    const image = context.createImageData(plot.width, plot.height);
+    const colors = DOT_COLORS[darkMode ? 'dark' : 'light'];
+    // A diagonal crossing a bin leaves about binSize dots in it
+    const alpha = (count) => (count > 0 ? MIN_ALPHA + (1 - MIN_ALPHA) * Math.min(1, count / plot.binSize) : 0);
+
+    for (let bin = 0; bin < plot.forward.length; bin++) {
+      const forward = alpha(plot.forward[bin]);
+      const reverse = plot.reverse ? alpha(plot.reverse[bin]) : 0;
+      if (forward === 0 && reverse === 0) continue;
+      const [r, g, b] = reverse > forward ? colors.reverse : colors.forward;
+      image.data.set([r, g, b, Math.round(255 * Math.max(forward, reverse))], bin * 4);
+    }
+    context.putImageData(image, 0, 0);
+  }, [plot, darkMode]);
+
+  const setOption = (field, value) => {
+    const next = { ...options, [field]: value };
+    // Keep word ≤ window and stringency ≤ window
+    next.window = Math.max(next.window, next.wordSize);
+    next.stringency = Math.min(next.stringency, next.window);
+    onOptionsChange(next);
+  };
+
+  const numberField = (field, label, min, max) => (
+    <div className="score-field">
+      <label className="score-label">{label}</label>
+      <input
+        type="number"
+        min={min}
+        max={max}
+        value={options[field]}
+        onChange={(e) => setOption(field, Math.min(max, Math.max(min, parseInt(e.target.value) || min)))}
+        className="score-input"
+      />
+    </div>
+  );
+
+  const toolbar = (
+    <div className="dot-plot-toolbar">
+      {numberField('wordSize', 'Word size', 1, 32)}
+      {numberField('window', 'Window', 1, 101)}
+      {numberField('stringency', 'Stringency', 0, options.window)}
+      <label className="toggle-field" title={nucleotide ? '' : 'Reverse complements need nucleotide sequences'}>
+        <input
+          type="checkbox"
+          checked={options.inverted && nucleotide}
+          disabled={!nucleotide}
+          onChange={(e) => onOptionsChange({ ...options, inverted: e.target.checked })}
+        />
+        <span>Inverted repeats</span>
+      </label>
+    </div>
+  );
+
+  if (!plot) {
+    return (
+      <div className="alignment-card dot-plot-card">
+        {toolbar}
+        <p className="option-hint">Computing dot plot…</p>
+      </div>
+    );
+  }
+
+  const { rows, cols } = plot;
+  const scale = DISPLAY_SIZE / Math.max(rows, cols);
+  const displayWidth = Math.max(MIN_SIDE, cols * scale);
+  const displayHeight = Math.max(MIN_SIDE, rows * scale);
+
+  // Pointer position in residue boundaries (0..cols, 0..rows)
+  const toResidue = (e) => {
+    const box = e.currentTarget.getBoundingClientRect();
+    const clamp = (value, max) => Math.min(max, Math.max(0, Math.round(value)));
+    return {
+      row: clamp(((e.clientY - box.top) / box.height) * rows, rows),
+      col: clamp(((e.clientX - box.left) / box.width) * cols, cols),
+    };
+  };
+
+  const startDrag = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const point = toResidue(e);
+    setDrag({ start: point, end: point });
+  };
+
+  const moveDrag = (e) => {
+    if (drag) setDrag({ ...drag, end: toResidue(e) });
+  };
+
+  const endDrag = () => {
+    if (!drag) return;
+    const region = regionBetween(drag.start, drag.end);
+    setDrag(null);
+    // A click without a drag clears the selection
+    const empty = region.seq1[1] === region.seq1[0] || region.seq2[1] === region.seq2[0];
+    setSelection(empty ? null : { ...region, plot });
+  };
+
+  // A selection belongs to the plot it was drawn on
+  const selected = selection?.plot === plot ? selection : null;
+  const box = drag ? regionBetween(drag.start, drag.end) : selected;
+
+  const togglePath = (key) => {
+    setHiddenPaths(hiddenPaths.includes(key) ? hiddenPaths.filter(k => k !== key) : [...hiddenPaths, key]);
+  };
+
+  const range = ([start, end]) => `${(start + 1).toLocaleString()}–${end.toLocaleString()}`;
+
+  return (
+    <div className="alignment-card dot-plot-card">
+      {toolbar}
+
+      <div className="dot-plot-layout">
+        <span className="dot-plot-axis top">{names.seq2} (1–{cols.toLocaleString()})</span>
+        <span className="dot-plot-axis left">{names.seq1} (1–{rows.toLocaleString()})</span>
+        <div className="dot-plot-frame" style={{ width: displayWidth, height: displayHeight }}>
+          <canvas
+            ref={canvasRef}
+            className="dot-plot-canvas"
+            width={plot.width}
+            height={plot.height}
+            role="img"
+            aria-label={`Dot plot of ${names.seq1} against ${names.seq2}`}
+          />
+          <svg
+            className="dot-plot-overlay"
+            viewBox={`0 0 ${cols} ${rows}`}
+            preserveAspectRatio="none"
+            onPointerDown={startDrag}
+            onPointerMove={moveDrag}
+            onPointerUp={endDrag}
+          >
+            {alignments
+              .filter(({ key, result }) => result && !hiddenPaths.includes(key))
+              .map(({ key, result }) => {
+                const path = result.path || alignmentPath(result.alignedSeq1, result.alignedSeq2, result.startPos);
+                // Minus-strand columns count along the reverse complement
+                const x = result.strand === STRANDS.minus ? (col) => cols - col : (col) => col;
+                return (
+                  <polyline
+                    key={key}
+                    className={`dot-plot-path ${key}`}
+                    points={path.map(({ row, col }) => `${x(col)},${row}`).join(' ')}
+                    vectorEffect="non-scaling-stroke"
+                  />
+                );
+              })}
+            {box && (
+              <rect
+                className="dot-plot-selection"
+                x={box.seq2[0]}
+                y={box.seq1[0]}
+                width={box.seq2[1] - box.seq2[0]}
+                height={box.seq1[1] - box.seq1[0]}
+                vectorEffect="non-scaling-stroke"
+              />
+            )}
+          </svg>
+        </div>
+      </div>
+
+      <div className="dot-plot-footer">
+        <div className="dot-plot-legend">
+          <span className="legend-item">
+            <span className="legend-dot dot-forward"></span>
+            Direct ({plot.dots.forward.toLocaleString()})
+          </span>
+          {plot.reverse && (
+            <span className="legend-item">
+              <span className="legend-dot dot-reverse"></span>
+              Inverted ({plot.dots.reverse.toLocaleString()})
+            </span>
+          )}
+          {alignments.filter(({ result }) => result).map(({ key, label }) => (
+            <label key={key} className="toggle-field">
+              <input type="checkbox" checked={!hiddenPaths.includes(key)} onChange={() => togglePath(key)} />
+              <span className={`legend-dot path-${key}`}></span>
+              <span>{label}</span>
+            </label>
+          ))}
+          {plot.binSize > 1 && (
+            <span className="option-hint">{plot.binSize} × {plot.binSize} residues per pixel</span>
+          )}
+        </div>
+
+        {selected ? (
+          <div className="dot-plot-selection-bar">
+            <span className="option-hint">
+              {names.seq1} {range(selected.seq1)} × {names.seq2} {range(selected.seq2)}
+            </span>
+            <button
+              className="export-btn"
+              onClick={() => {
+                onSelectRegion({ seq1: selected.seq1, seq2: selected.seq2 });
+                setSelection(null);
+              }}
+            >
+              Align selection
+            </button>
+            <button className="export-btn" onClick={() => setSelection(null)}>Clear</button>
+          </div>
+        ) : (
+          <span className="option-hint">
+            Drag across the plot to select a region and load it into the alignment inputs.
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DotPlot;
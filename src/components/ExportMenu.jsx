@@ -0,0 +1,75 @@
+/**
+ * ExportMenu - format picker with download and copy-to-clipboard buttons
+ * The exported text is only built when a button is pressed.
+ */
+
+import { useState } from 'react';
+
+const STATUS_DURATION_MS = 1500;
+
+/**
+ * @param {object} formats - { key: { label, extension, mime } }
+ * @param {function} build - (formatKey) => exported text
+ * @param {string} fileName - Download name without extension
+ */
+const ExportMenu = ({ formats, build, fileName }) => {
+  const [format, setFormat] = useState(Object.keys(formats)[0]);
+  const [status, setStatus] = useState('');
+
+  const flash = (message) => {
+    setStatus(message);
+    setTimeout(() => setStatus(''), STATUS_DURATION_MS);
+  };
+
+  const exportText = () => {
+    try {
+      return build(format);
+    } catch (error) {
+      flash(error.message);
+      return null;
+    }
+  };
+
+  const download = () => {
+    const text = exportText();
+    if (text === null) return;
+    const url = URL.createObjectURL(new Blob([text], { type: formats[format].mime }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${fileName}.${formats[format].extension}`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const copy = async () => {
+    const text = exportText();
+    if (text === null) return;
+    try {
+      await navigator.clipboard.writeText(text);
+      flash('Copied');
+    } catch {
+      flash('Copy failed');
+    }
+  };
+
+  return (
+    <div className="export-menu">
+      <span className="export-label">Export</span>
+      <select
+        value={format}
+        onChange={(e) => setFormat(e.target.value)}
+        className="export-select"
+        aria-label="Export format"
+      >
+        {Object.entries(formats).map(([key, { label }]) => (
+          <option key={key} value={key}>{label}</option>
+        ))}
+      </select>
+      <button className="export-btn" onClick={download}>Download</button>
+      <button className="export-btn" onClick={copy}>Copy</button>
+      {status && <span className="export-status" role="status">{status}</span>}
+    </div>
+  );
+};
+
+export default ExportMenu;
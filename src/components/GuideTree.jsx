@@ -0,0 +1,131 @@
+/**
+ * GuideTree - SVG phylogram for trees built by utils/phylogeny
+ * Horizontal position follows branch length, leaves are spaced evenly.
+ * With onSelect, leaves and internal nodes can be clicked to select a
+ * clade, whose branches and labels are highlighted.
+ */
+
+import { toNewick } from '../utils/phylogeny';
+
+const ROW_HEIGHT = 24;
+const MARGIN = 12;
+const LABEL_WIDTH = 120;
+const TREE_WIDTH = 360;
+
+/**
+ * Assign x/y coordinates to every node and collect the drawing segments.
+ * Lines and internal nodes carry the input indices of the leaves below them.
+ */
+function layoutTree(tree) {
+  const depthOf = (node, depth) => {
+    const here = depth + (node === tree ? 0 : node.branchLength);
+    return node.children
+      ? Math.max(...node.children.map(child => depthOf(child, here)))
+      : here;
+  };
+  const maxDepth = depthOf(tree, 0);
+  const scale = maxDepth > 0 ? TREE_WIDTH / maxDepth : 0;
+
+  const lines = [];
+  const labels = [];
+  const nodes = [];
+  let leafIndex = 0;
+
+  const place = (node, parentX, depth) => {
+    const here = depth + (node === tree ? 0 : node.branchLength);
+    const x = MARGIN + here * scale;
+    let y;
+    let leaves;
+    if (node.children) {
+      const placed = node.children.map(child => place(child, x, here));
+      const ys = placed.map(child => child.y);
+      leaves = placed.flatMap(child => child.leaves);
+      y = (Math.min(...ys) + Math.max(...ys)) / 2;
+      lines.push({ x1: x, y1: Math.min(...ys), x2: x, y2: Math.max(...ys), leaves });
+      nodes.push({ x, y, leaves, branchLength: node.branchLength });
+    } else {
+      y = MARGIN + leafIndex++ * ROW_HEIGHT;
+      leaves = [node.index];
+      labels.push({ x: x + 6, y, name: node.name, branchLength: node.branchLength, index: node.index });
+    }
+    if (parentX !== null) lines.push({ x1: parentX, y1: y, x2: x, y2: y, leaves });
+    return { y, leaves };
+  };
+  place(tree, null, 0);
+
+  return {
+    lines,
+    labels,
+    nodes,
+    maxDepth,
+    width: MARGIN * 2 + TREE_WIDTH + LABEL_WIDTH,
+    height: MARGIN * 2 + (leafIndex - 1) * ROW_HEIGHT,
+  };
+}
+
+/**
+ * @param {object} tree - Root node
+ * @param {string} title - Card title
+ * @param {number[]} selected - Leaf indices to highlight
+ * @param {function} onSelect - (leafIndices) when a leaf or clade is clicked
+ */
+const GuideTree = ({ tree, title = 'Guide Tree', selected = [], onSelect }) => {
+  if (!tree) return null;
+  const { lines, labels, nodes, maxDepth, width, height } = layoutTree(tree);
+  const highlighted = new Set(selected);
+  const inSelection = (leaves) => highlighted.size > 0 && leaves.every(index => highlighted.has(index));
+
+  return (
+    <div className="alignment-card tree-card">
+      <div className="alignment-header">
+        <div className="alignment-title">
+          <span className="algorithm-badge msa">TREE</span>
+          <h3>{title}</h3>
+        </div>
+        <span className="tree-scale">Depth {maxDepth.toFixed(3)}</span>
+      </div>
+      <div className="tree-wrapper">
+        <svg
+          className="guide-tree"
+          viewBox={`0 0 ${width} ${height}`}
+          width={width}
+          height={height}
+          role="img"
+          aria-label={title}
+        >
+          {lines.map(({ leaves, ...line }, index) => (
+            <line key={index} {...line} className={`tree-branch ${inSelection(leaves) ? 'selected' : ''}`} />
+          ))}
+          {onSelect && nodes.map((node, index) => (
+            <circle
+              key={index}
+              cx={node.x}
+              cy={node.y}
+              r={4}
+              className={`tree-node ${inSelection(node.leaves) ? 'selected' : ''}`}
+              onClick={() => onSelect(node.leaves)}
+            >
+              <title>{`Clade of ${node.leaves.length} • branch ${node.branchLength.toFixed(4)}`}</title>
+            </circle>
+          ))}
+          {labels.map((label, index) => (
+            <text
+              key={index}
+              x={label.x}
+              y={label.y}
+              className={`tree-label ${highlighted.has(label.index) ? 'selected' : ''} ${onSelect ? 'selectable' : ''}`}
+              dominantBaseline="middle"
+              onClick={onSelect ? () => onSelect([label.index]) : undefined}
+            >
+              <title>{`${label.name} • branch ${label.branchLength.toFixed(4)}`}</title>
+              {label.name}
+            </text>
+          ))}
+        </svg>
+      </div>
+      <code className="newick-string">{toNewick(tree)}</code>
+    </div>
+  );
+};
+
+export default GuideTree;
@@ -0,0 +1,117 @@
+/**
+ * MultipleAlignment - viewer for progressive MSA results
+ * Clustal-style blocks with identity shading, conservation and consensus
+ * rows, followed by the guide tree.
+ */
+
+import GuideTree from './GuideTree';
+import ExportMenu from './ExportMenu';
+import { EXPORT_FORMATS, formatFastaRows, formatClustalRows } from '../utils/exporters';
+
+const BLOCK_WIDTH = 60;
+
+const MSA_EXPORTS = {
+  fasta: { ...EXPORT_FORMATS.fasta, build: formatFastaRows },
+  clustal: { ...EXPORT_FORMATS.clustal, build: formatClustalRows },
+};
+
+// Shade residues that agree with the column consensus by column identity
+const shadeClass = (residue, consensusChar, identity) => {
+  if (residue === '-' || residue !== consensusChar.toUpperCase()) return '';
+  if (identity >= 0.8) return 'shade-high';
+  if (identity >= 0.5) return 'shade-mid';
+  return 'shade-low';
+};
+
+const MultipleAlignment = ({ result, error }) => {
+  if (error) {
+    return <div className="notice-card"><h3>Cannot align</h3><p>{error}</p></div>;
+  }
+  if (!result) return null;
+
+  const { rows, consensus, conservation, score, algorithm, tree } = result;
+  const width = consensus.length;
+  const conserved = conservation.filter(column => column.symbol === '*').length;
+  const starts = [];
+  for (let start = 0; start < width; start += BLOCK_WIDTH) starts.push(start);
+
+  return (
+    <>
+      <div className="alignment-card">
+        <div className="alignment-header">
+          <div className="alignment-title">
+            <span className="algorithm-badge msa">MSA</span>
+            <h3>{algorithm}</h3>
+          </div>
+          <div className="score-pill" title="Sum-of-pairs score">{Number(score.toFixed(2))}</div>
+        </div>
+
+        <div className="msa-summary">
+          <span>{rows.length} sequences</span>
+          <span>{width} columns</span>
+          <span>{conserved} fully conserved ({((conserved / width) * 100).toFixed(1)}%)</span>
+        </div>
+
+        <div className="msa-visual">
+          {starts.map(start => {
+            const end = Math.min(start + BLOCK_WIDTH, width);
+            return (
+              <div key={start} className="msa-block">
+                {rows.map((row, index) => (
+                  <div key={index} className="msa-row">
+                    <span className="msa-name" title={row.name}>{row.name}</span>
+                    <span className="msa-residues">
+                      {row.aligned.slice(start, end).split('').map((residue, offset) => (
+                        <span
+                          key={offset}
+                          className={`msa-residue ${shadeClass(residue, consensus[start + offset], conservation[start + offset].identity)}`}
+                        >
+                          {residue}
+                        </span>
+                      ))}
+                    </span>
+                    <span className="msa-position">
+                      {row.aligned.slice(0, end).replace(/-/g, '').length}
+                    </span>
+                  </div>
+                ))}
+                <div className="msa-row conservation-row">
+                  <span className="msa-name">Conservation</span>
+                  <span className="msa-residues">
+                    {conservation.slice(start, end).map((column, offset) => (
+                      <span
+                        key={offset}
+                        className="msa-residue"
+                        title={`Column ${start + offset + 1} • ${(column.identity * 100).toFixed(0)}% identity`}
+                      >
+                        {column.symbol}
+                      </span>
+                    ))}
+                  </span>
+                </div>
+                <div className="msa-row consensus-row">
+                  <span className="msa-name">Consensus</span>
+                  <span className="msa-residues">
+                    {consensus.slice(start, end).split('').map((residue, offset) => (
+                      <span key={offset} className="msa-residue">{residue}</span>
+                    ))}
+                  </span>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+        
+        <ExportMenu
+          formats={MSA_EXPORTS}
+          fileName="multiple_alignment"
+          build={(format) => MSA_EXPORTS[format].build(rows)}
+        />
+      </div>
+
+      <GuideTree tree={tree} />
+    </>
+  );
+};
+
+export default MultipleAlignment;
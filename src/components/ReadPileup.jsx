@@ -0,0 +1,262 @@
+/**
+ * ReadPileup - mapped reads stacked under the reference
+ * A coverage overview of the whole reference picks the window shown below
+ * it: a depth track, the reference and packed reads with mismatches,
+ * deletions and insertions marked. Reads are listed underneath; selecting
+ * one in either place shows its placement.
+ */
+
+import { useMemo, useState } from 'react';
+import ExportMenu from './ExportMenu';
+import { MAPQ_UNAVAILABLE, pileupRows, readColumns, toMappingSam } from '../utils/readMapping';
+import { STRANDS } from '../utils/strands';
+
+// Reference columns in the pileup window
+const VIEW_WIDTH = 100;
+
+// Bars in the coverage overview
+const OVERVIEW_BINS = 300;
+
+const MAX_LISTED_READS = 200;
+
+const MAPPING_EXPORTS = {
+  sam: { label: 'SAM', extension: 'sam', mime: 'text/plain' },
+};
+
+/**
+ * Position labels every ten columns, right-aligned on the column they name.
+ * @private
+ */
+function rulerText(start, width) {
+  const chars = new Array(width).fill(' ');
+  for (let column = 0; column < width; column++) {
+    const position = start + column + 1;
+    if (position % 10 !== 0) continue;
+    const label = String(position);
+    for (let k = 0; k < label.length && column - k >= 0; k++) {
+      chars[column - k] = label[label.length - 1 - k];
+    }
+  }
+  return chars.join('');
+}
+
+/**
+ * @param {object} result - mapReads result
+ * @param {string} error - Job error, shown instead of the result
+ * @param {string} reference - Reference the reads were mapped to
+ * @param {string} referenceName - Reference label for the SAM header
+ */
+const ReadPileup = ({ result, error, reference, referenceName }) => {
+  const [start, setStart] = useState(0);
+  const [selected, setSelected] = useState(null);
+
+  const layout = useMemo(() => (result ? {
+    rows: pileupRows(result.reads),
+    columns: result.reads.map(read => (read.mapped ? readColumns(read) : null)),
+  } : null), [result]);
+
+  if (error) {
+    return <div className="notice-card"><h3>Cannot map the reads</h3><p>{error}</p></div>;
+  }
+  if (!result || !layout) return null;
+
+  const { reads, coverage, mapped } = result;
+  const length = coverage.length;
+  const maxStart = Math.max(0, length - VIEW_WIDTH);
+  const first = Math.min(start, maxStart);
+  const width = Math.min(VIEW_WIDTH, length);
+  const current = selected !== null && selected < reads.length ? reads[selected] : null;
+  const jumpTo = (position) => setStart(Math.max(0, Math.min(maxStart, Math.round(position))));
+  const selectRead = (index) => {
+    setSelected(index);
+    if (reads[index].mapped) jumpTo(reads[index].refStart - 10);
+  };
+
+  // Overview bins hold the deepest position they cover
+  const binSize = Math.max(1, Math.ceil(length / OVERVIEW_BINS));
+  const bins = [];
+  for (let from = 0; from < length; from += binSize) {
+    bins.push(Math.max(...coverage.slice(from, from + binSize)));
+  }
+  const maxDepth = Math.max(1, ...bins);
+  const windowDepth = Math.max(1, ...coverage.slice(first, first + width));
+  const highQuality = reads.filter(read => read.mapped && read.mapq >= 30 && read.mapq !== MAPQ_UNAVAILABLE).length;
+  const minus = reads.filter(read => read.strand === STRANDS.minus).length;
+
+  const renderReadRow = (indices, rowIndex) => {
+    const cells = new Array(width).fill(null);
+    indices.forEach(index => {
+      const read = reads[index];
+      if (read.refEnd <= first || read.refStart >= first + width) return;
+      layout.columns[index].forEach(column => {
+        const offset = column.position - first;
+        if (offset >= 0 && offset < width) cells[offset] = { ...column, index, reverse: read.strand === STRANDS.minus };
+      });
+    });
+    return (
+      <div key={rowIndex} className="pileup-row">
+        {cells.map((cell, offset) => {
+          if (!cell) return <span key={offset} className="pileup-cell"> </span>;
+          const classes = [
+            'pileup-cell',
+            'read',
+            cell.reverse ? 'reverse' : 'forward',
+            cell.mismatch ? 'mismatch' : '',
+            cell.base === '-' ? 'deletion' : '',
+            cell.insertion ? 'insertion' : '',
+            cell.index === selected ? 'selected' : '',
+          ].filter(Boolean).join(' ');
+          const match = !cell.mismatch && cell.base !== '-';
+          return (
+            <span
+              key={offset}
+              className={classes}
+              title={`${reads[cell.index].id}${cell.insertion ? ` • insertion ${cell.insertion}` : ''}`}
+              onClick={() => setSelected(cell.index)}
+            >
+              {match ? (cell.reverse ? ',' : '.') : cell.base}
+            </span>
+          );
+        })}
+      </div>
+    );
+  };
+
+  return (
+    <div className="alignment-card">
+      <div className="alignment-header">
+        <div className="alignment-title">
+          <span className="algorithm-badge msa">MAP</span>
+          <h3>{result.algorithm}</h3>
+        </div>
+        <div className="score-pill" title="Reads mapped">
+          {Math.round((100 * mapped) / reads.length)}%
+        </div>
+      </div>
+
+      <div className="msa-summary">
+        <span>{mapped} of {reads.length} reads mapped</span>
+        <span>{highQuality} with MAPQ ≥ 30</span>
+        <span>{minus} on the minus strand</span>
+        <span>mean coverage {result.meanCoverage.toFixed(1)}×</span>
+      </div>
+
+      <svg
+        className="coverage-overview"
+        viewBox={`0 0 ${bins.length} 40`}
+        preserveAspectRatio="none"
+        onClick={(event) => {
+          const box = event.currentTarget.getBoundingClientRect();
+          jumpTo(((event.clientX - box.left) / box.width) * length - width / 2);
+        }}
+      >
+        {bins.map((depth, bin) => (
+          <rect key={bin} className="coverage-bar" x={bin} y={40 - (40 * depth) / maxDepth} width={1} height={(40 * depth) / maxDepth} />
+        ))}
+        <rect className="coverage-window" x={first / binSize} y={0} width={width / binSize} height={40} />
+      </svg>
+
+      <div className="pileup-controls">
+        <button className="preset-btn" onClick={() => jumpTo(first - width / 2)} disabled={first === 0}>‹</button>
+        <span className="option-hint">{referenceName}:{first + 1}–{first + width} of {length}</span>
+        <button className="preset-btn" onClick={() => jumpTo(first + width / 2)} disabled={first >= maxStart}>›</button>
+      </div>
+
+      <div className="pileup-scroll">
+        <div className="pileup">
+          <div className="pileup-row ruler">{rulerText(first, width)}</div>
+          <div className="pileup-row depth">
+            {coverage.slice(first, first + width).map((depth, offset) => (
+              <span key={offset} className="pileup-cell" title={`Position ${first + offset + 1}: depth ${depth}`}>
+                <span className="depth-bar" style={{ height: `${(100 * depth) / windowDepth}%` }} />
+              </span>
+            ))}
+          </div>
+          <div className="pileup-row reference">
+            {reference.slice(first, first + width).split('').map((base, offset) => (
+              <span key={offset} className="pileup-cell">{base}</span>
+            ))}
+          </div>
+          {layout.rows.map(renderReadRow)}
+        </div>
+      </div>
+
+      <span className="option-hint">
+        Matches show as . (forward) or , (reverse); mismatched bases are highlighted, deletions are
+        dashes and a bar marks bases inserted after a column.
+      </span>
+
+      {current && (
+        <div className="msa-summary read-details">
+          <span><strong>{current.id}</strong></span>
+          {current.mapped ? (
+            <>
+              <span>{current.strand} strand</span>
+              <span>{current.position}–{current.refEnd}</span>
+              <span>CIGAR {current.cigar}</span>
+              <span>MAPQ {current.mapq}</span>
+              <span>AS {current.score}{current.secondScore !== null && ` (next ${current.secondScore})`}</span>
+              <span>NM {current.editDistance}</span>
+            </>
+          ) : (
+            <span>unmapped</span>
+          )}
+        </div>
+      )}
+
+      <div className="variant-table-scroll">
+        <table className="variant-table">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Read</th>
+              <th>Strand</th>
+              <th>Position</th>
+              <th>CIGAR</th>
+              <th>MAPQ</th>
+              <th>AS</th>
+              <th>NM</th>
+            </tr>
+          </thead>
+          <tbody>
+            {reads.slice(0, MAX_LISTED_READS).map((read, index) => (
+              <tr
+                key={index}
+                className={`${index === selected ? 'selected' : ''} ${read.mapped ? '' : 'unmapped'}`}
+                onClick={() => selectRead(index)}
+              >
+                <td>{index + 1}</td>
+                <td>{read.id}</td>
+                {read.mapped ? (
+                  <>
+                    <td>{read.strand}</td>
+                    <td>{read.position}</td>
+                    <td><code>{read.cigar}</code></td>
+                    <td>{read.mapq}</td>
+                    <td>{read.score}</td>
+                    <td>{read.editDistance}</td>
+                  </>
+                ) : (
+                  <td colSpan={6}>unmapped</td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {reads.length > MAX_LISTED_READS && (
+        <span className="option-hint">
+          Listing the first {MAX_LISTED_READS} of {reads.length} reads; every read is in the pileup and the SAM file.
+        </span>
+      )}
+
+      <ExportMenu
+        formats={MAPPING_EXPORTS}
+        fileName={`${referenceName}_reads`.replace(/[^\w.-]+/g, '_')}
+        build={() => toMappingSam(result, { referenceName, referenceLength: reference.length })}
+      />
+    </div>
+  );
+};
+
+export default ReadPileup;
@@ -0,0 +1,141 @@
+/**
+ * SearchHits - ranked library hits for one query
+ * Lists the best local alignment of each matching record by E-value, with
+ * the selected hit's alignment underneath. Any hit can be opened in the
+ * pairwise workspace.
+ */
+
+import { useState } from 'react';
+import ExportMenu from './ExportMenu';
+import { formatAlignment } from '../utils/alignmentLogic';
+import { formatHitTable } from '../utils/databaseSearch';
+
+const SEARCH_EXPORTS = {
+  tabular: { label: 'BLAST tabular', extension: 'tsv', mime: 'text/tab-separated-values' },
+};
+
+const formatEValue = (eValue) => (eValue === null ? '—' : eValue < 1e-180 ? '0' : eValue.toExponential(1));
+
+/**
+ * @param {object} result - searchLibrary result
+ * @param {string} error - Job error, shown instead of the result
+ * @param {string} queryName - Query label for the alignment and export
+ * @param {function} onOpen - Called with a hit to align it in the pairwise workspace
+ */
+const SearchHits = ({ result, error, queryName, onOpen }) => {
+  const [selected, setSelected] = useState(0);
+
+  if (error) {
+    return <div className="notice-card"><h3>Cannot search the library</h3><p>{error}</p></div>;
+  }
+  if (!result) return null;
+
+  const { hits, searched, counts, statistics } = result;
+  const current = hits[Math.min(selected, hits.length - 1)];
+
+  return (
+    <div className="alignment-card">
+      <div className="alignment-header">
+        <div className="alignment-title">
+          <span className="algorithm-badge msa">DB</span>
+          <h3>{result.algorithm}</h3>
+        </div>
+        <div className="score-pill" title="Records with a hit">
+          {hits.length} {hits.length === 1 ? 'hit' : 'hits'}
+        </div>
+      </div>
+
+      <div className="msa-summary">
+        <span>{searched.records.toLocaleString()} records</span>
+        <span>{searched.residues.toLocaleString()} residues</span>
+        <span>{counts.wordHits.toLocaleString()} word hits</span>
+        <span>{counts.ungapped.toLocaleString()} ungapped extensions</span>
+        <span>{counts.gapped.toLocaleString()} gapped alignments</span>
+      </div>
+      {statistics.error && (
+        <span className="option-hint">E-values are unavailable ({statistics.error}), so hits are ranked by score.</span>
+      )}
+
+      {hits.length === 0 ? (
+        <div className="notice-card">
+          <h3>No hits</h3>
+          <p>No record has a local alignment within the E-value cutoff. A shorter word size finds weaker similarities.</p>
+        </div>
+      ) : (
+        <>
+          <div className="variant-table-scroll">
+            <table className="variant-table search-table">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Subject</th>
+                  <th>Length</th>
+                  <th>Score</th>
+                  <th>Bits</th>
+                  <th>E-value</th>
+                  <th>Identity</th>
+                  <th>Query</th>
+                  <th>Subject</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {hits.map((hit, index) => (
+                  <tr key={hit.record} className={hit === current ? 'selected' : ''} onClick={() => setSelected(index)}>
+                    <td>{index + 1}</td>
+                    <td className="hit-subject" title={hit.description}>
+                      <strong>{hit.id}</strong>
+                      {hit.description && <span className="hit-description">{hit.description}</span>}
+                    </td>
+                    <td>{hit.length}</td>
+                    <td>{hit.score}</td>
+                    <td>{hit.bitScore === null ? '—' : hit.bitScore.toFixed(1)}</td>
+                    <td>{formatEValue(hit.eValue)}</td>
+                    <td>{(100 * hit.identity).toFixed(1)}%</td>
+                    <td>{hit.queryStart}–{hit.queryEnd}</td>
+                    <td>{hit.subjectStart}–{hit.subjectEnd}</td>
+                    <td>
+                      <button
+                        className="preset-btn"
+                        title="Align the query with this record in the pairwise workspace"
+                        onClick={(event) => {
+                          event.stopPropagation();
+                          onOpen(hit);
+                        }}
+                      >
+                        Open
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="msa-summary">
+            <span><strong>{current.id}</strong></span>
+            <span>{current.identities}/{current.alignmentLength} identical</span>
+            <span>{current.mismatches} mismatches</span>
+            <span>{current.gapOpens} gap opens</span>
+          </div>
+          <div className="alignment-visual">
+            <pre className="alignment-text">
+              {formatAlignment(current.alignedQuery, current.alignedSubject, [
+                `${queryName} ${current.queryStart}`,
+                `${current.id} ${current.subjectStart}`,
+              ])}
+            </pre>
+          </div>
+        </>
+      )}
+
+      <ExportMenu
+        formats={SEARCH_EXPORTS}
+        fileName={`${queryName}_hits`.replace(/[^\w.-]+/g, '_')}
+        build={() => formatHitTable(hits, queryName)}
+      />
+    </div>
+  );
+};
+
+export default SearchHits;
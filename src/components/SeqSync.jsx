@@ -3,22 +3,251 @@
  * React component with dark/light theming
  */
 
-import { useState, useMemo } from 'react';
+import { useState, useMemo, useEffect } from 'react';
 import {
-  needlemanWunsch,
-  smithWaterman,
+  END_GAP_PRESETS,
+  alignmentSteps,
+  POINTER,
   formatAlignment,
   calculateAlignmentStats,
   DEFAULT_SCORES,
+  matrixView,
 } from '../utils/alignmentLogic';
+import {
+  SUBSTITUTION_MATRICES,
+  parseMatrix,
+  createScorer,
+} from '../utils/scoringMatrices';
+import { isInBand } from '../utils/banded';
+import { GUIDE_TREE_METHODS } from '../utils/msa';
+import { TREE_METHODS, DISTANCE_ALIGNMENTS, DISTANCE_CORRECTIONS } from '../utils/phylogeny';
+import { EXPORT_FORMATS, exportAlignment } from '../utils/exporters';
+import { scoreSignificance } from '../utils/significance';
+import { createAlignmentClient, isCancellation } from '../utils/alignmentClient';
+import { DOT_PLOT_DEFAULTS } from '../utils/dotPlot';
+import { STRANDS, strandCoordinates } from '../utils/strands';
+import { GENETIC_CODES, READING_FRAMES } from '../utils/geneticCode';
+import { TRANSLATED_MODES } from '../utils/translatedAlignment';
+import { DISTANCE_MODES, TRANSPOSE, distanceCandidates } from '../utils/stringDistance';
+import { MAPPING_DEFAULTS, MAPPING_EXTENSIONS } from '../utils/readMapping';
+import { SEARCH_DEFAULTS, WORD_SIZES } from '../utils/databaseSearch';
+import { parseSequenceFile } from '../utils/parsers';
+import {
+  ALPHABETS,
+  cleanSequence,
+  commonAlphabet,
+  detectAlphabet,
+  reverseComplement,
+  validateSequence,
+} from '../utils/sequence';
+import MultipleAlignment from './MultipleAlignment';
+import SequenceImport from './SequenceImport';
+import ExportMenu from './ExportMenu';
+import DotPlot from './DotPlot';
+import TranslatedAlignment from './TranslatedAlignment';
+import Variants from './Variants';
+import DistanceTree from './DistanceTree';
+import ReadPileup from './ReadPileup';
+import SearchHits from './SearchHits';
 import './SeqSync.css';
 
+const ALGORITHM_BADGES = {
+  global: 'NW',
+  local: 'SW',
+  semiglobal: 'SG',
+  ...Object.fromEntries(Object.entries(DISTANCE_MODES).map(([mode, { badge }]) => [mode, badge])),
+};
+
+// Above this many DP cells the full matrix is neither stored nor rendered
+const LINEAR_SPACE_CELL_LIMIT = 40000;
+
+// Local hits cycle through this many path colours
+const HIT_COLORS = 6;
+
+const PLAYBACK_SPEEDS = [1, 2, 5, 10, 25, 50];
+
+const MOVE_ARROWS = { diagonal: '↖', up: '↑', left: '←' };
+
+const EDIT_NAMES = {
+  match: 'Match',
+  substitute: 'Substitute',
+  delete: 'Delete',
+  insert: 'Insert',
+  transpose: 'Transpose',
+};
+
+const MAX_MSA_SEQUENCES = 50;
+
+const MAX_SHUFFLES = 1000;
+
+// Reads beyond this many in a pasted or imported file are not mapped
+const MAX_MAPPED_READS = 1000;
+
+// Invalid characters listed under an input before the rest are summarised
+const MAX_SHOWN_ERRORS = 3;
+
+const MSA_EXAMPLE = [
+  { name: 'Human', sequence: 'ATGGTGCACCTGACTCCTGAGGAGAAG' },
+  { name: 'Chimp', sequence: 'ATGGTGCACCTGACTCCTGAGGAGAAG' },
+  { name: 'Mouse', sequence: 'ATGGTGCACCTGACTGATGCTGAGAAG' },
+  { name: 'Chicken', sequence: 'ATGGTGCACTGGACTGCTGAGGAGAAG' },
+  { name: 'Zebrafish', sequence: 'ATGGTTGAGTGGACAGATGCCGAGCGC' },
+];
+
+// Human β-globin exon 1 against the start of mouse β-globin
+const TRANSLATED_EXAMPLE = {
+  nucleotides: 'ATGGTGCACCTGACTCCTGAGGAGAAGTCTGCCGTTACTGCCCTGTGGGGCAAGGTG',
+  protein: 'MVHLTDAEKAAVSCLWGKV',
+};
+
+// Short reads sampled from the start of human β-globin, some with errors
+const MAPPING_EXAMPLE = {
+  reference: 'ACATTTGCTTCTGACACAACTGTGTTCACTAGCAACCTCAAACAGACACCATGGTGCATCTGACTCCTGAGGAGAAGTCTGCCGTTACTGCCCTGTGGGGCAAGGTGAACGTGGATGAAGTTGGTGGTGAGGCCCTGGGCAGGTTGGTATCAAGGTTACAAGACAGGTTTAAGGAGACCAATAGAAACTGGGCATGTGGAGACAGAGAAGACTCTTGGG',
+  reads: [
+    '@read1', 'ATTTGCTTCTGACACAACTGTGTTCACTAGCAACCT', '+', 'GDIDIIIG?FAI?A?DFAFG?GA?IAFDAFA?AGGF',
+    '@read2', 'GGTGTCTGTTTGAGGTTGCTAGTGAACACAGTTGTG', '+', 'AA??AAAADDAGIIAAIAFD?DFAAD?DDGG?GIID',
+    '@read3', 'AGCAACCTCAAACAGACACCATGGTGCATCTGACTC', '+', '?DDDFIDAFFIA?D?IDF?GFDFG?F?IAGA?AFDG',
+    '@read4', 'ACAGACACCATGGTGCATCTGACTCCTGAGGAGAAG', '+', 'DGDF?GIDD?F?ADGGDADDIG?DIDDA?IAIIDFA',
+    '@read5', 'GCAGTAACGGCAGACTTCTCCTCAGGAGTCAGATGC', '+', 'I??GGF?AIGDDFIFA?I?FDAAIGAIF?AFDA?FD',
+    '@read6', 'CTCCTGAGGAGAAGTCTACCGTTACTGCCCTGTGGG', '+', 'AFGAGFFIIDFDDFFA?FGAIFDA?FDGGGD?DIGI',
+    '@read7', 'CTGCCGTTACTGCCCTGTGGGGCAAGGTGAACGTGG', '+', '?DDGIIDFDIIDDIAG?FGDDIDFDGIIDDDIDIFD',
+    '@read8', 'CACCAACTTCATCCACGTTCACCTTGCCCCACAGGG', '+', 'AIFDDGAGAADFDI?IIIFAGGGIFDGGIDI?AAGF',
+    '@read9', 'GTGAACGTGGATGAAGTTGGTGGTGAGGCCCTGGGC', '+', 'GIAAIAII?FAA?A?DAFAG?FFDFIG?GAAID?DF',
+    '@read10', 'AAGTTGGTGGTGAGGCCCTGCAGGTTGGTATCAAGG', '+', 'DF?IGD?GGD?DGGDGDDAFFGIGDFAAGFGFAAG?',
+    '@read11', 'TGTCTTGTAACCTTGATACCAACCTGCCCAGGGCCT', '+', 'DI?F?DGGGADIGFFFAFDFIFFAGGDIDFDF?DDF',
+    '@read12', 'AGGTTGGTATCAAGGTTACAAGACAGGTTTAAGGAG', '+', 'DAF??IGFAD?AF?FGGDAF?AFDAIDDFGFGIGI?',
+    '@read13', 'AGGTTACAAGACAGGTTTTAAGGAGACCAATAGAAA', '+', '?ADDGIDGDIG?FDDIIGA??DGFI?IGA?FFGGII',
+    '@read14', 'TCTCCACATGCCCAGTTTCTATTGGTCTCCTTAAAC', '+', 'IIFFFFIIADF?D?IFGDIFDAAFIGFDGAFGG??I',
+    '@read15', 'CAATAGAAACTGGGCATGTGGAGACAGAGAAGACTC', '+', 'AD??I?DIF?FIF???AGI?IADIFAAGAFA?GA?G',
+    '@read16', 'GGCATGTGGAGACAGAGAAGACTCTTGGG', '+', '?IFI?D?GG?IFGA?F?DIGFFDID?AID',
+    '@contaminant', 'TTAGGCCATTAGCGCGATATCGGACCTAGTCAAGCT', '+', '5????:???5:5?5::?55::?:55?5?:5??555?',
+  ].join('\n'),
+};
+
+// Imported reads go into the reads box as FASTQ, or as FASTA when any lacks qualities
+const toReadsText = (records) => {
+  const fastq = records.every(record => record.qualities);
+  return records.map(({ id, sequence, qualities }) => (fastq
+    ? `@${id}\n${sequence}\n+\n${String.fromCharCode(...qualities.map(q => q + 33))}`
+    : `>${id}\n${sequence}`)).join('\n') + '\n';
+};
+
+// Human β-globin coding start against a few globins and unrelated vectors
+const SEARCH_EXAMPLE = {
+  query: 'ATGGTGCATCTGACTCCTGAGGAGAAGTCTGCCGTTACTGCCCTGTGGGGCAAGGTGAACGTGGATGAAGTTGGTGGTGAGGCCCTGGGCAGG',
+  library: [
+    { id: 'HBB_human_5prime', description: 'Human β-globin, upstream and exon 1', sequence: MAPPING_EXAMPLE.reference },
+    { id: 'HBB_mouse', description: 'Mouse β-globin, coding start', sequence: 'ATGGTGCACCTGACTGATGCTGAGAAGTCTGCTGTCTCTTGCCTGTGGGCAAAGGTGAACCCCGATGAAGTTGGTGGTGAGGCCCTGGGCAGG' },
+    { id: 'HBB_chicken', description: 'Chicken β-globin, coding start', sequence: 'ATGGTGCACTGGACTGCTGAGGAGAAGCAGCTCATCACCGGCCTCTGGGGCAAGGTCAATGTGGCCGAATGTGGGGCCGAAGCCCTGGCCAGG' },
+    { id: 'HBA_human', description: 'Human α-globin, coding start', sequence: 'ATGGTGCTGTCTCCTGCCGACAAGACCAACGTCAAGGCCGCCTGGGGTAAGGTCGGCGCGCACGCTGGCGAGTATGGTGCGGAGGCCCTGGAGAGG' },
+    { id: 'EGFP', description: 'Enhanced GFP, coding start', sequence: 'ATGGTGAGCAAGGGCGAGGAGCTGTTCACCGGGGTGGTGCCCATCCTGGTCGAGCTGGACGGCGACGTAAACGGCCACAAGTTCAGCGTGTCCGGCGAGGGCGAGGGCGATGCCACCTACGGCAAG' },
+    { id: 'lacZ_alpha', description: 'lacZ α fragment', sequence: 'ATGACCATGATTACGGATTCACTGGCCGTCGTTTTACAACGTCGTGACTGGGAAAACCCTGGCGTTACCCAACTTAATCGCCTTGCAGCACATCCCCCTTTCGCCAGCTGGCGTAATAGCGAAGAGGCCCGCACCGATCGCCCTTCCCAACAGTTGCGCAGCCTGAATGGCGAATGG' },
+  ],
+};
+
+// The search library is kept in the browser between visits
+const LIBRARY_STORAGE_KEY = 'seqsync-library';
+
+const loadStoredLibrary = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(LIBRARY_STORAGE_KEY));
+    const valid = Array.isArray(stored) && stored.every(record => typeof record?.sequence === 'string');
+    return valid ? stored : SEARCH_EXAMPLE.library;
+  } catch {
+    return SEARCH_EXAMPLE.library;
+  }
+};
+
+// Inputs must stay unchanged this long before a new alignment job starts
+const RECOMPUTE_DELAY_MS = 250;
+
+const END_GAP_FLAGS = [
+  ['seq1Start', 'Sequence 1 start'],
+  ['seq1End', 'Sequence 1 end'],
+  ['seq2Start', 'Sequence 2 start'],
+  ['seq2End', 'Sequence 2 end'],
+];
+
+/**
+ * Run `job` in the alignment worker whenever it changes, after a short
+ * debounce, cancelling any run still in flight. Returns the last finished
+ * run ({ job, results, error }), whether a newer job is pending, and that
+ * job's progress ({ done, total }, or null until the worker first reports).
+ */
+const useAlignmentJob = (type, job) => {
+  const [client] = useState(() => createAlignmentClient());
+  const [finished, setFinished] = useState({ job: null, results: null, error: '' });
+  const [progress, setProgress] = useState({ job: null, done: 0, total: 0 });
+
+  useEffect(() => () => client.dispose(), [client]);
+
+  useEffect(() => {
+    if (!job) return undefined;
+    const timer = setTimeout(() => {
+      client.run(type, job, { onProgress: (done, total) => setProgress({ job, done, total }) })
+        .then(results => setFinished({ job, results, error: '' }))
+        .catch(error => {
+          if (!isCancellation(error)) setFinished({ job, results: null, error: error.message });
+        });
+    }, RECOMPUTE_DELAY_MS);
+    return () => {
+      clearTimeout(timer);
+      client.cancel();
+    };
+  }, [client, type, job]);
+
+  if (!job) return { job: null, results: null, error: '', pending: false, progress: null };
+  return {
+    ...finished,
+    pending: finished.job !== job,
+    progress: progress.job === job ? progress : null,
+  };
+};
+
 const SeqSync = () => {
+  const [workspace, setWorkspace] = useState('pairwise');
   const [seq1, setSeq1] = useState('ACGTGATCA');
   const [seq2, setSeq2] = useState('AGCTACCA');
+  const [seqNames, setSeqNames] = useState({ seq1: '', seq2: '' });
   const [algorithm, setAlgorithm] = useState('both');
   const [scores, setScores] = useState(DEFAULT_SCORES);
   const [showAdvanced, setShowAdvanced] = useState(false);
+  const [affineGaps, setAffineGaps] = useState(false);
+  const [endGaps, setEndGaps] = useState(END_GAP_PRESETS.overlap);
+  const [banded, setBanded] = useState(false);
+  const [band, setBand] = useState({ bandWidth: 3, offset: 0 });
+  const [multiHit, setMultiHit] = useState(false);
+  const [hitOptions, setHitOptions] = useState({ maxHits: 5, minScore: 4 });
+  const [shuffling, setShuffling] = useState(false);
+  const [shuffleOptions, setShuffleOptions] = useState({ shuffles: 100, seed: 1 });
+  const [bothStrands, setBothStrands] = useState(false);
+  const [playback, setPlayback] = useState(null);
+  const [inspected, setInspected] = useState(null);
+  const [speed, setSpeed] = useState(10);
+  const [optimalIndex, setOptimalIndex] = useState({ global: 0, local: 0, semiglobal: 0 });
+  const [customMatrix, setCustomMatrix] = useState(null);
+  const [matrixError, setMatrixError] = useState('');
+  const [matrixLayers, setMatrixLayers] = useState({ global: 'best', local: 'best' });
+  const [msaSequences, setMsaSequences] = useState(MSA_EXAMPLE);
+  const [treeMethod, setTreeMethod] = useState('upgma');
+  const [phylogenyOptions, setPhylogenyOptions] = useState({ alignment: 'global', correction: 'jc69', treeMethod: 'nj' });
+  const [translatedSeqs, setTranslatedSeqs] = useState(TRANSLATED_EXAMPLE);
+  const [translatedNames, setTranslatedNames] = useState({ nucleotides: '', protein: '' });
+  const [geneticCode, setGeneticCode] = useState(1);
+  const [translatedMode, setTranslatedMode] = useState('local');
+  const [translatedFrame, setTranslatedFrame] = useState('all');
+  const [mappingReference, setMappingReference] = useState(MAPPING_EXAMPLE.reference);
+  const [mappingReferenceName, setMappingReferenceName] = useState('');
+  const [readsText, setReadsText] = useState(MAPPING_EXAMPLE.reads);
+  const [mappingOptions, setMappingOptions] = useState(MAPPING_DEFAULTS);
+  const [searchQuery, setSearchQuery] = useState(SEARCH_EXAMPLE.query);
+  const [searchQueryName, setSearchQueryName] = useState('');
+  const [library, setLibrary] = useState(loadStoredLibrary);
+  const [libraryStorageError, setLibraryStorageError] = useState('');
+  const [searchOptions, setSearchOptions] = useState({ ...SEARCH_DEFAULTS, wordSize: 'auto' });
+  const [alphabet, setAlphabet] = useState('auto');
+  const [showDotPlot, setShowDotPlot] = useState(true);
+  const [dotPlotOptions, setDotPlotOptions] = useState(DOT_PLOT_DEFAULTS);
   const [darkMode, setDarkMode] = useState(() => 
     localStorage.getItem('seqsync-theme') === 'dark'
   );
@@ -31,31 +260,493 @@ const SeqSync = () => {
     });
   };
 
-  const globalResult = useMemo(() => {
-    if (!seq1 || !seq2) return null;
+  // Reads are parsed as FASTA or FASTQ whenever the text changes
+  const parsedReads = useMemo(() => {
+    if (!readsText.trim()) return { records: [], error: '' };
     try {
-      return needlemanWunsch(seq1.toUpperCase(), seq2.toUpperCase(), scores);
-    } catch (error) {
-      console.error('Global alignment error:', error);
-      return null;
+      return { records: parseSequenceFile(readsText).records, error: '' };
+    } catch (parseError) {
+      return { records: [], error: parseError.message };
+    }
+  }, [readsText]);
+
+  // 'auto' follows whatever the sequences in the current workspace look like
+  const workspaceSequences = {
+    msa: () => msaSequences.map(entry => entry.sequence),
+    phylogeny: () => msaSequences.map(entry => entry.sequence),
+    mapping: () => [mappingReference, ...parsedReads.records.map(record => record.sequence)],
+    search: () => [searchQuery],
+  };
+  const detectedAlphabet = commonAlphabet(workspaceSequences[workspace]?.() || [seq1, seq2]);
+  const activeAlphabet = alphabet === 'auto' ? detectedAlphabet : alphabet;
+  const unit = ALPHABETS[activeAlphabet]?.unit || 'bp';
+  const errorsFor = (sequence) => (activeAlphabet ? validateSequence(sequence, activeAlphabet) : []);
+  const seq1Errors = errorsFor(seq1);
+  const seq2Errors = errorsFor(seq2);
+  const msaErrors = msaSequences.map(entry => errorsFor(entry.sequence));
+  const inputValid = seq1Errors.length === 0 && seq2Errors.length === 0;
+  const msaValid = msaErrors.every(errors => errors.length === 0);
+
+  // Ambiguity codes score partial matches whenever the input is nucleotide
+  const nucleotide = activeAlphabet === 'dna' || activeAlphabet === 'rna';
+  const alignScores = useMemo(() => ({ ...scores, iupac: nucleotide }), [scores, nucleotide]);
+
+  // Names of imported records, shown in results in place of the defaults
+  const name1 = seqNames.seq1 || 'Sequence 1';
+  const name2 = seqNames.seq2 || 'Sequence 2';
+
+  const linearSpace = seq1.length * seq2.length > LINEAR_SPACE_CELL_LIMIT;
+  const useBand = banded && !linearSpace;
+  const bandCoversCorners = isInBand(0, 0, band.bandWidth, band.offset)
+    && isInBand(seq1.length, seq2.length, band.bandWidth, band.offset);
+  const bandError = useBand && !bandCoversCorners
+    ? `Global alignment needs the band to contain (0, 0) and (${seq1.length}, ${seq2.length}); widen it or adjust the offset.`
+    : '';
+
+  // String distances are selected like algorithms and run as an extra phase of the job
+  const distanceMode = DISTANCE_MODES[algorithm] ? algorithm : null;
+
+  // Alignments run in a worker; the inputs are bundled into one job
+  const pairwiseJob = useMemo(() => {
+    if (workspace !== 'pairwise' || !seq1 || !seq2 || !inputValid) return null;
+    return {
+      seq1: seq1.toUpperCase(),
+      seq2: seq2.toUpperCase(),
+      scores: alignScores,
+      affineGaps,
+      linearSpace,
+      band: useBand ? band : null,
+      endGaps,
+      hits: multiHit ? hitOptions : null,
+      shuffle: shuffling ? shuffleOptions : null,
+      bothStrands: bothStrands && nucleotide,
+      distance: distanceMode,
+    };
+  }, [
+    workspace, seq1, seq2, inputValid, alignScores, affineGaps, linearSpace, useBand, band, endGaps,
+    multiHit, hitOptions, shuffling, shuffleOptions, bothStrands, nucleotide, distanceMode,
+  ]);
+  const pairwise = useAlignmentJob('pairwise', pairwiseJob);
+
+  // Results are drawn against the inputs of the job that produced them,
+  // which lag behind the form while a newer job is pending
+  const shown = pairwise.job;
+  const {
+    global: globalResult,
+    local: localResult,
+    semiglobal: semiResult,
+    localHits,
+    significance,
+    shuffle: shuffleResult,
+    distance,
+  } = pairwise.results || {};
+  const coOptimal = pairwise.results?.coOptimal || {};
+  const stale = pairwise.pending && pairwise.results !== null;
+
+  // Minus-strand results index Sequence 2 through its reverse complement
+  const minusTarget = useMemo(() => (shown?.bothStrands ? reverseComplement(shown.seq2) : null), [shown]);
+  const targetOf = (result) => (result?.strand === STRANDS.minus ? minusTarget : shown.seq2);
+
+  // The dot plot is its own job so its options don't re-run the alignments
+  const dotPlotJob = useMemo(() => {
+    if (workspace !== 'pairwise' || !showDotPlot || !seq1 || !seq2 || !inputValid) return null;
+    return {
+      ...dotPlotOptions,
+      seq1: seq1.toUpperCase(),
+      seq2: seq2.toUpperCase(),
+      inverted: dotPlotOptions.inverted && nucleotide,
+    };
+  }, [workspace, showDotPlot, seq1, seq2, inputValid, dotPlotOptions, nucleotide]);
+  const dotPlotRun = useAlignmentJob('dotplot', dotPlotJob);
+
+  // Paths are only overlaid when the alignments are of the plotted sequences
+  const plotted = dotPlotRun.job;
+  const plotAlignments = shown && plotted && shown.seq1 === plotted.seq1 && shown.seq2 === plotted.seq2
+    ? [
+      { key: 'global', label: 'Global path', result: globalResult },
+      { key: 'local', label: 'Local path', result: localResult },
+      { key: 'semiglobal', label: 'Semi-global path', result: algorithm === 'semiglobal' ? semiResult : null },
+    ]
+    : [];
+
+  const loadRegion = ({ seq1: [start1, end1], seq2: [start2, end2] }) => {
+    setSeq1(plotted.seq1.slice(start1, end1));
+    setSeq2(plotted.seq2.slice(start2, end2));
+    setSeqNames({ seq1: `${name1}:${start1 + 1}-${end1}`, seq2: `${name2}:${start2 + 1}-${end2}` });
+  };
+
+  const msaJob = useMemo(() => {
+    if (workspace !== 'msa') return null;
+    return {
+      sequences: msaSequences.map(entry => entry.sequence),
+      names: msaSequences.map(entry => entry.name.trim()),
+      scores: alignScores,
+      treeMethod,
+    };
+  }, [workspace, msaSequences, alignScores, treeMethod]);
+  const msaRun = useAlignmentJob('msa', msaValid ? msaJob : null);
+  const msa = msaValid
+    ? { result: msaRun.results, error: msaRun.error }
+    : { error: 'Fix the invalid characters highlighted in the sequence list.' };
+
+  // The tree workspace shares the sequence list; corrections follow the alphabet
+  const correctionFits = ({ kind }) => kind === 'any' || (kind === 'nucleotide') === nucleotide;
+  const correction = correctionFits(DISTANCE_CORRECTIONS[phylogenyOptions.correction]) ? phylogenyOptions.correction : 'p';
+  const phylogenyJob = useMemo(() => {
+    if (workspace !== 'phylogeny') return null;
+    return {
+      sequences: msaSequences.map(entry => entry.sequence),
+      names: msaSequences.map(entry => entry.name.trim()),
+      scores: alignScores,
+      alignment: phylogenyOptions.alignment,
+      correction,
+      treeMethod: phylogenyOptions.treeMethod,
+    };
+  }, [workspace, msaSequences, alignScores, phylogenyOptions, correction]);
+  const phylogenyRun = useAlignmentJob('phylogeny', msaValid ? phylogenyJob : null);
+  const phylogeny = msaValid
+    ? { result: phylogenyRun.results, error: phylogenyRun.error }
+    : { error: 'Fix the invalid characters highlighted in the sequence list.' };
+
+  // Read mapping: one reference, many reads, nucleotides only
+  const referenceName = mappingReferenceName || 'Reference';
+  const referenceErrors = errorsFor(mappingReference);
+  const mappedReads = useMemo(() => parsedReads.records.slice(0, MAX_MAPPED_READS), [parsedReads]);
+  const invalidRead = mappedReads.find(record => errorsFor(record.sequence).length > 0);
+  let mappingError = '';
+  if (parsedReads.error) mappingError = `Reads: ${parsedReads.error}`;
+  else if (!mappingReference || mappedReads.length === 0) mappingError = 'Enter a reference and paste or drop some reads.';
+  else if (!nucleotide) mappingError = 'Read mapping needs nucleotide sequences.';
+  else if (referenceErrors.length > 0) mappingError = 'Fix the invalid characters highlighted in the reference.';
+  else if (invalidRead) mappingError = `Read ${invalidRead.id} has characters outside the ${ALPHABETS[activeAlphabet].label} alphabet.`;
+
+  const mappingJob = useMemo(() => {
+    if (workspace !== 'mapping' || !mappingReference || mappedReads.length === 0) return null;
+    return {
+      ...mappingOptions,
+      reference: mappingReference.toUpperCase(),
+      reads: mappedReads.map(({ id, sequence, qualities }) => ({ id, sequence, qualities })),
+      scores: alignScores,
+    };
+  }, [workspace, mappingReference, mappedReads, mappingOptions, alignScores]);
+  const mappingRun = useAlignmentJob('mapping', mappingError ? null : mappingJob);
+  const mapping = mappingError
+    ? { error: mappingError }
+    : { result: mappingRun.results, error: mappingRun.error };
+
+  // Library search: the query follows the alphabet; library records are searched as stored
+  const searchName = searchQueryName || 'Query';
+  const searchQueryErrors = errorsFor(searchQuery);
+  const wordSize = searchOptions.wordSize === 'auto'
+    ? WORD_SIZES[nucleotide ? 'nucleotide' : 'protein']
+    : searchOptions.wordSize;
+  let searchError = '';
+  if (!searchQuery) searchError = 'Enter a query sequence.';
+  else if (library.length === 0) searchError = 'Add some records to the library.';
+  else if (searchQueryErrors.length > 0) searchError = 'Fix the invalid characters highlighted in the query.';
+
+  const searchJob = useMemo(() => {
+    if (workspace !== 'search' || !searchQuery || library.length === 0) return null;
+    return {
+      ...searchOptions,
+      wordSize,
+      query: searchQuery.toUpperCase(),
+      library,
+      scores: alignScores,
+    };
+  }, [workspace, searchQuery, library, searchOptions, wordSize, alignScores]);
+  const searchRun = useAlignmentJob('search', searchError ? null : searchJob);
+  const search = searchError
+    ? { error: searchError }
+    : { result: searchRun.results, error: searchRun.error };
+
+  const updateLibrary = (records) => {
+    setLibrary(records);
+    try {
+      localStorage.setItem(LIBRARY_STORAGE_KEY, JSON.stringify(records));
+      setLibraryStorageError('');
+    } catch {
+      setLibraryStorageError('The library is too large for browser storage and will be lost on reload.');
     }
-  }, [seq1, seq2, scores]);
+  };
+
+  // Records replace any already in the library under the same id
+  const addToLibrary = (records) => {
+    const ids = new Set(records.map(record => record.id));
+    updateLibrary([
+      ...library.filter(record => !ids.has(record.id)),
+      ...records.map(({ id, description, sequence }) => ({ id, description, sequence })),
+    ]);
+  };
+  const libraryResidues = library.reduce((sum, record) => sum + record.sequence.length, 0);
+
+  // Hits open in the pairwise workspace; long subjects are cut to the hit and its flanks
+  const openHit = (hit) => {
+    const { query, library: searched } = searchRun.job;
+    const subject = searched[hit.record].sequence.toUpperCase();
+    const whole = query.length * subject.length <= LINEAR_SPACE_CELL_LIMIT;
+    const margin = query.length;
+    const start = whole ? 0 : Math.max(0, hit.subjectStart - 1 - margin);
+    const end = whole ? subject.length : Math.min(subject.length, hit.subjectEnd + margin);
+    setSeq1(query);
+    setSeq2(subject.slice(start, end));
+    setSeqNames({ seq1: searchName, seq2: whole ? hit.id : `${hit.id}:${start + 1}-${end}` });
+    setAlgorithm('local');
+    setWorkspace('pairwise');
+  };
+
+  // Translated alignment: nucleotides (DNA, or RNA when it looks like RNA) against a protein
+  const nucleotideName = translatedNames.nucleotides || 'Nucleotides';
+  const proteinName = translatedNames.protein || 'Protein';
+  const translatedErrors = {
+    nucleotides: validateSequence(
+      translatedSeqs.nucleotides,
+      detectAlphabet(translatedSeqs.nucleotides) === 'rna' ? 'rna' : 'dna'
+    ),
+    protein: validateSequence(translatedSeqs.protein, 'protein'),
+  };
+  const translatedValid = translatedErrors.nucleotides.length === 0 && translatedErrors.protein.length === 0;
+  // Nucleotide matrices cannot score amino acids, so they fall back to BLOSUM62
+  const proteinMatrix = scores.matrix?.alphabet.includes('W') ? scores.matrix : SUBSTITUTION_MATRICES.BLOSUM62;
+
+  const translatedJob = useMemo(() => {
+    const { nucleotides, protein } = translatedSeqs;
+    if (workspace !== 'translated' || !nucleotides || !protein) return null;
+    return {
+      nucleotides,
+      protein,
+      scores: { ...scores, matrix: proteinMatrix },
+      table: geneticCode,
+      mode: translatedMode,
+      frames: translatedFrame === 'all' ? READING_FRAMES : [Number(translatedFrame)],
+      affine: affineGaps,
+    };
+  }, [workspace, translatedSeqs, scores, proteinMatrix, geneticCode, translatedMode, translatedFrame, affineGaps]);
+  const translatedRun = useAlignmentJob('translated', translatedValid ? translatedJob : null);
+  const translated = translatedValid
+    ? { result: translatedRun.results, error: translatedRun.error }
+    : { error: 'Fix the invalid characters highlighted in the inputs.' };
+
+  const assignTranslatedRecord = (key, record) => {
+    setTranslatedSeqs(prev => ({ ...prev, [key]: record.sequence }));
+    setTranslatedNames(prev => ({ ...prev, [key]: record.id }));
+  };
+
+  const updateMsaSequence = (index, field, value) => {
+    setMsaSequences(msaSequences.map((entry, i) => (i === index ? { ...entry, [field]: value } : entry)));
+  };
+
+  const addMsaSequence = () => {
+    if (msaSequences.length >= MAX_MSA_SEQUENCES) return;
+    setMsaSequences([...msaSequences, { name: `Seq${msaSequences.length + 1}`, sequence: '' }]);
+  };
+
+  const removeMsaSequence = (index) => {
+    setMsaSequences(msaSequences.filter((_, i) => i !== index));
+  };
+
+  const assignRecord = (key, record) => {
+    (key === 'seq1' ? setSeq1 : setSeq2)(record.sequence);
+    setSeqNames(prev => ({ ...prev, [key]: record.id }));
+  };
+
+  const toMsaEntry = (record, index) => ({ name: record.id || `Seq${index + 1}`, sequence: record.sequence });
+
+  const addMsaRecord = (record) => {
+    if (msaSequences.length >= MAX_MSA_SEQUENCES) return;
+    setMsaSequences([...msaSequences, toMsaEntry(record, msaSequences.length)]);
+  };
+
+  // The shuffle test re-scores linear-gap Smith-Waterman against shuffled copies of Sequence 2
+  const canShuffle = !affineGaps;
+
+  const hitCells = useMemo(() => {
+    const cells = new Map();
+    localHits?.hits.forEach((hit, rank) => {
+      hit.path.forEach(({ row, col }) => {
+        const key = `${row},${col}`;
+        if (!cells.has(key)) cells.set(key, rank);
+      });
+    });
+    return cells;
+  }, [localHits]);
+
+  // Playback replays the linear-gap NW/SW event streams on the full matrix
+  const canAnimate = !linearSpace && !affineGaps && !useBand && algorithm !== 'semiglobal' && !distanceMode;
+  const animating = playback !== null && canAnimate;
 
-  const localResult = useMemo(() => {
-    if (!seq1 || !seq2) return null;
+  const globalTarget = globalResult ? targetOf(globalResult) : null;
+  const localTarget = localResult ? targetOf(localResult) : null;
+
+  const stepStreams = useMemo(() => {
+    // Only replay over a linear-gap full matrix, even while a newer job is pending
+    if (!animating || !shown || shown.linearSpace || shown.affineGaps || shown.band) return null;
+    const build = (mode, target) => {
+      if (!target) return null;
+      try {
+        const events = [...alignmentSteps(shown.seq1, target, shown.scores, { mode })];
+        const fillIndex = Array.from({ length: shown.seq1.length + 1 }, () => new Array(target.length + 1).fill(Infinity));
+        const traceIndex = new Map();
+        events.forEach((event, index) => {
+          if (event.type === 'init' || event.type === 'cell') fillIndex[event.row][event.col] = index;
+          if (event.type === 'traceback') traceIndex.set(`${event.row},${event.col}`, index);
+        });
+        return { events, fillIndex, traceIndex };
+      } catch (error) {
+        console.error('Step generation error:', error);
+        return null;
+      }
+    };
+    return { global: build('global', globalTarget), local: build('local', localTarget) };
+  }, [animating, shown, globalTarget, localTarget]);
+
+  const totalSteps = stepStreams
+    ? Math.max(...Object.values(stepStreams).map(stream => stream?.events.length || 0))
+    : 0;
+  const currentStep = animating ? Math.min(playback.step, Math.max(totalSteps - 1, 0)) : 0;
+  const playing = animating && playback.playing;
+
+  useEffect(() => {
+    if (!playing) return undefined;
+    const timer = setInterval(() => {
+      setPlayback(prev => {
+        if (!prev) return prev;
+        if (prev.step >= totalSteps - 1) return { ...prev, playing: false };
+        return { ...prev, step: prev.step + 1 };
+      });
+    }, 1000 / speed);
+    return () => clearInterval(timer);
+  }, [playing, speed, totalSteps]);
+
+  const seekStep = (step) => {
+    setPlayback({ playing: false, step: Math.max(0, Math.min(step, totalSteps - 1)) });
+  };
+
+  const togglePlaying = () => {
+    // Pressing play at the end starts over
+    const restart = currentStep >= totalSteps - 1;
+    setPlayback({ step: restart ? 0 : currentStep, playing: !playing });
+  };
+
+  // Swap in the co-optimal alternative the user has stepped to
+  const withSelectedAlternative = (result, type) => {
+    const optimal = coOptimal[type];
+    if (!result || !optimal || optimal.alignments.length === 0) return result;
+    const index = Math.min(optimalIndex[type], optimal.alignments.length - 1);
+    const { path, alignedSeq1, alignedSeq2 } = optimal.alignments[index];
+    // Local alternatives can start and end in different cells
+    const ends = result.startPos ? { startPos: path[0], endPos: path[path.length - 1] } : {};
+    return { ...result, path, alignedSeq1, alignedSeq2, ...ends };
+  };
+
+  const stepAlternative = (type, delta) => {
+    const total = coOptimal[type]?.alignments.length || 1;
+    const current = Math.min(optimalIndex[type], total - 1);
+    setOptimalIndex({ ...optimalIndex, [type]: (current + delta + total) % total });
+  };
+
+  const substitute = useMemo(() => (shown ? createScorer(shown.scores) : null), [shown]);
+
+  const selectMatrix = (name) => {
+    const { matrix: _previous, ...rest } = scores;
+    if (name === 'none') setScores(rest);
+    else if (name === 'custom') setScores({ ...rest, matrix: customMatrix });
+    else setScores({ ...rest, matrix: SUBSTITUTION_MATRICES[name] });
+  };
+
+  const importMatrix = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
     try {
-      return smithWaterman(seq1.toUpperCase(), seq2.toUpperCase(), scores);
+      const matrix = parseMatrix(await file.text(), file.name.replace(/\.[^.]+$/, ''));
+      setCustomMatrix(matrix);
+      setMatrixError('');
+      setScores({ ...scores, matrix });
     } catch (error) {
-      console.error('Local alignment error:', error);
-      return null;
+      setMatrixError(error.message);
     }
-  }, [seq1, seq2, scores]);
+  };
+
+  const findPathCell = (path, row, col) => {
+    if (!path) return null;
+    return path.find(cell => cell.row === row && cell.col === col) || null;
+  };
 
-  const isInPath = (path, row, col) => {
-    if (!path) return false;
-    return path.some(cell => cell.row === row && cell.col === col);
+  const formatScore = (score) => {
+    if (score === null) return '';
+    if (score === -Infinity) return '-∞';
+    // IUPAC partial matches give fractional scores
+    return Number.isInteger(score) ? score : Number(score.toFixed(2));
   };
 
+  const formatEValue = (value) => (value < 0.001 ? value.toExponential(1) : Number(value.toPrecision(2)));
+
+  // Progress of the job in flight; results still on screen are marked stale
+  const renderJobStatus = (run, unit) => {
+    if (!run.pending) {
+      return run.error ? <span className="field-error">{run.error}</span> : null;
+    }
+    const { done, total } = run.progress || { done: 0, total: 0 };
+    return (
+      <div className="job-status">
+        {run.results && (
+          <span className="stale-badge" title="Showing results for the previous inputs until the new ones are ready">
+            Stale
+          </span>
+        )}
+        <div
+          className="job-progress"
+          role="progressbar"
+          aria-label="Alignment progress"
+          aria-valuemin={0}
+          aria-valuemax={total}
+          aria-valuenow={done}
+        >
+          <div className="job-progress-fill" style={{ width: `${total > 0 ? (done / total) * 100 : 0}%` }} />
+        </div>
+        <span className="option-hint">
+          {run.progress ? `${done.toLocaleString()} / ${total.toLocaleString()} ${unit}` : 'Waiting…'}
+        </span>
+      </div>
+    );
+  };
+
+  const renderSequenceErrors = (errors) => errors.length > 0 && (
+    <ul className="sequence-errors">
+      {errors.slice(0, MAX_SHOWN_ERRORS).map(error => (
+        <li key={error.position} className="field-error">{error.message}</li>
+      ))}
+      {errors.length > MAX_SHOWN_ERRORS && (
+        <li className="field-error">…and {errors.length - MAX_SHOWN_ERRORS} more</li>
+      )}
+    </ul>
+  );
+
+  const renderAlphabetSelect = () => (
+    <div className="score-field alphabet-field">
+      <label className="score-label" htmlFor="alphabet">Alphabet</label>
+      <select
+        id="alphabet"
+        value={alphabet}
+        onChange={(e) => setAlphabet(e.target.value)}
+        className="score-input"
+      >
+        <option value="auto">
+          Auto-detect{detectedAlphabet ? ` (${ALPHABETS[detectedAlphabet].label})` : ''}
+        </option>
+        {Object.entries(ALPHABETS).map(([key, { label }]) => (
+          <option key={key} value={key}>{label}</option>
+        ))}
+      </select>
+      {nucleotide && !scores.matrix && (
+        <span className="option-hint">
+          IUPAC ambiguity codes (R, Y, N, …) score the chance that the two bases match.
+        </span>
+      )}
+    </div>
+  );
+
   const loadExample = (exampleType) => {
     const examples = {
       dna: { seq1: 'ACGTGATCA', seq2: 'AGCTACCA' },
@@ -68,36 +759,306 @@ const SeqSync = () => {
     if (example) {
       setSeq1(example.seq1);
       setSeq2(example.seq2);
+      setSeqNames({ seq1: '', seq2: '' });
     }
   };
 
   const getCellClass = (score) => {
+    if (score === null) return 'out-of-band';
     if (score > 0) return 'positive';
     if (score < 0) return 'negative';
     return 'zero';
   };
 
-  const renderMatrix = (result, title, type) => {
-    if (!result) return null;
+  const describeStep = (event) => {
+    switch (event.type) {
+      case 'init':
+        return `Initialise (${event.row}, ${event.col}) = ${event.value}`;
+      case 'cell': {
+        const { diagonal, up, left, zero } = event.candidates;
+        const floor = zero === undefined ? '' : `, 0`;
+        return `Cell (${event.row}, ${event.col}): max(↖ ${diagonal}, ↑ ${up}, ← ${left}${floor}) = ${event.value}`
+          + ` via ${event.winner === 'zero' ? 'zero floor' : `${MOVE_ARROWS[event.winner]} ${event.winner}`}`;
+      }
+      case 'traceback':
+        return event.move === 'start'
+          ? `Traceback starts at (${event.row}, ${event.col})`
+          : `Traceback ${MOVE_ARROWS[event.move]} to (${event.row}, ${event.col})`;
+      default:
+        return `Done • score ${formatScore(event.score)}`;
+    }
+  };
+
+  const inspectCell = (type, row, col) => {
+    const same = inspected?.type === type && inspected.row === row && inspected.col === col;
+    setInspected(same ? null : { type, row, col });
+  };
+
+  // Nested matrix/pointers of a result, rebuilt from its flat storage when it has one
+  const viewOf = (result) => matrixView(result, shown.seq1, targetOf(result), shown.scores);
 
-    const { matrix, path } = result;
-    const seq1Upper = seq1.toUpperCase();
-    const seq2Upper = seq2.toUpperCase();
+  // Source cells of (row, col) according to the result's pointer matrix
+  const pointerSources = (result, row, col) => {
+    const mask = viewOf(result).pointers?.[row]?.[col] || 0;
+    return [
+      [POINTER.DIAGONAL, row - 1, col - 1, '↖'],
+      [TRANSPOSE, row - 2, col - 2, '⤡'],
+      [POINTER.UP, row - 1, col, '↑'],
+      [POINTER.LEFT, row, col - 1, '←'],
+    ]
+      .filter(([flag]) => mask & flag)
+      .map(([, r, c, arrow]) => ({ row: r, col: c, arrow }));
+  };
+
+  // Moves into a string-distance cell: every edit costs 1, LCS counts matches instead
+  const renderDistanceCandidates = (result, type, row, col) => {
+    const { matrix, pointers } = result;
+    const target = shown.seq2;
+    if (matrix[row][col] === null) {
+      return <p className="inspector-note">Hamming distance only compares equal positions, so cells off the diagonal are not computed.</p>;
+    }
+    if (row === 0 && col === 0) {
+      return <p className="inspector-note">Initialisation. Empty prefixes are {type === 'lcs' ? 'a common subsequence of length 0' : '0 edits apart'}.</p>;
+    }
+    const mask = pointers[row][col];
+    const candidates = distanceCandidates(type, shown.seq1, target, row, col);
+    const tied = candidates.filter(({ flag }) => mask & flag).length;
+    const arrows = { [POINTER.DIAGONAL]: '↖', [TRANSPOSE]: '⤡', [POINTER.UP]: '↑', [POINTER.LEFT]: '←' };
+    return (
+      <>
+        {row > 0 && col > 0 && (
+          <p className="inspector-note">
+            Compares <strong>{shown.seq1[row - 1]}</strong> ({name1}, position {row}) with{' '}
+            <strong>{target[col - 1]}</strong> ({name2}, position {col}).
+          </p>
+        )}
+        <ul className="candidate-list distance-candidates">
+          {candidates.map(candidate => {
+            const [r, c] = candidate.from;
+            const source = matrix[r][c];
+            const chosen = mask & candidate.flag;
+            return (
+              <li key={candidate.flag} className={`candidate ${chosen ? 'chosen' : ''}`}>
+                <span className="candidate-arrow">{arrows[candidate.flag]}</span>
+                <span className="candidate-name">{EDIT_NAMES[candidate.edit]}</span>
+                <code className="candidate-math">
+                  {source === null
+                    ? 'not computed'
+                    : `D(${r}, ${c}) + ${candidate.add} = ${source + candidate.add}`}
+                </code>
+                {chosen ? <span className="candidate-badge">{tied > 1 ? 'tie' : type === 'lcs' ? 'max' : 'min'}</span> : null}
+              </li>
+            );
+          })}
+        </ul>
+        {tied > 1 && (
+          <p className="inspector-note">
+            {tied} moves tie; the traceback prefers the diagonal.
+          </p>
+        )}
+      </>
+    );
+  };
+
+  const renderInspector = (result, type, { row, col }) => {
+    const { matrix, pointers } = viewOf(result);
+    const value = matrix[row]?.[col];
+    if (value === undefined) return null;
+    const char1 = shown.seq1[row - 1];
+    const char2 = targetOf(result)[col - 1];
+    const mask = pointers?.[row][col] || 0;
+    const local = type === 'local';
+
+    let body;
+    if (DISTANCE_MODES[type]) {
+      body = renderDistanceCandidates(result, type, row, col);
+    } else if (value === null) {
+      body = <p className="inspector-note">This cell lies outside the band and was never computed.</p>;
+    } else if (result.matrices) {
+      const { M, X, Y } = result.matrices;
+      body = (
+        <p className="inspector-note">
+          Affine scoring keeps three states here: M = {formatScore(M[row][col])}, X = {formatScore(X[row][col])},
+          Y = {formatScore(Y[row][col])}. The cell shows their maximum, {formatScore(value)}.
+        </p>
+      );
+    } else if (row === 0 || col === 0) {
+      const freeEdge = type === 'semiglobal'
+        && ((col === 0 && shown.endGaps.seq1Start) || (row === 0 && shown.endGaps.seq2Start));
+      let reason = `${row + col} × gap (${shown.scores.gap}) = ${value}: a leading gap of length ${row + col}`;
+      if (local) reason = 'Local alignments may start anywhere, so edges are fixed at 0';
+      else if (freeEdge) reason = 'Free end gap: leading overhangs cost nothing';
+      else if (row === 0 && col === 0) reason = 'Empty prefixes align with score 0';
+      body = <p className="inspector-note">Initialisation. {reason}.</p>;
+    } else {
+      const pair = substitute(char1, char2);
+      const at = (r, c) => matrix[r][c];
+      const candidates = [
+        { flag: POINTER.DIAGONAL, arrow: '↖', name: 'Diagonal', from: [row - 1, col - 1], add: pair, label: `s(${char1}, ${char2})` },
+        { flag: POINTER.UP, arrow: '↑', name: 'Up', from: [row - 1, col], add: shown.scores.gap, label: 'gap' },
+        { flag: POINTER.LEFT, arrow: '←', name: 'Left', from: [row, col - 1], add: shown.scores.gap, label: 'gap' },
+      ];
+      const tied = candidates.filter(candidate => mask & candidate.flag).length;
+      const zeroWins = local && mask === 0;
+      body = (
+        <>
+          <p className="inspector-note">
+            Compares <strong>{char1}</strong> ({name1}, position {row}) with <strong>{char2}</strong> ({name2},
+            position {col}): s({char1}, {char2}) = {pair}
+          </p>
+          <ul className="candidate-list">
+            {candidates.map(candidate => {
+              const source = at(...candidate.from);
+              const total = source === null ? null : source + candidate.add;
+              const chosen = mask & candidate.flag;
+              return (
+                <li key={candidate.name} className={`candidate ${chosen ? 'chosen' : ''}`}>
+                  <span className="candidate-arrow">{candidate.arrow}</span>
+                  <span className="candidate-name">{candidate.name}</span>
+                  <code className="candidate-math">
+                    {source === null
+                      ? 'outside the band'
+                      : `H(${candidate.from[0]}, ${candidate.from[1]}) + ${candidate.label} = ${formatScore(source)} + ${formatScore(candidate.add)} = ${formatScore(total)}`}
+                  </code>
+                  {chosen ? <span className="candidate-badge">{tied > 1 ? 'tie' : 'max'}</span> : null}
+                </li>
+              );
+            })}
+            {local && (
+              <li className={`candidate ${zeroWins ? 'chosen' : ''}`}>
+                <span className="candidate-arrow">0</span>
+                <span className="candidate-name">Zero</span>
+                <code className="candidate-math">floor: start a new local alignment</code>
+                {zeroWins && <span className="candidate-badge">max</span>}
+              </li>
+            )}
+          </ul>
+          {tied > 1 && (
+            <p className="inspector-note">
+              {tied} candidates tie, so co-optimal alignments branch at this cell.
+            </p>
+          )}
+        </>
+      );
+    }
+
+    return (
+      <div className="cell-inspector">
+        <div className="inspector-header">
+          <span className="score-label">Cell ({row}, {col})</span>
+          <span className="score-value">{formatScore(value)}</span>
+          <button className="step-btn" onClick={() => setInspected(null)} aria-label="Close inspector">×</button>
+        </div>
+        {body}
+      </div>
+    );
+  };
+
+  const renderPointerArrows = (mask) => (
+    <span className="cell-arrows">
+      {(mask & POINTER.DIAGONAL) ? '↖' : ''}
+      {(mask & TRANSPOSE) ? '⤡' : ''}
+      {(mask & POINTER.UP) ? '↑' : ''}
+      {(mask & POINTER.LEFT) ? '←' : ''}
+    </span>
+  );
+
+  // Plus/minus badge for results of a both-strand job
+  const renderStrandBadge = (result) => {
+    if (!shown.bothStrands || !result.strand) return null;
+    const minus = result.strand === STRANDS.minus;
+    const other = minus ? STRANDS.plus : STRANDS.minus;
+    return (
+      <span
+        className={`strand-badge ${minus ? 'minus' : 'plus'}`}
+        title={`${minus ? 'Reverse complement' : 'Forward strand'} of ${name2}; the ${other} strand scores ${formatScore(result.strandScores[other])}`}
+      >
+        {minus ? '−' : '+'}
+      </span>
+    );
+  };
+
+  // "name 7–1 (−)": positions on the inputs as typed
+  const formatRange = (name, { start, end }, strand) => (
+    `${name}: ${start}–${end}${strand ? ` (${strand === STRANDS.minus ? '−' : '+'})` : ''}`
+  );
+
+  const describeCoordinates = (result) => {
+    const { seq1: range1, seq2: range2, strand } = strandCoordinates(result, shown.seq2.length);
+    return `${formatRange(name1, range1)} • ${formatRange(name2, range2, shown.bothStrands && strand)}`;
+  };
+
+  const renderMatrix = (baseResult, title, type) => {
+    if (!baseResult) return null;
+
+    const result = withSelectedAlternative(baseResult, type);
+    const optimal = coOptimal[type];
+    const distanceSpec = DISTANCE_MODES[type];
+    const { path } = result;
+    const seq1Upper = shown.seq1;
+    const seq2Upper = targetOf(result);
+
+    // Affine results carry one matrix per Gotoh state; 'best' is their maximum
+    const layer = result.matrices ? matrixLayers[type] : 'best';
+    const matrix = layer === 'best' ? viewOf(result).matrix : result.matrices[layer];
+
+    const stream = stepStreams?.[type];
+    const streamStep = stream ? Math.min(currentStep, stream.events.length - 1) : null;
+    const currentEvent = stream?.events[streamStep];
+    const sourceCells = currentEvent?.type === 'cell'
+      ? [[currentEvent.row - 1, currentEvent.col - 1], [currentEvent.row - 1, currentEvent.col], [currentEvent.row, currentEvent.col - 1]]
+      : [];
+    // The inspector reads the matrix it was opened on, so the affine layers are excluded
+    const inspectedCell = !stream && layer === 'best' && inspected?.type === type ? inspected : null;
+    const inspectedSources = inspectedCell ? pointerSources(result, inspectedCell.row, inspectedCell.col) : [];
 
     return (
       <div className="matrix-card">
         <div className="matrix-header">
           <div className="matrix-title">
-            <span className={`algorithm-badge ${type}`}>{type === 'global' ? 'NW' : 'SW'}</span>
+            <span className={`algorithm-badge ${type}`}>{ALGORITHM_BADGES[type]}</span>
+            {renderStrandBadge(result)}
             <h3>{title}</h3>
           </div>
           <div className="matrix-score">
-            <span className="score-label">Score</span>
-            <span className="score-value">{result.score}</span>
+            <span className="score-label">{distanceSpec?.scoreLabel || 'Score'}</span>
+            <span className="score-value">{formatScore(result.score)}</span>
           </div>
         </div>
+        {result.matrices && (
+          <div className="state-toolbar">
+            <div className="state-tabs">
+              {['best', 'M', 'X', 'Y'].map(option => (
+                <button
+                  key={option}
+                  className={`state-tab ${layer === option ? 'active' : ''}`}
+                  onClick={() => setMatrixLayers({ ...matrixLayers, [type]: option })}
+                  title={{
+                    best: 'Best score over all states',
+                    M: 'M: residue aligned to residue',
+                    X: 'X: Sequence 1 residue against a gap',
+                    Y: 'Y: Sequence 2 residue against a gap',
+                  }[option]}
+                >
+                  {option === 'best' ? 'Best' : option}
+                </button>
+              ))}
+            </div>
+            <div className="path-states" title="State of each cell on the optimal path">
+              {path.map((cell, idx) => (
+                <span key={idx} className={`path-state state-${cell.state}`}>{cell.state}</span>
+              ))}
+            </div>
+          </div>
+        )}
+        {currentEvent && (
+          <div className="step-readout">
+            <span className="stepper-label">Step {streamStep + 1} / {stream.events.length}</span>
+            <span className="step-description">{describeStep(currentEvent)}</span>
+          </div>
+        )}
         <div className="matrix-scroll">
-          <table className="score-matrix">
+          <table className={`score-matrix ${stream ? 'animating' : ''}`}>
             <thead>
               <tr>
                 <th className="corner-cell"></th>
@@ -112,17 +1073,52 @@ const SeqSync = () => {
                 <tr key={i}>
                   <th>{i === 0 ? 'ε' : seq1Upper[i - 1]}</th>
                   {row.map((cell, j) => {
-                    const inPath = isInPath(path, i, j);
-                    const cellClass = inPath ? 'in-path' : getCellClass(cell);
+                    const pathCell = findPathCell(path, i, j);
+                    const inPath = pathCell && (layer === 'best' || pathCell.state === layer);
+                    const onTiedBranch = !inPath && optimal?.onOptimalPath[i][j];
+                    const hitRank = type === 'local' ? hitCells.get(`${i},${j}`) : undefined;
+                    let cellClass = inPath ? 'in-path' : onTiedBranch ? 'co-optimal' : getCellClass(cell);
+                    if (hitRank !== undefined) cellClass = `hit-path hit-${hitRank % HIT_COLORS}`;
+                    // Distance matrices are small enough to show every recorded move
+                    let arrows = distanceSpec ? result.pointers[i][j] : optimal?.optimalPointers[i][j];
+                    let filled = true;
+                    if (stream) {
+                      // Only what the algorithm has computed so far is shown
+                      const fillStep = stream.fillIndex[i][j];
+                      filled = fillStep <= streamStep;
+                      const traced = (stream.traceIndex.get(`${i},${j}`) ?? Infinity) <= streamStep;
+                      cellClass = !filled ? 'pending' : traced ? 'in-path' : getCellClass(cell);
+                      if (currentEvent.row === i && currentEvent.col === j) cellClass += ' current-cell';
+                      else if (sourceCells.some(([r, c]) => r === i && c === j)) cellClass += ' source-cell';
+                      arrows = 0;
+                    }
+                    const winner = stream && filled ? stream.events[stream.fillIndex[i][j]].winner : null;
+                    const sourceOf = inspectedSources.find(source => source.row === i && source.col === j);
+                    if (inspectedCell?.row === i && inspectedCell.col === j) cellClass += ' inspected-cell';
+                    else if (sourceOf) cellClass += ' source-cell';
+                    const stateInfo = pathCell?.state ? ` • State: ${pathCell.state}` : '';
+                    const pairInfo = i > 0 && j > 0 && !distanceSpec
+                      ? ` • s(${seq1Upper[i - 1]}, ${seq2Upper[j - 1]}) = ${substitute(seq1Upper[i - 1], seq2Upper[j - 1])}`
+                      : '';
                     
                     return (
                       <td 
                         key={j} 
                         className={cellClass}
                         data-score={cell}
-                        title={`Position: (${i}, ${j}) • Score: ${cell}`}
+                        onClick={stream ? undefined : () => inspectCell(type, i, j)}
+                        title={cell === null
+                          ? `Position: (${i}, ${j}) • ${distanceSpec ? 'Not computed' : 'Outside the band'}`
+                          : `Position: (${i}, ${j}) • Score: ${formatScore(cell)}${pairInfo}${stateInfo}${
+                            hitRank !== undefined ? ` • Hit #${hitRank + 1}` : ''}`}
                       >
-                        <span className="cell-value">{cell}</span>
+                        <span className="cell-value">{filled ? formatScore(cell) : ''}</span>
+                        {MOVE_ARROWS[winner] && <span className="cell-arrows">{MOVE_ARROWS[winner]}</span>}
+                        {sourceOf && <span className="source-arrow">{sourceOf.arrow}</span>}
+                        {inPath && pathCell.state && layer === 'best' && (
+                          <span className="cell-state">{pathCell.state}</span>
+                        )}
+                        {arrows > 0 && renderPointerArrows(arrows)}
                       </td>
                     );
                   })}
@@ -131,31 +1127,343 @@ const SeqSync = () => {
             </tbody>
           </table>
         </div>
+        {inspectedCell && renderInspector(result, type, inspectedCell)}
       </div>
     );
   };
 
-  const renderAlignment = (result, type) => {
+  const renderPlaybackBar = () => (
+    <div className="playback-bar">
+      <label className="toggle-field" title={canAnimate ? '' : 'Needs the full linear-gap matrix: turn off affine gaps and banding.'}>
+        <input
+          type="checkbox"
+          checked={animating}
+          disabled={!canAnimate}
+          onChange={(e) => setPlayback(e.target.checked ? { step: 0, playing: false } : null)}
+        />
+        <span>Step through the algorithm</span>
+      </label>
+      {animating && totalSteps > 0 && (
+        <div className="playback-controls">
+          <button className="step-btn" onClick={() => seekStep(0)} aria-label="First step">⏮</button>
+          <button className="step-btn" onClick={() => seekStep(currentStep - 1)} aria-label="Step back">‹</button>
+          <button className="step-btn play-btn" onClick={togglePlaying} aria-label={playing ? 'Pause' : 'Play'}>
+            {playing ? '⏸' : '▶'}
+          </button>
+          <button className="step-btn" onClick={() => seekStep(currentStep + 1)} aria-label="Step forward">›</button>
+          <button className="step-btn" onClick={() => seekStep(totalSteps - 1)} aria-label="Last step">⏭</button>
+          <input
+            type="range"
+            min="0"
+            max={totalSteps - 1}
+            value={currentStep}
+            onChange={(e) => seekStep(parseInt(e.target.value))}
+            className="playback-slider"
+            aria-label="Playback position"
+          />
+          <select
+            value={speed}
+            onChange={(e) => setSpeed(Number(e.target.value))}
+            className="score-input speed-select"
+            aria-label="Playback speed"
+          >
+            {PLAYBACK_SPEEDS.map(value => (
+              <option key={value} value={value}>{value} steps/s</option>
+            ))}
+          </select>
+        </div>
+      )}
+    </div>
+  );
+
+  const renderSignificancePill = (score) => {
+    if (!significance) return null;
+    if (significance.error) {
+      return <span className="significance-pill unavailable" title={significance.error}>E-value n/a</span>;
+    }
+    const { lambda, K } = significance.value;
+    const { eValue, bitScore } = scoreSignificance(score, shown.seq1.length, shown.seq2.length, significance.value);
+    return (
+      <span
+        className="significance-pill"
+        title={`Karlin–Altschul, ungapped λ = ${lambda.toFixed(3)}, K = ${K.toFixed(3)}, search space ${shown.seq1.length} × ${shown.seq2.length}`}
+      >
+        E = {formatEValue(eValue)} • {bitScore.toFixed(1)} bits
+      </span>
+    );
+  };
+
+  const renderShuffleTest = ({ value, error }) => {
+    if (error) {
+      return <div className="shuffle-test"><span className="field-error">{error}</span></div>;
+    }
+    const { observed, mean, sd, zScore, empiricalP, gumbel, histogram, scores: shuffled } = value;
+    const tallest = Math.max(...histogram.map(bin => bin.count), 1);
+    const low = histogram[0].start;
+    const high = histogram[histogram.length - 1].end;
+    return (
+      <div className="shuffle-test">
+        <div className="hit-list-header">
+          <span className="score-label">Shuffle test</span>
+          <span className="option-hint">{shuffled.length} shuffles of {name2}</span>
+        </div>
+        <div className="shuffle-stats">
+          <span>Z = {zScore === null ? 'n/a' : zScore.toFixed(2)}</span>
+          <span>Shuffled mean {mean.toFixed(2)} ± {sd.toFixed(2)}</span>
+          <span>Empirical P = {formatEValue(empiricalP)}</span>
+          {gumbel && <span>Gumbel fit P = {formatEValue(gumbel.pValue)}</span>}
+        </div>
+        <div className="shuffle-histogram" role="img" aria-label="Histogram of shuffled scores">
+          {histogram.map((bin, index) => (
+            <div
+              key={index}
+              className="histogram-bar"
+              style={{ height: `${(bin.count / tallest) * 100}%` }}
+              title={`${formatScore(bin.start)} – ${formatScore(bin.end)}: ${bin.count}`}
+            />
+          ))}
+          <div
+            className="observed-marker"
+            style={{ left: `${high > low ? ((observed - low) / (high - low)) * 100 : 100}%` }}
+            title={`Observed score ${formatScore(observed)}`}
+          />
+        </div>
+        <div className="histogram-axis">
+          <span>{formatScore(low)}</span>
+          <span>Observed {formatScore(observed)}</span>
+          <span>{formatScore(high)}</span>
+        </div>
+      </div>
+    );
+  };
+
+  const renderHitList = (hits, strand) => (
+    <div className="hit-list">
+      <div className="hit-list-header">
+        <span className="score-label">Local hits (Waterman-Eggert)</span>
+        <span className="option-hint">{hits.length} non-overlapping</span>
+      </div>
+      {hits.length === 0 && (
+        <span className="option-hint">No local alignment reaches the minimum score.</span>
+      )}
+      {hits.map((hit, rank) => (
+        <div key={rank} className="hit-item">
+          <div className="hit-meta">
+            <span className={`hit-swatch hit-${rank % HIT_COLORS}`}>#{rank + 1}</span>
+            <span className="hit-score">Score {formatScore(hit.score)}</span>
+            {significance?.value && (
+              <span className="hit-evalue">
+                E = {formatEValue(scoreSignificance(hit.score, shown.seq1.length, shown.seq2.length, significance.value).eValue)}
+              </span>
+            )}
+            <span className="hit-range">{describeCoordinates({ ...hit, strand })}</span>
+          </div>
+          <pre className="alignment-text">{formatAlignment(hit.alignedSeq1, hit.alignedSeq2, [name1, name2])}</pre>
+        </div>
+      ))}
+    </div>
+  );
+
+  const exportOptions = (result, type) => ({
+    names: [name1, name2],
+    sequences: [shown.seq1, targetOf(result)],
+    scores: shown.scores,
+    affine: Boolean(result.matrices),
+    parameters: {
+      mode: type,
+      ...(type === 'semiglobal' && { endGaps: shown.endGaps }),
+      ...(shown.band && type !== 'semiglobal' && { band: shown.band }),
+    },
+  });
+
+  const exportFileName = (type) => `${name1}_vs_${name2}_${type}`.replace(/[^\w.-]+/g, '_');
+
+  // "Substitute K → S at position 1": the edits that turn Sequence 1 into Sequence 2, in order
+  const describeEdit = ({ edit, position, from, to }) => {
+    if (edit === 'delete') return `Delete ${from} at position ${position}`;
+    if (edit === 'insert') return `Insert ${to} at position ${position}`;
+    return `${EDIT_NAMES[edit]} ${from} → ${to} at position ${position}`;
+  };
+
+  const renderEditScript = ({ editScript }) => (
+    <div className="edit-script">
+      <div className="edit-script-header">
+        <span className="score-label">Edit script</span>
+        <span className="stepper-label">
+          {editScript.length === 0 ? 'The sequences are identical' : `${editScript.length} step${editScript.length === 1 ? '' : 's'}`}
+        </span>
+      </div>
+      {editScript.length > 0 && (
+        <ol className="edit-steps">
+          <li className="edit-step">
+            <span className="edit-description">Start</span>
+            <code className="edit-result">{shown.seq1}</code>
+          </li>
+          {editScript.map((step, index) => (
+            <li key={index} className={`edit-step ${step.edit}`}>
+              <span className="edit-description">{describeEdit(step)}</span>
+              <code className="edit-result">{step.result}</code>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+
+  // Variants are called from the alignment on screen, global when comparing both
+  const renderVariants = () => {
+    const type = algorithm === 'local' || algorithm === 'semiglobal' ? algorithm : 'global';
+    const result = withSelectedAlternative({ global: globalResult, local: localResult, semiglobal: semiResult }[type], type);
     if (!result) return null;
+    return (
+      <section className="results-section">
+        <div className="section-header">
+          <h2 className="section-title">Variants</h2>
+          <span className="option-hint">{name2} against {name1}, from the {type === 'semiglobal' ? 'semi-global' : type} alignment</span>
+        </div>
+        <div className={stale ? 'stale-results' : ''}>
+          <Variants result={result} reference={shown.seq1} names={{ reference: name1, sample: name2 }} />
+        </div>
+      </section>
+    );
+  };
+
+  // A distance phase either holds the result or why it could not run (Hamming on unequal lengths)
+  const renderDistance = (render) => {
+    if (!distance || shown.distance !== algorithm) return null;
+    if (distance.error) {
+      return <div className="notice-card"><h3>Cannot compute {DISTANCE_MODES[algorithm].label}</h3><p>{distance.error}</p></div>;
+    }
+    return render(distance.value, algorithm);
+  };
+
+  // Sequence list shared by the multiple alignment and tree workspaces
+  const renderSequenceList = () => (
+    <div className="sidebar-section">
+      <h2 className="sidebar-heading">
+        <svg className="heading-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+          <path d="M4 6h16M4 10h16M4 14h16M4 18h10" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+        </svg>
+        Sequences
+        <span className="heading-count">{msaSequences.length} / {MAX_MSA_SEQUENCES}</span>
+      </h2>
+      
+      {msaSequences.map((entry, index) => (
+        <div key={index} className="msa-input">
+          <div className="msa-input-header">
+            <input
+              type="text"
+              value={entry.name}
+              onChange={(e) => updateMsaSequence(index, 'name', e.target.value)}
+              className="name-input"
+              aria-label={`Name of sequence ${index + 1}`}
+            />
+            <span className="sequence-length">{entry.sequence.length} {unit}</span>
+            <button
+              className="remove-btn"
+              onClick={() => removeMsaSequence(index)}
+              disabled={msaSequences.length <= 2}
+              aria-label={`Remove ${entry.name || `sequence ${index + 1}`}`}
+            >
+              ×
+            </button>
+          </div>
+          <input
+            type="text"
+            value={entry.sequence}
+            onChange={(e) => updateMsaSequence(index, 'sequence', cleanSequence(e.target.value))}
+            placeholder="Residues"
+            className={`text-input monospace ${msaErrors[index].length > 0 ? 'invalid' : ''}`}
+            aria-invalid={msaErrors[index].length > 0}
+          />
+          {renderSequenceErrors(msaErrors[index])}
+        </div>
+      ))}
+      
+      <div className="preset-row">
+        <button
+          className="preset-btn"
+          onClick={addMsaSequence}
+          disabled={msaSequences.length >= MAX_MSA_SEQUENCES}
+        >
+          + Add sequence
+        </button>
+        <button className="preset-btn" onClick={() => setMsaSequences(MSA_EXAMPLE)}>
+          Load example
+        </button>
+      </div>
+      
+      <SequenceImport
+        actions={[{ label: '+ Add', title: 'Add to the alignment', select: addMsaRecord }]}
+        bulkAction={{
+          label: 'Use all',
+          select: records => setMsaSequences(records.slice(0, MAX_MSA_SEQUENCES).map(toMsaEntry)),
+        }}
+      />
+
+      {renderAlphabetSelect()}
+    </div>
+  );
 
+  const renderAlignment = (baseResult, type) => {
+    if (!baseResult) return null;
+
+    const result = withSelectedAlternative(baseResult, type);
+    const optimal = coOptimal[type];
     const { alignedSeq1, alignedSeq2, score, algorithm } = result;
     const stats = calculateAlignmentStats(alignedSeq1, alignedSeq2);
-    const formattedAlignment = formatAlignment(alignedSeq1, alignedSeq2);
+    const formattedAlignment = formatAlignment(alignedSeq1, alignedSeq2, [name1, name2]);
 
     return (
       <div className="alignment-card">
         <div className="alignment-header">
           <div className="alignment-title">
-            <span className={`algorithm-badge ${type}`}>{type === 'global' ? 'NW' : 'SW'}</span>
+            <span className={`algorithm-badge ${type}`}>{ALGORITHM_BADGES[type]}</span>
+            {renderStrandBadge(result)}
             <h3>{algorithm}</h3>
           </div>
-          <div className="score-pill">{score}</div>
+          <div className="score-group">
+            {type === 'local' && renderSignificancePill(score)}
+            <div className="score-pill" title={DISTANCE_MODES[type]?.scoreLabel}>{formatScore(score)}</div>
+          </div>
         </div>
         
+        {result.hitBandEdge && (
+          <div className="band-warning">
+            The optimal path touches the edge of the band (±{result.bandWidth}), so a better
+            alignment may lie outside it. Widen the band to confirm.
+          </div>
+        )}
+        
+        {optimal && optimal.count > 1 && (
+          <div className="alternative-stepper">
+            <button className="step-btn" onClick={() => stepAlternative(type, -1)} aria-label="Previous alignment">‹</button>
+            <span className="stepper-label">
+              Co-optimal {Math.min(optimalIndex[type], optimal.alignments.length - 1) + 1} of {optimal.count}
+              {optimal.truncated && ` (first ${optimal.alignments.length} listed)`}
+            </span>
+            <button className="step-btn" onClick={() => stepAlternative(type, 1)} aria-label="Next alignment">›</button>
+          </div>
+        )}
+        
         <div className="alignment-visual">
           <pre className="alignment-text">{formattedAlignment}</pre>
         </div>
         
+        <div className="alignment-coordinates">{describeCoordinates(result)}</div>
+        
+        {result.editScript && renderEditScript(result)}
+        
+        <ExportMenu
+          formats={EXPORT_FORMATS}
+          fileName={exportFileName(type)}
+          build={(format) => exportAlignment(format, result, exportOptions(result, type))}
+        />
+        
+        {type === 'local' && localHits && renderHitList(localHits.hits, result.strand)}
+        
+        {type === 'local' && shuffleResult && renderShuffleTest(shuffleResult)}
+        
         <div className="stats-row">
           <div className="stat-card">
             <div className="stat-icon identity">
@@ -263,160 +1571,1011 @@ const SeqSync = () => {
           <div className="sidebar-section">
             <h2 className="sidebar-heading">
               <svg className="heading-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                <path d="M4 7h16M4 12h16M4 17h10" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+                <rect x="3" y="3" width="7" height="7" rx="1" stroke="currentColor" strokeWidth="2"/>
+                <rect x="14" y="3" width="7" height="7" rx="1" stroke="currentColor" strokeWidth="2"/>
+                <rect x="3" y="14" width="18" height="7" rx="1" stroke="currentColor" strokeWidth="2"/>
               </svg>
-              Input Sequences
+              Workspace
             </h2>
-            
-            <div className="input-field">
-              <label htmlFor="seq1" className="input-label">
-                <span>Sequence 1</span>
-                <span className="sequence-length">{seq1.length} bp</span>
-              </label>
-              <div className="input-wrapper">
-                <input
-                  id="seq1"
-                  type="text"
-                  value={seq1}
-                  onChange={(e) => setSeq1(e.target.value.toUpperCase())}
-                  placeholder="e.g., ACGTGATCA"
-                  className="text-input monospace"
-                />
-              </div>
-            </div>
-
-            <div className="input-field">
-              <label htmlFor="seq2" className="input-label">
-                <span>Sequence 2</span>
-                <span className="sequence-length">{seq2.length} bp</span>
-              </label>
-              <div className="input-wrapper">
-                <input
-                  id="seq2"
-                  type="text"
-                  value={seq2}
-                  onChange={(e) => setSeq2(e.target.value.toUpperCase())}
-                  placeholder="e.g., AGCTACCA"
-                  className="text-input monospace"
-                />
-              </div>
-            </div>
-          </div>
-
-          <div className="sidebar-section">
-            <h2 className="sidebar-heading">
-              <svg className="heading-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                <path d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-              </svg>
-              Algorithm
-            </h2>
-            
-            <div className="algorithm-selector">
+            <div className="view-toggle">
               <button
-                className={`algo-btn ${algorithm === 'global' ? 'active' : ''}`}
-                onClick={() => setAlgorithm('global')}
+                className={`view-btn ${workspace === 'pairwise' ? 'active' : ''}`}
+                onClick={() => setWorkspace('pairwise')}
               >
-                <span className="algo-badge">NW</span>
-                <span className="algo-name">Needleman-Wunsch</span>
-                <span className="algo-type">Global</span>
+                <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                  <path d="M4 9h16M4 15h16" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+                </svg>
+                Pairwise
               </button>
               <button
-                className={`algo-btn ${algorithm === 'local' ? 'active' : ''}`}
-                onClick={() => setAlgorithm('local')}
+                className={`view-btn ${workspace === 'msa' ? 'active' : ''}`}
+                onClick={() => setWorkspace('msa')}
               >
-                <span className="algo-badge">SW</span>
-                <span className="algo-name">Smith-Waterman</span>
-                <span className="algo-type">Local</span>
+                <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                  <path d="M4 6h16M4 12h16M4 18h16" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+                </svg>
+                Multiple
               </button>
               <button
-                className={`algo-btn ${algorithm === 'both' ? 'active' : ''}`}
-                onClick={() => setAlgorithm('both')}
+                className={`view-btn ${workspace === 'translated' ? 'active' : ''}`}
+                onClick={() => setWorkspace('translated')}
               >
-                <span className="algo-badge">Both</span>
-                <span className="algo-name">Compare</span>
-                <span className="algo-type">Side-by-Side</span>
-              </button>
-            </div>
-          </div>
-
-          <div className="sidebar-section">
-            <h2 className="sidebar-heading">
-              <svg className="heading-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                <path d="M13 2L3 14h9l-1 8 10-12h-9l1-8z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-              </svg>
-              Quick Examples
-            </h2>
-            
-            <div className="example-grid">
-              <button onClick={() => loadExample('dna')} className="example-btn">
-                <svg className="example-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                  <path d="M12 2v20M2 12h20" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+                <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                  <path d="M4 8h4M10 8h4M16 8h4M6 16h12" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
                 </svg>
-                <span>DNA Sample</span>
+                Translated
               </button>
-              <button onClick={() => loadExample('protein')} className="example-btn">
-                <svg className="example-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                  <circle cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="2"/>
+              <button
+                className={`view-btn ${workspace === 'phylogeny' ? 'active' : ''}`}
+                onClick={() => setWorkspace('phylogeny')}
+              >
+                <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                  <path d="M4 12h5M9 6v12M9 6h10M9 18h10" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
                 </svg>
-                <span>Protein</span>
+                Tree
               </button>
-              <button onClick={() => loadExample('similar')} className="example-btn">
-                <svg className="example-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                  <path d="M9 11l3 3L22 4" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+              <button
+                className={`view-btn ${workspace === 'mapping' ? 'active' : ''}`}
+                onClick={() => setWorkspace('mapping')}
+              >
+                <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                  <path d="M3 6h18M5 11h7M10 15h8M7 19h9" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
                 </svg>
-                <span>Identical</span>
+                Map
               </button>
-              <button onClick={() => loadExample('different')} className="example-btn">
-                <svg className="example-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                  <line x1="18" y1="6" x2="6" y2="18" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
-                  <line x1="6" y1="6" x2="18" y2="18" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+              <button
+                className={`view-btn ${workspace === 'search' ? 'active' : ''}`}
+                onClick={() => setWorkspace('search')}
+              >
+                <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                  <circle cx="10" cy="10" r="6" stroke="currentColor" strokeWidth="2"/>
+                  <path d="M15 15l6 6" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
                 </svg>
-                <span>Mismatch</span>
+                Search
               </button>
             </div>
           </div>
 
-          <div className="sidebar-section collapsible">
-            <button
-              className="collapsible-header"
-              onClick={() => setShowAdvanced(!showAdvanced)}
-            >
-              <svg className={`collapse-icon ${showAdvanced ? 'open' : ''}`} viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                <path d="M9 18l6-6-6-6" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-              </svg>
-              <span>Advanced Scoring</span>
-            </button>
+          {workspace === 'pairwise' && (
+            <>
+              <div className="sidebar-section">
+                <h2 className="sidebar-heading">
+                  <svg className="heading-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M4 7h16M4 12h16M4 17h10" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+                  </svg>
+                  Input Sequences
+                </h2>
+                
+                <SequenceImport
+                  actions={[
+                    { label: '→ 1', title: 'Use as Sequence 1', select: record => assignRecord('seq1', record) },
+                    { label: '→ 2', title: 'Use as Sequence 2', select: record => assignRecord('seq2', record) },
+                  ]}
+                />
             
-            {showAdvanced && (
-              <div className="collapsible-content">
-                <div className="score-controls">
+                <div className="input-field">
+                  <label htmlFor="seq1" className="input-label">
+                    <span title={seqNames.seq1 ? 'Sequence 1' : undefined}>{name1}</span>
+                    <span className="sequence-length">{seq1.length} {unit}</span>
+                  </label>
+                  <div className="input-wrapper">
+                    <input
+                      id="seq1"
+                      type="text"
+                      value={seq1}
+                      onChange={(e) => setSeq1(cleanSequence(e.target.value))}
+                      placeholder="e.g., ACGTGATCA"
+                      className={`text-input monospace ${seq1Errors.length > 0 ? 'invalid' : ''}`}
+                      aria-invalid={seq1Errors.length > 0}
+                    />
+                  </div>
+                  {renderSequenceErrors(seq1Errors)}
+                </div>
+
+                <div className="input-field">
+                  <label htmlFor="seq2" className="input-label">
+                    <span title={seqNames.seq2 ? 'Sequence 2' : undefined}>{name2}</span>
+                    <span className="sequence-length">{seq2.length} {unit}</span>
+                  </label>
+                  <div className="input-wrapper">
+                    <input
+                      id="seq2"
+                      type="text"
+                      value={seq2}
+                      onChange={(e) => setSeq2(cleanSequence(e.target.value))}
+                      placeholder="e.g., AGCTACCA"
+                      className={`text-input monospace ${seq2Errors.length > 0 ? 'invalid' : ''}`}
+                      aria-invalid={seq2Errors.length > 0}
+                    />
+                  </div>
+                  {renderSequenceErrors(seq2Errors)}
+                </div>
+
+                {renderAlphabetSelect()}
+              </div>
+
+              <div className="sidebar-section">
+                <h2 className="sidebar-heading">
+                  <svg className="heading-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                  </svg>
+                  Algorithm
+                </h2>
+            
+                <div className="algorithm-selector">
+                  <button
+                    className={`algo-btn ${algorithm === 'global' ? 'active' : ''}`}
+                    onClick={() => setAlgorithm('global')}
+                  >
+                    <span className="algo-badge">NW</span>
+                    <span className="algo-name">Needleman-Wunsch</span>
+                    <span className="algo-type">Global</span>
+                  </button>
+                  <button
+                    className={`algo-btn ${algorithm === 'local' ? 'active' : ''}`}
+                    onClick={() => setAlgorithm('local')}
+                  >
+                    <span className="algo-badge">SW</span>
+                    <span className="algo-name">Smith-Waterman</span>
+                    <span className="algo-type">Local</span>
+                  </button>
+                  <button
+                    className={`algo-btn ${algorithm === 'semiglobal' ? 'active' : ''}`}
+                    onClick={() => setAlgorithm('semiglobal')}
+                  >
+                    <span className="algo-badge">SG</span>
+                    <span className="algo-name">Semi-Global</span>
+                    <span className="algo-type">End-gap free</span>
+                  </button>
+                  <button
+                    className={`algo-btn ${algorithm === 'both' ? 'active' : ''}`}
+                    onClick={() => setAlgorithm('both')}
+                  >
+                    <span className="algo-badge">Both</span>
+                    <span className="algo-name">Compare</span>
+                    <span className="algo-type">Side-by-Side</span>
+                  </button>
+                </div>
+
+                <span className="score-label">String distance</span>
+                <div className="algorithm-selector">
+                  {Object.entries(DISTANCE_MODES).map(([mode, { label, badge, scoreLabel }]) => (
+                    <button
+                      key={mode}
+                      className={`algo-btn ${algorithm === mode ? 'active' : ''}`}
+                      onClick={() => setAlgorithm(mode)}
+                    >
+                      <span className="algo-badge">{badge}</span>
+                      <span className="algo-name">{label}</span>
+                      <span className="algo-type">{scoreLabel}</span>
+                    </button>
+                  ))}
+                </div>
+            
+                {algorithm === 'semiglobal' && (
+                  <div className="end-gap-options">
+                    <span className="score-label">Free end gaps</span>
+                    <div className="preset-row">
+                      <button className="preset-btn" onClick={() => setEndGaps(END_GAP_PRESETS.overlap)}>
+                        Overlap
+                      </button>
+                      <button className="preset-btn" onClick={() => setEndGaps(END_GAP_PRESETS.seq2InSeq1)}>
+                        Seq 2 in Seq 1
+                      </button>
+                      <button className="preset-btn" onClick={() => setEndGaps(END_GAP_PRESETS.seq1InSeq2)}>
+                        Seq 1 in Seq 2
+                      </button>
+                    </div>
+                    {END_GAP_FLAGS.map(([flag, label]) => (
+                      <label key={flag} className="toggle-field">
+                        <input
+                          type="checkbox"
+                          checked={!!endGaps[flag]}
+                          onChange={(e) => setEndGaps({ ...endGaps, [flag]: e.target.checked })}
+                        />
+                        <span>{label} may overhang</span>
+                      </label>
+                    ))}
+                    <span className="option-hint">Uses the linear gap penalty.</span>
+                  </div>
+                )}
+            
+                <div className="band-options">
+                  <label className="toggle-field">
+                    <input
+                      type="checkbox"
+                      checked={bothStrands && nucleotide}
+                      disabled={!nucleotide}
+                      onChange={(e) => setBothStrands(e.target.checked)}
+                    />
+                    <span>Search both strands</span>
+                  </label>
+                  <span className="option-hint">
+                    {nucleotide
+                      ? 'Also aligns against the reverse complement of Sequence 2 and keeps the better strand.'
+                      : 'Reverse complements need nucleotide sequences.'}
+                  </span>
+                </div>
+            
+                {algorithm !== 'semiglobal' && (
+                  <div className="band-options">
+                    <label className="toggle-field">
+                      <input
+                        type="checkbox"
+                        checked={banded}
+                        onChange={(e) => setBanded(e.target.checked)}
+                      />
+                      <span>Banded DP (fill ±k of the diagonal)</span>
+                    </label>
+                    {banded && (
+                      <>
+                        <div className="inline-fields">
+                          <div className="score-field">
+                            <label className="score-label">Band width k</label>
+                            <input
+                              type="number"
+                              min="0"
+                              value={band.bandWidth}
+                              onChange={(e) => setBand({ ...band, bandWidth: Math.max(0, parseInt(e.target.value) || 0) })}
+                              className="score-input"
+                            />
+                          </div>
+                          <div className="score-field">
+                            <label className="score-label">Diagonal offset</label>
+                            <input
+                              type="number"
+                              value={band.offset}
+                              onChange={(e) => setBand({ ...band, offset: parseInt(e.target.value) || 0 })}
+                              className="score-input"
+                            />
+                          </div>
+                        </div>
+                        {bandError && <span className="field-error">{bandError}</span>}
+                        <span className="option-hint">Uses the linear gap penalty.</span>
+                      </>
+                    )}
+                  </div>
+                )}
+                
+                {(algorithm === 'local' || algorithm === 'both') && (
+                  <div className="band-options">
+                    <label className="toggle-field">
+                      <input
+                        type="checkbox"
+                        checked={multiHit}
+                        onChange={(e) => setMultiHit(e.target.checked)}
+                      />
+                      <span>Multiple local hits (Waterman-Eggert)</span>
+                    </label>
+                    {multiHit && (
+                      <>
+                        <div className="inline-fields">
+                          <div className="score-field">
+                            <label className="score-label">Max hits</label>
+                            <input
+                              type="number"
+                              min="1"
+                              value={hitOptions.maxHits}
+                              onChange={(e) => setHitOptions({ ...hitOptions, maxHits: Math.max(1, parseInt(e.target.value) || 1) })}
+                              className="score-input"
+                            />
+                          </div>
+                          <div className="score-field">
+                            <label className="score-label">Min score</label>
+                            <input
+                              type="number"
+                              min="1"
+                              value={hitOptions.minScore}
+                              onChange={(e) => setHitOptions({ ...hitOptions, minScore: Math.max(1, parseInt(e.target.value) || 1) })}
+                              className="score-input"
+                            />
+                          </div>
+                        </div>
+                        <span className="option-hint">
+                          {affineGaps || useBand
+                            ? 'Needs the full linear-gap matrix: turn off affine gaps and banding.'
+                            : 'Hits never share an aligned residue pair.'}
+                        </span>
+                      </>
+                    )}
+                  </div>
+                )}
+                
+                {(algorithm === 'local' || algorithm === 'both') && (
+                  <div className="band-options">
+                    <label className="toggle-field">
+                      <input
+                        type="checkbox"
+                        checked={shuffling}
+                        onChange={(e) => setShuffling(e.target.checked)}
+                      />
+                      <span>Shuffle significance test</span>
+                    </label>
+                    {shuffling && (
+                      <>
+                        <div className="inline-fields">
+                          <div className="score-field">
+                            <label className="score-label">Shuffles</label>
+                            <input
+                              type="number"
+                              min="2"
+                              max={MAX_SHUFFLES}
+                              value={shuffleOptions.shuffles}
+                              onChange={(e) => setShuffleOptions({
+                                ...shuffleOptions,
+                                shuffles: Math.min(MAX_SHUFFLES, Math.max(2, parseInt(e.target.value) || 2)),
+                              })}
+                              className="score-input"
+                            />
+                          </div>
+                          <div className="score-field">
+                            <label className="score-label">Seed</label>
+                            <input
+                              type="number"
+                              value={shuffleOptions.seed}
+                              onChange={(e) => setShuffleOptions({ ...shuffleOptions, seed: parseInt(e.target.value) || 0 })}
+                              className="score-input"
+                            />
+                          </div>
+                        </div>
+                        <span className="option-hint">
+                          {canShuffle
+                            ? 'Aligns Sequence 1 against shuffled copies of Sequence 2 to report a Z-score.'
+                            : 'Needs linear gap penalties: turn off affine gaps.'}
+                        </span>
+                      </>
+                    )}
+                  </div>
+                )}
+              </div>
+
+              <div className="sidebar-section">
+                <h2 className="sidebar-heading">
+                  <svg className="heading-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M13 2L3 14h9l-1 8 10-12h-9l1-8z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                  </svg>
+                  Quick Examples
+                </h2>
+            
+                <div className="example-grid">
+                  <button onClick={() => loadExample('dna')} className="example-btn">
+                    <svg className="example-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                      <path d="M12 2v20M2 12h20" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+                    </svg>
+                    <span>DNA Sample</span>
+                  </button>
+                  <button onClick={() => loadExample('protein')} className="example-btn">
+                    <svg className="example-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                      <circle cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="2"/>
+                    </svg>
+                    <span>Protein</span>
+                  </button>
+                  <button onClick={() => loadExample('similar')} className="example-btn">
+                    <svg className="example-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                      <path d="M9 11l3 3L22 4" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                    </svg>
+                    <span>Identical</span>
+                  </button>
+                  <button onClick={() => loadExample('different')} className="example-btn">
+                    <svg className="example-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                      <line x1="18" y1="6" x2="6" y2="18" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+                      <line x1="6" y1="6" x2="18" y2="18" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+                    </svg>
+                    <span>Mismatch</span>
+                  </button>
+                </div>
+              </div>
+            </>
+          )}
+
+          {workspace === 'msa' && (
+            <>
+              {renderSequenceList()}
+              
+              <div className="sidebar-section">
+                <h2 className="sidebar-heading">
+                  <svg className="heading-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M4 12h5M9 6v12M9 6h6M9 18h6M15 4v4M15 16v4" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                  </svg>
+                  Guide Tree
+                </h2>
+                <div className="score-field">
+                  <label className="score-label">Clustering method</label>
+                  <select
+                    value={treeMethod}
+                    onChange={(e) => setTreeMethod(e.target.value)}
+                    className="score-input"
+                  >
+                    {Object.entries(GUIDE_TREE_METHODS).map(([key, { label }]) => (
+                      <option key={key} value={key}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <span className="option-hint">
+                  Distances come from pairwise Needleman-Wunsch alignments. Profiles are merged with
+                  the linear gap penalty.
+                </span>
+              </div>
+            </>
+          )}
+
+          {workspace === 'phylogeny' && (
+            <>
+              {renderSequenceList()}
+
+              <div className="sidebar-section">
+                <h2 className="sidebar-heading">
+                  <svg className="heading-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M4 12h5M9 6v12M9 6h6M9 18h6M15 4v4M15 16v4" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                  </svg>
+                  Distances &amp; Tree
+                </h2>
+                <div className="score-field">
+                  <label className="score-label">Pairwise alignment</label>
+                  <select
+                    value={phylogenyOptions.alignment}
+                    onChange={(e) => setPhylogenyOptions({ ...phylogenyOptions, alignment: e.target.value })}
+                    className="score-input"
+                  >
+                    {Object.entries(DISTANCE_ALIGNMENTS).map(([key, { label }]) => (
+                      <option key={key} value={key}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="score-field">
+                  <label className="score-label">Distance correction</label>
+                  <select
+                    value={correction}
+                    onChange={(e) => setPhylogenyOptions({ ...phylogenyOptions, correction: e.target.value })}
+                    className="score-input"
+                  >
+                    {Object.entries(DISTANCE_CORRECTIONS).filter(([, model]) => correctionFits(model)).map(([key, { label }]) => (
+                      <option key={key} value={key}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="score-field">
+                  <label className="score-label">Tree method</label>
+                  <select
+                    value={phylogenyOptions.treeMethod}
+                    onChange={(e) => setPhylogenyOptions({ ...phylogenyOptions, treeMethod: e.target.value })}
+                    className="score-input"
+                  >
+                    {Object.entries(TREE_METHODS).map(([key, { label }]) => (
+                      <option key={key} value={key}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <span className="option-hint">
+                  {nucleotide
+                    ? 'Jukes–Cantor and Kimura 2-parameter correct nucleotide distances for multiple substitutions.'
+                    : 'The Poisson correction accounts for multiple amino acid substitutions per site.'}
+                </span>
+              </div>
+            </>
+          )}
+
+          {workspace === 'mapping' && (
+            <>
+              <div className="sidebar-section">
+                <h2 className="sidebar-heading">
+                  <svg className="heading-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M4 7h16M4 12h16M4 17h10" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+                  </svg>
+                  Reference &amp; Reads
+                </h2>
+
+                <SequenceImport
+                  actions={[{
+                    label: '→ Ref',
+                    title: 'Use as the reference',
+                    select: record => {
+                      setMappingReference(record.sequence);
+                      setMappingReferenceName(record.id);
+                    },
+                  }]}
+                  bulkAction={{ label: 'Use as reads', select: records => setReadsText(toReadsText(records)) }}
+                />
+
+                <div className="input-field">
+                  <label htmlFor="mapping-reference" className="input-label">
+                    <span>{referenceName}</span>
+                    <span className="sequence-length">{mappingReference.length} {unit}</span>
+                  </label>
+                  <div className="input-wrapper">
+                    <input
+                      id="mapping-reference"
+                      type="text"
+                      value={mappingReference}
+                      onChange={(e) => setMappingReference(cleanSequence(e.target.value))}
+                      placeholder="e.g., ACATTTGCTTCTGACACAACTG"
+                      className={`text-input monospace ${referenceErrors.length > 0 ? 'invalid' : ''}`}
+                      aria-invalid={referenceErrors.length > 0}
+                    />
+                  </div>
+                  {renderSequenceErrors(referenceErrors)}
+                </div>
+
+                <div className="input-field">
+                  <label htmlFor="mapping-reads" className="input-label">
+                    <span>Reads (FASTA or FASTQ)</span>
+                    <span className="sequence-length">{parsedReads.records.length} reads</span>
+                  </label>
+                  <textarea
+                    id="mapping-reads"
+                    value={readsText}
+                    onChange={(e) => setReadsText(e.target.value)}
+                    placeholder={'@read1\nACGT…\n+\nIIII…'}
+                    className={`text-input monospace reads-input ${parsedReads.error ? 'invalid' : ''}`}
+                    aria-invalid={Boolean(parsedReads.error)}
+                    spellCheck={false}
+                  />
+                  {parsedReads.error && <span className="field-error">{parsedReads.error}</span>}
+                  {parsedReads.records.length > MAX_MAPPED_READS && (
+                    <span className="option-hint">Only the first {MAX_MAPPED_READS} reads are mapped.</span>
+                  )}
+                </div>
+
+                <button
+                  className="preset-btn"
+                  onClick={() => {
+                    setMappingReference(MAPPING_EXAMPLE.reference);
+                    setMappingReferenceName('');
+                    setReadsText(MAPPING_EXAMPLE.reads);
+                  }}
+                >
+                  Load example
+                </button>
+              </div>
+
+              <div className="sidebar-section">
+                <h2 className="sidebar-heading">
+                  <svg className="heading-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M3 6h18M5 11h7M10 15h8M7 19h9" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+                  </svg>
+                  Mapping
+                </h2>
+                <div className="score-field">
+                  <label className="score-label" htmlFor="mapping-extension">Extension</label>
+                  <select
+                    id="mapping-extension"
+                    value={mappingOptions.extension}
+                    onChange={(e) => setMappingOptions({ ...mappingOptions, extension: e.target.value })}
+                    className="score-input"
+                  >
+                    {Object.entries(MAPPING_EXTENSIONS).map(([key, { label }]) => (
+                      <option key={key} value={key}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="inline-fields">
+                  <div className="score-field">
+                    <label className="score-label" htmlFor="mapping-seed">Seed length</label>
+                    <input
+                      id="mapping-seed"
+                      type="number"
+                      min="4"
+                      max="32"
+                      value={mappingOptions.seedLength}
+                      onChange={(e) => setMappingOptions({
+                        ...mappingOptions,
+                        seedLength: Math.min(32, Math.max(4, parseInt(e.target.value) || 4)),
+                      })}
+                      className="score-input"
+                    />
+                  </div>
                   <div className="score-field">
-                    <label className="score-label">Match Reward</label>
+                    <label className="score-label" htmlFor="mapping-band">Band</label>
                     <input
+                      id="mapping-band"
                       type="number"
-                      value={scores.match}
-                      onChange={(e) => setScores({...scores, match: parseInt(e.target.value)})}
+                      min="0"
+                      max="50"
+                      value={mappingOptions.band}
+                      onChange={(e) => setMappingOptions({
+                        ...mappingOptions,
+                        band: Math.min(50, Math.max(0, parseInt(e.target.value) || 0)),
+                      })}
                       className="score-input"
                     />
                   </div>
                   <div className="score-field">
-                    <label className="score-label">Mismatch Penalty</label>
+                    <label className="score-label" htmlFor="mapping-min-score">Min score %</label>
                     <input
+                      id="mapping-min-score"
                       type="number"
-                      value={scores.mismatch}
-                      onChange={(e) => setScores({...scores, mismatch: parseInt(e.target.value)})}
+                      min="0"
+                      max="100"
+                      value={Math.round(mappingOptions.minScoreRatio * 100)}
+                      onChange={(e) => setMappingOptions({
+                        ...mappingOptions,
+                        minScoreRatio: Math.min(100, Math.max(0, parseInt(e.target.value) || 0)) / 100,
+                      })}
                       className="score-input"
                     />
                   </div>
+                </div>
+                <span className="option-hint">
+                  Every seed of a read and of its reverse complement votes for a diagonal; the best supported
+                  diagonals are extended within ±{mappingOptions.band} bases. Placements below the minimum share of
+                  a perfect score are left unmapped.
+                </span>
+              </div>
+            </>
+          )}
+
+          {workspace === 'search' && (
+            <>
+              <div className="sidebar-section">
+                <h2 className="sidebar-heading">
+                  <svg className="heading-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <circle cx="10" cy="10" r="6" stroke="currentColor" strokeWidth="2"/>
+                    <path d="M15 15l6 6" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+                  </svg>
+                  Query
+                </h2>
+
+                <SequenceImport
+                  actions={[{
+                    label: '→ Query',
+                    title: 'Use as the query',
+                    select: record => {
+                      setSearchQuery(record.sequence);
+                      setSearchQueryName(record.id);
+                    },
+                  }]}
+                />
+
+                <div className="input-field">
+                  <label htmlFor="search-query" className="input-label">
+                    <span>{searchName}</span>
+                    <span className="sequence-length">{searchQuery.length} {unit}</span>
+                  </label>
+                  <div className="input-wrapper">
+                    <input
+                      id="search-query"
+                      type="text"
+                      value={searchQuery}
+                      onChange={(e) => setSearchQuery(cleanSequence(e.target.value))}
+                      placeholder="e.g., ATGGTGCATCTGACTCCTGAGG"
+                      className={`text-input monospace ${searchQueryErrors.length > 0 ? 'invalid' : ''}`}
+                      aria-invalid={searchQueryErrors.length > 0}
+                    />
+                  </div>
+                  {renderSequenceErrors(searchQueryErrors)}
+                </div>
+              </div>
+
+              <div className="sidebar-section">
+                <h2 className="sidebar-heading">
+                  <svg className="heading-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <ellipse cx="12" cy="6" rx="8" ry="3" stroke="currentColor" strokeWidth="2"/>
+                    <path d="M4 6v12c0 1.7 3.6 3 8 3s8-1.3 8-3V6M4 12c0 1.7 3.6 3 8 3s8-1.3 8-3" stroke="currentColor" strokeWidth="2"/>
+                  </svg>
+                  Library
+                </h2>
+
+                <SequenceImport
+                  actions={[{
+                    label: '+ Add',
+                    title: 'Add to the library',
+                    select: record => addToLibrary([record]),
+                  }]}
+                  bulkAction={{ label: 'Add all', select: addToLibrary }}
+                />
+
+                <div className="msa-summary library-summary">
+                  <span>{library.length.toLocaleString()} records</span>
+                  <span>{libraryResidues.toLocaleString()} residues</span>
+                </div>
+                {libraryStorageError && <span className="field-error">{libraryStorageError}</span>}
+
+                <div className="inline-fields">
+                  <button className="preset-btn" onClick={() => updateLibrary([])} disabled={library.length === 0}>
+                    Clear library
+                  </button>
+                  <button
+                    className="preset-btn"
+                    onClick={() => {
+                      updateLibrary(SEARCH_EXAMPLE.library);
+                      setSearchQuery(SEARCH_EXAMPLE.query);
+                      setSearchQueryName('');
+                    }}
+                  >
+                    Load example
+                  </button>
+                </div>
+                <span className="option-hint">
+                  The library is kept in this browser between visits. Records added under an existing id replace it.
+                </span>
+              </div>
+
+              <div className="sidebar-section">
+                <h2 className="sidebar-heading">
+                  <svg className="heading-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M4 6h16M4 12h10M4 18h6" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+                  </svg>
+                  Search
+                </h2>
+                <div className="inline-fields">
                   <div className="score-field">
-                    <label className="score-label">Gap Penalty</label>
+                    <label className="score-label" htmlFor="search-word-size">Word size</label>
+                    <select
+                      id="search-word-size"
+                      value={searchOptions.wordSize}
+                      onChange={(e) => setSearchOptions({
+                        ...searchOptions,
+                        wordSize: e.target.value === 'auto' ? 'auto' : parseInt(e.target.value),
+                      })}
+                      className="score-input"
+                    >
+                      <option value="auto">Auto ({WORD_SIZES[nucleotide ? 'nucleotide' : 'protein']})</option>
+                      {[2, 3, 4, 5, 7, 9, 11, 15, 20, 28].map(size => (
+                        <option key={size} value={size}>{size}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="score-field">
+                    <label className="score-label" htmlFor="search-x-drop">X-drop</label>
                     <input
+                      id="search-x-drop"
                       type="number"
-                      value={scores.gap}
-                      onChange={(e) => setScores({...scores, gap: parseInt(e.target.value)})}
+                      min="1"
+                      max="100"
+                      value={searchOptions.xDrop}
+                      onChange={(e) => setSearchOptions({
+                        ...searchOptions,
+                        xDrop: Math.min(100, Math.max(1, parseInt(e.target.value) || 1)),
+                      })}
                       className="score-input"
                     />
                   </div>
+                  <div className="score-field">
+                    <label className="score-label" htmlFor="search-e-value">Max E-value</label>
+                    <select
+                      id="search-e-value"
+                      value={searchOptions.maxEValue}
+                      onChange={(e) => setSearchOptions({ ...searchOptions, maxEValue: Number(e.target.value) })}
+                      className="score-input"
+                    >
+                      {[1e-50, 1e-20, 1e-10, 1e-5, 0.001, 0.1, 1, 10, 100].map(value => (
+                        <option key={value} value={value}>{value}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="score-field">
+                    <label className="score-label" htmlFor="search-max-hits">Max hits</label>
+                    <input
+                      id="search-max-hits"
+                      type="number"
+                      min="1"
+                      max="500"
+                      value={searchOptions.maxHits}
+                      onChange={(e) => setSearchOptions({
+                        ...searchOptions,
+                        maxHits: Math.min(500, Math.max(1, parseInt(e.target.value) || 1)),
+                      })}
+                      className="score-input"
+                    />
+                  </div>
+                </div>
+                <span className="option-hint">
+                  Library words matching the query are extended without gaps until the score drops
+                  {' '}{searchOptions.xDrop} below its best; extensions worth {SEARCH_DEFAULTS.gapTrigger} bits or more
+                  are realigned with Smith-Waterman. Each record keeps its best alignment. E-values use the
+                  whole library as the search space.
+                </span>
+              </div>
+            </>
+          )}
+
+          {workspace === 'translated' && (
+            <>
+              <div className="sidebar-section">
+                <h2 className="sidebar-heading">
+                  <svg className="heading-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M4 7h16M4 12h16M4 17h10" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+                  </svg>
+                  Input Sequences
+                </h2>
+
+                <SequenceImport
+                  actions={[
+                    { label: '→ Nt', title: 'Use as the nucleotide sequence', select: record => assignTranslatedRecord('nucleotides', record) },
+                    { label: '→ Aa', title: 'Use as the protein', select: record => assignTranslatedRecord('protein', record) },
+                  ]}
+                />
+
+                {[
+                  ['nucleotides', nucleotideName, 'nt', 'e.g., ATGGTGCACCTG'],
+                  ['protein', proteinName, 'aa', 'e.g., MVHLTPEEK'],
+                ].map(([key, label, inputUnit, placeholder]) => (
+                  <div key={key} className="input-field">
+                    <label htmlFor={`translated-${key}`} className="input-label">
+                      <span>{label}</span>
+                      <span className="sequence-length">{translatedSeqs[key].length} {inputUnit}</span>
+                    </label>
+                    <div className="input-wrapper">
+                      <input
+                        id={`translated-${key}`}
+                        type="text"
+                        value={translatedSeqs[key]}
+                        onChange={(e) => setTranslatedSeqs({ ...translatedSeqs, [key]: cleanSequence(e.target.value) })}
+                        placeholder={placeholder}
+                        className={`text-input monospace ${translatedErrors[key].length > 0 ? 'invalid' : ''}`}
+                        aria-invalid={translatedErrors[key].length > 0}
+                      />
+                    </div>
+                    {renderSequenceErrors(translatedErrors[key])}
+                  </div>
+                ))}
+
+                <button
+                  className="preset-btn"
+                  onClick={() => {
+                    setTranslatedSeqs(TRANSLATED_EXAMPLE);
+                    setTranslatedNames({ nucleotides: '', protein: '' });
+                  }}
+                >
+                  Load example
+                </button>
+              </div>
+
+              <div className="sidebar-section">
+                <h2 className="sidebar-heading">
+                  <svg className="heading-icon" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M4 8h4M10 8h4M16 8h4M6 16h12" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+                  </svg>
+                  Translation
+                </h2>
+                <div className="score-field">
+                  <label className="score-label" htmlFor="genetic-code">Genetic code</label>
+                  <select
+                    id="genetic-code"
+                    value={geneticCode}
+                    onChange={(e) => setGeneticCode(Number(e.target.value))}
+                    className="score-input"
+                  >
+                    {Object.entries(GENETIC_CODES).map(([id, { name }]) => (
+                      <option key={id} value={id}>{id}. {name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="inline-fields">
+                  <div className="score-field">
+                    <label className="score-label" htmlFor="translated-mode">Alignment</label>
+                    <select
+                      id="translated-mode"
+                      value={translatedMode}
+                      onChange={(e) => setTranslatedMode(e.target.value)}
+                      className="score-input"
+                    >
+                      {Object.entries(TRANSLATED_MODES).map(([key, { label }]) => (
+                        <option key={key} value={key}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="score-field">
+                    <label className="score-label" htmlFor="translated-frame">Frames</label>
+                    <select
+                      id="translated-frame"
+                      value={translatedFrame}
+                      onChange={(e) => setTranslatedFrame(e.target.value)}
+                      className="score-input"
+                    >
+                      <option value="all">All six</option>
+                      {READING_FRAMES.map(frame => (
+                        <option key={frame} value={frame}>{frame > 0 ? `+${frame}` : `−${-frame}`}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+                <span className="option-hint">
+                  Each frame is translated and aligned against the protein with {proteinMatrix.name}
+                  {proteinMatrix !== scores.matrix && ' (set a protein matrix under Advanced Scoring)'}; the best
+                  frame is shown with its codons.
+                </span>
+              </div>
+            </>
+          )}
+
+          <div className="sidebar-section collapsible">
+            <button
+              className="collapsible-header"
+              onClick={() => setShowAdvanced(!showAdvanced)}
+            >
+              <svg className={`collapse-icon ${showAdvanced ? 'open' : ''}`} viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M9 18l6-6-6-6" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+              </svg>
+              <span>Advanced Scoring</span>
+            </button>
+            
+            {showAdvanced && (
+              <div className="collapsible-content">
+                <div className="score-controls">
+                  <label className="toggle-field">
+                    <input
+                      type="checkbox"
+                      checked={affineGaps}
+                      onChange={(e) => setAffineGaps(e.target.checked)}
+                    />
+                    <span>Affine gaps (Gotoh)</span>
+                  </label>
+                  <div className="score-field">
+                    <label className="score-label">Substitution Matrix</label>
+                    <select
+                      value={scores.matrix ? (scores.matrix === customMatrix ? 'custom' : scores.matrix.name) : 'none'}
+                      onChange={(e) => selectMatrix(e.target.value)}
+                      className="score-input"
+                    >
+                      <option value="none">None (match / mismatch)</option>
+                      {Object.keys(SUBSTITUTION_MATRICES).map(name => (
+                        <option key={name} value={name}>{name}</option>
+                      ))}
+                      {customMatrix && (
+                        <option value="custom">{customMatrix.name} (imported)</option>
+                      )}
+                    </select>
+                    <label className="import-btn">
+                      <input type="file" accept=".txt,.mat,text/plain" onChange={importMatrix} hidden />
+                      Import NCBI matrix…
+                    </label>
+                    {matrixError && <span className="field-error">{matrixError}</span>}
+                  </div>
+                  {!scores.matrix && (
+                    <>
+                      <div className="score-field">
+                        <label className="score-label">Match Reward</label>
+                        <input
+                          type="number"
+                          value={scores.match}
+                          onChange={(e) => setScores({...scores, match: parseInt(e.target.value)})}
+                          className="score-input"
+                        />
+                      </div>
+                      <div className="score-field">
+                        <label className="score-label">Mismatch Penalty</label>
+                        <input
+                          type="number"
+                          value={scores.mismatch}
+                          onChange={(e) => setScores({...scores, mismatch: parseInt(e.target.value)})}
+                          className="score-input"
+                        />
+                      </div>
+                    </>
+                  )}
+                  {affineGaps ? (
+                    <>
+                      <div className="score-field">
+                        <label className="score-label">Gap Open Penalty</label>
+                        <input
+                          type="number"
+                          value={scores.gapOpen}
+                          onChange={(e) => setScores({...scores, gapOpen: parseInt(e.target.value)})}
+                          className="score-input"
+                        />
+                      </div>
+                      <div className="score-field">
+                        <label className="score-label">Gap Extend Penalty</label>
+                        <input
+                          type="number"
+                          value={scores.gapExtend}
+                          onChange={(e) => setScores({...scores, gapExtend: parseInt(e.target.value)})}
+                          className="score-input"
+                        />
+                      </div>
+                    </>
+                  ) : (
+                    <div className="score-field">
+                      <label className="score-label">Gap Penalty</label>
+                      <input
+                        type="number"
+                        value={scores.gap}
+                        onChange={(e) => setScores({...scores, gap: parseInt(e.target.value)})}
+                        className="score-input"
+                      />
+                    </div>
+                  )}
                   <button
                     onClick={() => setScores(DEFAULT_SCORES)}
                     className="reset-btn"
@@ -435,47 +2594,202 @@ const SeqSync = () => {
 
         {/* Main Content */}
         <main className="main-content">
-          {/* Alignment Results */}
-          <section className="results-section">
-            <div className="section-header">
-              <h2 className="section-title">Alignment Results</h2>
-            </div>
-            <div className={`results-grid ${algorithm === 'both' ? 'two-col' : 'one-col'}`}>
-              {(algorithm === 'global' || algorithm === 'both') && renderAlignment(globalResult, 'global')}
-              {(algorithm === 'local' || algorithm === 'both') && renderAlignment(localResult, 'local')}
-            </div>
-          </section>
-
-          {/* Matrix Visualization */}
-          <section className="results-section">
-            <div className="section-header">
-              <h2 className="section-title">Score Matrices</h2>
-              <div className="legend">
-                <span className="legend-item">
-                  <span className="legend-dot in-path"></span>
-                  Optimal Path
-                </span>
-                <span className="legend-item">
-                  <span className="legend-dot positive"></span>
-                  Positive
-                </span>
-                <span className="legend-item">
-                  <span className="legend-dot zero"></span>
-                  Zero
-                </span>
-                <span className="legend-item">
-                  <span className="legend-dot negative"></span>
-                  Negative
-                </span>
+          {workspace === 'msa' && (
+            <section className="results-section">
+              <div className="section-header">
+                <h2 className="section-title">Multiple Alignment</h2>
+                {renderJobStatus(msaRun, 'alignments')}
               </div>
-            </div>
-            <div className={`results-grid ${algorithm === 'both' ? 'two-col' : 'one-col'}`}>
-              {(algorithm === 'global' || algorithm === 'both') && 
-                renderMatrix(globalResult, 'Needleman-Wunsch Matrix', 'global')}
-              {(algorithm === 'local' || algorithm === 'both') && 
-                renderMatrix(localResult, 'Smith-Waterman Matrix', 'local')}
-            </div>
-          </section>
+              <div className={msaRun.pending && msaRun.results ? 'stale-results' : ''}>
+                <MultipleAlignment result={msa.result} error={msa.error} />
+              </div>
+            </section>
+          )}
+
+          {workspace === 'phylogeny' && (
+            <section className="results-section">
+              <div className="section-header">
+                <h2 className="section-title">Distances &amp; Tree</h2>
+                {renderJobStatus(phylogenyRun, 'pairs')}
+              </div>
+              <div className={phylogenyRun.pending && phylogenyRun.results ? 'stale-results' : ''}>
+                <DistanceTree result={phylogeny.result} error={phylogeny.error} />
+              </div>
+            </section>
+          )}
+
+          {workspace === 'mapping' && (
+            <section className="results-section">
+              <div className="section-header">
+                <h2 className="section-title">Read Mapping</h2>
+                {renderJobStatus(mappingRun, 'reads')}
+              </div>
+              <div className={mappingRun.pending && mappingRun.results ? 'stale-results' : ''}>
+                <ReadPileup
+                  result={mapping.result}
+                  error={mapping.error}
+                  reference={mappingRun.job?.reference || ''}
+                  referenceName={referenceName}
+                />
+              </div>
+            </section>
+          )}
+
+          {workspace === 'search' && (
+            <section className="results-section">
+              <div className="section-header">
+                <h2 className="section-title">Database Search</h2>
+                {renderJobStatus(searchRun, 'record passes')}
+              </div>
+              <div className={searchRun.pending && searchRun.results ? 'stale-results' : ''}>
+                <SearchHits
+                  result={search.result}
+                  error={search.error}
+                  queryName={searchName}
+                  onOpen={openHit}
+                />
+              </div>
+            </section>
+          )}
+
+          {workspace === 'translated' && (
+            <section className="results-section">
+              <div className="section-header">
+                <h2 className="section-title">Translated Alignment</h2>
+                {renderJobStatus(translatedRun, 'residues')}
+              </div>
+              <div className={translatedRun.pending && translatedRun.results ? 'stale-results' : ''}>
+                <TranslatedAlignment
+                  result={translated.result}
+                  error={translated.error}
+                  names={{ nucleotides: nucleotideName, protein: proteinName }}
+                  codeName={GENETIC_CODES[translatedRun.job?.table ?? geneticCode].name}
+                />
+              </div>
+            </section>
+          )}
+
+          {workspace === 'pairwise' && (
+            <>
+              {/* Dot Plot */}
+              <section className="results-section">
+                <div className="section-header">
+                  <h2 className="section-title">Dot Plot</h2>
+                  <div className="job-status">
+                    {showDotPlot && renderJobStatus(dotPlotRun, 'rows')}
+                    <label className="toggle-field">
+                      <input
+                        type="checkbox"
+                        checked={showDotPlot}
+                        onChange={(e) => setShowDotPlot(e.target.checked)}
+                      />
+                      <span>Show</span>
+                    </label>
+                  </div>
+                </div>
+                {showDotPlot && (
+                  <div className={dotPlotRun.pending && dotPlotRun.results ? 'stale-results' : ''}>
+                    <DotPlot
+                      plot={dotPlotRun.results}
+                      names={{ seq1: name1, seq2: name2 }}
+                      alignments={plotAlignments}
+                      options={dotPlotOptions}
+                      onOptionsChange={setDotPlotOptions}
+                      nucleotide={nucleotide}
+                      darkMode={darkMode}
+                      onSelectRegion={loadRegion}
+                    />
+                  </div>
+                )}
+              </section>
+
+              {/* Alignment Results */}
+              <section className="results-section">
+                <div className="section-header">
+                  <h2 className="section-title">Alignment Results</h2>
+                  {renderJobStatus(pairwise, 'rows')}
+                </div>
+                <div className={`results-grid ${algorithm === 'both' ? 'two-col' : 'one-col'} ${stale ? 'stale-results' : ''}`}>
+                  {(algorithm === 'global' || algorithm === 'both') && renderAlignment(globalResult, 'global')}
+                  {(algorithm === 'local' || algorithm === 'both') && renderAlignment(localResult, 'local')}
+                  {algorithm === 'semiglobal' && renderAlignment(semiResult, 'semiglobal')}
+                  {distanceMode && renderDistance(renderAlignment)}
+                </div>
+              </section>
+
+              {/* Variants */}
+              {nucleotide && !distanceMode && renderVariants()}
+
+              {/* Matrix Visualization */}
+              <section className="results-section">
+                <div className="section-header">
+                  <h2 className="section-title">Score Matrices</h2>
+                  <div className="legend">
+                    <span className="legend-item">
+                      <span className="legend-dot in-path"></span>
+                      Optimal Path
+                    </span>
+                    <span className="legend-item">
+                      <span className="legend-dot co-optimal"></span>
+                      Tied Branch
+                    </span>
+                    <span className="legend-item">
+                      <span className="legend-dot positive"></span>
+                      Positive
+                    </span>
+                    <span className="legend-item">
+                      <span className="legend-dot zero"></span>
+                      Zero
+                    </span>
+                    <span className="legend-item">
+                      <span className="legend-dot negative"></span>
+                      Negative
+                    </span>
+                    {shown?.band && (
+                      <span className="legend-item">
+                        <span className="legend-dot out-of-band"></span>
+                        Out of Band
+                      </span>
+                    )}
+                    {localHits && (
+                      <span className="legend-item">
+                        <span className="legend-dot hit-path"></span>
+                        Local Hits
+                      </span>
+                    )}
+                  </div>
+                </div>
+                {shown?.linearSpace ? (
+                  <div className="notice-card">
+                    <h3>Matrix view hidden for long sequences</h3>
+                    <p>
+                      {shown.seq1.length} × {shown.seq2.length} = {(shown.seq1.length * shown.seq2.length).toLocaleString()} cells
+                      exceeds the {LINEAR_SPACE_CELL_LIMIT.toLocaleString()}-cell limit, so alignments were
+                      computed in linear space (Hirschberg's algorithm, O(m+n) memory) without building
+                      the full score matrix.
+                    </p>
+                    <p>
+                      Linear-space mode uses the linear gap penalty; affine gaps, semi-global alignment,
+                      co-optimal enumeration and string distances need the full matrix and are unavailable at this size.
+                    </p>
+                  </div>
+                ) : (
+                  <>
+                    {algorithm !== 'semiglobal' && !distanceMode && renderPlaybackBar()}
+                    <div className={`results-grid ${algorithm === 'both' ? 'two-col' : 'one-col'} ${stale ? 'stale-results' : ''}`}>
+                      {(algorithm === 'global' || algorithm === 'both') && 
+                        renderMatrix(globalResult, 'Needleman-Wunsch Matrix', 'global')}
+                      {(algorithm === 'local' || algorithm === 'both') && 
+                        renderMatrix(localResult, 'Smith-Waterman Matrix', 'local')}
+                      {algorithm === 'semiglobal' && 
+                        renderMatrix(semiResult, 'Semi-Global Matrix', 'semiglobal')}
+                      {distanceMode && distance?.value && renderDistance((result, type) => renderMatrix(result, `${DISTANCE_MODES[type].label} Matrix`, type))}
+                    </div>
+                  </>
+                )}
+              </section>
+            </>
+          )}
         </main>
       </div>
     </div>
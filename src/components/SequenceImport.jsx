@@ -0,0 +1,119 @@
+/**
+ * SequenceImport - file upload and drag-and-drop for FASTA, GenBank and FASTQ
+ * Lists the parsed records with buttons to assign each one to an input.
+ */
+
+import { useState } from 'react';
+import { FILE_FORMATS, parseSequenceFile } from '../utils/parsers';
+
+const ACCEPT = [...Object.values(FILE_FORMATS).flatMap(format => format.extensions), '.txt'].join(',');
+
+// Very large multi-record files only list their first records
+const MAX_LISTED_RECORDS = 200;
+
+/**
+ * @param {object[]} actions - Per-record buttons: { label, title, select(record) }
+ * @param {object} bulkAction - Optional whole-file button: { label, select(records) }
+ */
+const SequenceImport = ({ actions, bulkAction }) => {
+  const [file, setFile] = useState(null);
+  const [error, setError] = useState('');
+  const [dragging, setDragging] = useState(false);
+
+  const load = async (selected) => {
+    if (!selected) return;
+    try {
+      const { format, records } = parseSequenceFile(await selected.text());
+      setFile({ name: selected.name, format, records });
+      setError('');
+    } catch (parseError) {
+      setFile(null);
+      setError(`${selected.name}: ${parseError.message}`);
+    }
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setDragging(false);
+    load(event.dataTransfer.files[0]);
+  };
+
+  return (
+    <div className="sequence-import">
+      <label
+        className={`drop-zone ${dragging ? 'dragging' : ''}`}
+        onDragOver={(event) => {
+          event.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+      >
+        <input
+          type="file"
+          accept={ACCEPT}
+          onChange={(event) => {
+            load(event.target.files[0]);
+            event.target.value = '';
+          }}
+          hidden
+        />
+        Drop a FASTA, GenBank or FASTQ file, or <span className="import-btn">browse…</span>
+      </label>
+
+      {error && <span className="field-error">{error}</span>}
+
+      {file && (
+        <div className="record-picker">
+          <div className="record-picker-header">
+            <span className="record-file" title={file.name}>
+              {file.name} • {FILE_FORMATS[file.format].label} • {file.records.length}{' '}
+              {file.records.length === 1 ? 'record' : 'records'}
+            </span>
+            {bulkAction && (
+              <button className="preset-btn" onClick={() => bulkAction.select(file.records)}>
+                {bulkAction.label}
+              </button>
+            )}
+            <button className="remove-btn" onClick={() => setFile(null)} aria-label="Close file">
+              ×
+            </button>
+          </div>
+          <ul className="record-list">
+            {file.records.slice(0, MAX_LISTED_RECORDS).map((record, index) => (
+              <li key={index} className="record-item">
+                <div className="record-info" title={record.description}>
+                  <span className="record-id">{record.id || `Record ${index + 1}`}</span>
+                  <span className="record-meta">
+                    {record.sequence.length.toLocaleString()} residues
+                    {record.features?.length > 0 && ` • ${record.features.length} features`}
+                    {record.description && ` • ${record.description}`}
+                  </span>
+                </div>
+                <div className="record-actions">
+                  {actions.map(action => (
+                    <button
+                      key={action.label}
+                      className="record-btn"
+                      title={action.title}
+                      onClick={() => action.select(record)}
+                    >
+                      {action.label}
+                    </button>
+                  ))}
+                </div>
+              </li>
+            ))}
+          </ul>
+          {file.records.length > MAX_LISTED_RECORDS && (
+            <span className="option-hint">
+              Showing the first {MAX_LISTED_RECORDS} of {file.records.length.toLocaleString()} records.
+            </span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SequenceImport;
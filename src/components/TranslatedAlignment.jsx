@@ -0,0 +1,99 @@
+/**
+ * TranslatedAlignment - viewer for nucleotide-against-protein results
+ * The best frame's alignment with codons beneath the translated residues,
+ * followed by the score and translation of every reading frame.
+ */
+
+import ExportMenu from './ExportMenu';
+import { EXPORT_FORMATS, formatFastaRows, formatClustalRows } from '../utils/exporters';
+import { formatTranslatedAlignment } from '../utils/translatedAlignment';
+import { calculateAlignmentStats } from '../utils/alignmentLogic';
+
+const TRANSLATED_EXPORTS = {
+  fasta: { ...EXPORT_FORMATS.fasta, build: formatFastaRows },
+  clustal: { ...EXPORT_FORMATS.clustal, build: formatClustalRows },
+};
+
+// "+1", "−2"
+const frameLabel = (frame) => (frame > 0 ? `+${frame}` : `−${-frame}`);
+
+/**
+ * @param {object} result - translatedAlignment result ({ frames, best })
+ * @param {string} error - Job error, shown instead of the result
+ * @param {object} names - { nucleotides, protein } labels
+ * @param {string} codeName - Name of the genetic code used
+ */
+const TranslatedAlignment = ({ result, error, names, codeName }) => {
+  if (error) {
+    return <div className="notice-card"><h3>Cannot align</h3><p>{error}</p></div>;
+  }
+  if (!result) return null;
+
+  const { frames, best } = result;
+  const translatedName = `${names.nucleotides} (${frameLabel(best.frame)})`;
+  const stats = calculateAlignmentStats(best.alignedSeq1, best.alignedSeq2);
+  const rows = [
+    { name: translatedName, aligned: best.alignedSeq1 },
+    { name: names.protein, aligned: best.alignedSeq2 },
+  ];
+
+  return (
+    <>
+      <div className="alignment-card">
+        <div className="alignment-header">
+          <div className="alignment-title">
+            <span className="algorithm-badge translated">{frameLabel(best.frame)}</span>
+            <h3>{best.algorithm}</h3>
+          </div>
+          <div className="score-pill">{Number(best.score.toFixed(2))}</div>
+        </div>
+
+        <div className="msa-summary">
+          <span>Frame {frameLabel(best.frame)} of {names.nucleotides}</span>
+          {best.range && (
+            <span>
+              Nucleotides {best.range.start}–{best.range.end}{best.strand === '-' && ' (reverse complement)'}
+            </span>
+          )}
+          <span>{stats.identity} identity</span>
+          <span>{stats.gaps} gaps</span>
+          <span>{codeName}</span>
+        </div>
+
+        <div className="alignment-visual">
+          <pre className="alignment-text">{formatTranslatedAlignment(best, [translatedName, names.protein])}</pre>
+        </div>
+
+        <ExportMenu
+          formats={TRANSLATED_EXPORTS}
+          fileName={`${names.nucleotides}_vs_${names.protein}_translated`.replace(/[^\w.-]+/g, '_')}
+          build={(format) => TRANSLATED_EXPORTS[format].build(rows)}
+        />
+      </div>
+
+      <div className="alignment-card">
+        <div className="alignment-header">
+          <div className="alignment-title">
+            <h3>Reading Frames</h3>
+          </div>
+        </div>
+        <div className="frame-list">
+          {frames.map(({ frame, translation, score }) => (
+            <div key={frame} className={`frame-row ${frame === best.frame ? 'best' : ''}`}>
+              <span className="frame-label">{frameLabel(frame)}</span>
+              <span className="frame-score">{score === null ? '—' : Number(score.toFixed(2))}</span>
+              <span className="frame-translation">
+                {translation.split(/(\*)/).map((part, index) => (
+                  part === '*' ? <span key={index} className="stop-codon">*</span> : part
+                ))}
+              </span>
+            </div>
+          ))}
+        </div>
+        <span className="option-hint">Stops (*) are scored by the substitution matrix rather than ending the frame.</span>
+      </div>
+    </>
+  );
+};
+
+export default TranslatedAlignment;
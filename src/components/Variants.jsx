@@ -0,0 +1,157 @@
+/**
+ * Variants - differences of Sequence 2 (sample) from Sequence 1 (reference)
+ * The alignment with variant columns highlighted above a table of calls;
+ * selecting a row or a column highlights the other.
+ */
+
+import { useMemo, useState } from 'react';
+import ExportMenu from './ExportMenu';
+import { VARIANT_TYPES, callVariants, formatVcf, formatHgvs } from '../utils/variants';
+
+const BLOCK_WIDTH = 60;
+
+const VARIANT_EXPORTS = {
+  vcf: { label: 'VCF 4.3', extension: 'vcf', mime: 'text/plain' },
+  hgvs: { label: 'HGVS list', extension: 'txt', mime: 'text/plain' },
+};
+
+/**
+ * @param {object} result - Pairwise alignment result (reference = row 1)
+ * @param {string} reference - Full reference sequence
+ * @param {object} names - { reference, sample } labels
+ */
+const Variants = ({ result, reference, names }) => {
+  const [selected, setSelected] = useState(null);
+
+  const { variants, error } = useMemo(() => {
+    try {
+      return { variants: callVariants(result, reference, { referenceName: names.reference }), error: '' };
+    } catch (callError) {
+      return { variants: [], error: callError.message };
+    }
+  }, [result, reference, names.reference]);
+
+  // Alignment column → index of the variant covering it
+  const columnVariant = useMemo(() => {
+    const map = new Map();
+    variants.forEach(({ columns: [first, last] }, index) => {
+      for (let column = first; column <= last; column++) map.set(column, index);
+    });
+    return map;
+  }, [variants]);
+
+  if (error) {
+    return <div className="notice-card"><h3>Cannot call variants</h3><p>{error}</p></div>;
+  }
+
+  const current = selected !== null && selected < variants.length ? selected : null;
+  const toggle = (index) => setSelected(index === current ? null : index);
+  const { alignedSeq1, alignedSeq2 } = result;
+  const counts = Object.keys(VARIANT_TYPES)
+    .map(type => [type, variants.filter(variant => variant.type === type).length])
+    .filter(([, count]) => count > 0);
+  const starts = [];
+  for (let start = 0; start < alignedSeq1.length; start += BLOCK_WIDTH) starts.push(start);
+
+  const renderRow = (name, aligned, start) => (
+    <div className="msa-row">
+      <span className="msa-name" title={name}>{name}</span>
+      <span className="msa-residues">
+        {aligned.slice(start, start + BLOCK_WIDTH).split('').map((residue, offset) => {
+          const index = columnVariant.get(start + offset);
+          if (index === undefined) return <span key={offset} className="msa-residue">{residue}</span>;
+          const { type, hgvs } = variants[index];
+          return (
+            <span
+              key={offset}
+              className={`msa-residue variant-column ${type.toLowerCase()} ${index === current ? 'selected' : ''}`}
+              title={hgvs}
+              onClick={() => toggle(index)}
+            >
+              {residue}
+            </span>
+          );
+        })}
+      </span>
+    </div>
+  );
+
+  return (
+    <div className="alignment-card">
+      <div className="msa-summary">
+        <span>{variants.length} variant{variants.length === 1 ? '' : 's'} against {names.reference}</span>
+        {counts.map(([type, count]) => <span key={type}>{count} {type}</span>)}
+      </div>
+
+      <div className="msa-visual">
+        {starts.map(start => (
+          <div key={start} className="msa-block">
+            {renderRow(names.reference, alignedSeq1, start)}
+            {renderRow(names.sample, alignedSeq2, start)}
+          </div>
+        ))}
+      </div>
+
+      {variants.length === 0 ? (
+        <p className="option-hint">The aligned region of the sample matches the reference.</p>
+      ) : (
+        <div className="variant-table-scroll">
+          <table className="variant-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Type</th>
+                <th>Position</th>
+                <th>REF</th>
+                <th>ALT</th>
+                <th>VCF</th>
+                <th>HGVS</th>
+              </tr>
+            </thead>
+            <tbody>
+              {variants.map((variant, index) => (
+                <tr
+                  key={index}
+                  className={index === current ? 'selected' : ''}
+                  onClick={() => toggle(index)}
+                >
+                  <td>{index + 1}</td>
+                  <td>
+                    <span className={`variant-type ${variant.type.toLowerCase()}`} title={VARIANT_TYPES[variant.type]}>
+                      {variant.type}
+                    </span>
+                  </td>
+                  <td>{variant.position === variant.end ? variant.position : `${variant.position}–${variant.end}`}</td>
+                  <td><code>{variant.ref || '—'}</code></td>
+                  <td><code>{variant.alt || '—'}</code></td>
+                  <td><code>{variant.vcf.pos} {variant.vcf.ref}&gt;{variant.vcf.alt}</code></td>
+                  <td><code>{variant.hgvs}</code></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <span className="option-hint">
+        VCF positions are left-normalised; HGVS descriptions follow the 3′ rule.
+      </span>
+
+      {variants.length > 0 && (
+        <ExportMenu
+          formats={VARIANT_EXPORTS}
+          fileName={`${names.sample}_vs_${names.reference}_variants`.replace(/[^\w.-]+/g, '_')}
+          build={(format) => (format === 'vcf'
+            ? formatVcf(variants, {
+              referenceName: names.reference,
+              referenceLength: reference.length,
+              sampleName: names.sample,
+            })
+            : formatHgvs(variants))}
+        />
+      )}
+    </div>
+  );
+};
+
+export default Variants;
@@ -0,0 +1,102 @@
+/**
+ * Alignment Client
+ * Promise-based front end to the alignment worker. One job runs at a time:
+ * starting another, or calling cancel(), terminates the worker (the only way
+ * to stop a DP fill part-way) and rejects the pending promise with a
+ * cancellation error; a fresh worker is started for the next job.
+ */
+
+export const CANCELLED = 'Alignment job cancelled';
+
+/**
+ * Create the module worker that runs alignmentJobs.js.
+ *
+ * @returns {Worker}
+ */
+export const createAlignmentWorker = () => new Worker(
+  new URL('./alignmentWorker.js', import.meta.url),
+  { type: 'module' }
+);
+
+/**
+ * True when a run() promise was rejected because the job was cancelled.
+ *
+ * @param {Error} error - Rejection reason
+ * @returns {boolean}
+ */
+export const isCancellation = (error) => error?.message === CANCELLED;
+
+/**
+ * @param {function} createWorker - () => Worker-like object with
+ *   postMessage, terminate and onmessage/onerror handlers
+ * @returns {object} { run(type, job, { onProgress }), cancel(), dispose(), busy }
+ */
+export function createAlignmentClient(createWorker = createAlignmentWorker) {
+  let worker = null;
+  let pending = null;
+  let nextId = 1;
+
+  const settle = (outcome) => {
+    const { resolve, reject } = pending;
+    pending = null;
+    if (outcome instanceof Error) reject(outcome);
+    else resolve(outcome.result);
+  };
+
+  const start = () => {
+    worker = createWorker();
+    worker.onmessage = ({ data }) => {
+      // Replies to a cancelled job can still be queued when it is replaced
+      if (!pending || data.id !== pending.id) return;
+      if (data.type === 'progress') pending.onProgress?.(data.done, data.total);
+      else if (data.type === 'result') settle({ result: data.result });
+      else settle(new Error(data.message));
+    };
+    worker.onerror = (event) => {
+      event.preventDefault?.();
+      worker.terminate();
+      worker = null;
+      if (pending) settle(new Error(event.message || 'Alignment worker failed'));
+    };
+  };
+
+  const cancel = () => {
+    if (!pending) return;
+    worker.terminate();
+    worker = null;
+    settle(new Error(CANCELLED));
+  };
+
+  /**
+   * Run a job, cancelling any job still in flight.
+   *
+   * @param {string} type - Job type ('pairwise' or 'msa')
+   * @param {object} job - Structured-cloneable job payload
+   * @param {object} options - { onProgress(done, total) }
+   * @returns {Promise<object>} Job result
+   */
+  const run = (type, job, { onProgress } = {}) => {
+    cancel();
+    if (!worker) start();
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      pending = { id, resolve, reject, onProgress };
+      worker.postMessage({ id, type, job });
+    });
+  };
+
+  const dispose = () => {
+    cancel();
+    worker?.terminate();
+    worker = null;
+  };
+
+  return {
+    run,
+    cancel,
+    dispose,
+    get busy() {
+      return pending !== null;
+    },
+  };
+}
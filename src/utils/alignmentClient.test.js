@@ -0,0 +1,200 @@
+/**
+ * =====================================================================
+ * ALIGNMENT CLIENT TEST SUITE
+ * =====================================================================
+ * 
+ * Drives the promise-based client with an in-process stand-in for the
+ * Web Worker: results, progress, cancellation and worker failures.
+ * Client calls are asynchronous, so these tests are awaited.
+ * =====================================================================
+ */
+
+import { createAlignmentClient, isCancellation } from './alignmentClient.js';
+import { runJob } from './alignmentJobs.js';
+import { needlemanWunsch, END_GAP_PRESETS, DEFAULT_SCORES } from './alignmentLogic.js';
+
+// Test helper function
+async function runTest(testName, testFunction) {
+  try {
+    await testFunction();
+    console.log(`✅ PASS: ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ FAIL: ${testName}`);
+    console.error(`   Error: ${error.message}`);
+    return false;
+  }
+}
+
+// Assertion helpers
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n  Expected: ${expected}\n  Actual: ${actual}`);
+  }
+}
+
+async function assertRejects(promise, expectedMessage, message = '') {
+  let rejected = null;
+  try {
+    await promise;
+  } catch (error) {
+    rejected = error.message;
+  }
+  assertEquals(rejected, expectedMessage, message);
+}
+
+/**
+ * Worker stand-in: runs each job on a later tick, like a real worker's
+ * message queue, and goes silent once terminated.
+ */
+function createFakeWorkers() {
+  const workers = [];
+  const createWorker = () => {
+    const worker = {
+      terminated: false,
+      posted: [],
+      postMessage(message) {
+        worker.posted.push(message);
+        setTimeout(() => {
+          const reply = (data) => {
+            if (!worker.terminated) worker.onmessage({ data: { id: message.id, ...data } });
+          };
+          try {
+            const result = runJob(message.type, message.job, (done, total) => reply({ type: 'progress', done, total }));
+            reply({ type: 'result', result });
+          } catch (error) {
+            reply({ type: 'error', message: error.message });
+          }
+        }, 0);
+      },
+      terminate() {
+        worker.terminated = true;
+      },
+    };
+    workers.push(worker);
+    return worker;
+  };
+  return { workers, createWorker };
+}
+
+const job = {
+  seq1: 'ACGTGATCA',
+  seq2: 'AGCTACCA',
+  scores: DEFAULT_SCORES,
+  affineGaps: false,
+  linearSpace: false,
+  band: null,
+  endGaps: END_GAP_PRESETS.overlap,
+  hits: null,
+  shuffle: null,
+};
+
+// =====================================================================
+// CLIENT TESTS
+// =====================================================================
+
+async function testClient_ResolvesWithProgress() {
+  const { workers, createWorker } = createFakeWorkers();
+  const client = createAlignmentClient(createWorker);
+  const reports = [];
+
+  const pending = client.run('pairwise', job, { onProgress: (done, total) => reports.push([done, total]) });
+  assertEquals(client.busy, true, 'Busy while running');
+  const results = await pending;
+
+  assertEquals(results.global.score, needlemanWunsch(job.seq1, job.seq2).score, 'Global score');
+  assertEquals(client.busy, false, 'Idle afterwards');
+  const [done, total] = reports[reports.length - 1];
+  assertEquals(done, total, 'Progress reached the total');
+
+  await client.run('pairwise', { ...job, seq2: 'ACGT' });
+  assertEquals(workers.length, 1, 'Worker reused between completed jobs');
+}
+
+async function testClient_NewRunCancelsPrevious() {
+  const { workers, createWorker } = createFakeWorkers();
+  const client = createAlignmentClient(createWorker);
+
+  const first = client.run('pairwise', job);
+  const second = client.run('pairwise', { ...job, seq2: 'ACGTGATCA' });
+
+  let firstError = null;
+  await first.catch(error => { firstError = error; });
+  assertEquals(isCancellation(firstError), true, 'First run cancelled');
+  assertEquals((await second).global.score, 18, 'Second run completes');
+  assertEquals(workers[0].terminated, true, 'Busy worker terminated');
+  assertEquals(workers.length, 2, 'Fresh worker for the next job');
+}
+
+async function testClient_CancelAndReuse() {
+  const { workers, createWorker } = createFakeWorkers();
+  const client = createAlignmentClient(createWorker);
+
+  const pending = client.run('pairwise', job);
+  client.cancel();
+  await assertRejects(pending, 'Alignment job cancelled', 'Cancelled run');
+  client.cancel();
+
+  const results = await client.run('pairwise', job);
+  assertEquals(results.local.score > 0, true, 'Client usable after cancel');
+  assertEquals(workers.length, 2, 'Restarted after cancel');
+
+  client.dispose();
+  assertEquals(workers[1].terminated, true, 'Dispose terminates the worker');
+}
+
+async function testClient_Failures() {
+  const { workers, createWorker } = createFakeWorkers();
+  const client = createAlignmentClient(createWorker);
+
+  let error = null;
+  await client.run('tree', {}).catch(rejection => { error = rejection; });
+  assertEquals(error.message, 'Unknown alignment job: tree', 'Job error rejects');
+  assertEquals(isCancellation(error), false, 'Not a cancellation');
+
+  // A crashed worker (e.g. a failed module load) is replaced on the next run
+  const crashing = client.run('pairwise', job);
+  workers[0].onerror({ message: 'Worker script failed' });
+  await assertRejects(crashing, 'Worker script failed', 'Crash rejects');
+  await client.run('pairwise', job);
+  assertEquals(workers.length, 2, 'Replacement worker');
+}
+
+// =====================================================================
+// RUN ALL TESTS
+// =====================================================================
+
+export async function runAllTests() {
+  console.log('\n========================================');
+  console.log('ALIGNMENT CLIENT TEST SUITE');
+  console.log('========================================\n');
+  
+  let passed = 0;
+  let failed = 0;
+  
+  const tests = [
+    ['Client: Resolves With Progress', testClient_ResolvesWithProgress],
+    ['Client: New Run Cancels Previous', testClient_NewRunCancelsPrevious],
+    ['Client: Cancel And Reuse', testClient_CancelAndReuse],
+    ['Client: Failures', testClient_Failures],
+  ];
+  
+  for (const [name, testFn] of tests) {
+    if (await runTest(name, testFn)) {
+      passed++;
+    } else {
+      failed++;
+    }
+  }
+  
+  console.log('\n========================================');
+  console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+  
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run tests if this file is executed directly
+if (import.meta.url === `file://${globalThis.process?.argv[1]}`) {
+  runAllTests();
+}
@@ -0,0 +1,313 @@
+/**
+ * Alignment Jobs
+ * The alignment work behind the interface, packaged as jobs that take and
+ * return plain data so they can run inside a Web Worker.
+ *
+ * A pairwise job computes everything the results view shows for one set of
+ * inputs (global, local and semi-global alignments, co-optimal paths, local
+ * hits, significance and string distances) and reports progress as DP rows
+ * completed. A
+ * multiple alignment job reports pairwise alignments and profile merges; a
+ * dot plot job reports rows scanned, a translated alignment job reports
+ * translated residues aligned, a phylogeny job reports pairs aligned, a
+ * mapping job reports reads placed and a search job reports library records
+ * indexed and then subjects extended.
+ */
+
+import {
+  needlemanWunsch,
+  smithWaterman,
+  needlemanWunschAffine,
+  smithWatermanAffine,
+  semiGlobal,
+  enumerateOptimalAlignments,
+  watermanEggert,
+} from './alignmentLogic.js';
+import { hirschberg, hirschbergLocal } from './hirschberg.js';
+import { bandedAlignment } from './banded.js';
+import { progressiveAlignment } from './msa.js';
+import { dotPlot } from './dotPlot.js';
+import { alignBothStrands, alignedTarget } from './strands.js';
+import { translatedAlignment } from './translatedAlignment.js';
+import { stringDistance } from './stringDistance.js';
+import { buildPhylogeny } from './phylogeny.js';
+import { mapReads } from './readMapping.js';
+import { buildLibraryIndex, searchLibrary } from './databaseSearch.js';
+import { localSignificance, shuffleTest } from './significance.js';
+
+const MAX_CO_OPTIMAL = 100;
+
+// Progress is reported at most this many times per job
+const PROGRESS_STEPS = 200;
+
+/**
+ * Run weighted phases in order. Each phase is worth `rows` DP rows; a phase
+ * that reports its own (done, total) is scaled into that share, otherwise
+ * it counts as done when it returns. run(report, results) sees the results
+ * of the phases before it.
+ * @private
+ */
+function runPhases(phases, onProgress) {
+  const totalRows = phases.reduce((sum, phase) => sum + phase.rows, 0);
+  const stride = Math.max(1, Math.ceil(totalRows / PROGRESS_STEPS));
+  let reported = -1;
+  const report = (rowsDone) => {
+    const rows = Math.min(totalRows, Math.floor(rowsDone));
+    if (rows === reported || (rows - reported < stride && rows !== totalRows)) return;
+    reported = rows;
+    onProgress(rows, totalRows);
+  };
+
+  const results = {};
+  let rowsBefore = 0;
+  report(0);
+  for (const { key, rows, run } of phases) {
+    results[key] = run((done, total) => report(rowsBefore + (done / total) * rows), results);
+    rowsBefore += rows;
+    report(rowsBefore);
+  }
+  return results;
+}
+
+/**
+ * Alignment results are optional extras in the view, so a failing one is
+ * logged and left out rather than failing the whole job.
+ * @private
+ */
+const attempt = (label, run) => (...args) => {
+  try {
+    return run(...args);
+  } catch (error) {
+    console.error(`${label} error:`, error);
+    return null;
+  }
+};
+
+/**
+ * Pairwise alignment job.
+ *
+ * @param {object} job - { seq1, seq2, scores, affineGaps, linearSpace,
+ *   band, endGaps, hits, shuffle, bothStrands, distance } with upper-case
+ *   sequences; band, hits and shuffle are null when off, otherwise their
+ *   option objects; distance is a DISTANCE_MODES key or null
+ * @param {function} onProgress - (rowsDone, totalRows)
+ * @returns {object} { global, local, semiglobal, coOptimal, localHits,
+ *   significance, shuffle, distance }, each null when not applicable. With
+ *   bothStrands each alignment carries its `strand`; co-optimal paths, local
+ *   hits and the statistics follow the strand of their alignment.
+ */
+export function runPairwiseJob(job, onProgress = () => {}) {
+  const { seq1, seq2, scores, affineGaps, linearSpace, band, endGaps, hits, shuffle, bothStrands, distance } = job;
+  if (!seq1 || !seq2) {
+    throw new Error('Both sequences must be non-empty');
+  }
+  const m = seq1.length;
+  const strands = bothStrands ? 2 : 1;
+  // Co-optimal paths and Waterman-Eggert hits need the linear-gap full matrix
+  const fullMatrix = !linearSpace && !affineGaps && !band;
+
+  // align(seq1, target, report) on seq2, or on whichever strand of it scores higher
+  const onStrands = (align) => (report) => (bothStrands
+    ? alignBothStrands(align, seq1, seq2, { onProgress: report })
+    : align(seq1, seq2, report));
+
+  const enumerate = (mode, result) => attempt('Co-optimal enumeration', () => enumerateOptimalAlignments(
+    seq1, alignedTarget(result, seq2), scores, { mode, endGaps, maxAlignments: MAX_CO_OPTIMAL }
+  ))();
+
+  const phases = [
+    {
+      key: 'global',
+      rows: strands * m,
+      run: attempt('Global alignment', onStrands((a, b, report) => {
+        if (linearSpace) return hirschberg(a, b, scores, { onProgress: report });
+        if (band) return bandedAlignment(a, b, scores, band);
+        return (affineGaps ? needlemanWunschAffine : needlemanWunsch)(a, b, scores);
+      })),
+    },
+    {
+      key: 'local',
+      rows: strands * m,
+      run: attempt('Local alignment', onStrands((a, b, report) => {
+        if (linearSpace) return hirschbergLocal(a, b, scores, { onProgress: report });
+        if (band) return bandedAlignment(a, b, scores, { ...band, local: true });
+        return (affineGaps ? smithWatermanAffine : smithWaterman)(a, b, scores);
+      })),
+    },
+    {
+      key: 'semiglobal',
+      rows: linearSpace ? 0 : strands * m,
+      run: attempt('Semi-global alignment', (report) => (
+        linearSpace ? null : onStrands((a, b) => semiGlobal(a, b, scores, endGaps))(report)
+      )),
+    },
+    {
+      key: 'coOptimal',
+      rows: linearSpace ? 0 : (fullMatrix ? 3 : 1) * m,
+      run: (report, { global, local, semiglobal }) => (linearSpace ? null : {
+        global: fullMatrix && global ? enumerate('global', global) : null,
+        local: fullMatrix && local ? enumerate('local', local) : null,
+        semiglobal: semiglobal ? enumerate('semiglobal', semiglobal) : null,
+      }),
+    },
+    {
+      key: 'localHits',
+      rows: hits && fullMatrix ? hits.maxHits * m : 0,
+      run: attempt('Multiple local alignment', (report, { local }) => (
+        hits && fullMatrix && local ? watermanEggert(seq1, alignedTarget(local, seq2), scores, hits) : null
+      )),
+    },
+    {
+      // Karlin–Altschul statistics for the best local score (and any extra hits)
+      key: 'significance',
+      rows: 0,
+      run: (report, { local }) => {
+        if (!local) return null;
+        try {
+          return { value: localSignificance(local.score, seq1, alignedTarget(local, seq2), scores) };
+        } catch (error) {
+          return { error: error.message };
+        }
+      },
+    },
+    {
+      key: 'shuffle',
+      // Score-only, so any linear-gap mode can run it
+      rows: shuffle && !affineGaps ? (shuffle.shuffles + 1) * m : 0,
+      run: (report, { local }) => {
+        if (!shuffle || affineGaps) return null;
+        try {
+          const target = alignedTarget(local, seq2);
+          return { value: shuffleTest(seq1, target, scores, { ...shuffle, onProgress: report }) };
+        } catch (error) {
+          return { error: error.message };
+        }
+      },
+    },
+    {
+      key: 'distance',
+      // Drawn as a matrix, so only computed at sizes the matrix view shows
+      rows: distance && !linearSpace ? m : 0,
+      run: () => {
+        if (!distance || linearSpace) return null;
+        try {
+          return { value: stringDistance(distance, seq1, seq2) };
+        } catch (error) {
+          return { error: error.message };
+        }
+      },
+    },
+  ];
+
+  return runPhases(phases, onProgress);
+}
+
+/**
+ * Progressive multiple alignment job.
+ *
+ * @param {object} job - { sequences, names, scores, treeMethod }
+ * @param {function} onProgress - (alignmentsDone, totalAlignments)
+ * @returns {object} The progressiveAlignment result
+ */
+export function runMsaJob({ sequences, names, scores, treeMethod }, onProgress = () => {}) {
+  return progressiveAlignment(sequences, scores, { treeMethod, names, onProgress });
+}
+
+/**
+ * Dot plot job.
+ *
+ * @param {object} job - { seq1, seq2, wordSize, window, stringency, inverted, size }
+ * @param {function} onProgress - (rowsDone, totalRows)
+ * @returns {object} The dotPlot result
+ */
+export function runDotPlotJob({ seq1, seq2, ...options }, onProgress = () => {}) {
+  const phases = [{
+    key: 'plot',
+    rows: (options.inverted ? 2 : 1) * seq1.length,
+    run: (report) => dotPlot(seq1, seq2, { ...options, onProgress: report }),
+  }];
+  return runPhases(phases, onProgress).plot;
+}
+
+/**
+ * Translated (nucleotide against protein) alignment job.
+ *
+ * @param {object} job - { nucleotides, protein, scores, table, mode, frames, affine }
+ * @param {function} onProgress - (residuesDone, totalResidues)
+ * @returns {object} The translatedAlignment result
+ */
+export function runTranslatedJob({ nucleotides, protein, scores, ...options }, onProgress = () => {}) {
+  return translatedAlignment(nucleotides, protein, scores, { ...options, onProgress });
+}
+
+/**
+ * Distance matrix and tree job.
+ *
+ * @param {object} job - { sequences, names, scores, alignment, correction, treeMethod }
+ * @param {function} onProgress - (pairsDone, totalPairs)
+ * @returns {object} The buildPhylogeny result
+ */
+export function runPhylogenyJob({ sequences, scores, ...options }, onProgress = () => {}) {
+  return buildPhylogeny(sequences, scores, { ...options, onProgress });
+}
+
+/**
+ * Read mapping job.
+ *
+ * @param {object} job - { reference, reads, scores, seedLength, band, extension, minScoreRatio }
+ * @param {function} onProgress - (readsDone, totalReads)
+ * @returns {object} The mapReads result
+ */
+export function runMappingJob({ reference, reads, scores, ...options }, onProgress = () => {}) {
+  return mapReads(reference, reads, scores, { ...options, onProgress });
+}
+
+/**
+ * Library search job. Indexing and extension each count as one pass over
+ * the library.
+ *
+ * @param {object} job - { query, library, scores, wordSize, xDrop, gapTrigger, maxEValue, maxHits }
+ * @param {function} onProgress - (recordsDone, totalRecords)
+ * @returns {object} The searchLibrary result
+ */
+export function runSearchJob({ query, library, scores, wordSize, ...options }, onProgress = () => {}) {
+  const phases = [
+    {
+      key: 'index',
+      rows: library.length,
+      run: (report) => buildLibraryIndex(library, wordSize, { onProgress: report }),
+    },
+    {
+      key: 'search',
+      rows: library.length,
+      run: (report, { index }) => searchLibrary(query, library, index, scores, { ...options, onProgress: report }),
+    },
+  ];
+  return runPhases(phases, onProgress).search;
+}
+
+export const JOB_TYPES = {
+  pairwise: runPairwiseJob,
+  msa: runMsaJob,
+  dotplot: runDotPlotJob,
+  translated: runTranslatedJob,
+  phylogeny: runPhylogenyJob,
+  mapping: runMappingJob,
+  search: runSearchJob,
+};
+
+/**
+ * Run a job by type name, as the worker receives it.
+ *
+ * @param {string} type - Key of JOB_TYPES
+ * @param {object} job - Job payload
+ * @param {function} onProgress - (done, total)
+ * @returns {object} Job result
+ */
+export function runJob(type, job, onProgress) {
+  const run = JOB_TYPES[type];
+  if (!run) {
+    throw new Error(`Unknown alignment job: ${type}`);
+  }
+  return run(job, onProgress);
+}
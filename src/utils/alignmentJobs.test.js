@@ -0,0 +1,329 @@
+/**
+ * =====================================================================
+ * ALIGNMENT JOBS TEST SUITE
+ * =====================================================================
+ * 
+ * Checks that worker jobs reproduce the direct algorithm calls, skip what
+ * the settings rule out, and report monotonic progress that completes.
+ * =====================================================================
+ */
+
+import { runPairwiseJob, runMsaJob, runDotPlotJob, runJob } from './alignmentJobs.js';
+import {
+  needlemanWunsch,
+  smithWaterman,
+  semiGlobal,
+  END_GAP_PRESETS,
+  DEFAULT_SCORES,
+} from './alignmentLogic.js';
+import { hirschberg } from './hirschberg.js';
+import { progressiveAlignment } from './msa.js';
+import { dotPlot } from './dotPlot.js';
+import { reverseComplement } from './sequence.js';
+import { translatedAlignment } from './translatedAlignment.js';
+import { stringDistance } from './stringDistance.js';
+import { buildPhylogeny, toNewick } from './phylogeny.js';
+import { mapReads } from './readMapping.js';
+import { buildLibraryIndex, searchLibrary } from './databaseSearch.js';
+
+// Test helper function
+function runTest(testName, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ PASS: ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ FAIL: ${testName}`);
+    console.error(`   Error: ${error.message}`);
+    return false;
+  }
+}
+
+// Assertion helpers
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n  Expected: ${expected}\n  Actual: ${actual}`);
+  }
+}
+
+function assertThrows(fn, expectedMessage, message = '') {
+  let thrown = null;
+  try {
+    fn();
+  } catch (error) {
+    thrown = error.message;
+  }
+  assertEquals(thrown, expectedMessage, message);
+}
+
+// Progress reports must only move forward and finish at the total
+function assertProgressCompletes(reports, message = '') {
+  const increasing = reports.every(([done], i) => i === 0 || done > reports[i - 1][0]);
+  assertEquals(increasing, true, `${message}: progress only increases`);
+  const [done, total] = reports[reports.length - 1];
+  assertEquals(done, total, `${message}: progress completes`);
+}
+
+const baseJob = {
+  seq1: 'ACGTGATCA',
+  seq2: 'AGCTACCA',
+  scores: DEFAULT_SCORES,
+  affineGaps: false,
+  linearSpace: false,
+  band: null,
+  endGaps: END_GAP_PRESETS.overlap,
+  hits: null,
+  shuffle: null,
+};
+
+// =====================================================================
+// PAIRWISE JOB TESTS
+// =====================================================================
+
+function testPairwise_MatchesDirectCalls() {
+  const reports = [];
+  const results = runPairwiseJob(baseJob, (done, total) => reports.push([done, total]));
+
+  assertEquals(results.global.score, needlemanWunsch(baseJob.seq1, baseJob.seq2).score, 'Global score');
+  assertEquals(results.local.score, smithWaterman(baseJob.seq1, baseJob.seq2).score, 'Local score');
+  assertEquals(
+    results.semiglobal.score,
+    semiGlobal(baseJob.seq1, baseJob.seq2, DEFAULT_SCORES, END_GAP_PRESETS.overlap).score,
+    'Semi-global score'
+  );
+  assertEquals(results.coOptimal.global.score, results.global.score, 'Co-optimal global score');
+  assertEquals(results.localHits, null, 'Hits off');
+  assertEquals(results.shuffle, null, 'Shuffle off');
+  assertEquals(typeof results.significance.value.eValue, 'number', 'Local E-value');
+  assertProgressCompletes(reports, 'Pairwise');
+}
+
+function testPairwise_OptionalPhases() {
+  const results = runPairwiseJob({
+    ...baseJob,
+    hits: { maxHits: 3, minScore: 2 },
+    shuffle: { shuffles: 10, seed: 3 },
+  });
+  assertEquals(results.localHits.hits[0].score, results.local.score, 'First hit is the best local alignment');
+  assertEquals(results.shuffle.value.scores.length, 10, 'Shuffled scores');
+  assertEquals(results.distance, null, 'No string distance unless asked');
+
+  const distance = runPairwiseJob({ ...baseJob, distance: 'hamming' }).distance;
+  assertEquals(distance.error, 'Hamming distance needs sequences of equal length', 'Distance errors are reported');
+  const levenshtein = runPairwiseJob({ ...baseJob, distance: 'levenshtein' }).distance.value;
+  assertEquals(levenshtein.score, stringDistance('levenshtein', baseJob.seq1, baseJob.seq2).score, 'Edit distance');
+
+  // Affine gaps rule out everything that needs the linear-gap matrix
+  const affine = runPairwiseJob({
+    ...baseJob,
+    scores: { ...DEFAULT_SCORES, gapOpen: -4, gapExtend: -1 },
+    affineGaps: true,
+    hits: { maxHits: 3, minScore: 2 },
+    shuffle: { shuffles: 10, seed: 3 },
+  });
+  assertEquals(affine.global.gapModel, 'affine', 'Affine global');
+  assertEquals(affine.coOptimal.global, null, 'No global co-optimal paths');
+  assertEquals(affine.coOptimal.semiglobal !== null, true, 'Semi-global co-optimal paths remain');
+  assertEquals(affine.localHits, null, 'No hits');
+  assertEquals(affine.shuffle, null, 'No shuffle test');
+}
+
+function testPairwise_BothStrands() {
+  const seq2 = reverseComplement('GGCATGCAGTTAGCC');
+  const reports = [];
+  const results = runPairwiseJob(
+    { ...baseJob, seq1: 'TTGGCATGCAGTTAGCCTT', seq2, hits: { maxHits: 2, minScore: 2 }, bothStrands: true },
+    (done, total) => reports.push([done, total])
+  );
+
+  assertEquals(results.local.strand, '-', 'Local hit on the reverse complement');
+  assertEquals(results.local.score, smithWaterman('TTGGCATGCAGTTAGCCTT', reverseComplement(seq2)).score, 'Scored on that strand');
+  assertEquals(results.coOptimal.local.score, results.local.score, 'Co-optimal paths follow the strand');
+  assertEquals(results.localHits.hits[0].score, results.local.score, 'Hits follow the strand');
+  assertEquals(reports[0][1] >= 3 * 2 * 19, true, 'Each alignment runs twice');
+  assertProgressCompletes(reports, 'Both strands');
+
+  const single = runPairwiseJob({ ...baseJob, seq1: 'TTGGCATGCAGTTAGCCTT', seq2 });
+  assertEquals(single.local.strand, undefined, 'No strand without the option');
+}
+
+function testPairwise_LinearSpace() {
+  const seq1 = 'ACGTTGCAAC'.repeat(6);
+  const seq2 = 'ACGTAGCATC'.repeat(5);
+  const reports = [];
+  const results = runPairwiseJob(
+    { ...baseJob, seq1, seq2, linearSpace: true },
+    (done, total) => reports.push([done, total])
+  );
+
+  assertEquals(results.global.score, hirschberg(seq1, seq2).score, 'Hirschberg score');
+  assertEquals(results.global.linearSpace, true, 'Linear-space global');
+  assertEquals(results.semiglobal, null, 'No semi-global');
+  assertEquals(results.coOptimal, null, 'No co-optimal paths');
+  assertEquals(reports[reports.length - 1][1], 2 * seq1.length, 'Rows of the two alignments');
+  assertEquals(reports.length > 3, true, 'Progress within the alignments');
+  assertProgressCompletes(reports, 'Linear space');
+}
+
+// =====================================================================
+// MULTIPLE ALIGNMENT, DOT PLOT AND DISPATCH TESTS
+// =====================================================================
+
+function testMsa_ProgressCountsAlignments() {
+  const sequences = ['ACGTGA', 'ACGTTA', 'AGGTGA', 'ACCTGA'];
+  const reports = [];
+  const result = runMsaJob(
+    { sequences, names: ['a', 'b', 'c', 'd'], scores: DEFAULT_SCORES, treeMethod: 'upgma' },
+    (done, total) => reports.push([done, total])
+  );
+
+  assertEquals(result.score, progressiveAlignment(sequences).score, 'Same alignment as a direct call');
+  assertEquals(reports[0][1], 6 + 3, 'Six pairs and three merges');
+  assertProgressCompletes(reports, 'MSA');
+}
+
+function testDotPlot_ThrottledProgress() {
+  let seq1 = '';
+  for (let i = 0; i < 2000; i++) seq1 += 'ACGT'[(i * 5 + Math.floor(i / 7)) % 4];
+  const seq2 = seq1.slice(500, 1500);
+  const options = { wordSize: 6, window: 6, stringency: 6, inverted: true, size: 200 };
+  const reports = [];
+  const plot = runDotPlotJob({ seq1, seq2, ...options }, (done, total) => reports.push([done, total]));
+
+  assertEquals(plot.dots.forward, dotPlot(seq1, seq2, options).dots.forward, 'Same plot as a direct call');
+  assertEquals(reports[0][1], 2 * seq1.length, 'Rows of both strands');
+  assertEquals(reports.length <= 202, true, 'Progress is throttled');
+  assertProgressCompletes(reports, 'Dot plot');
+}
+
+function testTranslated_MatchesDirectCall() {
+  const job = {
+    nucleotides: 'GGATGAAATGGGTTACCTTTA',
+    protein: 'MKWVTF',
+    scores: { ...DEFAULT_SCORES, matrix: 'BLOSUM62', gap: -4 },
+    table: 1,
+    mode: 'local',
+  };
+  const reports = [];
+  const result = runJob('translated', job, (done, total) => reports.push([done, total]));
+
+  const { nucleotides, protein, scores } = job;
+  assertEquals(result.best.score, translatedAlignment(nucleotides, protein, scores).best.score, 'Same alignment as a direct call');
+  assertEquals(result.best.frame, 3, 'Frame found');
+  assertProgressCompletes(reports, 'Translated');
+}
+
+function testPhylogeny_MatchesDirectCall() {
+  const job = {
+    sequences: ['GATTACAGATT', 'GATTACAGATC', 'GACTACCGTTC'],
+    names: ['a', 'b', 'c'],
+    scores: DEFAULT_SCORES,
+    alignment: 'global',
+    correction: 'k2p',
+    treeMethod: 'nj',
+  };
+  const reports = [];
+  const result = runJob('phylogeny', job, (done, total) => reports.push([done, total]));
+
+  const { sequences, scores, ...options } = job;
+  const direct = buildPhylogeny(sequences, scores, options);
+  assertEquals(toNewick(result.tree), toNewick(direct.tree), 'Same tree as a direct call');
+  assertEquals(result.distances[0][2], direct.distances[0][2], 'Same distances');
+  assertProgressCompletes(reports, 'Phylogeny');
+}
+
+function testMapping_MatchesDirectCall() {
+  const reference = 'TTGACCGATTACAGGCATTCGGATCCAGTTAGCATGCAAGTC';
+  const job = {
+    reference,
+    reads: [
+      { id: 'r1', sequence: reference.slice(3, 23) },
+      { id: 'r2', sequence: reverseComplement(reference.slice(18, 38)) },
+    ],
+    scores: DEFAULT_SCORES,
+    seedLength: 8,
+  };
+  const reports = [];
+  const result = runJob('mapping', job, (done, total) => reports.push([done, total]));
+
+  const { reads, scores, ...options } = job;
+  const direct = mapReads(reference, reads, scores, options);
+  assertEquals(result.reads.map(read => `${read.position}${read.strand}${read.cigar}`).join(' '),
+    direct.reads.map(read => `${read.position}${read.strand}${read.cigar}`).join(' '), 'Same placements');
+  assertEquals(result.mapped, 2, 'Both reads placed');
+  assertProgressCompletes(reports, 'Mapping');
+}
+
+function testSearch_MatchesDirectCall() {
+  const query = 'GATTACAGGCATTCGGATCCAGTTAGCATG';
+  const job = {
+    query,
+    library: [
+      { id: 'hit', sequence: `TTGACC${query.slice(0, 20)}A${query.slice(20)}GTC` },
+      { id: 'other', sequence: 'CCCCGGGGAAAATTTTCCCCGGGGAAAATTTT' },
+    ],
+    scores: DEFAULT_SCORES,
+    wordSize: 8,
+  };
+  const reports = [];
+  const result = runJob('search', job, (done, total) => reports.push([done, total]));
+
+  const { library, scores, wordSize } = job;
+  const direct = searchLibrary(query, library, buildLibraryIndex(library, wordSize), scores);
+  assertEquals(result.hits.map(hit => `${hit.id}:${hit.score}`).join(' '),
+    direct.hits.map(hit => `${hit.id}:${hit.score}`).join(' '), 'Same hits');
+  assertEquals(result.hits[0].id, 'hit', 'Homolog found');
+  assertProgressCompletes(reports, 'Search');
+}
+
+function testDispatch_UnknownType() {
+  assertEquals(runJob('pairwise', baseJob).global.score, needlemanWunsch(baseJob.seq1, baseJob.seq2).score, 'Dispatch');
+  assertThrows(() => runJob('tree', {}), 'Unknown alignment job: tree', 'Unknown job type');
+  assertThrows(() => runPairwiseJob({ ...baseJob, seq2: '' }), 'Both sequences must be non-empty', 'Empty input');
+}
+
+// =====================================================================
+// RUN ALL TESTS
+// =====================================================================
+
+export function runAllTests() {
+  console.log('\n========================================');
+  console.log('ALIGNMENT JOBS TEST SUITE');
+  console.log('========================================\n');
+  
+  let passed = 0;
+  let failed = 0;
+  
+  const tests = [
+    ['Pairwise: Matches Direct Calls', testPairwise_MatchesDirectCalls],
+    ['Pairwise: Optional Phases', testPairwise_OptionalPhases],
+    ['Pairwise: Both Strands', testPairwise_BothStrands],
+    ['Pairwise: Linear Space', testPairwise_LinearSpace],
+    ['MSA: Progress Counts Alignments', testMsa_ProgressCountsAlignments],
+    ['Dot Plot: Throttled Progress', testDotPlot_ThrottledProgress],
+    ['Translated: Matches Direct Call', testTranslated_MatchesDirectCall],
+    ['Phylogeny: Matches Direct Call', testPhylogeny_MatchesDirectCall],
+    ['Mapping: Matches Direct Call', testMapping_MatchesDirectCall],
+    ['Search: Matches Direct Call', testSearch_MatchesDirectCall],
+    ['Dispatch: Unknown Type', testDispatch_UnknownType],
+  ];
+  
+  tests.forEach(([name, testFn]) => {
+    if (runTest(name, testFn)) {
+      passed++;
+    } else {
+      failed++;
+    }
+  });
+  
+  console.log('\n========================================');
+  console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+  
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run tests if this file is executed directly
+if (import.meta.url === `file://${globalThis.process?.argv[1]}`) {
+  runAllTests();
+}
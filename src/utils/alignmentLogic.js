@@ -1,70 +1,84 @@
 /**
  * Sequence Alignment Algorithms
- * Implements Needleman-Wunsch (Global) and Smith-Waterman (Local) with traceback.
+ * Implements Needleman-Wunsch (Global), Smith-Waterman (Local) and end-gap free
+ * Semi-Global alignment with traceback, plus Gotoh affine-gap variants and
+ * Waterman-Eggert multiple local hits.
  * Time: O(m×n), Space: O(m×n)
  */
 
-/** Default scoring system (BLOSUM/PAM conventions) */
+import { createScorer, isIntegerScoring } from './scoringMatrices.js';
+import {
+  MOVE,
+  createScoreMatrix,
+  createMoveMatrix,
+  setMove,
+  traceMoves,
+  matrixRows,
+} from './dpMatrix.js';
+
+/**
+ * Default scoring system. Set `matrix` to a substitution matrix (name or
+ * parsed object, see scoringMatrices.js) to replace match/mismatch.
+ */
 export const DEFAULT_SCORES = {
   match: 2,        // Reward for matching characters (positive reinforcement)
   mismatch: -1,    // Penalty for mismatches (biological mutations are costly)
   gap: -2,         // Gap penalty (insertions/deletions are expensive in evolution)
+  gapOpen: -4,     // Affine mode: cost of the first position of a gap
+  gapExtend: -1,   // Affine mode: cost of each further position in the same gap
+};
+
+/** Traceback move bit flags used by pointer matrices */
+export const POINTER = {
+  DIAGONAL: 1,  // xi aligned to yj, came from (i-1, j-1)
+  UP: 2,        // xi against a gap, came from (i-1, j)
+  LEFT: 4,      // yj against a gap, came from (i, j-1)
 };
 
 /**
- * Needleman-Wunsch Algorithm (Global Alignment)
- * Finds optimal end-to-end alignment with cumulative gap penalties.
- * 
- * Recurrence: F(i,j) = max{F(i-1,j-1)+s(xi,yj), F(i-1,j)+gap, F(i,j-1)+gap}
- * 
- * @param {string} seq1 - First sequence
- * @param {string} seq2 - Second sequence
- * @param {object} scores - {match, mismatch, gap}
- * @returns {object} {matrix, path, alignedSeq1, alignedSeq2, score}
+ * Pointer mask of every candidate that reproduces a cell's score (ties
+ * included). Local cells that scored zero get no pointer because an
+ * alignment may start there.
+ * @private
  */
-export function needlemanWunsch(
-  seq1, 
-  seq2, 
-  scores = DEFAULT_SCORES
-) {
-  if (!seq1 || !seq2 || seq1.length === 0 || seq2.length === 0) {
-    throw new Error('Both sequences must be non-empty');
-  }
-  
-  const m = seq1.length;
-  const n = seq2.length;
-  
-  // Initialize matrix with dimensions (m+1) x (n+1)
-  const matrix = Array(m + 1)
+function tiedMoves(current, diagonal, up, left, local = false) {
+  const epsilon = 1e-10;
+  if (local && current < epsilon) return 0;
+  let mask = 0;
+  if (Math.abs(current - diagonal) < epsilon) mask |= POINTER.DIAGONAL;
+  if (Math.abs(current - up) < epsilon) mask |= POINTER.UP;
+  if (Math.abs(current - left) < epsilon) mask |= POINTER.LEFT;
+  return mask;
+}
+
+/**
+ * Empty (m+1)×(n+1) pointer matrix. Global edges always point back along
+ * the edge; local edges have no pointer.
+ * @private
+ */
+function createPointerMatrix(m, n, local) {
+  const pointers = Array(m + 1)
     .fill(null)
     .map(() => Array(n + 1).fill(0));
-  
-  // Initialize edges with cumulative gap penalties (global alignment)
-  for (let i = 0; i <= m; i++) matrix[i][0] = i * scores.gap;
-  for (let j = 0; j <= n; j++) matrix[0][j] = j * scores.gap;
-  
-  // Fill matrix using dynamic programming
-  for (let i = 1; i <= m; i++) {
-    for (let j = 1; j <= n; j++) {
-      const char1 = seq1[i - 1];
-      const char2 = seq2[j - 1];
-      const matchScore = char1 === char2 ? scores.match : scores.mismatch;
-      
-      const diagonal = matrix[i - 1][j - 1] + matchScore;
-      const up = matrix[i - 1][j] + scores.gap;
-      const left = matrix[i][j - 1] + scores.gap;
-      
-      matrix[i][j] = Math.max(diagonal, up, left);
-    }
+  if (!local) {
+    for (let i = 1; i <= m; i++) pointers[i][0] = POINTER.UP;
+    for (let j = 1; j <= n; j++) pointers[0][j] = POINTER.LEFT;
   }
-  
-  // Traceback from (m,n) to (0,0) to reconstruct alignment
+  return pointers;
+}
+
+/**
+ * Linear-gap traceback from (startRow, startCol) back to (0,0).
+ * Ties are broken diagonal > up > left; edge cells walk straight to the origin.
+ * @private
+ */
+function tracebackGlobal(seq1, seq2, matrix, scores, substitute, startRow, startCol) {
   const path = [];
   let alignedSeq1 = '';
   let alignedSeq2 = '';
   
-  let i = m;
-  let j = n;
+  let i = startRow;
+  let j = startCol;
   const epsilon = 1e-10;
   
   while (i > 0 || j > 0) {
@@ -86,7 +100,7 @@ export function needlemanWunsch(
     const currentScore = matrix[i][j];
     const char1 = seq1[i - 1];
     const char2 = seq2[j - 1];
-    const matchScore = char1 === char2 ? scores.match : scores.mismatch;
+    const matchScore = substitute(char1, char2);
     
     const diagonalScore = matrix[i - 1][j - 1] + matchScore;
     const upScore = matrix[i - 1][j] + scores.gap;
@@ -115,14 +129,233 @@ export function needlemanWunsch(
   }
   
   path.push({ row: 0, col: 0 });
-  return {
-    matrix,
-    path: path.reverse(),
+  return { path: path.reverse(), alignedSeq1, alignedSeq2 };
+}
+
+/**
+ * Linear-gap local traceback from maxPos until a zero cell is reached.
+ * Ties are broken diagonal > up > left, as in tracebackGlobal.
+ * @private
+ */
+function tracebackLocal(seq1, seq2, matrix, scores, substitute, maxPos) {
+  const path = [];
+  let alignedSeq1 = '';
+  let alignedSeq2 = '';
+  
+  let i = maxPos.row;
+  let j = maxPos.col;
+  const epsilon = 1e-10;
+  
+  while (i > 0 && j > 0 && matrix[i][j] > epsilon) {
+    path.push({ row: i, col: j });
+    
+    const currentScore = matrix[i][j];
+    const char1 = seq1[i - 1];
+    const char2 = seq2[j - 1];
+    const matchScore = substitute(char1, char2);
+    
+    const diagonalScore = matrix[i - 1][j - 1] + matchScore;
+    const upScore = matrix[i - 1][j] + scores.gap;
+    const leftScore = matrix[i][j - 1] + scores.gap;
+    
+    if (Math.abs(currentScore - diagonalScore) < epsilon) {
+      alignedSeq1 = char1 + alignedSeq1;
+      alignedSeq2 = char2 + alignedSeq2;
+      i--; j--;
+    } 
+    else if (Math.abs(currentScore - upScore) < epsilon) {
+      alignedSeq1 = char1 + alignedSeq1;
+      alignedSeq2 = '-' + alignedSeq2;
+      i--;
+    } 
+    else if (Math.abs(currentScore - leftScore) < epsilon) {
+      alignedSeq1 = '-' + alignedSeq1;
+      alignedSeq2 = char2 + alignedSeq2;
+      j--;
+    } 
+    else {
+      break;
+    }
+  }
+  
+  path.push({ row: i, col: j });
+  return { path: path.reverse(), alignedSeq1, alignedSeq2, startPos: { row: i, col: j } };
+}
+
+/**
+ * Linear-gap fill into flat storage (see dpMatrix.js). Global edges hold
+ * cumulative gaps, or zero where a leading overhang is free; local cells
+ * are floored at zero. Each cell records one traceback move, ties broken
+ * diagonal > up > left; local cells that score zero record none, so a
+ * traceback stops there.
+ * @private
+ */
+function fillLinear(seq1, seq2, scores, substitute, { local = false, freeRows = false, freeCols = false } = {}) {
+  const m = seq1.length;
+  const n = seq2.length;
+  const cols = n + 1;
+  const matrix = createScoreMatrix(m + 1, cols, isIntegerScoring(scores, [seq1, seq2]));
+  const moves = createMoveMatrix(m + 1, cols);
+  const H = matrix.values;
+  const gap = scores.gap;
+  const epsilon = 1e-10;
+
+  if (!local) {
+    for (let i = 1; i <= m; i++) {
+      H[i * cols] = freeRows ? 0 : i * gap;
+      setMove(moves, i, 0, MOVE.UP);
+    }
+    for (let j = 1; j <= n; j++) {
+      H[j] = freeCols ? 0 : j * gap;
+      setMove(moves, 0, j, MOVE.LEFT);
+    }
+  }
+
+  let maxScore = 0;
+  let maxPos = { row: 0, col: 0 };
+  for (let i = 1; i <= m; i++) {
+    const char1 = seq1[i - 1];
+    const row = i * cols;
+    const above = row - cols;
+    for (let j = 1; j <= n; j++) {
+      const diagonal = H[above + j - 1] + substitute(char1, seq2[j - 1]);
+      const up = H[above + j] + gap;
+      const left = H[row + j - 1] + gap;
+      const value = local ? Math.max(0, diagonal, up, left) : Math.max(diagonal, up, left);
+      H[row + j] = value;
+      if (local && value <= epsilon) continue;
+
+      let move = MOVE.LEFT;
+      if (Math.abs(value - diagonal) < epsilon) move = MOVE.DIAGONAL;
+      else if (Math.abs(value - up) < epsilon) move = MOVE.UP;
+      setMove(moves, i, j, move);
+
+      if (local && value > maxScore) {
+        maxScore = value;
+        maxPos = { row: i, col: j };
+      }
+    }
+  }
+
+  return { matrix, moves, maxScore, maxPos };
+}
+
+const matrixViews = new WeakMap();
+
+/**
+ * Nested-array views of a full-matrix result: `matrix` (matrix[i][j]
+ * scores) and `pointers` (POINTER masks of every tied move).
+ * needlemanWunsch, smithWaterman, semiGlobal and bandedAlignment store flat
+ * typed arrays, so their views are built on first use, re-deriving the tie
+ * masks from the scores, and cached per score matrix; cells outside a band
+ * are null with no pointers. Results that carry nested arrays themselves
+ * (affine) are returned as they are.
+ *
+ * Flat results also expose the views as lazy `matrix` / `pointers`
+ * properties, but those are not copied with the result (spread, or posted
+ * from a worker); this function works on any copy.
+ *
+ * @param {object} result - Alignment result
+ * @param {string} seq1 - First sequence, as aligned
+ * @param {string} seq2 - Second sequence, as aligned
+ * @param {object} scores - Scoring scheme the result was computed with
+ * @returns {{matrix: number[][], pointers: number[][]}}
+ */
+export function matrixView(result, seq1, seq2, scores = DEFAULT_SCORES) {
+  const { scoreMatrix } = result;
+  if (!scoreMatrix) return { matrix: result.matrix, pointers: result.pointers };
+  if (matrixViews.has(scoreMatrix)) return matrixViews.get(scoreMatrix);
+
+  const matrix = matrixRows(scoreMatrix);
+  const local = result.mode === 'local';
+  const pointers = createPointerMatrix(seq1.length, seq2.length, local);
+  const substitute = createScorer(scores);
+  const at = (i, j) => matrix[i][j] ?? -Infinity;
+  for (let i = 0; i <= seq1.length; i++) {
+    for (let j = 0; j <= seq2.length; j++) {
+      if (matrix[i][j] === null) {
+        pointers[i][j] = 0;
+        continue;
+      }
+      if (i === 0 || j === 0) continue;
+      pointers[i][j] = tiedMoves(
+        matrix[i][j],
+        at(i - 1, j - 1) + substitute(seq1[i - 1], seq2[j - 1]),
+        at(i - 1, j) + scores.gap,
+        at(i, j - 1) + scores.gap,
+        local
+      );
+    }
+  }
+
+  const view = { matrix, pointers };
+  matrixViews.set(scoreMatrix, view);
+  return view;
+}
+
+/**
+ * Give a flat-storage result lazy, non-enumerable `matrix` and `pointers`
+ * properties backed by matrixView.
+ *
+ * @param {object} result - Alignment result with a scoreMatrix
+ * @param {string} seq1 - First sequence, as aligned
+ * @param {string} seq2 - Second sequence, as aligned
+ * @param {object} scores - Scoring scheme the result was computed with
+ * @returns {object} The same result
+ */
+export function withMatrixView(result, seq1, seq2, scores) {
+  for (const name of ['matrix', 'pointers']) {
+    Object.defineProperty(result, name, {
+      get: () => matrixView(result, seq1, seq2, scores)[name],
+      enumerable: false,
+    });
+  }
+  return result;
+}
+
+/**
+ * Needleman-Wunsch Algorithm (Global Alignment)
+ * Finds optimal end-to-end alignment with cumulative gap penalties.
+ * 
+ * Recurrence: F(i,j) = max{F(i-1,j-1)+s(xi,yj), F(i-1,j)+gap, F(i,j-1)+gap}
+ * where s is match/mismatch or a substitution matrix lookup.
+ * 
+ * @param {string} seq1 - First sequence
+ * @param {string} seq2 - Second sequence
+ * @param {object} scores - {match, mismatch, gap} or {matrix, gap}
+ * @returns {object} {scoreMatrix, moves, path, alignedSeq1, alignedSeq2, score, mode}
+ *   in flat storage, plus the nested matrix/pointers views (see matrixView)
+ *   where pointers[i][j] is a POINTER bit mask of every move tied for the cell's score
+ */
+export function needlemanWunsch(
+  seq1, 
+  seq2, 
+  scores = DEFAULT_SCORES
+) {
+  if (!seq1 || !seq2 || seq1.length === 0 || seq2.length === 0) {
+    throw new Error('Both sequences must be non-empty');
+  }
+  
+  const m = seq1.length;
+  const n = seq2.length;
+  const substitute = createScorer(scores);
+  
+  // Edges carry cumulative gap penalties (global alignment)
+  const { matrix, moves } = fillLinear(seq1, seq2, scores, substitute);
+  
+  // Traceback from (m,n) to (0,0) to reconstruct alignment
+  const { path, alignedSeq1, alignedSeq2 } = traceMoves(seq1, seq2, moves, m, n);
+  
+  return withMatrixView({
+    scoreMatrix: matrix,
+    moves,
+    path,
     alignedSeq1,
     alignedSeq2,
-    score: matrix[m][n],
+    score: matrix.values[m * (n + 1) + n],
+    mode: 'global',
     algorithm: 'Needleman-Wunsch'
-  };
+  }, seq1, seq2, scores);
 }
 
 /**
@@ -133,8 +366,9 @@ export function needlemanWunsch(
  * 
  * @param {string} seq1 - First sequence
  * @param {string} seq2 - Second sequence
- * @param {object} scores - {match, mismatch, gap}
- * @returns {object} {matrix, path, alignedSeq1, alignedSeq2, score, startPos, endPos}
+ * @param {object} scores - {match, mismatch, gap} or {matrix, gap}
+ * @returns {object} {scoreMatrix, moves, path, alignedSeq1, alignedSeq2, score, startPos, endPos, mode}
+ *   plus the nested matrix/pointers views (see matrixView)
  */
 export function smithWaterman(
   seq1, 
@@ -145,10 +379,38 @@ export function smithWaterman(
     throw new Error('Both sequences must be non-empty');
   }
   
+  const substitute = createScorer(scores);
+  
+  // Edges stay 0 and every cell is floored at 0 (local alignment)
+  const { matrix, moves, maxScore, maxPos } = fillLinear(seq1, seq2, scores, substitute, { local: true });
+  
+  // Traceback from max score to zero
+  const { path, alignedSeq1, alignedSeq2, startPos } = traceMoves(
+    seq1, seq2, moves, maxPos.row, maxPos.col
+  );
+  
+  return withMatrixView({
+    scoreMatrix: matrix,
+    moves,
+    path,
+    alignedSeq1,
+    alignedSeq2,
+    score: maxScore,
+    startPos,
+    endPos: maxPos,
+    mode: 'local',
+    algorithm: 'Smith-Waterman'
+  }, seq1, seq2, scores);
+}
+
+/**
+ * Smith-Waterman fill in which aligned pairs already claimed by earlier hits
+ * may not be entered diagonally. Returns the matrix and its first maximum.
+ * @private
+ */
+function fillBlockedLocal(seq1, seq2, scores, substitute, blocked) {
   const m = seq1.length;
   const n = seq2.length;
-  
-  // Initialize matrix (edges remain 0 for local alignment)
   const matrix = Array(m + 1)
     .fill(null)
     .map(() => Array(n + 1).fill(0));
@@ -156,14 +418,11 @@ export function smithWaterman(
   let maxScore = 0;
   let maxPos = { row: 0, col: 0 };
   
-  // Fill matrix with local alignment scoring
   for (let i = 1; i <= m; i++) {
     for (let j = 1; j <= n; j++) {
-      const char1 = seq1[i - 1];
-      const char2 = seq2[j - 1];
-      const matchScore = char1 === char2 ? scores.match : scores.mismatch;
-      
-      const diagonal = matrix[i - 1][j - 1] + matchScore;
+      const diagonal = blocked[i][j]
+        ? -Infinity
+        : matrix[i - 1][j - 1] + substitute(seq1[i - 1], seq2[j - 1]);
       const up = matrix[i - 1][j] + scores.gap;
       const left = matrix[i][j - 1] + scores.gap;
       
@@ -176,57 +435,776 @@ export function smithWaterman(
     }
   }
   
-  // Traceback from max score to zero
-  const path = [];
-  let alignedSeq1 = '';
-  let alignedSeq2 = '';
+  return { matrix, maxScore, maxPos };
+}
+
+/**
+ * Waterman-Eggert Algorithm (Multiple Local Alignments)
+ * Repeats Smith-Waterman, each time forbidding the aligned residue pairs of
+ * the hits already reported, so later hits never share a match/mismatch pair
+ * with earlier ones. The matrix is recomputed after every hit (declumping),
+ * so each hit is optimal among alignments avoiding the earlier ones.
+ * 
+ * @param {string} seq1 - First sequence
+ * @param {string} seq2 - Second sequence
+ * @param {object} scores - {match, mismatch, gap} or {matrix, gap}
+ * @param {object} options - {maxHits, minScore}
+ * @returns {object} {matrix, hits, algorithm} where matrix is the unblocked
+ *   Smith-Waterman matrix and hits are ordered by decreasing score
+ */
+export function watermanEggert(
+  seq1,
+  seq2,
+  scores = DEFAULT_SCORES,
+  { maxHits = 5, minScore = 1 } = {}
+) {
+  if (!seq1 || !seq2 || seq1.length === 0 || seq2.length === 0) {
+    throw new Error('Both sequences must be non-empty');
+  }
   
-  let i = maxPos.row;
-  let j = maxPos.col;
+  const m = seq1.length;
+  const n = seq2.length;
+  const substitute = createScorer(scores);
+  const blocked = Array(m + 1)
+    .fill(null)
+    .map(() => Array(n + 1).fill(false));
   const epsilon = 1e-10;
   
-  while (i > 0 && j > 0 && matrix[i][j] > epsilon) {
-    path.push({ row: i, col: j });
+  let firstMatrix = null;
+  const hits = [];
+  
+  while (hits.length < maxHits) {
+    const { matrix, maxScore, maxPos } = fillBlockedLocal(seq1, seq2, scores, substitute, blocked);
+    if (!firstMatrix) firstMatrix = matrix;
+    if (maxScore <= epsilon || maxScore < minScore) break;
     
-    const currentScore = matrix[i][j];
-    const char1 = seq1[i - 1];
-    const char2 = seq2[j - 1];
-    const matchScore = char1 === char2 ? scores.match : scores.mismatch;
+    // Traceback as in smithWaterman, never stepping diagonally into a blocked pair
+    const path = [];
+    const pairs = [];
+    let alignedSeq1 = '';
+    let alignedSeq2 = '';
+    let i = maxPos.row;
+    let j = maxPos.col;
     
-    const diagonalScore = matrix[i - 1][j - 1] + matchScore;
-    const upScore = matrix[i - 1][j] + scores.gap;
-    const leftScore = matrix[i][j - 1] + scores.gap;
+    while (i > 0 && j > 0 && matrix[i][j] > epsilon) {
+      path.push({ row: i, col: j });
+      const currentScore = matrix[i][j];
+      const char1 = seq1[i - 1];
+      const char2 = seq2[j - 1];
+      
+      if (!blocked[i][j] &&
+          Math.abs(currentScore - (matrix[i - 1][j - 1] + substitute(char1, char2))) < epsilon) {
+        pairs.push([i, j]);
+        alignedSeq1 = char1 + alignedSeq1;
+        alignedSeq2 = char2 + alignedSeq2;
+        i--; j--;
+      } else if (Math.abs(currentScore - (matrix[i - 1][j] + scores.gap)) < epsilon) {
+        alignedSeq1 = char1 + alignedSeq1;
+        alignedSeq2 = '-' + alignedSeq2;
+        i--;
+      } else if (Math.abs(currentScore - (matrix[i][j - 1] + scores.gap)) < epsilon) {
+        alignedSeq1 = '-' + alignedSeq1;
+        alignedSeq2 = char2 + alignedSeq2;
+        j--;
+      } else {
+        break;
+      }
+    }
+    path.push({ row: i, col: j });
     
-    if (Math.abs(currentScore - diagonalScore) < epsilon) {
-      alignedSeq1 = char1 + alignedSeq1;
-      alignedSeq2 = char2 + alignedSeq2;
+    pairs.forEach(([row, col]) => { blocked[row][col] = true; });
+    hits.push({
+      path: path.reverse(),
+      alignedSeq1,
+      alignedSeq2,
+      score: maxScore,
+      startPos: { row: i, col: j },
+      endPos: maxPos,
+    });
+  }
+  
+  return {
+    matrix: firstMatrix,
+    hits,
+    algorithm: 'Waterman-Eggert',
+  };
+}
+
+/** Free end-gap presets for semi-global alignment */
+export const END_GAP_PRESETS = {
+  // Suffix of one sequence overlaps the prefix of the other
+  overlap: { seq1Start: true, seq1End: true, seq2Start: true, seq2End: true },
+  // Whole of Sequence 2 fitted inside Sequence 1 (glocal / fitting alignment)
+  seq2InSeq1: { seq1Start: true, seq1End: true, seq2Start: false, seq2End: false },
+  // Whole of Sequence 1 fitted inside Sequence 2
+  seq1InSeq2: { seq1Start: false, seq1End: false, seq2Start: true, seq2End: true },
+};
+
+/**
+ * Semi-Global Alignment (end-gap free)
+ * Needleman-Wunsch where overhanging residues at either end of either
+ * sequence can be left unaligned at no cost. Each flag frees one end:
+ * seq1Start/seq1End let residues at the start/end of Sequence 1 hang over,
+ * seq2Start/seq2End do the same for Sequence 2.
+ *
+ * Free starts zero the matching matrix edge; free ends let the traceback
+ * begin at the best cell of the last column (seq1End) and/or last row
+ * (seq2End) instead of (m,n).
+ *
+ * @param {string} seq1 - First sequence
+ * @param {string} seq2 - Second sequence
+ * @param {object} scores - {match, mismatch, gap} or {matrix, gap}
+ * @param {object} endGaps - {seq1Start, seq1End, seq2Start, seq2End}
+ * @returns {object} {scoreMatrix, moves, path, alignedSeq1, alignedSeq2, score, endPos, endGaps, mode}
+ *   plus the nested matrix/pointers views (see matrixView)
+ */
+export function semiGlobal(
+  seq1,
+  seq2,
+  scores = DEFAULT_SCORES,
+  endGaps = END_GAP_PRESETS.overlap
+) {
+  if (!seq1 || !seq2 || seq1.length === 0 || seq2.length === 0) {
+    throw new Error('Both sequences must be non-empty');
+  }
+
+  const m = seq1.length;
+  const n = seq2.length;
+  const substitute = createScorer(scores);
+
+  // Leading overhangs are free when their edge stays at zero
+  const { matrix, moves } = fillLinear(seq1, seq2, scores, substitute, {
+    freeRows: endGaps.seq1Start,
+    freeCols: endGaps.seq2Start,
+  });
+  const at = (row, col) => matrix.values[row * (n + 1) + col];
+
+  // Trailing overhangs are free when the traceback may start before (m,n)
+  const endPos = semiGlobalEnd(m, n, at, endGaps);
+
+  const traceback = traceMoves(seq1, seq2, moves, endPos.row, endPos.col);
+
+  // Walk the free trailing overhang along the last column or row
+  const overhangPath = [];
+  let overhang1 = '';
+  let overhang2 = '';
+  for (let i = endPos.row + 1; i <= m; i++) {
+    overhangPath.push({ row: i, col: n });
+    overhang1 += seq1[i - 1];
+    overhang2 += '-';
+  }
+  for (let j = endPos.col + 1; j <= n; j++) {
+    overhangPath.push({ row: m, col: j });
+    overhang1 += '-';
+    overhang2 += seq2[j - 1];
+  }
+
+  return withMatrixView({
+    scoreMatrix: matrix,
+    moves,
+    path: [...traceback.path, ...overhangPath],
+    alignedSeq1: traceback.alignedSeq1 + overhang1,
+    alignedSeq2: traceback.alignedSeq2 + overhang2,
+    score: at(endPos.row, endPos.col),
+    endPos,
+    endGaps: { ...endGaps },
+    mode: 'semiglobal',
+    algorithm: 'Semi-Global'
+  }, seq1, seq2, scores);
+}
+
+/**
+ * Best semi-global end cell: (m,n) unless a free trailing overhang scores
+ * higher in the last column (seq1End) or last row (seq2End); the first
+ * strictly better cell wins.
+ * @private
+ */
+function semiGlobalEnd(m, n, at, endGaps) {
+  let endPos = { row: m, col: n };
+  if (endGaps.seq1End) {
+    for (let i = 0; i <= m; i++) {
+      if (at(i, n) > at(endPos.row, endPos.col)) endPos = { row: i, col: n };
+    }
+  }
+  if (endGaps.seq2End) {
+    for (let j = 0; j <= n; j++) {
+      if (at(m, j) > at(endPos.row, endPos.col)) endPos = { row: m, col: j };
+    }
+  }
+  return endPos;
+}
+
+/**
+ * Score-only alignment in two rolling rows: O(n) memory and no traceback,
+ * for callers that need nothing but the score (distance matrices, shuffle
+ * statistics). Scores match needlemanWunsch, smithWaterman and semiGlobal.
+ *
+ * @param {string} seq1 - First sequence
+ * @param {string} seq2 - Second sequence
+ * @param {object} scores - {match, mismatch, gap} or {matrix, gap}
+ * @param {object} options - { mode: 'global' | 'local' | 'semiglobal',
+ *   endGaps (semi-global) }
+ * @returns {{score: number, endPos: {row: number, col: number}}} endPos is
+ *   the cell the score was taken from
+ */
+export function alignmentScore(
+  seq1,
+  seq2,
+  scores = DEFAULT_SCORES,
+  { mode = 'global', endGaps = END_GAP_PRESETS.overlap } = {}
+) {
+  if (!seq1 || !seq2 || seq1.length === 0 || seq2.length === 0) {
+    throw new Error('Both sequences must be non-empty');
+  }
+  if (!['global', 'local', 'semiglobal'].includes(mode)) {
+    throw new Error(`Unknown alignment mode: ${mode}`);
+  }
+
+  const m = seq1.length;
+  const n = seq2.length;
+  const substitute = createScorer(scores);
+  const gap = scores.gap;
+  const local = mode === 'local';
+  const semi = mode === 'semiglobal';
+  const freeRows = semi && endGaps.seq1Start;
+  const freeCols = semi && endGaps.seq2Start;
+
+  const RowArray = isIntegerScoring(scores, [seq1, seq2]) ? Int32Array : Float64Array;
+  let previous = new RowArray(n + 1);
+  let current = new RowArray(n + 1);
+  if (!local && !freeCols) {
+    for (let j = 1; j <= n; j++) previous[j] = j * gap;
+  }
+
+  // The last column is only kept for a free trailing Sequence 1 overhang
+  const lastColumn = semi && endGaps.seq1End ? new RowArray(m + 1) : null;
+  if (lastColumn) lastColumn[0] = previous[n];
+
+  let maxScore = 0;
+  let maxPos = { row: 0, col: 0 };
+  for (let i = 1; i <= m; i++) {
+    current[0] = local || freeRows ? 0 : i * gap;
+    const char1 = seq1[i - 1];
+    for (let j = 1; j <= n; j++) {
+      const value = Math.max(
+        previous[j - 1] + substitute(char1, seq2[j - 1]),
+        previous[j] + gap,
+        current[j - 1] + gap
+      );
+      current[j] = local ? Math.max(0, value) : value;
+      if (local && current[j] > maxScore) {
+        maxScore = current[j];
+        maxPos = { row: i, col: j };
+      }
+    }
+    if (lastColumn) lastColumn[i] = current[n];
+    [previous, current] = [current, previous];
+  }
+
+  if (local) return { score: maxScore, endPos: maxPos };
+  if (!semi) return { score: previous[n], endPos: { row: m, col: n } };
+
+  // previous now holds the last row
+  const at = (row, col) => (row === m ? previous[col] : lastColumn[row]);
+  const endPos = semiGlobalEnd(m, n, at, endGaps);
+  return { score: at(endPos.row, endPos.col), endPos };
+}
+
+/**
+ * Allocate one (m+1) x (n+1) matrix per Gotoh state, filled with -Infinity.
+ * @private
+ */
+function createStateMatrices(m, n) {
+  const make = () => Array(m + 1)
+    .fill(null)
+    .map(() => Array(n + 1).fill(-Infinity));
+  return { M: make(), X: make(), Y: make() };
+}
+
+/**
+ * Fill the three Gotoh state matrices.
+ *
+ *   M(i,j) = s(xi,yj) + max{M, X, Y}(i-1,j-1)            // xi aligned to yj
+ *   X(i,j) = max{M(i-1,j)+open, X(i-1,j)+extend, Y(i-1,j)+open}  // xi against a gap
+ *   Y(i,j) = max{M(i,j-1)+open, Y(i,j-1)+extend, X(i,j-1)+open}  // yj against a gap
+ *
+ * In local mode M may also restart from 0, and the edges never open a gap.
+ * @private
+ */
+function fillAffineMatrices(seq1, seq2, scores, local) {
+  const m = seq1.length;
+  const n = seq2.length;
+  const { M, X, Y } = createStateMatrices(m, n);
+  const { gapOpen, gapExtend } = scores;
+  const substitute = createScorer(scores);
+
+  M[0][0] = 0;
+  if (!local) {
+    for (let i = 1; i <= m; i++) {
+      X[i][0] = Math.max(M[i - 1][0] + gapOpen, X[i - 1][0] + gapExtend);
+    }
+    for (let j = 1; j <= n; j++) {
+      Y[0][j] = Math.max(M[0][j - 1] + gapOpen, Y[0][j - 1] + gapExtend);
+    }
+  }
+
+  for (let i = 1; i <= m; i++) {
+    for (let j = 1; j <= n; j++) {
+      const matchScore = substitute(seq1[i - 1], seq2[j - 1]);
+      const bestPrev = Math.max(M[i - 1][j - 1], X[i - 1][j - 1], Y[i - 1][j - 1]);
+
+      M[i][j] = matchScore + (local ? Math.max(0, bestPrev) : bestPrev);
+      X[i][j] = Math.max(
+        M[i - 1][j] + gapOpen,
+        X[i - 1][j] + gapExtend,
+        Y[i - 1][j] + gapOpen
+      );
+      Y[i][j] = Math.max(
+        M[i][j - 1] + gapOpen,
+        Y[i][j - 1] + gapExtend,
+        X[i][j - 1] + gapOpen
+      );
+    }
+  }
+
+  return { M, X, Y };
+}
+
+/**
+ * Trace back through the Gotoh state matrices starting in `state` at (i,j).
+ * Ties are broken M > X > Y, mirroring the diagonal > up > left order of the
+ * linear-gap traceback. Local traceback stops when M restarted from zero.
+ * @private
+ */
+function tracebackAffine(seq1, seq2, scores, matrices, start, local) {
+  const { M, X, Y } = matrices;
+  const { gapOpen, gapExtend } = scores;
+  const substitute = createScorer(scores);
+  const epsilon = 1e-10;
+  const equals = (a, b) => Math.abs(a - b) < epsilon;
+
+  const path = [];
+  let alignedSeq1 = '';
+  let alignedSeq2 = '';
+  let { row: i, col: j, state } = start;
+
+  while (i > 0 || j > 0) {
+    path.push({ row: i, col: j, state });
+
+    if (state === 'M') {
+      const matchScore = substitute(seq1[i - 1], seq2[j - 1]);
+      const prevScore = M[i][j] - matchScore;
+      alignedSeq1 = seq1[i - 1] + alignedSeq1;
+      alignedSeq2 = seq2[j - 1] + alignedSeq2;
       i--; j--;
-    } 
-    else if (Math.abs(currentScore - upScore) < epsilon) {
-      alignedSeq1 = char1 + alignedSeq1;
+
+      // Local alignment restarted from zero here
+      if (local && equals(prevScore, 0)) break;
+      if (equals(M[i][j], prevScore)) state = 'M';
+      else if (equals(X[i][j], prevScore)) state = 'X';
+      else state = 'Y';
+    }
+    else if (state === 'X') {
+      const current = X[i][j];
+      alignedSeq1 = seq1[i - 1] + alignedSeq1;
       alignedSeq2 = '-' + alignedSeq2;
       i--;
-    } 
-    else if (Math.abs(currentScore - leftScore) < epsilon) {
+
+      if (equals(current, M[i][j] + gapOpen)) state = 'M';
+      else if (equals(current, X[i][j] + gapExtend)) state = 'X';
+      else state = 'Y';
+    }
+    else {
+      const current = Y[i][j];
       alignedSeq1 = '-' + alignedSeq1;
-      alignedSeq2 = char2 + alignedSeq2;
+      alignedSeq2 = seq2[j - 1] + alignedSeq2;
       j--;
-    } 
-    else {
-      break;
+
+      if (equals(current, M[i][j] + gapOpen)) state = 'M';
+      else if (equals(current, Y[i][j] + gapExtend)) state = 'Y';
+      else state = 'X';
     }
   }
-  
-  path.push({ row: i, col: j });
+
+  path.push({ row: i, col: j, state: 'M' });
+  return { path: path.reverse(), alignedSeq1, alignedSeq2, startPos: { row: i, col: j } };
+}
+
+/**
+ * Collapse the three state matrices into the best score per cell for display.
+ * @private
+ */
+function combineStateMatrices({ M, X, Y }, local) {
+  return M.map((row, i) => row.map((value, j) => {
+    const best = Math.max(value, X[i][j], Y[i][j]);
+    return local ? Math.max(0, best) : best;
+  }));
+}
+
+/**
+ * Needleman-Wunsch with affine gap penalties (Gotoh, 1982)
+ * A gap of length k costs gapOpen + (k-1)×gapExtend, so long indels are no
+ * longer fragmented into many short ones.
+ *
+ * @param {string} seq1 - First sequence
+ * @param {string} seq2 - Second sequence
+ * @param {object} scores - {match, mismatch, gapOpen, gapExtend} or {matrix, gapOpen, gapExtend}
+ * @returns {object} {matrix, matrices: {M, X, Y}, path, alignedSeq1, alignedSeq2, score}
+ *   where every path cell carries the state ('M', 'X' or 'Y') it passes through
+ */
+export function needlemanWunschAffine(
+  seq1,
+  seq2,
+  scores = DEFAULT_SCORES
+) {
+  if (!seq1 || !seq2 || seq1.length === 0 || seq2.length === 0) {
+    throw new Error('Both sequences must be non-empty');
+  }
+
+  const m = seq1.length;
+  const n = seq2.length;
+  const matrices = fillAffineMatrices(seq1, seq2, scores, false);
+  const { M, X, Y } = matrices;
+
+  // Start the traceback in whichever state holds the best final score
+  const score = Math.max(M[m][n], X[m][n], Y[m][n]);
+  let state = 'Y';
+  if (M[m][n] === score) state = 'M';
+  else if (X[m][n] === score) state = 'X';
+
+  const { path, alignedSeq1, alignedSeq2 } = tracebackAffine(
+    seq1, seq2, scores, matrices, { row: m, col: n, state }, false
+  );
+
   return {
-    matrix,
-    path: path.reverse(),
+    matrix: combineStateMatrices(matrices, false),
+    matrices,
+    path,
     alignedSeq1,
     alignedSeq2,
+    score,
+    gapModel: 'affine',
+    algorithm: 'Needleman-Wunsch (Affine)'
+  };
+}
+
+/**
+ * Smith-Waterman with affine gap penalties (Gotoh, 1982)
+ * A local alignment always ends on an aligned pair, so the best cell is
+ * searched for in the M matrix only.
+ *
+ * @param {string} seq1 - First sequence
+ * @param {string} seq2 - Second sequence
+ * @param {object} scores - {match, mismatch, gapOpen, gapExtend} or {matrix, gapOpen, gapExtend}
+ * @returns {object} {matrix, matrices: {M, X, Y}, path, alignedSeq1, alignedSeq2, score, startPos, endPos}
+ */
+export function smithWatermanAffine(
+  seq1,
+  seq2,
+  scores = DEFAULT_SCORES
+) {
+  if (!seq1 || !seq2 || seq1.length === 0 || seq2.length === 0) {
+    throw new Error('Both sequences must be non-empty');
+  }
+
+  const matrices = fillAffineMatrices(seq1, seq2, scores, true);
+  const { M } = matrices;
+
+  let maxScore = 0;
+  let maxPos = { row: 0, col: 0 };
+  for (let i = 1; i <= seq1.length; i++) {
+    for (let j = 1; j <= seq2.length; j++) {
+      if (M[i][j] > maxScore) {
+        maxScore = M[i][j];
+        maxPos = { row: i, col: j };
+      }
+    }
+  }
+
+  let traceback = {
+    path: [{ ...maxPos, state: 'M' }],
+    alignedSeq1: '',
+    alignedSeq2: '',
+    startPos: maxPos,
+  };
+  if (maxScore > 0) {
+    traceback = tracebackAffine(
+      seq1, seq2, scores, matrices, { ...maxPos, state: 'M' }, true
+    );
+  }
+
+  return {
+    matrix: combineStateMatrices(matrices, true),
+    matrices,
+    path: traceback.path,
+    alignedSeq1: traceback.alignedSeq1,
+    alignedSeq2: traceback.alignedSeq2,
     score: maxScore,
-    startPos: { row: i, col: j },
+    startPos: traceback.startPos,
     endPos: maxPos,
-    algorithm: 'Smith-Waterman'
+    gapModel: 'affine',
+    algorithm: 'Smith-Waterman (Affine)'
+  };
+}
+
+/**
+ * Enumerate all co-optimal alignments (linear gap model).
+ * The standard traceback breaks ties diagonal > up > left and so reports a
+ * single alignment; this follows every tied pointer instead.
+ *
+ * @param {string} seq1 - First sequence
+ * @param {string} seq2 - Second sequence
+ * @param {object} scores - {match, mismatch, gap} or {matrix, gap}
+ * @param {object} options - {mode: 'global'|'local'|'semiglobal', endGaps, maxAlignments}
+ * @returns {object} {matrix, pointers, optimalPointers, onOptimalPath, alignments, count, truncated, score}
+ *   pointers holds all tied moves per cell; optimalPointers keeps only the
+ *   moves that lie on some optimal path (the traceback DAG) and onOptimalPath
+ *   flags the cells that DAG touches; count is the
+ *   total number of co-optimal alignments even when the list is truncated.
+ */
+export function enumerateOptimalAlignments(
+  seq1,
+  seq2,
+  scores = DEFAULT_SCORES,
+  { mode = 'global', endGaps = END_GAP_PRESETS.overlap, maxAlignments = 100 } = {}
+) {
+  let base;
+  if (mode === 'local') base = smithWaterman(seq1, seq2, scores);
+  else if (mode === 'semiglobal') base = semiGlobal(seq1, seq2, scores, endGaps);
+  else base = needlemanWunsch(seq1, seq2, scores);
+
+  const { matrix, pointers } = matrixView(base, seq1, seq2, scores);
+  const { score } = base;
+  const m = seq1.length;
+  const n = seq2.length;
+  const epsilon = 1e-10;
+
+  // Every cell allowed to end an alignment that reaches the optimal score
+  const endCells = [];
+  const isOptimalEnd = (i, j) => Math.abs(matrix[i][j] - score) < epsilon;
+  if (mode === 'global') {
+    endCells.push({ row: m, col: n });
+  }
+  else if (mode === 'local') {
+    if (score > 0) {
+      for (let i = 1; i <= m; i++) {
+        for (let j = 1; j <= n; j++) {
+          if (isOptimalEnd(i, j)) endCells.push({ row: i, col: j });
+        }
+      }
+    }
+  }
+  else {
+    const candidates = [{ row: m, col: n }];
+    if (endGaps.seq1End) for (let i = 0; i < m; i++) candidates.push({ row: i, col: n });
+    if (endGaps.seq2End) for (let j = 0; j < n; j++) candidates.push({ row: m, col: j });
+    candidates
+      .filter(cell => isOptimalEnd(cell.row, cell.col))
+      .forEach(cell => endCells.push(cell));
+  }
+
+  // Keep only the pointers reachable backwards from an optimal end cell
+  const optimalPointers = pointers.map(row => row.map(() => 0));
+  const visited = pointers.map(row => row.map(() => false));
+  const stack = [...endCells];
+  endCells.forEach(({ row, col }) => { visited[row][col] = true; });
+  while (stack.length > 0) {
+    const { row, col } = stack.pop();
+    const mask = pointers[row][col];
+    optimalPointers[row][col] = mask;
+    [
+      [POINTER.DIAGONAL, row - 1, col - 1],
+      [POINTER.UP, row - 1, col],
+      [POINTER.LEFT, row, col - 1],
+    ].forEach(([flag, r, c]) => {
+      if ((mask & flag) && !visited[r][c]) {
+        visited[r][c] = true;
+        stack.push({ row: r, col: c });
+      }
+    });
+  }
+
+  // Number of distinct paths from each cell back to an alignment start
+  const counts = pointers.map(row => row.map(() => null));
+  const countPaths = (row, col) => {
+    const order = [{ row, col }];
+    while (order.length > 0) {
+      const cell = order[order.length - 1];
+      if (counts[cell.row][cell.col] !== null) {
+        order.pop();
+        continue;
+      }
+      const mask = optimalPointers[cell.row][cell.col];
+      if (mask === 0) {
+        counts[cell.row][cell.col] = 1;
+        order.pop();
+        continue;
+      }
+      const predecessors = [];
+      if (mask & POINTER.DIAGONAL) predecessors.push([cell.row - 1, cell.col - 1]);
+      if (mask & POINTER.UP) predecessors.push([cell.row - 1, cell.col]);
+      if (mask & POINTER.LEFT) predecessors.push([cell.row, cell.col - 1]);
+      const pending = predecessors.filter(([r, c]) => counts[r][c] === null);
+      if (pending.length > 0) {
+        pending.forEach(([r, c]) => order.push({ row: r, col: c }));
+      } else {
+        counts[cell.row][cell.col] = predecessors.reduce((sum, [r, c]) => sum + counts[r][c], 0);
+        order.pop();
+      }
+    }
+    return counts[row][col];
+  };
+  const count = endCells.reduce((sum, cell) => sum + countPaths(cell.row, cell.col), 0);
+
+  // Depth-first enumeration, stopping once maxAlignments have been collected
+  const alignments = [];
+  const walk = (cell, path, aligned1, aligned2) => {
+    if (alignments.length >= maxAlignments) return;
+    const mask = optimalPointers[cell.row][cell.col];
+    if (mask === 0) {
+      alignments.push({ path: [cell, ...path], alignedSeq1: aligned1, alignedSeq2: aligned2 });
+      return;
+    }
+    const { row: i, col: j } = cell;
+    const nextPath = [cell, ...path];
+    if (mask & POINTER.DIAGONAL) {
+      walk({ row: i - 1, col: j - 1 }, nextPath, seq1[i - 1] + aligned1, seq2[j - 1] + aligned2);
+    }
+    if (mask & POINTER.UP) {
+      walk({ row: i - 1, col: j }, nextPath, seq1[i - 1] + aligned1, '-' + aligned2);
+    }
+    if (mask & POINTER.LEFT) {
+      walk({ row: i, col: j - 1 }, nextPath, '-' + aligned1, seq2[j - 1] + aligned2);
+    }
+  };
+
+  endCells.forEach(end => {
+    // Semi-global trailing overhangs are appended after the scored region
+    const overhangPath = [];
+    let overhang1 = '';
+    let overhang2 = '';
+    if (mode === 'semiglobal') {
+      for (let i = end.row + 1; i <= m; i++) {
+        overhangPath.push({ row: i, col: n });
+        overhang1 += seq1[i - 1];
+        overhang2 += '-';
+      }
+      for (let j = end.col + 1; j <= n; j++) {
+        overhangPath.push({ row: m, col: j });
+        overhang1 += '-';
+        overhang2 += seq2[j - 1];
+      }
+    }
+    walk(end, overhangPath, overhang1, overhang2);
+  });
+
+  return {
+    matrix,
+    pointers,
+    optimalPointers,
+    onOptimalPath: visited,
+    alignments: alignments.map(alignment => ({ ...alignment, score })),
+    count,
+    truncated: count > alignments.length,
+    score,
+    mode
+  };
+}
+
+/** Candidate names in traceback tie-break order */
+const STEP_MOVES = ['diagonal', 'up', 'left'];
+
+/**
+ * Step-by-step execution of Needleman-Wunsch or Smith-Waterman (linear gap)
+ * as an event stream, for animating the fill and traceback. Events:
+ *   { type: 'init', row, col, value }            edge cell set
+ *   { type: 'cell', row, col, value, candidates, winner }
+ *       candidates = { diagonal, up, left } (+ zero for local);
+ *       winner is the candidate the traceback would follow, or 'zero'
+ *   { type: 'traceback', row, col, move }         move into this cell from
+ *       the previous traceback cell ('start' for the first one)
+ *   { type: 'done', score, path, alignedSeq1, alignedSeq2 }
+ * Replaying every event reproduces needlemanWunsch / smithWaterman exactly.
+ * 
+ * @param {string} seq1 - First sequence
+ * @param {string} seq2 - Second sequence
+ * @param {object} scores - {match, mismatch, gap} or {matrix, gap}
+ * @param {object} options - { mode: 'global' | 'local' }
+ * @yields {object} Step events in execution order
+ */
+export function* alignmentSteps(seq1, seq2, scores = DEFAULT_SCORES, { mode = 'global' } = {}) {
+  if (!seq1 || !seq2 || seq1.length === 0 || seq2.length === 0) {
+    throw new Error('Both sequences must be non-empty');
+  }
+  
+  const local = mode === 'local';
+  const m = seq1.length;
+  const n = seq2.length;
+  const substitute = createScorer(scores);
+  const epsilon = 1e-10;
+  const matrix = Array(m + 1)
+    .fill(null)
+    .map(() => Array(n + 1).fill(0));
+  
+  for (let i = 0; i <= m; i++) {
+    matrix[i][0] = local ? 0 : i * scores.gap;
+    yield { type: 'init', row: i, col: 0, value: matrix[i][0] };
+  }
+  for (let j = 1; j <= n; j++) {
+    matrix[0][j] = local ? 0 : j * scores.gap;
+    yield { type: 'init', row: 0, col: j, value: matrix[0][j] };
+  }
+  
+  let maxScore = 0;
+  let maxPos = { row: 0, col: 0 };
+  
+  for (let i = 1; i <= m; i++) {
+    for (let j = 1; j <= n; j++) {
+      const candidates = {
+        diagonal: matrix[i - 1][j - 1] + substitute(seq1[i - 1], seq2[j - 1]),
+        up: matrix[i - 1][j] + scores.gap,
+        left: matrix[i][j - 1] + scores.gap,
+      };
+      if (local) candidates.zero = 0;
+      
+      const value = Math.max(...Object.values(candidates));
+      matrix[i][j] = value;
+      const winner = local && value <= epsilon
+        ? 'zero'
+        : STEP_MOVES.find(move => Math.abs(candidates[move] - value) < epsilon);
+      
+      if (value > maxScore) {
+        maxScore = value;
+        maxPos = { row: i, col: j };
+      }
+      yield { type: 'cell', row: i, col: j, value, candidates, winner };
+    }
+  }
+  
+  const traceback = local
+    ? tracebackLocal(seq1, seq2, matrix, scores, substitute, maxPos)
+    : tracebackGlobal(seq1, seq2, matrix, scores, substitute, m, n);
+  const { path, alignedSeq1, alignedSeq2 } = traceback;
+  
+  // Paths are stored start-to-end; the traceback itself walks end-to-start
+  for (let k = path.length - 1; k >= 0; k--) {
+    const { row, col } = path[k];
+    const next = path[k + 1];
+    let move = 'start';
+    if (next) {
+      if (next.row - row === 1 && next.col - col === 1) move = 'diagonal';
+      else if (next.row - row === 1) move = 'up';
+      else move = 'left';
+    }
+    yield { type: 'traceback', row, col, move };
+  }
+  
+  yield {
+    type: 'done',
+    score: local ? maxScore : matrix[m][n],
+    path,
+    alignedSeq1,
+    alignedSeq2,
   };
 }
 
@@ -234,9 +1212,10 @@ export function smithWaterman(
  * Format alignment for display with match indicators (|, :, space)
  * @param {string} seq1 - Aligned sequence with gaps
  * @param {string} seq2 - Aligned sequence with gaps
+ * @param {string[]} names - Optional [name1, name2] shown as a left margin
  * @returns {string} Formatted alignment string
  */
-export function formatAlignment(seq1, seq2) {
+export function formatAlignment(seq1, seq2, names) {
   if (seq1.length !== seq2.length) {
     throw new Error('Aligned sequences must have equal length');
   }
@@ -252,7 +1231,14 @@ export function formatAlignment(seq1, seq2) {
     }
   }
   
-  return `${seq1}\n${matchLine}\n${seq2}`;
+  if (!names) return `${seq1}\n${matchLine}\n${seq2}`;
+  
+  const width = Math.max(names[0].length, names[1].length);
+  return [
+    `${names[0].padEnd(width)}  ${seq1}`,
+    `${''.padEnd(width)}  ${matchLine}`,
+    `${names[1].padEnd(width)}  ${seq2}`,
+  ].join('\n');
 }
 
 /**
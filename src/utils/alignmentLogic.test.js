@@ -13,9 +13,19 @@
 import {
   needlemanWunsch,
   smithWaterman,
+  needlemanWunschAffine,
+  smithWatermanAffine,
+  semiGlobal,
+  END_GAP_PRESETS,
+  enumerateOptimalAlignments,
+  watermanEggert,
+  alignmentSteps,
+  POINTER,
   DEFAULT_SCORES,
   calculateAlignmentStats,
-  formatAlignment
+  formatAlignment,
+  matrixView,
+  alignmentScore
 } from './alignmentLogic.js';
 
 // Test helper function
@@ -313,6 +323,403 @@ function testNW_NullSequenceHandling() {
   assertEquals(errorThrown, true, 'Should throw error for null sequence');
 }
 
+// =====================================================================
+// AFFINE GAP (GOTOH) TESTS
+// =====================================================================
+
+function testAffine_ReducesToLinear() {
+  // With open == extend the affine model is the linear model
+  const linearAsAffine = { ...DEFAULT_SCORES, gapOpen: -2, gapExtend: -2 };
+  const pairs = [['ACGTGATCA', 'AGCTACCA'], ['HEAGAWGHEE', 'PAWHEAE'], ['A', 'TTTT']];
+  
+  pairs.forEach(([a, b]) => {
+    assertEquals(needlemanWunschAffine(a, b, linearAsAffine).score,
+      needlemanWunsch(a, b, DEFAULT_SCORES).score, `NW score for ${a}/${b}`);
+    assertEquals(smithWatermanAffine(a, b, linearAsAffine).score,
+      smithWaterman(a, b, DEFAULT_SCORES).score, `SW score for ${a}/${b}`);
+  });
+}
+
+function testAffine_SingleLongGap() {
+  const result = needlemanWunschAffine('ACGTTTTACG', 'ACGACG', DEFAULT_SCORES);
+  
+  // 6 matches (12) + one gap of length 4: -4 + 3 × -1 = -7
+  assertEquals(result.score, 5, 'One long gap instead of fragments');
+  assertEquals(result.alignedSeq1, 'ACGTTTTACG', 'Aligned seq1');
+  assertEquals(result.alignedSeq2, 'ACG----ACG', 'Aligned seq2');
+}
+
+function testAffine_PathStates() {
+  const result = needlemanWunschAffine('ACGTTTTACG', 'ACGACG', DEFAULT_SCORES);
+  const states = result.path.map(cell => cell.state).join('');
+  
+  // (0,0), three pairs, four gap columns in X, three pairs
+  assertEquals(states, 'MMMMXXXXMMM', 'Path passes through X for the gap');
+  
+  // Each path cell's score must come from its own state matrix
+  const last = result.path[result.path.length - 1];
+  assertEquals(result.matrices.M[last.row][last.col], result.score, 'Final state score');
+}
+
+function testAffine_MatrixInitialization() {
+  const { matrices } = needlemanWunschAffine('ACG', 'TG', DEFAULT_SCORES);
+  
+  // Gaps at the edges: open once, then extend
+  assertEquals(matrices.X[1][0], -4, 'X[1][0] = gapOpen');
+  assertEquals(matrices.X[3][0], -6, 'X[3][0] = gapOpen + 2 × gapExtend');
+  assertEquals(matrices.Y[0][2], -5, 'Y[0][2] = gapOpen + gapExtend');
+  assertEquals(matrices.M[1][0], -Infinity, 'M cannot end on an edge');
+}
+
+function testAffine_LocalHit() {
+  const result = smithWatermanAffine('GGGGACGTTTTACGGGG', 'CCACGACGCC', DEFAULT_SCORES);
+  
+  // A 4-residue gap costs more than it gains, so the best hit is GACG
+  assertEquals(result.score, 8, 'Local affine score');
+  assertEquals(result.alignedSeq1, 'GACG', 'Aligned seq1');
+  assertEquals(result.alignedSeq2, 'GACG', 'Aligned seq2');
+  assertEquals(result.matrix[result.endPos.row][result.endPos.col], 8, 'Best cell');
+}
+
+// =====================================================================
+// SEMI-GLOBAL (END-GAP FREE) TESTS
+// =====================================================================
+
+function testSemi_ReadInReference() {
+  const result = semiGlobal('TTTTACGTACGGGG', 'ACGTACG', DEFAULT_SCORES, END_GAP_PRESETS.seq2InSeq1);
+  
+  // Overhanging reference residues cost nothing: 7 matches × 2 = 14
+  assertEquals(result.score, 14, 'Glocal score');
+  assertEquals(result.alignedSeq1, 'TTTTACGTACGGGG', 'Reference fully shown');
+  assertEquals(result.alignedSeq2, '----ACGTACG---', 'Read placed inside reference');
+  assertEquals(result.endPos.row, 11, 'Traceback starts in last column');
+}
+
+function testSemi_Overlap() {
+  const result = semiGlobal('GGGGACGT', 'ACGTCCCC', DEFAULT_SCORES, END_GAP_PRESETS.overlap);
+  
+  // Suffix ACGT of seq1 overlaps prefix ACGT of seq2
+  assertEquals(result.score, 8, 'Overlap score');
+  assertEquals(result.alignedSeq1, 'GGGGACGT----', 'Aligned seq1');
+  assertEquals(result.alignedSeq2, '----ACGTCCCC', 'Aligned seq2');
+}
+
+function testSemi_NoFreeEndsIsGlobal() {
+  const flags = { seq1Start: false, seq1End: false, seq2Start: false, seq2End: false };
+  const semi = semiGlobal('ACGTGATCA', 'AGCTACCA', DEFAULT_SCORES, flags);
+  const global = needlemanWunsch('ACGTGATCA', 'AGCTACCA', DEFAULT_SCORES);
+  
+  assertEquals(semi.score, global.score, 'Same score as Needleman-Wunsch');
+  assertEquals(semi.alignedSeq1, global.alignedSeq1, 'Same alignment');
+}
+
+function testSemi_PathContinuity() {
+  const result = semiGlobal('TTTTACGTACGGGG', 'ACGTACG', DEFAULT_SCORES, END_GAP_PRESETS.seq2InSeq1);
+  const first = result.path[0];
+  const last = result.path[result.path.length - 1];
+  
+  assertEquals(first.row + first.col, 0, 'Path starts at (0,0)');
+  assertEquals(last.row === 14 && last.col === 7, true, 'Path ends at (m,n)');
+  for (let i = 1; i < result.path.length; i++) {
+    const steps = (result.path[i].row - result.path[i - 1].row)
+      + (result.path[i].col - result.path[i - 1].col);
+    assertEquals(steps >= 1 && steps <= 2, true, `Path continuity at step ${i}`);
+  }
+}
+
+// =====================================================================
+// CO-OPTIMAL ALIGNMENT TESTS
+// =====================================================================
+
+function testCoOptimal_AllTies() {
+  const result = enumerateOptimalAlignments('AAA', 'AA', DEFAULT_SCORES);
+  
+  // The single gap can sit in any of three columns
+  assertEquals(result.count, 3, 'Three co-optimal alignments');
+  assertArrayEquals(
+    result.alignments.map(a => a.alignedSeq2),
+    ['-AA', 'A-A', 'AA-'],
+    'Every gap placement is listed'
+  );
+  result.alignments.forEach(a => assertEquals(a.score, 2, 'Each scores 2'));
+}
+
+function testCoOptimal_FirstMatchesTraceback() {
+  const single = needlemanWunsch('ACGTGATCA', 'AGCTACCA', DEFAULT_SCORES);
+  const all = enumerateOptimalAlignments('ACGTGATCA', 'AGCTACCA', DEFAULT_SCORES);
+  
+  assertEquals(all.alignments[0].alignedSeq1, single.alignedSeq1, 'Same first alignment');
+  assertArrayEquals(all.alignments[0].path, single.path, 'Same first path');
+  assertEquals(all.count, 4, 'Four co-optimal global alignments');
+}
+
+function testCoOptimal_Cap() {
+  const result = enumerateOptimalAlignments('ACGTACGTAAAAAAAAAAAA', 'ACGTAAAAAAAAAA',
+    DEFAULT_SCORES, { maxAlignments: 3 });
+  
+  assertEquals(result.alignments.length, 3, 'List capped');
+  assertEquals(result.truncated, true, 'Reported as truncated');
+  assertEquals(result.count > 3, true, 'Full count still reported');
+}
+
+function testCoOptimal_PointerDag() {
+  const result = enumerateOptimalAlignments('AAA', 'AA', DEFAULT_SCORES);
+  
+  // (3,2) is reached either diagonally or by a gap in seq2
+  assertEquals(result.optimalPointers[3][2], POINTER.DIAGONAL | POINTER.UP, 'Tied moves kept');
+  assertEquals(result.optimalPointers[0][2], 0, 'Cells off every optimal path are empty');
+}
+
+function testCoOptimal_Local() {
+  const result = enumerateOptimalAlignments('ACGTTTACGT', 'ACGT', DEFAULT_SCORES, { mode: 'local' });
+  
+  // Two identical ACGT hits in seq1
+  assertEquals(result.count, 2, 'Two tied local hits');
+  result.alignments.forEach(a => assertEquals(a.alignedSeq1, 'ACGT', 'Hit is ACGT'));
+}
+
+// =====================================================================
+// MULTIPLE LOCAL HIT (WATERMAN-EGGERT) TESTS
+// =====================================================================
+
+function testWE_FirstHitIsSmithWaterman() {
+  const seq1 = 'AAAAAACGTGCGTGAAAAAAA';
+  const seq2 = 'TTTTTCGTGCGTGTTTTT';
+  const single = smithWaterman(seq1, seq2, DEFAULT_SCORES);
+  const { hits, matrix } = watermanEggert(seq1, seq2, DEFAULT_SCORES);
+  
+  assertEquals(hits[0].score, single.score, 'Best hit score');
+  assertEquals(hits[0].alignedSeq1, single.alignedSeq1, 'Best hit alignment');
+  assertArrayEquals(matrix, single.matrix, 'Unblocked matrix returned');
+}
+
+function testWE_RepeatedDomains() {
+  // Two copies of the motif in seq1 must come back as two separate hits
+  const { hits } = watermanEggert('TTGACGTACGTTTTTTGACGTACGATTTT', 'GACGTACG', DEFAULT_SCORES, {
+    maxHits: 2,
+  });
+  
+  assertEquals(hits.length, 2, 'Two hits');
+  assertEquals(hits[0].score, 16, 'First copy');
+  assertEquals(hits[1].score, 16, 'Second copy');
+  assertEquals(hits[0].startPos.row, 2, 'First copy starts after TT');
+  assertEquals(hits[1].startPos.row, 16, 'Second copy found downstream');
+}
+
+function testWE_NoSharedPairsAndThreshold() {
+  const { hits } = watermanEggert('TTGACGTACGTTTTTTGACGTACGATTTT', 'GACGTACG', DEFAULT_SCORES, {
+    maxHits: 10,
+    minScore: 6,
+  });
+  const seen = new Set();
+  
+  hits.forEach((hit, index) => {
+    assertEquals(hit.score >= 6, true, `Hit ${index + 1} above threshold`);
+    if (index > 0) assertEquals(hit.score <= hits[index - 1].score, true, 'Sorted by score');
+    for (let k = 1; k < hit.path.length; k++) {
+      const { row, col } = hit.path[k];
+      const prev = hit.path[k - 1];
+      if (row === prev.row + 1 && col === prev.col + 1) {
+        assertEquals(seen.has(`${row},${col}`), false, `Pair (${row}, ${col}) reused`);
+        seen.add(`${row},${col}`);
+      }
+    }
+  });
+  assertEquals(hits.length, 6, 'Hits down to the threshold (16, 16, 8, 6, 6, 6)');
+}
+
+// =====================================================================
+// POINTER MATRIX TESTS
+// =====================================================================
+
+function testPointers_GlobalEdgesAndTies() {
+  const result = needlemanWunsch('GA', 'GT', DEFAULT_SCORES);
+  
+  assertEquals(result.pointers[0][0], 0, 'Origin has no pointer');
+  assertEquals(result.pointers[2][0], POINTER.UP, 'Left edge points up');
+  assertEquals(result.pointers[0][2], POINTER.LEFT, 'Top edge points left');
+  assertEquals(result.pointers[1][1], POINTER.DIAGONAL, 'G/G match');
+  // H(2,2) = 1 is reached by the A/T mismatch only: 2 + (-1)
+  assertEquals(result.pointers[2][2], POINTER.DIAGONAL, 'Mismatch move');
+  
+  // In 'A' vs 'AA' both diagonal-then-gap and gap-then-diagonal score 0
+  const tie = needlemanWunsch('A', 'AA', DEFAULT_SCORES);
+  assertEquals(tie.pointers[1][2], POINTER.DIAGONAL | POINTER.LEFT, 'Tie keeps both moves');
+}
+
+function testPointers_LocalZeroCells() {
+  const result = smithWaterman('AAAA', 'TTTT', DEFAULT_SCORES);
+  
+  assertEquals(result.pointers.every(row => row.every(mask => mask === 0)), true, 'Zero cells have no pointer');
+}
+
+function testPointers_MatchRecurrence() {
+  const seq1 = 'ACGTGATCA';
+  const seq2 = 'AGCTACCA';
+  const { matrix, pointers } = semiGlobal(seq1, seq2, DEFAULT_SCORES);
+  const { match, mismatch, gap } = DEFAULT_SCORES;
+  
+  for (let i = 1; i <= seq1.length; i++) {
+    for (let j = 1; j <= seq2.length; j++) {
+      const s = seq1[i - 1] === seq2[j - 1] ? match : mismatch;
+      let expected = 0;
+      if (matrix[i - 1][j - 1] + s === matrix[i][j]) expected |= POINTER.DIAGONAL;
+      if (matrix[i - 1][j] + gap === matrix[i][j]) expected |= POINTER.UP;
+      if (matrix[i][j - 1] + gap === matrix[i][j]) expected |= POINTER.LEFT;
+      assertEquals(pointers[i][j], expected, `Pointer at (${i}, ${j})`);
+    }
+  }
+}
+
+// =====================================================================
+// STEP-BY-STEP EXECUTION TESTS
+// =====================================================================
+
+// Rebuild the matrix and traceback path from an event stream
+function replaySteps(events, m, n) {
+  const matrix = Array(m + 1).fill(null).map(() => Array(n + 1).fill(null));
+  const traceback = [];
+  events.forEach(event => {
+    if (event.type === 'init' || event.type === 'cell') matrix[event.row][event.col] = event.value;
+    if (event.type === 'traceback') traceback.unshift({ row: event.row, col: event.col });
+  });
+  return { matrix, traceback };
+}
+
+function testSteps_ReplayMatchesNeedlemanWunsch() {
+  const seq1 = 'ACGTGATCA';
+  const seq2 = 'AGCTACCA';
+  const events = [...alignmentSteps(seq1, seq2, DEFAULT_SCORES)];
+  const expected = needlemanWunsch(seq1, seq2, DEFAULT_SCORES);
+  const { matrix, traceback } = replaySteps(events, seq1.length, seq2.length);
+  const done = events[events.length - 1];
+  
+  assertArrayEquals(matrix, expected.matrix, 'Replayed matrix');
+  assertArrayEquals(traceback, expected.path, 'Replayed traceback');
+  assertEquals(done.type, 'done', 'Stream ends with done');
+  assertEquals(done.score, expected.score, 'Final score');
+  assertEquals(done.alignedSeq1, expected.alignedSeq1, 'Aligned seq1');
+}
+
+function testSteps_ReplayMatchesSmithWaterman() {
+  const seq1 = 'AAAAAACGTGCGTGAAAAAAA';
+  const seq2 = 'TTTTTCGTGCGTGTTTTT';
+  const events = [...alignmentSteps(seq1, seq2, DEFAULT_SCORES, { mode: 'local' })];
+  const expected = smithWaterman(seq1, seq2, DEFAULT_SCORES);
+  const { matrix, traceback } = replaySteps(events, seq1.length, seq2.length);
+  
+  assertArrayEquals(matrix, expected.matrix, 'Replayed matrix');
+  assertArrayEquals(traceback, expected.path, 'Replayed traceback');
+  assertEquals(events[events.length - 1].score, expected.score, 'Final score');
+}
+
+function testSteps_EventOrderAndCandidates() {
+  const events = [...alignmentSteps('GA', 'GT', DEFAULT_SCORES)];
+  const count = (type) => events.filter(event => event.type === type).length;
+  const firstCell = events.find(event => event.type === 'cell');
+  const tracebackMoves = events.filter(event => event.type === 'traceback').map(event => event.move);
+  
+  assertEquals(count('init'), 5, 'Edge cells of a 3x3 matrix');
+  assertEquals(count('cell'), 4, 'Interior cells');
+  assertEquals(events.findIndex(event => event.type === 'traceback') > events.lastIndexOf(firstCell), true, 'Fill before traceback');
+  assertArrayEquals(firstCell.candidates, { diagonal: 2, up: -4, left: -4 }, 'G/G candidates');
+  assertEquals(firstCell.winner, 'diagonal', 'Match wins');
+  assertArrayEquals(tracebackMoves, ['start', 'diagonal', 'diagonal'], 'Traceback moves');
+}
+
+// =====================================================================
+// MATRIX STORAGE AND SCORE-ONLY TESTS
+// =====================================================================
+
+function testStorage_TypedArrays() {
+  const integer = needlemanWunsch('GATTACA', 'GCATGCU', DEFAULT_SCORES);
+  assertEquals(integer.scoreMatrix.values instanceof Int32Array, true, 'Integer scores stored as Int32');
+  assertEquals(integer.scoreMatrix.values.length, 8 * 8, 'One value per cell');
+  assertEquals(integer.moves.bits.length, 16, 'Four 2-bit moves per byte');
+
+  const fractional = smithWaterman('ACGRT', 'ACGAT', { match: 2, mismatch: -1, gap: -2, iupac: true });
+  assertEquals(fractional.scoreMatrix.values instanceof Float64Array, true, 'IUPAC scores stored as Float64');
+  assertEquals(fractional.score, 8.5, 'A/R scores half a match');
+}
+
+function testStorage_MatrixViewAfterCopy() {
+  const scores = { match: 1, mismatch: -1, gap: -1 };
+  const endGaps = END_GAP_PRESETS.seq2InSeq1;
+  const results = [
+    [needlemanWunsch('ACGT', 'AGT', scores), 'global'],
+    [smithWaterman('TTACGTT', 'ACGGT', scores), 'local'],
+    [semiGlobal('TTACGTT', 'ACG', scores, endGaps), 'semiglobal'],
+  ];
+
+  for (const [result, mode] of results) {
+    const { seq1, seq2 } = mode === 'global'
+      ? { seq1: 'ACGT', seq2: 'AGT' }
+      : { seq1: 'TTACGTT', seq2: mode === 'local' ? 'ACGGT' : 'ACG' };
+    // Posting from a worker keeps the flat storage but drops the lazy views
+    const copy = structuredClone(result);
+    assertEquals(copy.matrix, undefined, `${mode}: views are not copied`);
+    assertEquals(copy.mode, mode, `${mode}: mode survives the copy`);
+
+    const view = matrixView(copy, seq1, seq2, scores);
+    assertArrayEquals(view.matrix, result.matrix, `${mode}: matrix rebuilt`);
+    assertArrayEquals(view.pointers, result.pointers, `${mode}: pointers rebuilt`);
+  }
+
+  const affine = needlemanWunschAffine('ACGT', 'AGT', { ...scores, gapOpen: -3, gapExtend: -1 });
+  assertEquals(matrixView(affine, 'ACGT', 'AGT', scores).matrix, affine.matrix, 'Nested results returned as they are');
+}
+
+function testScoreOnly_MatchesFullMatrix() {
+  const pairs = [
+    ['GATTACA', 'GCATGCU'],
+    ['TTTTACGTACGTTTTT', 'ACGTACGT'],
+    ['ACGTACGTAA', 'GGGACGTACGT'],
+    ['MKTAYIAKQRQISFVK', 'KQRQISFVKSHF'],
+  ];
+  const schemes = [
+    DEFAULT_SCORES,
+    { match: 2, mismatch: -1, gap: -2, iupac: true },
+    { matrix: 'BLOSUM62', gap: -4 },
+  ];
+
+  for (const scores of schemes) {
+    for (const [seq1, seq2] of pairs) {
+      const label = `${seq1}/${seq2}`;
+      assertEquals(alignmentScore(seq1, seq2, scores).score, needlemanWunsch(seq1, seq2, scores).score, `Global ${label}`);
+
+      const local = smithWaterman(seq1, seq2, scores);
+      const localScore = alignmentScore(seq1, seq2, scores, { mode: 'local' });
+      assertEquals(localScore.score, local.score, `Local ${label}`);
+      assertArrayEquals(localScore.endPos, local.endPos, `Local end ${label}`);
+
+      for (const endGaps of Object.values(END_GAP_PRESETS)) {
+        const semi = semiGlobal(seq1, seq2, scores, endGaps);
+        const semiScore = alignmentScore(seq1, seq2, scores, { mode: 'semiglobal', endGaps });
+        assertEquals(semiScore.score, semi.score, `Semi-global ${label}`);
+        assertArrayEquals(semiScore.endPos, semi.endPos, `Semi-global end ${label}`);
+      }
+    }
+  }
+}
+
+function testScoreOnly_RejectsBadInput() {
+  let errorThrown = false;
+  try {
+    alignmentScore('', 'ACGT', DEFAULT_SCORES);
+  } catch {
+    errorThrown = true;
+  }
+  assertEquals(errorThrown, true, 'Should throw error for empty sequence');
+
+  let errorMessage = null;
+  try {
+    alignmentScore('ACGT', 'ACGT', DEFAULT_SCORES, { mode: 'banded' });
+  } catch (error) {
+    errorMessage = error.message;
+  }
+  assertEquals(errorMessage, 'Unknown alignment mode: banded', 'Should reject unknown modes');
+}
+
 // =====================================================================
 // ALIGNMENT STATISTICS TESTS
 // =====================================================================
@@ -342,6 +749,15 @@ function testStats_MixedAlignment() {
   assertEquals(stats.gaps, 1, '1 gap');
 }
 
+function testFormat_NamedRows() {
+  assertEquals(formatAlignment('AC-T', 'ACGA'), 'AC-T\n|| :\nACGA', 'Unnamed');
+  assertEquals(
+    formatAlignment('AC-T', 'ACGA', ['HBB_HUMAN', 'Mouse']),
+    'HBB_HUMAN  AC-T\n           || :\nMouse      ACGA',
+    'Names padded to a common margin'
+  );
+}
+
 // =====================================================================
 // BIOLOGICAL CORRECTNESS TESTS
 // =====================================================================
@@ -418,10 +834,52 @@ export function runAllTests() {
     ['Edge: SW Empty Sequence', testSW_EmptySequenceHandling],
     ['Edge: NW Null Sequence', testNW_NullSequenceHandling],
     
+    // Affine Gap Tests
+    ['Affine: Reduces To Linear', testAffine_ReducesToLinear],
+    ['Affine: Single Long Gap', testAffine_SingleLongGap],
+    ['Affine: Path States', testAffine_PathStates],
+    ['Affine: Matrix Initialization', testAffine_MatrixInitialization],
+    ['Affine: Local Hit', testAffine_LocalHit],
+    
+    // Semi-Global Tests
+    ['Semi: Read In Reference', testSemi_ReadInReference],
+    ['Semi: Overlap', testSemi_Overlap],
+    ['Semi: No Free Ends Is Global', testSemi_NoFreeEndsIsGlobal],
+    ['Semi: Path Continuity', testSemi_PathContinuity],
+    
+    // Co-optimal Alignment Tests
+    ['CoOptimal: All Ties', testCoOptimal_AllTies],
+    ['CoOptimal: First Matches Traceback', testCoOptimal_FirstMatchesTraceback],
+    ['CoOptimal: Cap', testCoOptimal_Cap],
+    ['CoOptimal: Pointer DAG', testCoOptimal_PointerDag],
+    ['CoOptimal: Local', testCoOptimal_Local],
+    
+    // Multiple Local Hit Tests
+    ['WE: First Hit Is Smith-Waterman', testWE_FirstHitIsSmithWaterman],
+    ['WE: Repeated Domains', testWE_RepeatedDomains],
+    ['WE: No Shared Pairs And Threshold', testWE_NoSharedPairsAndThreshold],
+    
+    // Pointer Matrix Tests
+    ['Pointers: Global Edges And Ties', testPointers_GlobalEdgesAndTies],
+    ['Pointers: Local Zero Cells', testPointers_LocalZeroCells],
+    ['Pointers: Match Recurrence', testPointers_MatchRecurrence],
+    
+    // Step-by-step Execution Tests
+    ['Steps: Replay Matches NW', testSteps_ReplayMatchesNeedlemanWunsch],
+    ['Steps: Replay Matches SW', testSteps_ReplayMatchesSmithWaterman],
+    ['Steps: Event Order And Candidates', testSteps_EventOrderAndCandidates],
+    
+    // Matrix Storage and Score-only Tests
+    ['Storage: Typed Arrays', testStorage_TypedArrays],
+    ['Storage: Matrix View After Copy', testStorage_MatrixViewAfterCopy],
+    ['ScoreOnly: Matches Full Matrix', testScoreOnly_MatchesFullMatrix],
+    ['ScoreOnly: Rejects Bad Input', testScoreOnly_RejectsBadInput],
+    
     // Statistics Tests
     ['Stats: Perfect Match', testStats_PerfectMatch],
     ['Stats: With Gaps', testStats_WithGaps],
     ['Stats: Mixed Alignment', testStats_MixedAlignment],
+    ['Format: Named Rows', testFormat_NamedRows],
     
     // Biological Correctness
     ['Bio: Homologous Genes', testBiological_HomologousGenes],
@@ -0,0 +1,22 @@
+/**
+ * Alignment Worker
+ * Web Worker entry point that runs alignment jobs off the main thread.
+ *
+ * In:  { id, type, job }
+ * Out: { id, type: 'progress', done, total }, then either
+ *      { id, type: 'result', result } or { id, type: 'error', message }
+ */
+
+import { runJob } from './alignmentJobs.js';
+
+self.onmessage = ({ data }) => {
+  const { id, type, job } = data;
+  try {
+    const result = runJob(type, job, (done, total) => {
+      self.postMessage({ id, type: 'progress', done, total });
+    });
+    self.postMessage({ id, type: 'result', result });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error.message });
+  }
+};
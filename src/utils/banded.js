@@ -0,0 +1,143 @@
+/**
+ * Banded Dynamic Programming
+ * Needleman-Wunsch / Smith-Waterman restricted to cells within ±k of the
+ * (optionally shifted) main diagonal, for highly similar sequences.
+ * Time and space: O(k×(m+n)); only the band is stored (see dpMatrix.js)
+ */
+
+import { DEFAULT_SCORES, withMatrixView } from './alignmentLogic.js';
+import {
+  MOVE,
+  createScoreMatrix,
+  createMoveMatrix,
+  cellIndex,
+  hasCell,
+  setMove,
+  traceMoves,
+} from './dpMatrix.js';
+import { createScorer, isIntegerScoring } from './scoringMatrices.js';
+
+/**
+ * Whether cell (i,j) lies inside the band |(j - i) - offset| <= bandWidth.
+ * @param {number} i - Row (position in seq1)
+ * @param {number} j - Column (position in seq2)
+ * @param {number} bandWidth - Half-width k of the band
+ * @param {number} offset - Diagonal the band is centred on (j - i)
+ * @returns {boolean}
+ */
+export function isInBand(i, j, bandWidth, offset = 0) {
+  return Math.abs(j - i - offset) <= bandWidth;
+}
+
+/**
+ * Banded Alignment
+ * Fills and stores only in-band cells; the lazy matrix view shows
+ * out-of-band cells as null. If the optimal path runs along the band edge a
+ * better alignment may exist outside the band, which is reported through
+ * hitBandEdge.
+ *
+ * @param {string} seq1 - First sequence
+ * @param {string} seq2 - Second sequence
+ * @param {object} scores - {match, mismatch, gap} or {matrix, gap}
+ * @param {object} options - {bandWidth, offset, local}
+ * @returns {object} {scoreMatrix, moves, path, alignedSeq1, alignedSeq2, score, bandWidth,
+ *   offset, hitBandEdge, bandEdgeCells, startPos, endPos, mode} in banded storage, plus the
+ *   nested matrix/pointers views (see matrixView)
+ */
+export function bandedAlignment(
+  seq1,
+  seq2,
+  scores = DEFAULT_SCORES,
+  { bandWidth = 5, offset = 0, local = false } = {}
+) {
+  if (!seq1 || !seq2 || seq1.length === 0 || seq2.length === 0) {
+    throw new Error('Both sequences must be non-empty');
+  }
+  if (!Number.isInteger(bandWidth) || bandWidth < 0) {
+    throw new Error('Band width must be a non-negative integer');
+  }
+
+  const m = seq1.length;
+  const n = seq2.length;
+  if (!local && (!isInBand(0, 0, bandWidth, offset) || !isInBand(m, n, bandWidth, offset))) {
+    throw new Error(
+      `Band (width ${bandWidth}, offset ${offset}) must contain both (0,0) and (${m},${n}) for global alignment`
+    );
+  }
+
+  const substitute = createScorer(scores);
+  const epsilon = 1e-10;
+  const band = { bandWidth, offset };
+  const matrix = createScoreMatrix(m + 1, n + 1, isIntegerScoring(scores, [seq1, seq2]), band);
+  const moves = createMoveMatrix(m + 1, n + 1, band);
+  const H = matrix.values;
+  const at = (i, j) => (hasCell(matrix, i, j) ? H[cellIndex(matrix, i, j)] : -Infinity);
+
+  // Edges: cumulative gaps (global) or zero (local), only where in band
+  if (!local) {
+    for (let i = 1; i <= m && isInBand(i, 0, bandWidth, offset); i++) {
+      H[cellIndex(matrix, i, 0)] = i * scores.gap;
+      setMove(moves, i, 0, MOVE.UP);
+    }
+    for (let j = 1; j <= n && isInBand(0, j, bandWidth, offset); j++) {
+      H[cellIndex(matrix, 0, j)] = j * scores.gap;
+      setMove(moves, 0, j, MOVE.LEFT);
+    }
+  }
+
+  let maxScore = 0;
+  let maxPos = { row: 0, col: 0 };
+
+  for (let i = 1; i <= m; i++) {
+    // Only visit the columns of this row that fall inside the band
+    const from = Math.max(1, i + offset - bandWidth);
+    const to = Math.min(n, i + offset + bandWidth);
+    for (let j = from; j <= to; j++) {
+      const diagonal = at(i - 1, j - 1) + substitute(seq1[i - 1], seq2[j - 1]);
+      const up = at(i - 1, j) + scores.gap;
+      const left = at(i, j - 1) + scores.gap;
+      const value = local ? Math.max(0, diagonal, up, left) : Math.max(diagonal, up, left);
+      H[cellIndex(matrix, i, j)] = value;
+      if (local && value <= epsilon) continue;
+
+      // Same tie-breaking as the full-matrix functions; out-of-band sources never tie
+      let move = MOVE.LEFT;
+      if (Math.abs(value - diagonal) < epsilon) move = MOVE.DIAGONAL;
+      else if (Math.abs(value - up) < epsilon) move = MOVE.UP;
+      setMove(moves, i, j, move);
+
+      if (local && value > maxScore) {
+        maxScore = value;
+        maxPos = { row: i, col: j };
+      }
+    }
+  }
+
+  const endPos = local ? maxPos : { row: m, col: n };
+  const { path, alignedSeq1, alignedSeq2, startPos } = traceMoves(seq1, seq2, moves, endPos.row, endPos.col);
+
+  // Path cells on the band boundary (other than the fixed corners) mean the
+  // band may have cut off a better route
+  const bandEdgeCells = path.filter(cell => {
+    const onEdge = Math.abs(cell.col - cell.row - offset) === bandWidth;
+    const isCorner = (cell.row === 0 && cell.col === 0) || (cell.row === m && cell.col === n);
+    return onEdge && !(isCorner && !local);
+  });
+
+  return withMatrixView({
+    scoreMatrix: matrix,
+    moves,
+    path,
+    alignedSeq1,
+    alignedSeq2,
+    score: local ? maxScore : at(m, n),
+    startPos,
+    endPos,
+    bandWidth,
+    offset,
+    hitBandEdge: bandEdgeCells.length > 0,
+    bandEdgeCells,
+    mode: local ? 'local' : 'global',
+    algorithm: local ? 'Smith-Waterman (Banded)' : 'Needleman-Wunsch (Banded)'
+  }, seq1, seq2, scores);
+}
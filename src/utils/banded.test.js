@@ -0,0 +1,139 @@
+/**
+ * =====================================================================
+ * BANDED ALIGNMENT TEST SUITE
+ * =====================================================================
+ * 
+ * Verifies band membership, agreement with the full-matrix algorithms
+ * when the band is wide enough, and band-edge reporting.
+ * =====================================================================
+ */
+
+import { bandedAlignment, isInBand } from './banded.js';
+import { needlemanWunsch, smithWaterman, DEFAULT_SCORES } from './alignmentLogic.js';
+
+// Test helper function
+function runTest(testName, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ PASS: ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ FAIL: ${testName}`);
+    console.error(`   Error: ${error.message}`);
+    return false;
+  }
+}
+
+// Assertion helpers
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n  Expected: ${expected}\n  Actual: ${actual}`);
+  }
+}
+
+// =====================================================================
+// BAND TESTS
+// =====================================================================
+
+function testBand_Membership() {
+  assertEquals(isInBand(3, 3, 0), true, 'Diagonal cell in zero-width band');
+  assertEquals(isInBand(3, 5, 1), false, 'Two off diagonal is outside width 1');
+  assertEquals(isInBand(3, 5, 1, 2), true, 'Offset shifts the band');
+}
+
+function testBanded_WideBandMatchesFull() {
+  const global = bandedAlignment('ACGTGATCA', 'AGCTACCA', DEFAULT_SCORES, { bandWidth: 9 });
+  assertEquals(global.score, needlemanWunsch('ACGTGATCA', 'AGCTACCA', DEFAULT_SCORES).score, 'Global score');
+  assertEquals(global.hitBandEdge, false, 'Wide band is never hit');
+  
+  const local = bandedAlignment('AAAAAACGTGCGTGAAAAAAA', 'TTTTTCGTGCGTGTTTTT', DEFAULT_SCORES,
+    { bandWidth: 21, local: true });
+  assertEquals(local.score,
+    smithWaterman('AAAAAACGTGCGTGAAAAAAA', 'TTTTTCGTGCGTGTTTTT', DEFAULT_SCORES).score, 'Local score');
+}
+
+function testBanded_PointersMatchFull() {
+  const banded = bandedAlignment('ACGTGATCA', 'AGCTACCA', DEFAULT_SCORES, { bandWidth: 9 });
+  const full = needlemanWunsch('ACGTGATCA', 'AGCTACCA', DEFAULT_SCORES);
+  assertEquals(JSON.stringify(banded.pointers), JSON.stringify(full.pointers), 'Wide band pointers');
+  
+  const narrow = bandedAlignment('ACGTACGT', 'ACGTACGT', DEFAULT_SCORES, { bandWidth: 1 });
+  assertEquals(narrow.pointers[0][2], 0, 'No pointer outside the band');
+}
+
+function testBanded_OutOfBandCellsEmpty() {
+  const result = bandedAlignment('ACGTACGT', 'ACGTACGT', DEFAULT_SCORES, { bandWidth: 1 });
+  
+  assertEquals(result.matrix[0][2], null, 'Cell (0,2) is outside the band');
+  assertEquals(result.matrix[5][1], null, 'Cell (5,1) is outside the band');
+  assertEquals(result.matrix[4][5], 6, 'Cell (4,5) is filled');
+  assertEquals(result.score, 16, 'Identical sequences stay on the diagonal');
+  assertEquals(result.scoreMatrix.values.length, 9 * 3, 'Only the band is stored');
+}
+
+function testBanded_EdgeReported() {
+  const result = bandedAlignment('ACGTGATCA', 'AGCTACCA', DEFAULT_SCORES, { bandWidth: 1 });
+  
+  // The optimal path runs one off the diagonal for most of its length
+  assertEquals(result.hitBandEdge, true, 'Band edge reported');
+  assertEquals(result.bandEdgeCells.length > 0, true, 'Edge cells listed');
+}
+
+function testBanded_Offset() {
+  const result = bandedAlignment('TTTTTACGTACGT', 'ACGTACGT', DEFAULT_SCORES, { bandWidth: 3, offset: -3 });
+  
+  assertEquals(result.alignedSeq2, '-----ACGTACGT', 'Read placed after the offset');
+  assertEquals(result.score, 6, '8 matches (16) minus 5 gaps (-10)');
+}
+
+function testBanded_InvalidBand() {
+  let errorThrown = false;
+  try {
+    bandedAlignment('AAAAAAAA', 'AA', DEFAULT_SCORES, { bandWidth: 2 });
+  } catch {
+    errorThrown = true;
+  }
+  assertEquals(errorThrown, true, 'Global band must reach (m,n)');
+}
+
+// =====================================================================
+// RUN ALL TESTS
+// =====================================================================
+
+export function runAllTests() {
+  console.log('\n========================================');
+  console.log('BANDED ALIGNMENT TEST SUITE');
+  console.log('========================================\n');
+  
+  let passed = 0;
+  let failed = 0;
+  
+  const tests = [
+    ['Band: Membership', testBand_Membership],
+    ['Banded: Wide Band Matches Full', testBanded_WideBandMatchesFull],
+    ['Banded: Pointers Match Full', testBanded_PointersMatchFull],
+    ['Banded: Out-of-Band Cells Empty', testBanded_OutOfBandCellsEmpty],
+    ['Banded: Edge Reported', testBanded_EdgeReported],
+    ['Banded: Offset', testBanded_Offset],
+    ['Banded: Invalid Band', testBanded_InvalidBand],
+  ];
+  
+  tests.forEach(([name, testFn]) => {
+    if (runTest(name, testFn)) {
+      passed++;
+    } else {
+      failed++;
+    }
+  });
+  
+  console.log('\n========================================');
+  console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+  
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run tests if this file is executed directly
+if (import.meta.url === `file://${globalThis.process?.argv[1]}`) {
+  runAllTests();
+}
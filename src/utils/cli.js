@@ -0,0 +1,348 @@
+/**
+ * Command-Line Interface
+ * Batch pairwise alignment for pipelines. Records are read from FASTA (or
+ * GenBank/FASTQ) files or stdin, aligned globally or locally in one of the
+ * CLI_MODES and written in one of the CLI_FORMATS.
+ *
+ * runCli takes the arguments and a reader for input paths ('-' is stdin)
+ * and returns the exit code with the text for stdout and stderr, so
+ * bin/seqsync.js only does the I/O. In every pair the first sequence is
+ * the reference and the second the query, as in exporters.js.
+ */
+
+import {
+  DEFAULT_SCORES,
+  needlemanWunsch,
+  smithWaterman,
+  needlemanWunschAffine,
+  smithWatermanAffine,
+} from './alignmentLogic.js';
+import { hirschberg, hirschbergLocal } from './hirschberg.js';
+import { resolveMatrix } from './scoringMatrices.js';
+import { commonAlphabet, validateSequence } from './sequence.js';
+import { parseSequenceFile } from './parsers.js';
+import { JSON_EXPORT_VERSION, toAlignedFasta, toEmbossPair, toJsonDocument, toSam } from './exporters.js';
+
+export const EXIT_CODES = {
+  ok: 0,
+  failure: 1,     // An alignment failed unexpectedly
+  usage: 2,       // Unknown option or bad option value
+  unreadable: 3,  // An input file could not be read
+  invalid: 4,     // Input is not a sequence file, has invalid characters or too few records for the mode
+};
+
+export const CLI_MODES = {
+  pairwise: { label: 'every pair of records' },
+  query: { label: 'the first record (or each --query record) against every other record' },
+  batch: { label: 'consecutive records as pairs: 1 with 2, 3 with 4, …' },
+};
+
+export const CLI_FORMATS = {
+  text: { label: 'EMBOSS pair text' },
+  json: { label: 'JSON document with one entry per pair' },
+  fasta: { label: 'aligned FASTA, two records per pair' },
+  sam: { label: 'SAM with one @SQ line per reference' },
+};
+
+const ALGORITHMS = ['global', 'local'];
+
+// Above this many DP cells linear gaps switch to Hirschberg; affine gaps are refused
+const FULL_MATRIX_CELL_LIMIT = 4000000;
+
+// name: { short, value } where value options take an argument
+const OPTIONS = {
+  algorithm: { short: 'a', value: true },
+  mode: { short: 'm', value: true },
+  format: { short: 'f', value: true },
+  query: { short: 'q', value: true },
+  match: { value: true },
+  mismatch: { value: true },
+  gap: { value: true },
+  'gap-open': { value: true },
+  'gap-extend': { value: true },
+  matrix: { value: true },
+  affine: { value: false },
+  'linear-space': { value: false },
+  help: { short: 'h', value: false },
+};
+
+const NUMERIC_OPTIONS = { match: 'match', mismatch: 'mismatch', gap: 'gap', 'gap-open': 'gapOpen', 'gap-extend': 'gapExtend' };
+
+export const USAGE = `Usage: seqsync [options] [file ...]
+
+Align FASTA, GenBank or FASTQ records read from the files, or from stdin
+when no file (or '-') is given.
+
+Options:
+  -a, --algorithm <name>   global (Needleman-Wunsch, default) or local (Smith-Waterman)
+  -m, --mode <mode>        ${Object.entries(CLI_MODES).map(([key, { label }]) => `${key}: ${label}`).join('\n                           ')}
+                           (default pairwise)
+  -q, --query <file>       Query records for query mode
+  -f, --format <format>    ${Object.entries(CLI_FORMATS).map(([key, { label }]) => `${key}: ${label}`).join('\n                           ')}
+                           (default text)
+      --match <n>          Match score (default ${DEFAULT_SCORES.match})
+      --mismatch <n>       Mismatch score (default ${DEFAULT_SCORES.mismatch})
+      --matrix <name>      Substitution matrix instead of match/mismatch, e.g. BLOSUM62
+      --gap <n>            Linear gap score (default ${DEFAULT_SCORES.gap})
+      --affine             Affine gaps scored by --gap-open and --gap-extend
+      --gap-open <n>       First position of a gap (default ${DEFAULT_SCORES.gapOpen})
+      --gap-extend <n>     Each further position (default ${DEFAULT_SCORES.gapExtend})
+      --linear-space       Use Hirschberg's linear-space alignment (automatic for long pairs)
+  -h, --help               Show this help
+
+Exit codes: 0 success, 1 alignment failure, 2 usage error, 3 unreadable input,
+4 invalid input.
+`;
+
+/**
+ * Error carrying the exit code it should end the command with.
+ * @private
+ */
+const cliError = (message, exitCode) => Object.assign(new Error(message), { exitCode });
+
+/**
+ * Parse command-line arguments. Options take their value as the next
+ * argument or after '='; '--' ends the options.
+ *
+ * @param {string[]} argv - Arguments after the program name
+ * @returns {{options: object, files: string[]}} Options by long name and
+ *   input paths ('-' for stdin when none are given)
+ */
+export function parseArguments(argv) {
+  const options = {};
+  const files = [];
+  const byShort = Object.fromEntries(Object.entries(OPTIONS).map(([name, { short }]) => [short, name]));
+
+  for (let k = 0; k < argv.length; k++) {
+    const arg = argv[k];
+    if (arg === '--') {
+      files.push(...argv.slice(k + 1));
+      break;
+    }
+    if (arg === '-' || !arg.startsWith('-')) {
+      files.push(arg);
+      continue;
+    }
+
+    const long = arg.startsWith('--');
+    const [flag, ...inline] = arg.slice(long ? 2 : 1).split('=');
+    const name = long ? flag : byShort[flag];
+    const spec = OPTIONS[name];
+    if (!spec) {
+      throw cliError(`Unknown option: ${arg}`, EXIT_CODES.usage);
+    }
+    if (!spec.value) {
+      options[name] = true;
+      continue;
+    }
+    const value = inline.length > 0 ? inline.join('=') : argv[++k];
+    if (value === undefined || value === '') {
+      throw cliError(`Option ${arg} needs a value`, EXIT_CODES.usage);
+    }
+    options[name] = value;
+  }
+
+  return { options, files: files.length > 0 ? files : ['-'] };
+}
+
+/**
+ * Scoring scheme from the parsed options.
+ * @private
+ */
+function scoringFrom(options, nucleotide) {
+  const scores = { ...DEFAULT_SCORES };
+  for (const [option, key] of Object.entries(NUMERIC_OPTIONS)) {
+    if (options[option] === undefined) continue;
+    const value = Number(options[option]);
+    if (!Number.isFinite(value)) {
+      throw cliError(`--${option} must be a number, got '${options[option]}'`, EXIT_CODES.usage);
+    }
+    scores[key] = value;
+  }
+  if (options.matrix) {
+    try {
+      scores.matrix = resolveMatrix(options.matrix).name || options.matrix.toUpperCase();
+    } catch (error) {
+      throw cliError(error.message, EXIT_CODES.usage);
+    }
+  }
+  // Ambiguity codes score partial matches for nucleotides, as in the app
+  return { ...scores, iupac: nucleotide && !scores.matrix };
+}
+
+/**
+ * Pairs of records to align for a mode, as [reference, query].
+ * @private
+ */
+function pairsFor(mode, records, queries) {
+  const pairs = [];
+  if (mode === 'pairwise') {
+    if (records.length < 2) throw cliError('Pairwise mode needs at least two records', EXIT_CODES.invalid);
+    for (let i = 0; i < records.length; i++) {
+      for (let j = i + 1; j < records.length; j++) pairs.push([records[i], records[j]]);
+    }
+  } else if (mode === 'query') {
+    const [query, targets] = queries ? [queries, records] : [[records[0]], records.slice(1)];
+    if (targets.length === 0) throw cliError('Query mode needs at least one record besides the query', EXIT_CODES.invalid);
+    query.forEach(record => targets.forEach(target => pairs.push([target, record])));
+  } else {
+    if (records.length < 2 || records.length % 2 !== 0) {
+      throw cliError(`Batch mode needs an even number of records, got ${records.length}`, EXIT_CODES.invalid);
+    }
+    for (let i = 0; i < records.length; i += 2) pairs.push([records[i], records[i + 1]]);
+  }
+  return pairs;
+}
+
+/**
+ * Align one pair, switching to linear space when the full matrix is too big.
+ * @private
+ */
+function alignPair(reference, query, scores, { algorithm, affine, linearSpace }) {
+  const global = algorithm === 'global';
+  const large = reference.length * query.length > FULL_MATRIX_CELL_LIMIT;
+  if (affine) {
+    if (large) {
+      throw cliError(
+        `Affine gaps need the full matrix, which is limited to ${FULL_MATRIX_CELL_LIMIT.toLocaleString('en-US')} cells; drop --affine for linear-space alignment`,
+        EXIT_CODES.invalid
+      );
+    }
+    return (global ? needlemanWunschAffine : smithWatermanAffine)(reference, query, scores);
+  }
+  if (linearSpace || large) return (global ? hirschberg : hirschbergLocal)(reference, query, scores);
+  return (global ? needlemanWunsch : smithWaterman)(reference, query, scores);
+}
+
+/**
+ * SAM documents merged under one header: @HD once, each @SQ once, the
+ * first @PG, then every record in order.
+ * @private
+ */
+function mergeSam(documents) {
+  if (documents.length === 0) return '';
+  const headers = { HD: [], SQ: [], PG: [] };
+  const records = [];
+  documents.forEach(document => document.trimEnd().split('\n').forEach(line => {
+    if (!line.startsWith('@')) {
+      records.push(line);
+      return;
+    }
+    const tag = line.slice(1, 3);
+    if (tag === 'SQ' ? !headers.SQ.includes(line) : headers[tag].length === 0) headers[tag].push(line);
+  }));
+  return [...headers.HD, ...headers.SQ, ...headers.PG, ...records].join('\n') + '\n';
+}
+
+/**
+ * Write the aligned pairs in one of the CLI_FORMATS.
+ * @private
+ */
+function formatResults(format, aligned, { scores, affine, mode, algorithm }) {
+  const options = ({ reference, query }) => ({
+    names: [reference.id, query.id],
+    sequences: [reference.sequence, query.sequence],
+    scores,
+    affine,
+    parameters: { mode: algorithm },
+  });
+  if (format === 'json') {
+    const alignments = aligned.map(pair => JSON.parse(toJsonDocument(pair.result, options(pair))));
+    return `${JSON.stringify({ format: 'seqsync-batch', version: JSON_EXPORT_VERSION, mode, alignments }, null, 2)}\n`;
+  }
+  if (format === 'sam') return mergeSam(aligned.map(pair => toSam(pair.result, options(pair))));
+  const write = format === 'fasta' ? toAlignedFasta : toEmbossPair;
+  return aligned.map(pair => write(pair.result, options(pair))).join(format === 'fasta' ? '' : '\n');
+}
+
+/**
+ * Run the command.
+ *
+ * @param {string[]} argv - Arguments after the program name
+ * @param {object} io - { readInput(path) } returning the text of a file,
+ *   or of stdin for '-'
+ * @returns {{exitCode: number, stdout: string, stderr: string}}
+ */
+export function runCli(argv, { readInput }) {
+  const warnings = [];
+  try {
+    const { options, files } = parseArguments(argv);
+    if (options.help) return { exitCode: EXIT_CODES.ok, stdout: USAGE, stderr: '' };
+
+    const algorithm = options.algorithm || 'global';
+    const mode = options.mode || 'pairwise';
+    const format = options.format || 'text';
+    if (!ALGORITHMS.includes(algorithm)) {
+      throw cliError(`Unknown algorithm '${algorithm}': expected ${ALGORITHMS.join(' or ')}`, EXIT_CODES.usage);
+    }
+    if (!CLI_MODES[mode]) {
+      throw cliError(`Unknown mode '${mode}': expected ${Object.keys(CLI_MODES).join(', ')}`, EXIT_CODES.usage);
+    }
+    if (!CLI_FORMATS[format]) {
+      throw cliError(`Unknown format '${format}': expected ${Object.keys(CLI_FORMATS).join(', ')}`, EXIT_CODES.usage);
+    }
+    if (options.query && mode !== 'query') {
+      throw cliError('--query is only used in query mode', EXIT_CODES.usage);
+    }
+    const paths = options.query ? [...files, options.query] : files;
+    if (paths.filter(path => path === '-').length > 1) {
+      throw cliError('stdin can only be read once', EXIT_CODES.usage);
+    }
+
+    const read = (path) => {
+      const name = path === '-' ? 'stdin' : path;
+      let text;
+      try {
+        text = readInput(path);
+      } catch (error) {
+        throw cliError(`${name}: ${error.message}`, EXIT_CODES.unreadable);
+      }
+      try {
+        return parseSequenceFile(text).records;
+      } catch (error) {
+        throw cliError(`${name}: ${error.message}`, EXIT_CODES.invalid);
+      }
+    };
+    const records = files.flatMap(read);
+    const queries = options.query ? read(options.query) : null;
+
+    const all = [...records, ...(queries || [])];
+    const alphabet = commonAlphabet(all.map(record => record.sequence));
+    for (const record of all) {
+      if (!record.sequence) throw cliError(`${record.id}: empty sequence`, EXIT_CODES.invalid);
+      const [error] = validateSequence(record.sequence, alphabet);
+      if (error) throw cliError(`${record.id}: ${error.message}`, EXIT_CODES.invalid);
+    }
+
+    const scores = scoringFrom(options, alphabet !== 'protein');
+    const settings = { algorithm, affine: Boolean(options.affine), linearSpace: Boolean(options['linear-space']) };
+    const aligned = [];
+    for (const [reference, query] of pairsFor(mode, records, queries)) {
+      let result;
+      try {
+        result = alignPair(reference.sequence, query.sequence, scores, settings);
+      } catch (error) {
+        if (error.exitCode) throw error;
+        throw cliError(`${reference.id} vs ${query.id}: ${error.message}`, EXIT_CODES.failure);
+      }
+      // A local alignment of unrelated sequences can be empty
+      if (!result.alignedSeq1) {
+        warnings.push(`seqsync: no local alignment between ${reference.id} and ${query.id}\n`);
+        continue;
+      }
+      aligned.push({ reference, query, result });
+    }
+
+    return {
+      exitCode: EXIT_CODES.ok,
+      stdout: formatResults(format, aligned, { scores, affine: settings.affine, mode, algorithm }),
+      stderr: warnings.join(''),
+    };
+  } catch (error) {
+    return {
+      exitCode: error.exitCode ?? EXIT_CODES.failure,
+      stdout: '',
+      stderr: `${warnings.join('')}seqsync: ${error.message}\n${error.exitCode === EXIT_CODES.usage ? "Try 'seqsync --help'.\n" : ''}`,
+    };
+  }
+}
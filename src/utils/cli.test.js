@@ -0,0 +1,185 @@
+/**
+ * =====================================================================
+ * COMMAND-LINE INTERFACE TEST SUITE
+ * =====================================================================
+ *
+ * Verifies argument parsing, the pairs each mode aligns, every output
+ * format and the exit codes for bad options and invalid input.
+ * =====================================================================
+ */
+
+import { parseArguments, runCli, EXIT_CODES } from './cli.js';
+
+// Test helper function
+function runTest(testName, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ PASS: ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ FAIL: ${testName}`);
+    console.error(`   Error: ${error.message}`);
+    return false;
+  }
+}
+
+// Assertion helpers
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n  Expected: ${expected}\n  Actual: ${actual}`);
+  }
+}
+
+function assertThrows(fn, expectedMessage, message = '') {
+  try {
+    fn();
+  } catch (error) {
+    if (!error.message.includes(expectedMessage)) {
+      throw new Error(`${message}\n  Expected error containing: ${expectedMessage}\n  Actual: ${error.message}`);
+    }
+    return;
+  }
+  throw new Error(`${message}\n  Expected an error`);
+}
+
+// In-memory files; '-' is stdin
+const FILES = {
+  'three.fa': '>a first\nACGTGATCA\n>b\nAGCTACCA\n>c\nACGTTTCA\n',
+  'query.fa': '>q\nGATCA\n',
+  'invalid.fa': '>x\nACGTACGTAC\n>y\nACGTXACGTA\n',
+  'notes.txt': 'not a sequence file\n',
+  '-': '>s1\nHEAGAWGHEE\n>s2\nPAWHEAE\n',
+};
+
+const readInput = (path) => {
+  if (!(path in FILES)) throw new Error(`ENOENT: no such file or directory, open '${path}'`);
+  return FILES[path];
+};
+const run = (...argv) => runCli(argv, { readInput });
+
+// Non-header SAM lines, split into fields
+const samRecords = (text) => text.trimEnd().split('\n').filter(line => !line.startsWith('@')).map(line => line.split('\t'));
+
+// =====================================================================
+// ARGUMENT TESTS
+// =====================================================================
+
+function testArguments_ShortLongAndInline() {
+  const { options, files } = parseArguments(['-a', 'local', '--format=json', '--affine', 'x.fa', '--', '-y.fa']);
+  assertEquals(options.algorithm, 'local', 'Short option value');
+  assertEquals(options.format, 'json', 'Inline value');
+  assertEquals(options.affine, true, 'Flag');
+  assertEquals(files.join(' '), 'x.fa -y.fa', "Files, with '--' ending the options");
+  assertEquals(parseArguments([]).files.join(' '), '-', 'stdin by default');
+  assertThrows(() => parseArguments(['--gap']), 'needs a value', 'Missing value');
+}
+
+// =====================================================================
+// MODE TESTS
+// =====================================================================
+
+function testModes_Pairs() {
+  const names = (result) => samRecords(result.stdout).map(([query, , reference]) => `${reference}/${query}`).join(' ');
+  assertEquals(names(run('-f', 'sam', 'three.fa')), 'a/b a/c b/c', 'Every pair');
+  assertEquals(names(run('-f', 'sam', '-m', 'query', 'three.fa')), 'b/a c/a', 'First record against the rest');
+  assertEquals(names(run('-f', 'sam', '-m', 'query', '-q', 'query.fa', 'three.fa')), 'a/q b/q c/q', 'Query file against every record');
+  assertEquals(names(run('-f', 'sam', '-m', 'batch', 'three.fa', 'query.fa')), 'a/b c/q', 'Consecutive pairs');
+}
+
+function testModes_LocalAndScoring() {
+  const result = run('-f', 'json', '-a', 'local', '--matrix', 'blosum62', '--gap', '-8');
+  const [alignment] = JSON.parse(result.stdout).alignments;
+  assertEquals(result.exitCode, EXIT_CODES.ok, 'Read from stdin');
+  assertEquals(alignment.algorithm, 'Smith-Waterman', 'Local');
+  assertEquals(alignment.parameters.scoring.matrix, 'BLOSUM62', 'Matrix');
+  assertEquals(alignment.parameters.gaps.penalty, -8, 'Gap score');
+  assertEquals(alignment.alignment.rows.join(' '), 'AWGHE AW-HE', 'Durbin et al. example');
+}
+
+// =====================================================================
+// OUTPUT TESTS
+// =====================================================================
+
+function testOutput_Formats() {
+  const text = run('three.fa').stdout;
+  assertEquals(text.match(/# Aligned_sequences: 2/g).length, 3, 'One EMBOSS block per pair');
+
+  const fasta = run('-f', 'fasta', '-m', 'batch', 'three.fa', 'query.fa').stdout;
+  assertEquals(fasta.match(/^>/gm).length, 4, 'Two aligned records per pair');
+
+  const sam = run('-f', 'sam', '-m', 'query', 'three.fa').stdout.split('\n');
+  assertEquals(sam.filter(line => line.startsWith('@HD')).length, 1, 'One @HD line');
+  assertEquals(sam.filter(line => line.startsWith('@SQ')).join(','), '@SQ\tSN:b\tLN:8,@SQ\tSN:c\tLN:8', 'One @SQ per reference');
+
+  const json = JSON.parse(run('-f', 'json', 'three.fa').stdout);
+  assertEquals(`${json.format} ${json.mode} ${json.alignments.length}`, 'seqsync-batch pairwise 3', 'Batch document');
+}
+
+function testOutput_EmptyLocalAlignment() {
+  FILES['unrelated.fa'] = '>x\nAAAA\n>y\nCCCC\n';
+  const result = run('-a', 'local', 'unrelated.fa');
+  assertEquals(result.exitCode, EXIT_CODES.ok, 'Not an error');
+  assertEquals(result.stdout, '', 'Nothing to write');
+  assertEquals(result.stderr.includes('no local alignment between x and y'), true, 'Reported on stderr');
+}
+
+// =====================================================================
+// EXIT CODE TESTS
+// =====================================================================
+
+function testExitCodes() {
+  assertEquals(run('--help').exitCode, EXIT_CODES.ok, 'Help');
+  assertEquals(run('--bogus').exitCode, EXIT_CODES.usage, 'Unknown option');
+  assertEquals(run('-f', 'xml', 'three.fa').exitCode, EXIT_CODES.usage, 'Unknown format');
+  assertEquals(run('--match', 'two', 'three.fa').exitCode, EXIT_CODES.usage, 'Non-numeric score');
+  assertEquals(run('--matrix', 'BLOSUM99', 'three.fa').exitCode, EXIT_CODES.usage, 'Unknown matrix');
+  assertEquals(run('missing.fa').exitCode, EXIT_CODES.unreadable, 'Missing file');
+  assertEquals(run('notes.txt').exitCode, EXIT_CODES.invalid, 'Not a sequence file');
+  assertEquals(run('query.fa').exitCode, EXIT_CODES.invalid, 'Too few records');
+  assertEquals(run('-m', 'batch', 'three.fa').exitCode, EXIT_CODES.invalid, 'Odd batch');
+
+  const invalid = run('invalid.fa');
+  assertEquals(invalid.exitCode, EXIT_CODES.invalid, 'Invalid character');
+  assertEquals(invalid.stderr, "seqsync: y: Invalid DNA character 'X' at position 5\n", 'Names the record and position');
+}
+
+// =====================================================================
+// RUN ALL TESTS
+// =====================================================================
+
+export function runAllTests() {
+  console.log('\n========================================');
+  console.log('COMMAND-LINE INTERFACE TEST SUITE');
+  console.log('========================================\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    ['Arguments: Short, Long and Inline', testArguments_ShortLongAndInline],
+    ['Modes: Pairs', testModes_Pairs],
+    ['Modes: Local and Scoring', testModes_LocalAndScoring],
+    ['Output: Formats', testOutput_Formats],
+    ['Output: Empty Local Alignment', testOutput_EmptyLocalAlignment],
+    ['Exit Codes', testExitCodes],
+  ];
+
+  tests.forEach(([name, testFn]) => {
+    if (runTest(name, testFn)) {
+      passed++;
+    } else {
+      failed++;
+    }
+  });
+
+  console.log('\n========================================');
+  console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run tests if this file is executed directly
+if (import.meta.url === `file://${globalThis.process?.argv[1]}`) {
+  runAllTests();
+}
@@ -0,0 +1,290 @@
+/**
+ * Database Search
+ * BLAST-style search of one query against a local library of sequences.
+ *
+ * The library is indexed by its words (k-mers). Every word of the query
+ * looks up its hits; each hit is extended without gaps in both directions
+ * until the score falls more than X below the best seen (X-drop). Hits on a
+ * diagonal already covered by an extension are skipped. Extensions scoring
+ * at least the gap trigger are realigned with Smith-Waterman over the query
+ * and a window of the subject around their diagonal, and each subject keeps
+ * its best gapped alignment.
+ *
+ * E-values use the Karlin–Altschul parameters of the scoring scheme with
+ * residue frequencies pooled over the query and library, for a search space
+ * of the query length times the library's total length. As for single
+ * alignments (see significance.js) the parameters are the ungapped ones, so
+ * E-values of gapped hits are somewhat optimistic.
+ */
+
+import { DEFAULT_SCORES, smithWaterman } from './alignmentLogic.js';
+import { createScorer } from './scoringMatrices.js';
+import { karlinAltschulParameters, residueFrequencies, scoreSignificance } from './significance.js';
+
+/** Default word sizes, as BLASTN and BLASTP use */
+export const WORD_SIZES = { nucleotide: 11, protein: 3 };
+
+export const SEARCH_DEFAULTS = {
+  wordSize: WORD_SIZES.nucleotide,
+  // Ungapped extension stops this far below its best score
+  xDrop: 20,
+  // Ungapped extensions of at least this many bits get a gapped alignment
+  gapTrigger: 20,
+  // Subject residues either side of the query's diagonal in the gapped window
+  window: 32,
+  maxEValue: 10,
+  maxHits: 50,
+  // Words occurring more often than this are repeats and are not looked up
+  maxWordHits: 1000,
+};
+
+/**
+ * Word index of a library: word → flat [record, position, record,
+ * position, …] list.
+ *
+ * @param {object[]} library - [{ id, sequence }]
+ * @param {number} wordSize - Word length
+ * @param {object} options - { onProgress(recordsDone, totalRecords) }
+ * @returns {{wordSize: number, words: Map<string, number[]>, residues: number}}
+ */
+export function buildLibraryIndex(library, wordSize, { onProgress = () => {} } = {}) {
+  const words = new Map();
+  let residues = 0;
+  library.forEach(({ sequence }, record) => {
+    const upper = sequence.toUpperCase();
+    for (let i = 0; i + wordSize <= upper.length; i++) {
+      const word = upper.slice(i, i + wordSize);
+      const hits = words.get(word);
+      if (hits) hits.push(record, i);
+      else words.set(word, [record, i]);
+    }
+    residues += upper.length;
+    onProgress(record + 1, library.length);
+  });
+  return { wordSize, words, residues };
+}
+
+/**
+ * Ungapped X-drop extension of a word hit at query[queryPos] /
+ * subject[subjectPos], right then left.
+ * @private
+ */
+function extendUngapped(query, subject, queryPos, subjectPos, wordSize, substitute, xDrop) {
+  let score = 0;
+  for (let k = 0; k < wordSize; k++) score += substitute(query[queryPos + k], subject[subjectPos + k]);
+
+  let best = score;
+  let right = 0;
+  for (let k = wordSize, run = score; queryPos + k < query.length && subjectPos + k < subject.length; k++) {
+    run += substitute(query[queryPos + k], subject[subjectPos + k]);
+    if (run > best) {
+      best = run;
+      right = k + 1 - wordSize;
+    } else if (best - run > xDrop) {
+      break;
+    }
+  }
+
+  let left = 0;
+  for (let k = 1, run = best; queryPos - k >= 0 && subjectPos - k >= 0; k++) {
+    run += substitute(query[queryPos - k], subject[subjectPos - k]);
+    if (run > best) {
+      best = run;
+      left = k;
+    } else if (best - run > xDrop) {
+      break;
+    }
+  }
+
+  return {
+    queryStart: queryPos - left,
+    subjectStart: subjectPos - left,
+    length: left + wordSize + right,
+    score: best,
+  };
+}
+
+/**
+ * Identities, mismatches, gap opens and length of aligned rows.
+ * @private
+ */
+function alignmentCounts(aligned1, aligned2) {
+  let identities = 0;
+  let mismatches = 0;
+  let gapOpens = 0;
+  for (let k = 0; k < aligned1.length; k++) {
+    const gap1 = aligned1[k] === '-';
+    const gap2 = aligned2[k] === '-';
+    if (gap1 || gap2) {
+      const previousGap = k > 0 && (gap1 ? aligned1[k - 1] === '-' : aligned2[k - 1] === '-');
+      if (!previousGap) gapOpens++;
+    } else if (aligned1[k].toUpperCase() === aligned2[k].toUpperCase()) {
+      identities++;
+    } else {
+      mismatches++;
+    }
+  }
+  return { identities, mismatches, gapOpens, alignmentLength: aligned1.length };
+}
+
+/**
+ * Search a query against an indexed library.
+ *
+ * @param {string} query - Query sequence
+ * @param {object[]} library - [{ id, description?, sequence }]
+ * @param {object} index - buildLibraryIndex(library, wordSize)
+ * @param {object} scores - {match, mismatch, gap} or {matrix, gap}
+ * @param {object} options - SEARCH_DEFAULTS fields (wordSize comes from the
+ *   index), plus onProgress(subjectsDone, totalSubjects)
+ * @returns {object} { hits, statistics, searched: { records, residues },
+ *   counts: { wordHits, ungapped, gapped }, wordSize, algorithm } where hits
+ *   are ranked by E-value (score when statistics are unavailable), each
+ *   { record, id, description, length, score, bitScore, eValue, identity,
+ *   identities, mismatches, gapOpens, alignmentLength, queryStart, queryEnd,
+ *   subjectStart, subjectEnd, alignedQuery, alignedSubject } with 1-based
+ *   inclusive coordinates; statistics is { lambda, K, H } or { error }
+ */
+export function searchLibrary(query, library, index, scores = DEFAULT_SCORES, { onProgress = () => {}, ...options } = {}) {
+  const settings = { ...SEARCH_DEFAULTS, ...options };
+  const { wordSize } = index;
+  const upperQuery = query.toUpperCase();
+  if (!upperQuery) {
+    throw new Error('The query must be non-empty');
+  }
+  if (upperQuery.length < wordSize) {
+    throw new Error(`The query is shorter than the word size (${wordSize})`);
+  }
+  const substitute = createScorer(scores);
+
+  let statistics;
+  try {
+    const { lambda, K, H } = karlinAltschulParameters(
+      scores,
+      residueFrequencies([upperQuery, ...library.map(record => record.sequence)])
+    );
+    statistics = { lambda, K, H };
+  } catch (error) {
+    statistics = { error: error.message };
+  }
+  const significance = (score) => (statistics.error
+    ? { bitScore: null, eValue: null }
+    : scoreSignificance(score, upperQuery.length, index.residues, statistics));
+
+  // Word hits grouped by subject, in query order
+  const hitsBySubject = new Map();
+  let wordHits = 0;
+  for (let j = 0; j + wordSize <= upperQuery.length; j++) {
+    const hits = index.words.get(upperQuery.slice(j, j + wordSize));
+    if (!hits || hits.length / 2 > settings.maxWordHits) continue;
+    for (let k = 0; k < hits.length; k += 2) {
+      const list = hitsBySubject.get(hits[k]);
+      if (list) list.push(j, hits[k + 1]);
+      else hitsBySubject.set(hits[k], [j, hits[k + 1]]);
+      wordHits++;
+    }
+  }
+
+  const hits = [];
+  let ungapped = 0;
+  let gapped = 0;
+  let subjectsDone = 0;
+  const subjects = Math.max(1, hitsBySubject.size);
+  for (const [record, wordList] of hitsBySubject) {
+    onProgress(subjectsDone++, subjects);
+    const subject = library[record].sequence.toUpperCase();
+    // End of the last extension on each diagonal (subject − query position)
+    const extendedTo = new Map();
+    const aligned = [];
+    let best = null;
+
+    for (let k = 0; k < wordList.length; k += 2) {
+      const queryPos = wordList[k];
+      const subjectPos = wordList[k + 1];
+      const diagonal = subjectPos - queryPos;
+      if (subjectPos < (extendedTo.get(diagonal) ?? -1)) continue;
+
+      const hsp = extendUngapped(upperQuery, subject, queryPos, subjectPos, wordSize, substitute, settings.xDrop);
+      extendedTo.set(diagonal, hsp.subjectStart + hsp.length);
+      ungapped++;
+      const { bitScore } = significance(hsp.score);
+      if (bitScore !== null && bitScore < settings.gapTrigger) continue;
+
+      // One gapped alignment per window: skip HSPs inside an aligned region
+      const hspEnd = hsp.subjectStart + hsp.length;
+      if (aligned.some(([from, to]) => hsp.subjectStart >= from && hspEnd <= to)) continue;
+
+      const from = Math.max(0, diagonal - settings.window);
+      const to = Math.min(subject.length, diagonal + upperQuery.length + settings.window);
+      const result = smithWaterman(upperQuery, subject.slice(from, to), scores);
+      gapped++;
+      const subjectStart = from + result.startPos.col;
+      const subjectEnd = subjectStart + result.alignedSeq2.replace(/-/g, '').length;
+      aligned.push([subjectStart, subjectEnd]);
+      if (best && best.score >= result.score) continue;
+      best = {
+        score: result.score,
+        queryStart: result.startPos.row + 1,
+        queryEnd: result.endPos.row,
+        subjectStart: subjectStart + 1,
+        subjectEnd,
+        alignedQuery: result.alignedSeq1,
+        alignedSubject: result.alignedSeq2,
+      };
+    }
+
+    if (!best || best.score <= 0) continue;
+    const { bitScore, eValue } = significance(best.score);
+    if (eValue !== null && eValue > settings.maxEValue) continue;
+    const counts = alignmentCounts(best.alignedQuery, best.alignedSubject);
+    hits.push({
+      record,
+      id: library[record].id,
+      description: library[record].description || '',
+      length: subject.length,
+      ...best,
+      bitScore,
+      eValue,
+      ...counts,
+      identity: counts.identities / counts.alignmentLength,
+    });
+  }
+  onProgress(subjects, subjects);
+
+  hits.sort((a, b) => (statistics.error ? 0 : a.eValue - b.eValue) || b.score - a.score || a.record - b.record);
+
+  return {
+    hits: hits.slice(0, settings.maxHits),
+    statistics,
+    searched: { records: library.length, residues: index.residues },
+    counts: { wordHits, ungapped, gapped },
+    wordSize,
+    algorithm: `Word search (w = ${wordSize}) with Smith-Waterman extension`,
+  };
+}
+
+/**
+ * Hits as BLAST tabular output (-outfmt 6): query, subject, % identity,
+ * length, mismatches, gap opens, query start/end, subject start/end,
+ * E-value and bit score, tab-separated.
+ *
+ * @param {object[]} hits - searchLibrary hits
+ * @param {string} queryName - Query identifier
+ * @returns {string} Tabular text
+ */
+export function formatHitTable(hits, queryName = 'query') {
+  const name = (text) => text.replace(/\s+/g, '_');
+  return hits.map(hit => [
+    name(queryName),
+    name(hit.id),
+    (100 * hit.identity).toFixed(2),
+    hit.alignmentLength,
+    hit.mismatches,
+    hit.gapOpens,
+    hit.queryStart,
+    hit.queryEnd,
+    hit.subjectStart,
+    hit.subjectEnd,
+    hit.eValue === null ? 'NA' : hit.eValue.toExponential(2),
+    hit.bitScore === null ? 'NA' : hit.bitScore.toFixed(1),
+  ].join('\t')).join('\n') + '\n';
+}
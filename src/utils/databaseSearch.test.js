@@ -0,0 +1,174 @@
+/**
+ * =====================================================================
+ * DATABASE SEARCH TEST SUITE
+ * =====================================================================
+ *
+ * Verifies the library word index, detection and coordinates of planted
+ * homologs, gapped extension across indels, ranking by E-value and the
+ * tabular output.
+ * =====================================================================
+ */
+
+import { buildLibraryIndex, searchLibrary, formatHitTable } from './databaseSearch.js';
+
+// Test helper function
+function runTest(testName, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ PASS: ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ FAIL: ${testName}`);
+    console.error(`   Error: ${error.message}`);
+    return false;
+  }
+}
+
+// Assertion helpers
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n  Expected: ${expected}\n  Actual: ${actual}`);
+  }
+}
+
+function assertThrows(fn, expectedMessage, message = '') {
+  try {
+    fn();
+  } catch (error) {
+    if (!error.message.includes(expectedMessage)) {
+      throw new Error(`${message}\n  Expected error containing: ${expectedMessage}\n  Actual: ${error.message}`);
+    }
+    return;
+  }
+  throw new Error(`${message}\n  Expected an error`);
+}
+
+// Reproducible random bases
+function randomBases(length, seed) {
+  let state = seed;
+  let bases = '';
+  for (let i = 0; i < length; i++) {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    bases += 'ACGT'[Math.floor(state / 65536) % 4];
+  }
+  return bases;
+}
+
+// Substitute every `every`-th base with the next base in ACGT, leaving word-sized runs
+const mutate = (sequence, every) => [...sequence]
+  .map((base, i) => (i % every === every - 1 ? 'ACGT'['ACGT'.indexOf(base) + 1] || 'A' : base))
+  .join('');
+
+const QUERY = randomBases(120, 42);
+
+// Twenty unrelated records with the query planted in two of them
+const LIBRARY = Array.from({ length: 20 }, (_, k) => ({ id: `random_${k + 1}`, sequence: randomBases(400, 1000 + k) }));
+LIBRARY[6] = { id: 'exact', description: 'query at 101', sequence: randomBases(100, 7) + QUERY + randomBases(150, 8) };
+LIBRARY[13] = { id: 'diverged', sequence: randomBases(60, 9) + mutate(QUERY, 12) + randomBases(60, 10) };
+
+const search = (query, library, options = {}) => {
+  const index = buildLibraryIndex(library, options.wordSize || 11);
+  return searchLibrary(query, library, index, undefined, options);
+};
+
+// =====================================================================
+// INDEX TESTS
+// =====================================================================
+
+function testIndex_WordsAcrossRecords() {
+  const index = buildLibraryIndex([{ sequence: 'ACGTAC' }, { sequence: 'tacg' }], 3);
+  assertEquals(index.words.get('TAC').join(','), '0,3,1,0', 'Record and position pairs, upper-cased');
+  assertEquals(index.words.get('ACG').join(','), '0,0,1,1', 'Shared word');
+  assertEquals(index.residues, 10, 'Library length');
+}
+
+// =====================================================================
+// SEARCH TESTS
+// =====================================================================
+
+function testSearch_FindsPlantedHomologs() {
+  const result = search(QUERY, LIBRARY);
+  assertEquals(result.hits.map(hit => hit.id).join(','), 'exact,diverged', 'Only the homologs, best first');
+
+  const [exact, diverged] = result.hits;
+  assertEquals(`${exact.queryStart}-${exact.queryEnd}`, '1-120', 'Whole query');
+  assertEquals(`${exact.subjectStart}-${exact.subjectEnd}`, '101-220', '1-based subject coordinates');
+  assertEquals(exact.identity, 1, 'Identical');
+  assertEquals(exact.description, 'query at 101', 'Record description carried');
+  assertEquals(exact.eValue < 1e-20, true, 'Highly significant');
+  assertEquals(diverged.identity > 0.9 && diverged.identity < 0.95, true, `Diverged identity ${diverged.identity}`);
+  assertEquals(diverged.eValue > exact.eValue, true, 'Ranked by E-value');
+  assertEquals(result.searched.residues, 400 * 18 + 370 + 240, 'Whole library searched');
+}
+
+function testSearch_GappedAcrossIndel() {
+  // Six query bases missing from the subject
+  const subject = randomBases(50, 3) + QUERY.slice(0, 60) + QUERY.slice(66) + randomBases(50, 4);
+  const [hit] = search(QUERY, [{ id: 'deletion', sequence: subject }]).hits;
+
+  // Linear gaps may split the deletion around matching bases at equal score
+  assertEquals(hit.gapOpens >= 1, true, 'Gapped');
+  assertEquals(hit.alignedSubject.replace(/[^-]/g, '').length, 6, 'Gaps span the missing bases');
+  assertEquals(hit.alignedQuery.includes('-'), false, 'Query ungapped');
+  assertEquals(`${hit.queryStart}-${hit.queryEnd}`, '1-120', 'Extended past the gap');
+  assertEquals(hit.subjectStart, 51, 'Subject start');
+}
+
+function testSearch_LimitsAndErrors() {
+  assertEquals(search(QUERY, LIBRARY, { maxHits: 1 }).hits.length, 1, 'maxHits');
+  assertEquals(search(QUERY, LIBRARY, { maxEValue: 1e-22 }).hits.map(hit => hit.id).join(','), 'exact', 'E-value cutoff');
+  assertEquals(search(randomBases(60, 555), LIBRARY).hits.length, 0, 'Unrelated query finds nothing');
+  assertThrows(() => search('ACGT', LIBRARY), 'shorter than the word size', 'Short query');
+}
+
+// =====================================================================
+// OUTPUT TESTS
+// =====================================================================
+
+function testOutput_Tabular() {
+  const { hits } = search(QUERY, LIBRARY);
+  const [first] = formatHitTable(hits, 'my query').trimEnd().split('\n').map(line => line.split('\t'));
+  assertEquals(first.length, 12, 'outfmt 6 columns');
+  assertEquals(first.slice(0, 4).join(' '), 'my_query exact 100.00 120', 'Names, identity and length');
+  assertEquals(first.slice(6, 10).join(' '), '1 120 101 220', 'Coordinates');
+}
+
+// =====================================================================
+// RUN ALL TESTS
+// =====================================================================
+
+export function runAllTests() {
+  console.log('\n========================================');
+  console.log('DATABASE SEARCH TEST SUITE');
+  console.log('========================================\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    ['Index: Words Across Records', testIndex_WordsAcrossRecords],
+    ['Search: Finds Planted Homologs', testSearch_FindsPlantedHomologs],
+    ['Search: Gapped Across Indel', testSearch_GappedAcrossIndel],
+    ['Search: Limits and Errors', testSearch_LimitsAndErrors],
+    ['Output: Tabular', testOutput_Tabular],
+  ];
+
+  tests.forEach(([name, testFn]) => {
+    if (runTest(name, testFn)) {
+      passed++;
+    } else {
+      failed++;
+    }
+  });
+
+  console.log('\n========================================');
+  console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run tests if this file is executed directly
+if (import.meta.url === `file://${globalThis.process?.argv[1]}`) {
+  runAllTests();
+}
@@ -0,0 +1,160 @@
+/**
+ * Dot Plot
+ * Word-match dot plots of Sequence 1 (rows) against Sequence 2 (columns),
+ * with a window/stringency filter and inverted-repeat detection against the
+ * reverse complement of Sequence 2.
+ *
+ * Hits are found through a word index rather than by comparing every cell,
+ * and dots are counted into a grid of bins no larger than the canvas, so
+ * sequences of tens of kilobases plot without holding every dot.
+ */
+
+import { reverseComplement } from './sequence.js';
+
+export const DOT_PLOT_DEFAULTS = {
+  wordSize: 2,
+  window: 11,
+  stringency: 2,
+  inverted: true,
+  // Bins along the longer sequence
+  size: 600,
+};
+
+/**
+ * Position lists of every word of `length` in a sequence.
+ * @private
+ */
+function indexWords(sequence, length) {
+  const index = new Map();
+  for (let j = 0; j + length <= sequence.length; j++) {
+    const word = sequence.slice(j, j + length);
+    const positions = index.get(word);
+    if (positions) positions.push(j);
+    else index.set(word, [j]);
+  }
+  return index;
+}
+
+/**
+ * Word hits of seq1 against target, calling mark(row, col) once per cell
+ * they cover. A hit at (i, j) covers the wordSize cells of its diagonal;
+ * with a filter it only counts when the window centred on the word holds
+ * at least `stringency` identities. Overlapping words on one diagonal
+ * mark each cell once. onRows(rowsDone) follows the scan.
+ * @private
+ */
+function scanWords(seq1, target, { wordSize, window, stringency }, mark, onRows) {
+  const m = seq1.length;
+  const n = target.length;
+  const index = indexWords(target, wordSize);
+  const filtered = stringency > wordSize;
+  const lead = Math.floor((window - wordSize) / 2);
+  // Last row marked on each diagonal (j - i + m)
+  const marked = new Int32Array(m + n + 1).fill(-1);
+
+  for (let i = 0; i + wordSize <= m; i++) {
+    const positions = index.get(seq1.slice(i, i + wordSize));
+    if (positions) {
+      for (const j of positions) {
+        if (filtered) {
+          let identities = 0;
+          const start = Math.max(i - lead, i - j, 0);
+          const end = Math.min(i - lead + window, m, n + i - j);
+          for (let r = start; r < end; r++) {
+            if (seq1[r] === target[r + j - i]) identities++;
+          }
+          if (identities < stringency) continue;
+        }
+        const diagonal = j - i + m;
+        for (let t = Math.max(0, marked[diagonal] - i + 1); t < wordSize; t++) mark(i + t, j + t);
+        marked[diagonal] = i + wordSize - 1;
+      }
+    }
+    onRows(i + 1);
+  }
+  onRows(m);
+}
+
+/**
+ * Dot plot of seq1 against seq2, binned for drawing.
+ *
+ * @param {string} seq1 - Sequence 1 (rows)
+ * @param {string} seq2 - Sequence 2 (columns)
+ * @param {object} options - { wordSize, window, stringency, inverted, size,
+ *   onProgress(done, total) }: `window` residues centred on each word must
+ *   hold `stringency` identities (a stringency of wordSize or less keeps
+ *   every word hit); `inverted` also plots matches to the reverse
+ *   complement of seq2 (nucleotides only); progress counts rows scanned
+ * @returns {object} { rows, cols, binSize, width, height, forward, reverse,
+ *   dots } where forward/reverse are Uint32Array dot counts per bin
+ *   (height × width, row-major; reverse is null unless inverted) and dots
+ *   counts plotted cells per strand
+ */
+export function dotPlot(seq1, seq2, options = {}) {
+  const { wordSize, window, stringency, inverted, size, onProgress } = { ...DOT_PLOT_DEFAULTS, ...options };
+  if (!seq1 || !seq2) {
+    throw new Error('Both sequences must be non-empty');
+  }
+  if (!Number.isInteger(wordSize) || wordSize < 1) {
+    throw new Error('Word size must be a positive integer');
+  }
+  if (!Number.isInteger(window) || window < wordSize) {
+    throw new Error('The window must be at least as long as the word');
+  }
+  if (!Number.isInteger(stringency) || stringency < 0 || stringency > window) {
+    throw new Error('Stringency must lie between 0 and the window length');
+  }
+
+  const a = seq1.toUpperCase();
+  const b = seq2.toUpperCase();
+  const m = a.length;
+  const n = b.length;
+  const binSize = Math.max(1, Math.ceil(Math.max(m, n) / size));
+  const width = Math.ceil(n / binSize);
+  const height = Math.ceil(m / binSize);
+  const filter = { wordSize, window, stringency };
+
+  const total = inverted ? 2 * m : m;
+  const progress = (before) => (rows) => onProgress?.(before + rows, total);
+
+  const forward = new Uint32Array(width * height);
+  const dots = { forward: 0, reverse: 0 };
+  scanWords(a, b, filter, (row, col) => {
+    forward[Math.floor(row / binSize) * width + Math.floor(col / binSize)]++;
+    dots.forward++;
+  }, progress(0));
+
+  // Column c of the reverse complement is column n - 1 - c of seq2, so
+  // inverted repeats run along anti-diagonals
+  let reverse = null;
+  if (inverted) {
+    reverse = new Uint32Array(width * height);
+    scanWords(a, reverseComplement(b), filter, (row, col) => {
+      reverse[Math.floor(row / binSize) * width + Math.floor((n - 1 - col) / binSize)]++;
+      dots.reverse++;
+    }, progress(m));
+  }
+
+  return { rows: m, cols: n, binSize, width, height, forward, reverse, dots };
+}
+
+/**
+ * DP-matrix path of an alignment, for results that only keep the aligned
+ * strings (linear-space alignments): one {row, col} per column, preceded
+ * by the start cell.
+ *
+ * @param {string} alignedSeq1 - Aligned Sequence 1
+ * @param {string} alignedSeq2 - Aligned Sequence 2
+ * @param {{row: number, col: number}} start - Cell before the first column
+ * @returns {{row: number, col: number}[]}
+ */
+export function alignmentPath(alignedSeq1, alignedSeq2, start = { row: 0, col: 0 }) {
+  let { row, col } = start;
+  const path = [{ row, col }];
+  for (let k = 0; k < alignedSeq1.length; k++) {
+    if (alignedSeq1[k] !== '-') row++;
+    if (alignedSeq2[k] !== '-') col++;
+    path.push({ row, col });
+  }
+  return path;
+}
@@ -0,0 +1,181 @@
+/**
+ * =====================================================================
+ * DOT PLOT TEST SUITE
+ * =====================================================================
+ *
+ * Verifies word hits along diagonals, single marking of overlapping
+ * words, inverted repeats on anti-diagonals, the window/stringency
+ * filter, binning, option validation and alignment paths for the overlay.
+ * =====================================================================
+ */
+
+import { dotPlot, alignmentPath } from './dotPlot.js';
+import { needlemanWunsch, smithWaterman } from './alignmentLogic.js';
+import { reverseComplement } from './sequence.js';
+
+// Test helper function
+function runTest(testName, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ PASS: ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ FAIL: ${testName}`);
+    console.error(`   Error: ${error.message}`);
+    return false;
+  }
+}
+
+// Assertion helpers
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n  Expected: ${expected}\n  Actual: ${actual}`);
+  }
+}
+
+function assertThrows(fn, expectedMessage, message = '') {
+  let thrown = null;
+  try {
+    fn();
+  } catch (error) {
+    thrown = error.message;
+  }
+  assertEquals(thrown, expectedMessage, message);
+}
+
+// Cells of a binSize 1 plot that hold a dot, as "row,col"
+const dotCells = (counts, width) => [...counts.keys()]
+  .filter(index => counts[index] > 0)
+  .map(index => `${Math.floor(index / width)},${index % width}`)
+  .join(' ');
+
+// =====================================================================
+// WORD HIT TESTS
+// =====================================================================
+
+function testWords_IdenticalDiagonal() {
+  const plot = dotPlot('ACGT', 'ACGT', { wordSize: 2, window: 2, stringency: 2, inverted: false });
+  assertEquals(plot.binSize, 1, 'Short sequences get one cell per bin');
+  assertEquals(dotCells(plot.forward, plot.width), '0,0 1,1 2,2 3,3', 'Main diagonal only');
+  assertEquals(plot.reverse, null, 'No reverse strand unless asked');
+}
+
+function testWords_OverlapsMarkedOnce() {
+  const plot = dotPlot('AAAAA', 'AAAAA', { wordSize: 3, window: 3, stringency: 3, inverted: false });
+  // Diagonals with at least one whole word: offsets 0, ±1, ±2
+  assertEquals(plot.dots.forward, 5 + 2 * 4 + 2 * 3, 'Every covered cell counted once');
+  assertEquals(Math.max(...plot.forward), 1, 'No cell marked twice');
+}
+
+function testWords_InvertedRepeat() {
+  const seq1 = 'AACCG';
+  const plot = dotPlot(seq1, reverseComplement(seq1), { wordSize: 3, window: 3, stringency: 3 });
+  assertEquals(plot.dots.forward, 0, 'No forward words shared');
+  assertEquals(dotCells(plot.reverse, plot.width), '0,4 1,3 2,2 3,1 4,0', 'Anti-diagonal');
+}
+
+// =====================================================================
+// FILTER AND BINNING TESTS
+// =====================================================================
+
+function testFilter_Stringency() {
+  // The AC/CG words sit in a window with three identities (ACG) and a mismatch
+  const options = { wordSize: 2, window: 6, inverted: false };
+  const loose = dotPlot('ACGTTTTT', 'ACGAAAAA', { ...options, stringency: 3 });
+  const strict = dotPlot('ACGTTTTT', 'ACGAAAAA', { ...options, stringency: 4 });
+  assertEquals(loose.dots.forward, 3, 'ACG kept at stringency 3');
+  assertEquals(strict.dots.forward, 0, 'Dropped at stringency 4');
+}
+
+function testBins_LongSequences() {
+  let sequence = '';
+  for (let i = 0; i < 1000; i++) sequence += 'ACGT'[(i * 7 + Math.floor(i / 3)) % 4];
+  let progress = null;
+  const plot = dotPlot(sequence, sequence, {
+    wordSize: 8, window: 8, stringency: 8, size: 100, onProgress: (done, total) => { progress = [done, total]; },
+  });
+
+  assertEquals(plot.binSize, 10, '1000 residues over 100 bins');
+  assertEquals(plot.width, 100, 'Width in bins');
+  assertEquals(plot.forward.reduce((sum, count) => sum + count, 0), plot.dots.forward, 'Bins hold every dot');
+  for (let bin = 0; bin < plot.width; bin++) {
+    if (plot.forward[bin * plot.width + bin] < 10) {
+      throw new Error(`Diagonal bin ${bin} should hold at least 10 dots`);
+    }
+  }
+  assertEquals(progress.join('/'), '2000/2000', 'Both strands scanned row by row');
+}
+
+function testOptions_Validation() {
+  assertThrows(() => dotPlot('', 'ACGT'), 'Both sequences must be non-empty', 'Empty input');
+  assertThrows(() => dotPlot('ACGT', 'ACGT', { wordSize: 0 }), 'Word size must be a positive integer', 'Word size');
+  assertThrows(
+    () => dotPlot('ACGT', 'ACGT', { wordSize: 4, window: 3 }),
+    'The window must be at least as long as the word',
+    'Window shorter than word'
+  );
+  assertThrows(
+    () => dotPlot('ACGT', 'ACGT', { window: 11, stringency: 12 }),
+    'Stringency must lie between 0 and the window length',
+    'Stringency above window'
+  );
+}
+
+// =====================================================================
+// PATH OVERLAY TESTS
+// =====================================================================
+
+function testPath_MatchesTraceback() {
+  const cells = path => path.map(({ row, col }) => `${row},${col}`).join(' ');
+  const global = needlemanWunsch('GATTACA', 'GCATGCU');
+  assertEquals(cells(alignmentPath(global.alignedSeq1, global.alignedSeq2)), cells(global.path), 'Global path');
+
+  const local = smithWaterman('TTACGTT', 'ACGGT');
+  assertEquals(
+    cells(alignmentPath(local.alignedSeq1, local.alignedSeq2, local.startPos)),
+    cells(local.path),
+    'Local path from its start cell'
+  );
+}
+
+// =====================================================================
+// RUN ALL TESTS
+// =====================================================================
+
+export function runAllTests() {
+  console.log('\n========================================');
+  console.log('DOT PLOT TEST SUITE');
+  console.log('========================================\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    ['Words: Identical Diagonal', testWords_IdenticalDiagonal],
+    ['Words: Overlaps Marked Once', testWords_OverlapsMarkedOnce],
+    ['Words: Inverted Repeat', testWords_InvertedRepeat],
+    ['Filter: Stringency', testFilter_Stringency],
+    ['Bins: Long Sequences', testBins_LongSequences],
+    ['Options: Validation', testOptions_Validation],
+    ['Path: Matches Traceback', testPath_MatchesTraceback],
+  ];
+
+  tests.forEach(([name, testFn]) => {
+    if (runTest(name, testFn)) {
+      passed++;
+    } else {
+      failed++;
+    }
+  });
+
+  console.log('\n========================================');
+  console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run tests if this file is executed directly
+if (import.meta.url === `file://${globalThis.process?.argv[1]}`) {
+  runAllTests();
+}
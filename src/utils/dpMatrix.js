@@ -0,0 +1,183 @@
+/**
+ * DP Matrix Storage
+ * Flat typed-array storage for dynamic programming matrices: scores live in
+ * one Int32Array (integer scoring) or Float64Array, row-major, and the
+ * traceback keeps one 2-bit move per cell, four cells to a byte.
+ *
+ * Both are plain data ({ rows, cols, values } / { rows, cols, bits }), so
+ * results stay cheap to post from a Web Worker; matrixRows() rebuilds the
+ * nested-array view the interface draws.
+ *
+ * A banded matrix keeps only the cells with |j - i - offset| <= bandWidth,
+ * 2·bandWidth + 1 to a row, in O(rows × bandWidth) space. Its cells are
+ * still addressed by grid (i, j) through cellIndex(); cells outside the
+ * band must not be read or written.
+ */
+
+/** 2-bit traceback moves; NONE ends a traceback */
+export const MOVE = {
+  NONE: 0,
+  DIAGONAL: 1,  // came from (i-1, j-1)
+  UP: 2,        // came from (i-1, j)
+  LEFT: 3,      // came from (i, j-1)
+};
+
+/**
+ * Storage layout for a rows × cols grid, whole or banded.
+ * @private
+ */
+function layout(rows, cols, band) {
+  if (!band) return { rows, cols, size: rows * cols };
+  const width = 2 * band.bandWidth + 1;
+  return { rows, cols, band: { ...band, width }, size: rows * width };
+}
+
+/**
+ * Score matrix of rows × cols cells, initialised to zero.
+ *
+ * @param {number} rows - Row count (m + 1)
+ * @param {number} cols - Column count (n + 1)
+ * @param {boolean} integer - Store Int32 scores instead of Float64
+ * @param {object} [band] - {bandWidth, offset} to store only that band
+ * @returns {{rows: number, cols: number, values: Int32Array|Float64Array, band?: object}}
+ */
+export function createScoreMatrix(rows, cols, integer = false, band = null) {
+  const { size, ...shape } = layout(rows, cols, band);
+  return { ...shape, values: integer ? new Int32Array(size) : new Float64Array(size) };
+}
+
+/**
+ * Move matrix of rows × cols cells, all MOVE.NONE.
+ *
+ * @param {number} rows - Row count (m + 1)
+ * @param {number} cols - Column count (n + 1)
+ * @param {object} [band] - {bandWidth, offset} to store only that band
+ * @returns {{rows: number, cols: number, bits: Uint8Array, band?: object}}
+ */
+export function createMoveMatrix(rows, cols, band = null) {
+  const { size, ...shape } = layout(rows, cols, band);
+  return { ...shape, bits: new Uint8Array(Math.ceil(size / 4)) };
+}
+
+/**
+ * Storage index of cell (i, j) in a score or move matrix.
+ *
+ * @param {object} matrix - Score or move matrix
+ * @param {number} i - Row
+ * @param {number} j - Column
+ * @returns {number}
+ */
+export function cellIndex(matrix, i, j) {
+  const { band } = matrix;
+  if (!band) return i * matrix.cols + j;
+  return i * band.width + j - i - band.offset + band.bandWidth;
+}
+
+/**
+ * Whether cell (i, j) is stored: inside the grid and, for a banded
+ * matrix, inside the band.
+ *
+ * @param {object} matrix - Score or move matrix
+ * @param {number} i - Row
+ * @param {number} j - Column
+ * @returns {boolean}
+ */
+export function hasCell(matrix, i, j) {
+  if (i < 0 || j < 0 || i >= matrix.rows || j >= matrix.cols) return false;
+  const { band } = matrix;
+  return !band || Math.abs(j - i - band.offset) <= band.bandWidth;
+}
+
+/**
+ * Set the move of cell (i, j). Cells start at MOVE.NONE and are written
+ * once, so the two bits are OR-ed in without clearing.
+ *
+ * @param {object} moves - Move matrix
+ * @param {number} i - Row
+ * @param {number} j - Column
+ * @param {number} move - MOVE value
+ */
+export function setMove(moves, i, j, move) {
+  const index = cellIndex(moves, i, j);
+  moves.bits[index >> 2] |= move << ((index & 3) << 1);
+}
+
+/**
+ * Move of cell (i, j).
+ *
+ * @param {object} moves - Move matrix
+ * @param {number} i - Row
+ * @param {number} j - Column
+ * @returns {number} MOVE value
+ */
+export function getMove(moves, i, j) {
+  const index = cellIndex(moves, i, j);
+  return (moves.bits[index >> 2] >> ((index & 3) << 1)) & 3;
+}
+
+/**
+ * Follow moves back from (row, col) until MOVE.NONE, building the path
+ * (start to end) and the aligned strings.
+ *
+ * @param {string} seq1 - First sequence (rows)
+ * @param {string} seq2 - Second sequence (columns)
+ * @param {object} moves - Move matrix
+ * @param {number} row - End row
+ * @param {number} col - End column
+ * @returns {object} {path, alignedSeq1, alignedSeq2, startPos}
+ */
+export function traceMoves(seq1, seq2, moves, row, col) {
+  const path = [];
+  const aligned1 = [];
+  const aligned2 = [];
+  let i = row;
+  let j = col;
+
+  for (let move = getMove(moves, i, j); move !== MOVE.NONE; move = getMove(moves, i, j)) {
+    path.push({ row: i, col: j });
+    if (move === MOVE.DIAGONAL) {
+      aligned1.push(seq1[i - 1]);
+      aligned2.push(seq2[j - 1]);
+      i--; j--;
+    } else if (move === MOVE.UP) {
+      aligned1.push(seq1[i - 1]);
+      aligned2.push('-');
+      i--;
+    } else {
+      aligned1.push('-');
+      aligned2.push(seq2[j - 1]);
+      j--;
+    }
+  }
+  path.push({ row: i, col: j });
+
+  return {
+    path: path.reverse(),
+    alignedSeq1: aligned1.reverse().join(''),
+    alignedSeq2: aligned2.reverse().join(''),
+    startPos: { row: i, col: j },
+  };
+}
+
+/**
+ * Nested-array copy of a score matrix (matrix[i][j]), as drawn by the
+ * matrix view. Cells outside a band are null.
+ *
+ * @param {object} matrix - Score matrix
+ * @returns {Array<Array<number|null>>}
+ */
+export function matrixRows(matrix) {
+  const rows = [];
+  for (let i = 0; i < matrix.rows; i++) {
+    if (!matrix.band) {
+      rows.push(Array.from(matrix.values.subarray(i * matrix.cols, (i + 1) * matrix.cols)));
+      continue;
+    }
+    const row = new Array(matrix.cols).fill(null);
+    for (let j = 0; j < matrix.cols; j++) {
+      if (hasCell(matrix, i, j)) row[j] = matrix.values[cellIndex(matrix, i, j)];
+    }
+    rows.push(row);
+  }
+  return rows;
+}
@@ -0,0 +1,178 @@
+/**
+ * =====================================================================
+ * DP MATRIX STORAGE TEST SUITE
+ * =====================================================================
+ *
+ * Verifies typed score storage, 2-bit move packing, traceback over
+ * packed moves and the nested-array view.
+ * =====================================================================
+ */
+
+import {
+  MOVE,
+  createScoreMatrix,
+  createMoveMatrix,
+  setMove,
+  getMove,
+  traceMoves,
+  matrixRows,
+  cellIndex,
+  hasCell,
+} from './dpMatrix.js';
+
+// Test helper function
+function runTest(testName, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ PASS: ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ FAIL: ${testName}`);
+    console.error(`   Error: ${error.message}`);
+    return false;
+  }
+}
+
+// Assertion helpers
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n  Expected: ${expected}\n  Actual: ${actual}`);
+  }
+}
+
+// =====================================================================
+// STORAGE TESTS
+// =====================================================================
+
+function testScores_TypedStorage() {
+  const integer = createScoreMatrix(3, 4, true);
+  assertEquals(integer.values instanceof Int32Array, true, 'Integer storage');
+  assertEquals(integer.values.length, 12, 'rows × cols values');
+
+  const fractional = createScoreMatrix(3, 4);
+  assertEquals(fractional.values instanceof Float64Array, true, 'Float storage by default');
+}
+
+function testMoves_PackedTwoBits() {
+  // 3 × 3 = 9 cells need three bytes
+  const moves = createMoveMatrix(3, 3);
+  assertEquals(moves.bits.length, 3, 'Four cells per byte');
+
+  const written = [MOVE.DIAGONAL, MOVE.UP, MOVE.LEFT, MOVE.NONE, MOVE.LEFT, MOVE.DIAGONAL, MOVE.UP, MOVE.LEFT, MOVE.DIAGONAL];
+  written.forEach((move, index) => setMove(moves, Math.floor(index / 3), index % 3, move));
+  written.forEach((move, index) => {
+    assertEquals(getMove(moves, Math.floor(index / 3), index % 3), move, `Cell ${index} keeps its move`);
+  });
+}
+
+function testBand_StoresOnlyTheBand() {
+  // 100 × 100 grid, band of width 2 around diagonal +1
+  const band = { bandWidth: 2, offset: 1 };
+  const scores = createScoreMatrix(100, 100, true, band);
+  assertEquals(scores.values.length, 500, 'rows × (2k + 1) values');
+  assertEquals(createMoveMatrix(100, 100, band).bits.length, 125, 'Moves for band cells only');
+
+  assertEquals(hasCell(scores, 10, 14), false, 'Three off the band diagonal');
+  assertEquals(hasCell(scores, 10, 13), true, 'Band edge');
+  assertEquals(hasCell(scores, 0, -1), false, 'Outside the grid');
+  assertEquals(cellIndex(scores, 10, 9), 50, 'Lower band edge starts the row');
+  assertEquals(cellIndex(scores, 10, 13), 54, 'Upper band edge ends the row');
+
+  const moves = createMoveMatrix(100, 100, band);
+  setMove(moves, 10, 13, MOVE.UP);
+  assertEquals(getMove(moves, 10, 13), MOVE.UP, 'Addressed by grid cell');
+}
+
+// =====================================================================
+// TRACEBACK TESTS
+// =====================================================================
+
+function testTrace_FollowsMoves() {
+  // ACG against AG: A/A, C against a gap, G/G
+  const moves = createMoveMatrix(4, 3);
+  for (let i = 1; i <= 3; i++) setMove(moves, i, 0, MOVE.UP);
+  for (let j = 1; j <= 2; j++) setMove(moves, 0, j, MOVE.LEFT);
+  setMove(moves, 1, 1, MOVE.DIAGONAL);
+  setMove(moves, 2, 1, MOVE.UP);
+  setMove(moves, 3, 2, MOVE.DIAGONAL);
+
+  const trace = traceMoves('ACG', 'AG', moves, 3, 2);
+  assertEquals(trace.alignedSeq1, 'ACG', 'Sequence 1 row');
+  assertEquals(trace.alignedSeq2, 'A-G', 'Sequence 2 row');
+  assertEquals(
+    trace.path.map(({ row, col }) => `${row},${col}`).join(' '),
+    '0,0 1,1 2,1 3,2',
+    'Path runs start to end'
+  );
+  assertEquals(trace.startPos.row + trace.startPos.col, 0, 'Global traceback reaches the origin');
+}
+
+function testTrace_StopsAtNone() {
+  // Local: the traceback ends at the first cell without a move
+  const moves = createMoveMatrix(3, 3);
+  setMove(moves, 2, 2, MOVE.DIAGONAL);
+
+  const trace = traceMoves('AC', 'TC', moves, 2, 2);
+  assertEquals(trace.alignedSeq1, 'C', 'One aligned pair');
+  assertEquals(`${trace.startPos.row},${trace.startPos.col}`, '1,1', 'Starts where the moves stop');
+  assertEquals(trace.path.length, 2, 'Start and end cells');
+}
+
+// =====================================================================
+// VIEW TESTS
+// =====================================================================
+
+function testRows_NestedCopy() {
+  const matrix = createScoreMatrix(2, 3, true);
+  matrix.values.set([0, -1, -2, -1, 1, 0]);
+
+  const rows = matrixRows(matrix);
+  assertEquals(JSON.stringify(rows), '[[0,-1,-2],[-1,1,0]]', 'Row-major layout');
+  assertEquals(Array.isArray(rows[0]), true, 'Plain arrays');
+
+  const banded = createScoreMatrix(3, 3, true, { bandWidth: 0, offset: 0 });
+  banded.values.set([0, 2, 4]);
+  assertEquals(JSON.stringify(matrixRows(banded)), '[[0,null,null],[null,2,null],[null,null,4]]',
+    'Cells outside the band are null');
+}
+
+// =====================================================================
+// RUN ALL TESTS
+// =====================================================================
+
+export function runAllTests() {
+  console.log('\n========================================');
+  console.log('DP MATRIX STORAGE TEST SUITE');
+  console.log('========================================\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    ['Scores: Typed Storage', testScores_TypedStorage],
+    ['Moves: Packed Two Bits', testMoves_PackedTwoBits],
+    ['Band: Stores Only The Band', testBand_StoresOnlyTheBand],
+    ['Trace: Follows Moves', testTrace_FollowsMoves],
+    ['Trace: Stops At None', testTrace_StopsAtNone],
+    ['Rows: Nested Copy', testRows_NestedCopy],
+  ];
+
+  tests.forEach(([name, testFn]) => {
+    if (runTest(name, testFn)) {
+      passed++;
+    } else {
+      failed++;
+    }
+  });
+
+  console.log('\n========================================');
+  console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run tests if this file is executed directly
+if (import.meta.url === `file://${globalThis.process?.argv[1]}`) {
+  runAllTests();
+}
@@ -0,0 +1,389 @@
+/**
+ * Alignment Exporters
+ * Serialise pairwise results to aligned FASTA, Clustal .aln, EMBOSS pair
+ * output, SAM (with CIGAR) and a versioned JSON document.
+ *
+ * Every exporter takes (result, options) where options holds
+ *   names:     [name1, name2]          sequence labels
+ *   sequences: [seq1, seq2]            full input sequences (SAM, JSON)
+ *   scores:    scoring scheme          (EMBOSS, JSON)
+ *   affine:    true for affine gaps    (EMBOSS, JSON)
+ *   parameters: extra settings recorded in JSON (mode, end gaps, band, …)
+ * Sequence 1 is treated as the reference and Sequence 2 as the query. For a
+ * minus-strand result (see strands.js) sequences[1] should be the reverse
+ * complement that was aligned; SAM flags the record as reversed and JSON
+ * records the strand.
+ */
+
+import { calculateAlignmentStats } from './alignmentLogic.js';
+import { createScorer } from './scoringMatrices.js';
+import { columnConservation } from './msa.js';
+
+export const JSON_EXPORT_VERSION = 1;
+
+const FASTA_WIDTH = 60;
+const CLUSTAL_WIDTH = 60;
+const EMBOSS_WIDTH = 50;
+const EMBOSS_NAME_WIDTH = 13;
+
+const DEFAULT_NAMES = ['Sequence 1', 'Sequence 2'];
+
+// Local results start part-way into the inputs; global ones at the beginning
+const startOffsets = (result) => [result.startPos?.row || 0, result.startPos?.col || 0];
+
+const resultRows = (result, names = DEFAULT_NAMES) => [
+  { name: names[0], aligned: result.alignedSeq1 },
+  { name: names[1], aligned: result.alignedSeq2 },
+];
+
+const chunk = (text, width) => {
+  const pieces = [];
+  for (let start = 0; start < text.length; start += width) pieces.push(text.slice(start, start + width));
+  return pieces;
+};
+
+/** Residues in an aligned row, gaps excluded */
+export const countResidues = (text) => text.replace(/-/g, '').length;
+
+/**
+ * Aligned FASTA for any number of rows (gaps kept, lines wrapped at 60).
+ *
+ * @param {{name: string, aligned: string}[]} rows - Aligned rows
+ * @returns {string} FASTA text
+ */
+export function formatFastaRows(rows) {
+  return rows.map(row => `>${row.name}\n${chunk(row.aligned, FASTA_WIDTH).join('\n')}\n`).join('');
+}
+
+/**
+ * Clustal .aln for any number of rows: blocks of 60 columns with running
+ * residue counts and a conservation line ('*', ':', '.').
+ *
+ * @param {{name: string, aligned: string}[]} rows - Aligned rows
+ * @returns {string} Clustal text
+ */
+export function formatClustalRows(rows) {
+  // Clustal names are single words
+  const names = rows.map(row => row.name.replace(/\s+/g, '_'));
+  const nameWidth = Math.max(...names.map(name => name.length)) + 6;
+  const symbols = columnConservation(rows.map(row => row.aligned)).map(column => column.symbol).join('');
+  const counts = rows.map(() => 0);
+
+  const blocks = chunk(symbols, CLUSTAL_WIDTH).map((conservation, block) => {
+    const start = block * CLUSTAL_WIDTH;
+    const lines = rows.map((row, index) => {
+      const segment = row.aligned.slice(start, start + CLUSTAL_WIDTH);
+      counts[index] += countResidues(segment);
+      return `${names[index].padEnd(nameWidth)}${segment} ${counts[index]}`;
+    });
+    return [...lines, `${''.padEnd(nameWidth)}${conservation}`].join('\n');
+  });
+
+  return `CLUSTAL W multiple sequence alignment\n\n\n${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Aligned FASTA of a pairwise result.
+ *
+ * @param {object} result - Alignment result
+ * @param {object} options - { names }
+ * @returns {string} FASTA text
+ */
+export function toAlignedFasta(result, { names } = {}) {
+  return formatFastaRows(resultRows(result, names));
+}
+
+/**
+ * Clustal .aln of a pairwise result.
+ *
+ * @param {object} result - Alignment result
+ * @param {object} options - { names }
+ * @returns {string} Clustal text
+ */
+export function toClustal(result, { names } = {}) {
+  return formatClustalRows(resultRows(result, names));
+}
+
+// EMBOSS statistic lines, e.g. "# Identity:       5/9 (55.6%)"
+const statLine = (label, count, total) =>
+  `# ${`${label}:`.padEnd(12)}${String(count).padStart(6)}/${total} (${((count / total) * 100).toFixed(1)}%)`;
+
+/**
+ * EMBOSS needle/water "pair" output: a header with the scoring scheme and
+ * identity/similarity/gap statistics, then 50-column blocks with start and
+ * end coordinates. '|' marks identities, ':' other positive-scoring pairs
+ * and '.' the remaining mismatches.
+ *
+ * @param {object} result - Alignment result
+ * @param {object} options - { names, scores, affine }
+ * @returns {string} EMBOSS pair text
+ */
+export function toEmbossPair(result, { names = DEFAULT_NAMES, scores, affine = false } = {}) {
+  const { alignedSeq1, alignedSeq2 } = result;
+  const substitute = createScorer(scores);
+  const stats = calculateAlignmentStats(alignedSeq1, alignedSeq2);
+  const length = alignedSeq1.length;
+
+  let similar = 0;
+  let markup = '';
+  for (let k = 0; k < length; k++) {
+    const a = alignedSeq1[k];
+    const b = alignedSeq2[k];
+    if (a === '-' || b === '-') {
+      markup += ' ';
+    } else if (a === b) {
+      markup += '|';
+      similar++;
+    } else if (substitute(a, b) > 0) {
+      markup += ':';
+      similar++;
+    } else {
+      markup += '.';
+    }
+  }
+
+  const matrixName = scores.matrix
+    ? scores.matrix.name || scores.matrix
+    : `match ${scores.match} / mismatch ${scores.mismatch}`;
+  const [gapPenalty, extendPenalty] = affine ? [-scores.gapOpen, -scores.gapExtend] : [-scores.gap, -scores.gap];
+
+  const header = [
+    '########################################',
+    `# Program: ${result.startPos ? 'water' : 'needle'}`,
+    `# Algorithm: ${result.algorithm}`,
+    '# Align_format: pair',
+    '########################################',
+    '',
+    '#=======================================',
+    '#',
+    '# Aligned_sequences: 2',
+    `# 1: ${names[0]}`,
+    `# 2: ${names[1]}`,
+    `# Matrix: ${matrixName}`,
+    `# Gap_penalty: ${gapPenalty.toFixed(1)}`,
+    `# Extend_penalty: ${extendPenalty.toFixed(1)}`,
+    '#',
+    `# Length: ${length}`,
+    statLine('Identity', stats.matches, length),
+    statLine('Similarity', similar, length),
+    statLine('Gaps', stats.gaps, length),
+    `# Score: ${result.score.toFixed(1)}`,
+    '#',
+    '#',
+    '#=======================================',
+  ];
+
+  const label = (name) => name.replace(/\s+/g, '_').slice(0, EMBOSS_NAME_WIDTH).padEnd(EMBOSS_NAME_WIDTH);
+  const consumed = startOffsets(result);
+  const blocks = [];
+  for (let start = 0; start < length; start += EMBOSS_WIDTH) {
+    const line = (aligned, index) => {
+      const segment = aligned.slice(start, start + EMBOSS_WIDTH);
+      const residues = countResidues(segment);
+      const from = residues > 0 ? consumed[index] + 1 : consumed[index];
+      consumed[index] += residues;
+      return `${label(names[index])}${String(from).padStart(6)} ${segment}${String(consumed[index]).padStart(7)}`;
+    };
+    blocks.push([
+      line(alignedSeq1, 0),
+      `${''.padEnd(EMBOSS_NAME_WIDTH + 7)}${markup.slice(start, start + EMBOSS_WIDTH)}`,
+      line(alignedSeq2, 1),
+    ].join('\n'));
+  }
+
+  return `${header.join('\n')}\n\n${blocks.join('\n\n')}\n\n\n#---------------------------------------\n#---------------------------------------\n`;
+}
+
+/**
+ * CIGAR string of an alignment, reading the first row as the reference:
+ * residue pairs are M (or =/X when extended), query-only columns I and
+ * reference-only columns D. Gap–gap columns are skipped.
+ *
+ * @param {string} alignedReference - Aligned reference row
+ * @param {string} alignedQuery - Aligned query row
+ * @param {object} options - { extended: use '='/'X' instead of 'M' }
+ * @returns {string} CIGAR, e.g. "4M1I3M"
+ */
+export function alignmentCigar(alignedReference, alignedQuery, { extended = false } = {}) {
+  let cigar = '';
+  let op = null;
+  let run = 0;
+  for (let k = 0; k < alignedReference.length; k++) {
+    const ref = alignedReference[k];
+    const query = alignedQuery[k];
+    let next;
+    if (ref === '-' && query === '-') continue;
+    if (ref === '-') next = 'I';
+    else if (query === '-') next = 'D';
+    else if (extended) next = ref === query ? '=' : 'X';
+    else next = 'M';
+
+    if (next === op) {
+      run++;
+    } else {
+      if (op) cigar += `${run}${op}`;
+      op = next;
+      run = 1;
+    }
+  }
+  if (op) cigar += `${run}${op}`;
+  return cigar;
+}
+
+// FLAG bit for a query aligned as its reverse complement
+export const SAM_REVERSE = 16;
+
+/** SAM names may not contain whitespace */
+export const samName = (name) => name.replace(/\s+/g, '_');
+
+/**
+ * Place an aligned query on its reference the way SAM records it.
+ * Reference-only columns before the first or after the last aligned query
+ * residue move the start instead of becoming D operations; query residues
+ * outside the alignment are soft-clipped.
+ *
+ * @param {string} alignedReference - Aligned reference row
+ * @param {string} alignedQuery - Aligned query row
+ * @param {object} options - { refStart, queryStart: 0-based starts of the
+ *   rows, queryLength, extended }
+ * @returns {object|null} { alignedReference, alignedQuery, refStart, refEnd,
+ *   clipStart, clipEnd, cigar } trimmed to the query, or null when the query
+ *   has no aligned residues
+ */
+export function samPlacement(alignedReference, alignedQuery, { refStart = 0, queryStart = 0, queryLength, extended = false }) {
+  const first = [...alignedQuery].findIndex(char => char !== '-');
+  if (first === -1) return null;
+  const last = alignedQuery.length - 1 - [...alignedQuery].reverse().findIndex(char => char !== '-');
+  const reference = alignedReference.slice(first, last + 1);
+  const query = alignedQuery.slice(first, last + 1);
+
+  const start = refStart + countResidues(alignedReference.slice(0, first));
+  const clipEnd = queryLength - queryStart - countResidues(query);
+  return {
+    alignedReference: reference,
+    alignedQuery: query,
+    refStart: start,
+    refEnd: start + countResidues(reference),
+    clipStart: queryStart,
+    clipEnd,
+    cigar: [
+      queryStart > 0 ? `${queryStart}S` : '',
+      alignmentCigar(reference, query, { extended }),
+      clipEnd > 0 ? `${clipEnd}S` : '',
+    ].join(''),
+  };
+}
+
+/**
+ * SAM file (header plus one record) placing Sequence 2 on Sequence 1,
+ * trimmed and soft-clipped by samPlacement.
+ *
+ * @param {object} result - Alignment result
+ * @param {object} options - { names, sequences, extended }
+ * @returns {string} SAM text
+ */
+export function toSam(result, { names = DEFAULT_NAMES, sequences, extended = false } = {}) {
+  const [reference, query] = sequences;
+  const [refStart, queryStart] = startOffsets(result);
+  const placement = samPlacement(result.alignedSeq1, result.alignedSeq2, {
+    refStart, queryStart, queryLength: query.length, extended,
+  });
+  if (!placement) {
+    throw new Error('The query has no aligned residues');
+  }
+  const { alignedReference: alignedSeq1, alignedQuery: alignedSeq2, cigar } = placement;
+
+  let editDistance = 0;
+  for (let k = 0; k < alignedSeq1.length; k++) {
+    if (alignedSeq1[k] !== alignedSeq2[k] && !(alignedSeq1[k] === '-' && alignedSeq2[k] === '-')) editDistance++;
+  }
+
+  const rname = samName(names[0]);
+  const record = [
+    samName(names[1]),
+    result.strand === '-' ? SAM_REVERSE : 0,
+    rname,
+    placement.refStart + 1,
+    255,
+    cigar,
+    '*',
+    0,
+    0,
+    query,
+    '*',
+    `AS:i:${Math.round(result.score)}`,
+    `NM:i:${editDistance}`,
+  ];
+
+  return [
+    '@HD\tVN:1.6\tSO:unsorted',
+    `@SQ\tSN:${rname}\tLN:${reference.length}`,
+    `@PG\tID:seqsync\tPN:SeqSync\tDS:${result.algorithm}`,
+    record.join('\t'),
+  ].join('\n') + '\n';
+}
+
+/**
+ * Versioned JSON document with the inputs, parameters and alignment.
+ * Matrices and pointers are left out; the alignment can be rebuilt from the
+ * aligned rows and coordinates.
+ *
+ * @param {object} result - Alignment result
+ * @param {object} options - { names, sequences, scores, affine, parameters }
+ * @returns {string} JSON text
+ */
+export function toJsonDocument(result, { names = DEFAULT_NAMES, sequences, scores, affine = false, parameters = {} } = {}) {
+  const [refStart, queryStart] = startOffsets(result);
+  const { matrix, ...scheme } = scores;
+  const stats = calculateAlignmentStats(result.alignedSeq1, result.alignedSeq2);
+
+  const document = {
+    format: 'seqsync-alignment',
+    version: JSON_EXPORT_VERSION,
+    algorithm: result.algorithm,
+    parameters: {
+      ...parameters,
+      scoring: matrix
+        ? { matrix: matrix.name || matrix }
+        : { match: scheme.match, mismatch: scheme.mismatch, iupac: Boolean(scheme.iupac) },
+      gaps: affine
+        ? { model: 'affine', open: scheme.gapOpen, extend: scheme.gapExtend }
+        : { model: 'linear', penalty: scheme.gap },
+    },
+    sequences: names.map((name, index) => ({ name, sequence: sequences?.[index] ?? null })),
+    alignment: {
+      score: result.score,
+      strand: result.strand || '+',
+      rows: [result.alignedSeq1, result.alignedSeq2],
+      start: [refStart + 1, queryStart + 1],
+      end: [refStart + countResidues(result.alignedSeq1), queryStart + countResidues(result.alignedSeq2)],
+      cigar: alignmentCigar(result.alignedSeq1, result.alignedSeq2),
+      stats,
+    },
+  };
+  return `${JSON.stringify(document, null, 2)}\n`;
+}
+
+export const EXPORT_FORMATS = {
+  fasta: { label: 'Aligned FASTA', extension: 'fasta', mime: 'text/plain', build: toAlignedFasta },
+  clustal: { label: 'Clustal', extension: 'aln', mime: 'text/plain', build: toClustal },
+  emboss: { label: 'EMBOSS pair', extension: 'txt', mime: 'text/plain', build: toEmbossPair },
+  sam: { label: 'SAM', extension: 'sam', mime: 'text/plain', build: toSam },
+  json: { label: 'JSON', extension: 'json', mime: 'application/json', build: toJsonDocument },
+};
+
+/**
+ * Serialise a pairwise result in one of the EXPORT_FORMATS.
+ *
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {object} result - Alignment result
+ * @param {object} options - See the module comment
+ * @returns {string} Exported text
+ */
+export function exportAlignment(format, result, options) {
+  const exporter = EXPORT_FORMATS[format];
+  if (!exporter) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  return exporter.build(result, options);
+}
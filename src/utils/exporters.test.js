@@ -0,0 +1,231 @@
+/**
+ * =====================================================================
+ * ALIGNMENT EXPORTER TEST SUITE
+ * =====================================================================
+ * 
+ * Covers aligned FASTA, Clustal, EMBOSS pair, CIGAR/SAM and the JSON
+ * document for global and local results.
+ * =====================================================================
+ */
+
+import {
+  needlemanWunsch,
+  smithWaterman,
+  DEFAULT_SCORES,
+} from './alignmentLogic.js';
+import {
+  toAlignedFasta,
+  toClustal,
+  toEmbossPair,
+  alignmentCigar,
+  toSam,
+  samPlacement,
+  toJsonDocument,
+  exportAlignment,
+  formatClustalRows,
+  JSON_EXPORT_VERSION,
+} from './exporters.js';
+
+// Test helper function
+function runTest(testName, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ PASS: ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ FAIL: ${testName}`);
+    console.error(`   Error: ${error.message}`);
+    return false;
+  }
+}
+
+// Assertion helpers
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n  Expected: ${expected}\n  Actual: ${actual}`);
+  }
+}
+
+function assertThrows(fn, expectedMessage, message = '') {
+  let thrown = null;
+  try {
+    fn();
+  } catch (error) {
+    thrown = error.message;
+  }
+  assertEquals(thrown, expectedMessage, message);
+}
+
+// ACGTGATCA / A-GCTACCA, score 5
+const GLOBAL = needlemanWunsch('ACGTGATCA', 'AGCTACCA', DEFAULT_SCORES);
+const GLOBAL_OPTIONS = {
+  names: ['Human beta', 'Mouse'],
+  sequences: ['ACGTGATCA', 'AGCTACCA'],
+  scores: DEFAULT_SCORES,
+};
+
+// ACGTACG on both, starting at reference 5 and query 3
+const LOCAL_REF = 'TTTTACGTACGTTTTT';
+const LOCAL_QUERY = 'GGACGTACGGG';
+const LOCAL = smithWaterman(LOCAL_REF, LOCAL_QUERY, DEFAULT_SCORES);
+const LOCAL_OPTIONS = { names: ['ref', 'read'], sequences: [LOCAL_REF, LOCAL_QUERY], scores: DEFAULT_SCORES };
+
+// =====================================================================
+// FASTA / CLUSTAL TESTS
+// =====================================================================
+
+function testFasta_AlignedRows() {
+  assertEquals(toAlignedFasta(GLOBAL, GLOBAL_OPTIONS), '>Human beta\nACGTGATCA\n>Mouse\nA-GCTACCA\n', 'Aligned FASTA');
+  
+  const long = { alignedSeq1: 'A'.repeat(70), alignedSeq2: 'A'.repeat(70) };
+  const lines = toAlignedFasta(long).split('\n');
+  assertEquals(lines[0], '>Sequence 1', 'Default name');
+  assertEquals(lines[1].length, 60, 'Wrapped at 60');
+  assertEquals(lines[2].length, 10, 'Remainder line');
+}
+
+function testClustal_Blocks() {
+  const lines = toClustal(GLOBAL, GLOBAL_OPTIONS).split('\n');
+  
+  assertEquals(lines[0], 'CLUSTAL W multiple sequence alignment', 'Header');
+  assertEquals(lines[3], 'Human_beta      ACGTGATCA 9', 'Name made one word, residue count');
+  assertEquals(lines[4], 'Mouse           A-GCTACCA 8', 'Gap not counted');
+  assertEquals(lines[5], '                * *  * **', 'Conservation line');
+  
+  const rows = [{ name: 'a', aligned: 'A'.repeat(61) }, { name: 'b', aligned: `${'A'.repeat(60)}-` }];
+  const blocks = formatClustalRows(rows).split('\n\n\n')[1].split('\n\n');
+  assertEquals(blocks.length, 2, 'Second block after 60 columns');
+  assertEquals(blocks[1].split('\n')[1], 'b      - 60', 'Running count carried over');
+}
+
+// =====================================================================
+// EMBOSS PAIR TESTS
+// =====================================================================
+
+function testEmboss_HeaderAndBlocks() {
+  const global = toEmbossPair(GLOBAL, GLOBAL_OPTIONS);
+  
+  assertEquals(global.includes('# Program: needle'), true, 'Global uses needle');
+  assertEquals(global.includes('# Matrix: match 2 / mismatch -1'), true, 'Scoring scheme');
+  assertEquals(global.includes('# Identity:        5/9 (55.6%)'), true, 'Identity');
+  assertEquals(global.includes('# Gaps:            1/9 (11.1%)'), true, 'Gaps');
+  assertEquals(global.includes('# Score: 5.0'), true, 'Score');
+  assertEquals(global.includes('                    | |..|.||'), true, 'Markup line');
+  
+  const local = toEmbossPair(LOCAL, LOCAL_OPTIONS);
+  assertEquals(local.includes('# Program: water'), true, 'Local uses water');
+  assertEquals(local.includes('ref               5 ACGTACG     11'), true, 'Reference coordinates');
+  assertEquals(local.includes('read              3 ACGTACG      9'), true, 'Query coordinates');
+  
+  const affine = toEmbossPair(GLOBAL, { ...GLOBAL_OPTIONS, affine: true });
+  assertEquals(affine.includes('# Gap_penalty: 4.0\n# Extend_penalty: 1.0'), true, 'Affine penalties');
+}
+
+// =====================================================================
+// CIGAR / SAM TESTS
+// =====================================================================
+
+function testCigar_Operations() {
+  assertEquals(alignmentCigar('ACGT-GATCA', 'AC-TTGAT--'), '2M1D1M1I3M2D', 'M, I and D runs');
+  assertEquals(alignmentCigar('ACGT', 'ACTT', { extended: true }), '2=1X1=', 'Extended operations');
+  assertEquals(alignmentCigar('A-C', 'A-C'), '2M', 'Gap-gap column skipped');
+}
+
+function testSam_Records() {
+  const [hd, sq, pg, record] = toSam(LOCAL, LOCAL_OPTIONS).trim().split('\n');
+  const fields = record.split('\t');
+  
+  assertEquals(hd, '@HD\tVN:1.6\tSO:unsorted', 'Header line');
+  assertEquals(sq, '@SQ\tSN:ref\tLN:16', 'Reference length');
+  assertEquals(pg.startsWith('@PG\tID:seqsync'), true, 'Program line');
+  assertEquals(fields.slice(0, 6).join(' '), 'read 0 ref 5 255 2S7M2S', 'Local: POS from startPos, soft clips');
+  assertEquals(fields[9], LOCAL_QUERY, 'Full query sequence');
+  assertEquals(fields.slice(11).join(' '), 'AS:i:14 NM:i:0', 'Tags');
+  
+  const overhang = { alignedSeq1: 'ACGTACGT', alignedSeq2: '--GTA-G-', score: 3, algorithm: 'Semi-Global' };
+  const shifted = toSam(overhang, { names: ['ref', 'read'], sequences: ['ACGTACGT', 'GTAG'] }).trim().split('\n')[3].split('\t');
+  assertEquals(`${shifted[3]} ${shifted[5]}`, '3 3M1D1M', 'Reference overhangs move POS instead of D');
+  assertEquals(shifted[12], 'NM:i:1', 'Edit distance counts the deletion');
+  
+  const minus = toSam({ ...LOCAL, strand: '-' }, LOCAL_OPTIONS).trim().split('\n')[3].split('\t');
+  assertEquals(minus[1], '16', 'Minus strand sets the reverse flag');
+}
+
+function testSam_Placement() {
+  const placed = samPlacement('TTACGTACGT', '--ACG-AC--', { refStart: 4, queryStart: 1, queryLength: 7 });
+  assertEquals(`${placed.alignedReference} ${placed.alignedQuery}`, 'ACGTAC ACG-AC', 'Trimmed to the query');
+  assertEquals(`${placed.refStart}-${placed.refEnd}`, '6-12', 'Overhang moves the start');
+  assertEquals(`${placed.clipStart} ${placed.clipEnd}`, '1 1', 'Unaligned query residues');
+  assertEquals(placed.cigar, '1S3M1D2M1S', 'Soft clips around the CIGAR');
+  assertEquals(samPlacement('ACGT', '----', { queryLength: 0 }), null, 'No aligned query residues');
+}
+
+// =====================================================================
+// JSON TESTS
+// =====================================================================
+
+function testJson_Document() {
+  const document = JSON.parse(toJsonDocument(LOCAL, {
+    ...LOCAL_OPTIONS,
+    scores: { ...DEFAULT_SCORES, matrix: 'BLOSUM62' },
+    affine: true,
+    parameters: { mode: 'local' },
+  }));
+  
+  assertEquals(document.format, 'seqsync-alignment', 'Format tag');
+  assertEquals(document.version, JSON_EXPORT_VERSION, 'Version');
+  assertEquals(document.parameters.mode, 'local', 'Extra parameters kept');
+  assertEquals(document.parameters.scoring.matrix, 'BLOSUM62', 'Matrix named');
+  assertEquals(document.parameters.gaps.open, -4, 'Affine gaps');
+  assertEquals(document.sequences[1].sequence, LOCAL_QUERY, 'Inputs included');
+  assertEquals(document.alignment.start.join(','), '5,3', '1-based start');
+  assertEquals(document.alignment.end.join(','), '11,9', 'Inclusive end');
+  assertEquals(document.alignment.cigar, '7M', 'CIGAR');
+  assertEquals(document.alignment.strand, '+', 'Strand defaults to plus');
+  assertEquals(document.alignment.matrix, undefined, 'DP matrix left out');
+  
+  assertEquals(exportAlignment('fasta', GLOBAL, GLOBAL_OPTIONS), toAlignedFasta(GLOBAL, GLOBAL_OPTIONS), 'Dispatch');
+  assertThrows(() => exportAlignment('bam', GLOBAL, GLOBAL_OPTIONS), 'Unknown export format: bam', 'Unknown format');
+}
+
+// =====================================================================
+// RUN ALL TESTS
+// =====================================================================
+
+export function runAllTests() {
+  console.log('\n========================================');
+  console.log('ALIGNMENT EXPORTER TEST SUITE');
+  console.log('========================================\n');
+  
+  let passed = 0;
+  let failed = 0;
+  
+  const tests = [
+    ['FASTA: Aligned Rows', testFasta_AlignedRows],
+    ['Clustal: Blocks', testClustal_Blocks],
+    ['EMBOSS: Header And Blocks', testEmboss_HeaderAndBlocks],
+    ['CIGAR: Operations', testCigar_Operations],
+    ['SAM: Records', testSam_Records],
+    ['SAM: Placement', testSam_Placement],
+    ['JSON: Document', testJson_Document],
+  ];
+  
+  tests.forEach(([name, testFn]) => {
+    if (runTest(name, testFn)) {
+      passed++;
+    } else {
+      failed++;
+    }
+  });
+  
+  console.log('\n========================================');
+  console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+  
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run tests if this file is executed directly
+if (import.meta.url === `file://${globalThis.process?.argv[1]}`) {
+  runAllTests();
+}
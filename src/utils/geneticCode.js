@@ -0,0 +1,151 @@
+/**
+ * Genetic Codes
+ * NCBI translation tables, codon translation (IUPAC ambiguity codes
+ * included) and six-frame translation of nucleotide sequences.
+ *
+ * Tables are stored the way NCBI publishes them: 64 amino acids for the
+ * codons TTT, TTC, TTA, TTG, TCT, … GGG, i.e. bases in the order T, C, A, G
+ * with the first codon position varying slowest.
+ */
+
+import { IUPAC_CODES, reverseComplement } from './sequence.js';
+import { STRANDS } from './strands.js';
+
+const BASE_ORDER = 'TCAG';
+
+/** NCBI translation tables by id */
+export const GENETIC_CODES = {
+  1: { name: 'Standard', aas: 'FFLLSSSSYY**CC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG' },
+  2: { name: 'Vertebrate Mitochondrial', aas: 'FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIMMTTTTNNKKSS**VVVVAAAADDEEGGGG' },
+  3: { name: 'Yeast Mitochondrial', aas: 'FFLLSSSSYY**CCWWTTTTPPPPHHQQRRRRIIMMTTTTNNKKSSRRVVVVAAAADDEEGGGG' },
+  4: { name: 'Mold, Protozoan, Coelenterate Mitochondrial; Mycoplasma', aas: 'FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG' },
+  5: { name: 'Invertebrate Mitochondrial', aas: 'FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIMMTTTTNNKKSSSSVVVVAAAADDEEGGGG' },
+  6: { name: 'Ciliate, Dasycladacean, Hexamita Nuclear', aas: 'FFLLSSSSYYQQCC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG' },
+  9: { name: 'Echinoderm, Flatworm Mitochondrial', aas: 'FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIIMTTTTNNNKSSSSVVVVAAAADDEEGGGG' },
+  10: { name: 'Euplotid Nuclear', aas: 'FFLLSSSSYY**CCCWLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG' },
+  11: { name: 'Bacterial, Archaeal, Plant Plastid', aas: 'FFLLSSSSYY**CC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG' },
+  12: { name: 'Alternative Yeast Nuclear', aas: 'FFLLSSSSYY**CC*WLLLSPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG' },
+  13: { name: 'Ascidian Mitochondrial', aas: 'FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIMMTTTTNNKKSSGGVVVVAAAADDEEGGGG' },
+  14: { name: 'Alternative Flatworm Mitochondrial', aas: 'FFLLSSSSYYY*CCWWLLLLPPPPHHQQRRRRIIIMTTTTNNNKSSSSVVVVAAAADDEEGGGG' },
+  16: { name: 'Chlorophycean Mitochondrial', aas: 'FFLLSSSSYY*LCC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG' },
+  21: { name: 'Trematode Mitochondrial', aas: 'FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIMMTTTTNNNKSSSSVVVVAAAADDEEGGGG' },
+};
+
+/** Reading frames in NCBI numbering: +1..+3 on the sequence, -1..-3 on its reverse complement */
+export const READING_FRAMES = [1, 2, 3, -1, -2, -3];
+
+// Codon → amino acid maps, built once per table
+const codonMaps = new Map();
+
+/**
+ * Codon → amino acid map of the 64 unambiguous codons of a table.
+ * @private
+ */
+function codonMap(table) {
+  if (codonMaps.has(table)) return codonMaps.get(table);
+  const code = GENETIC_CODES[table];
+  if (!code) {
+    throw new Error(`Unknown genetic code: ${table}`);
+  }
+  const map = new Map();
+  for (let index = 0; index < 64; index++) {
+    const codon = BASE_ORDER[index >> 4] + BASE_ORDER[(index >> 2) & 3] + BASE_ORDER[index & 3];
+    map.set(codon, code.aas[index]);
+  }
+  codonMaps.set(table, map);
+  return map;
+}
+
+/**
+ * Amino acid encoded by a codon. U reads as T; an ambiguous codon
+ * translates when every codon it could stand for gives the same amino acid
+ * (GCN → A), otherwise it is X.
+ *
+ * @param {string} codon - Three nucleotides
+ * @param {number} table - NCBI translation table id
+ * @returns {string} One-letter amino acid, '*' for stop or 'X'
+ */
+export function translateCodon(codon, table = 1) {
+  const map = codonMap(table);
+  const upper = codon.toUpperCase().replace(/U/g, 'T');
+  const direct = map.get(upper);
+  if (direct) return direct;
+
+  const bases = [...upper].map(char => IUPAC_CODES[char]);
+  if (upper.length !== 3 || bases.some(options => !options)) return 'X';
+  const residues = new Set();
+  for (const a of bases[0]) {
+    for (const b of bases[1]) {
+      for (const c of bases[2]) residues.add(map.get(a + b + c));
+    }
+  }
+  return residues.size === 1 ? [...residues][0] : 'X';
+}
+
+/**
+ * Translate a nucleotide sequence codon by codon from `offset`. A trailing
+ * partial codon is dropped.
+ *
+ * @param {string} sequence - Nucleotide sequence
+ * @param {object} options - { table, offset }
+ * @returns {string} Protein sequence
+ */
+export function translate(sequence, { table = 1, offset = 0 } = {}) {
+  let protein = '';
+  for (let i = offset; i + 3 <= sequence.length; i += 3) {
+    protein += translateCodon(sequence.slice(i, i + 3), table);
+  }
+  return protein;
+}
+
+/**
+ * Strand and starting offset of a reading frame. Minus-strand offsets are
+ * into the reverse complement.
+ *
+ * @param {number} frame - One of READING_FRAMES
+ * @returns {object} { frame, strand, offset }
+ */
+export function frameInfo(frame) {
+  if (!READING_FRAMES.includes(frame)) {
+    throw new Error(`Unknown reading frame: ${frame}`);
+  }
+  return { frame, strand: frame > 0 ? STRANDS.plus : STRANDS.minus, offset: Math.abs(frame) - 1 };
+}
+
+/**
+ * Translation of the requested reading frames.
+ *
+ * @param {string} sequence - Nucleotide sequence
+ * @param {object} options - { table, frames } (all six by default)
+ * @returns {object[]} [{ frame, strand, offset, protein, codons }] where
+ *   codons holds the nucleotides read, on the frame's strand
+ */
+export function sixFrameTranslation(sequence, { table = 1, frames = READING_FRAMES } = {}) {
+  const minus = frames.some(frame => frame < 0) ? reverseComplement(sequence) : '';
+  return frames.map(frame => {
+    const info = frameInfo(frame);
+    const strand = info.strand === STRANDS.plus ? sequence : minus;
+    const protein = translate(strand, { table, offset: info.offset });
+    return { ...info, protein, codons: strand.slice(info.offset, info.offset + 3 * protein.length) };
+  });
+}
+
+/**
+ * 1-based, inclusive nucleotide range of translated residues first..last
+ * (0-based) on the sequence as typed. Minus-strand frames read backwards,
+ * so their start is the higher position.
+ *
+ * @param {number} frame - One of READING_FRAMES
+ * @param {number} first - First residue of the frame's translation
+ * @param {number} last - Last residue
+ * @param {number} length - Length of the nucleotide sequence
+ * @returns {object} { start, end }
+ */
+export function codonRange(frame, first, last, length) {
+  const { strand, offset } = frameInfo(frame);
+  const start = offset + 3 * first;
+  const end = offset + 3 * last + 3;
+  return strand === STRANDS.plus
+    ? { start: start + 1, end }
+    : { start: length - start, end: length - end + 1 };
+}
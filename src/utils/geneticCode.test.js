@@ -0,0 +1,149 @@
+/**
+ * =====================================================================
+ * GENETIC CODE TEST SUITE
+ * =====================================================================
+ *
+ * Verifies codon translation in the standard and alternate NCBI tables,
+ * ambiguity codes, six-frame translation and the mapping of translated
+ * residues back onto nucleotide coordinates.
+ * =====================================================================
+ */
+
+import {
+  GENETIC_CODES,
+  translateCodon,
+  translate,
+  sixFrameTranslation,
+  codonRange,
+} from './geneticCode.js';
+import { reverseComplement } from './sequence.js';
+
+// Test helper function
+function runTest(testName, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ PASS: ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ FAIL: ${testName}`);
+    console.error(`   Error: ${error.message}`);
+    return false;
+  }
+}
+
+// Assertion helpers
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n  Expected: ${expected}\n  Actual: ${actual}`);
+  }
+}
+
+function assertThrows(fn, expectedMessage, message = '') {
+  let thrown = null;
+  try {
+    fn();
+  } catch (error) {
+    thrown = error.message;
+  }
+  assertEquals(thrown, expectedMessage, message);
+}
+
+const GENE = 'ATGAAACCCGGGTTTTAA';
+
+// =====================================================================
+// CODON TESTS
+// =====================================================================
+
+function testCodons_StandardTable() {
+  Object.values(GENETIC_CODES).forEach(({ name, aas }) => assertEquals(aas.length, 64, `${name} covers 64 codons`));
+  assertEquals(translateCodon('ATG'), 'M', 'Start codon');
+  assertEquals(['TAA', 'TAG', 'TGA'].map(codon => translateCodon(codon)).join(''), '***', 'Stops');
+  assertEquals(translateCodon('GGG'), 'G', 'Last codon of the table');
+  assertEquals(translate(GENE), 'MKPGF*', 'Whole gene');
+  assertEquals(translate('augaaa'), 'MK', 'RNA and lower case');
+}
+
+function testCodons_AlternateTables() {
+  assertEquals(translate('TGAAGAATA', { table: 2 }), 'W*M', 'Vertebrate mitochondrial');
+  assertEquals(translate('CTG', { table: 3 }), 'T', 'Yeast mitochondrial CTN');
+  assertEquals(translate('TAATAG', { table: 6 }), 'QQ', 'Ciliate');
+  assertEquals(translate('CTG', { table: 12 }), 'S', 'Alternative yeast');
+  assertEquals(translate(GENE, { table: 11 }), translate(GENE), 'Bacterial matches standard');
+  assertThrows(() => translateCodon('ATG', 99), 'Unknown genetic code: 99', 'Unknown table');
+}
+
+function testCodons_Ambiguity() {
+  assertEquals(translateCodon('GCN'), 'A', 'Fourfold degenerate');
+  assertEquals(translateCodon('TAR'), '*', 'Both readings stop');
+  assertEquals(translateCodon('ATN'), 'X', 'Ile or Met');
+  assertEquals(translateCodon('AT-'), 'X', 'Gap');
+  assertEquals(translate('ATGAA'), 'M', 'Partial codon dropped');
+}
+
+// =====================================================================
+// FRAME TESTS
+// =====================================================================
+
+function testFrames_SixFrames() {
+  const frames = sixFrameTranslation(GENE);
+  assertEquals(frames.map(({ frame }) => frame).join(' '), '1 2 3 -1 -2 -3', 'NCBI order');
+  assertEquals(frames[0].protein, 'MKPGF*', '+1');
+  assertEquals(frames[1].protein, '*NPGF', '+2');
+  assertEquals(frames[3].protein, 'LKPGFH', '-1 reads the reverse complement');
+  assertEquals(frames[3].codons, reverseComplement(GENE), 'Codons on the frame strand');
+  assertEquals(frames[4].codons.length, 15, 'Codons stop at the last whole codon');
+
+  const [only] = sixFrameTranslation(GENE, { frames: [-3] });
+  assertEquals(`${only.strand}${only.offset}`, '-2', 'Single frame');
+}
+
+function testFrames_CodonRange() {
+  const plus = codonRange(2, 0, 1, GENE.length);
+  assertEquals(`${plus.start}-${plus.end}`, '2-7', '+2 residues 1-2');
+
+  const minus = codonRange(-1, 0, 0, GENE.length);
+  assertEquals(`${minus.start}-${minus.end}`, '18-16', 'Minus strand reads backwards');
+  const codon = reverseComplement(GENE.slice(minus.end - 1, minus.start));
+  assertEquals(translateCodon(codon), sixFrameTranslation(GENE)[3].protein[0], 'Range holds the codon');
+  assertThrows(() => codonRange(4, 0, 0, 10), 'Unknown reading frame: 4', 'Invalid frame');
+}
+
+// =====================================================================
+// RUN ALL TESTS
+// =====================================================================
+
+export function runAllTests() {
+  console.log('\n========================================');
+  console.log('GENETIC CODE TEST SUITE');
+  console.log('========================================\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    ['Codons: Standard Table', testCodons_StandardTable],
+    ['Codons: Alternate Tables', testCodons_AlternateTables],
+    ['Codons: Ambiguity', testCodons_Ambiguity],
+    ['Frames: Six Frames', testFrames_SixFrames],
+    ['Frames: Codon Range', testFrames_CodonRange],
+  ];
+
+  tests.forEach(([name, testFn]) => {
+    if (runTest(name, testFn)) {
+      passed++;
+    } else {
+      failed++;
+    }
+  });
+
+  console.log('\n========================================');
+  console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run tests if this file is executed directly
+if (import.meta.url === `file://${globalThis.process?.argv[1]}`) {
+  runAllTests();
+}
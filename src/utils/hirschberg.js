@@ -0,0 +1,263 @@
+/**
+ * Linear-Space Alignment
+ * Hirschberg divide-and-conquer global alignment and a linear-space local
+ * variant, for sequences too long for a full (m+1)×(n+1) matrix.
+ * Time: O(m×n), Space: O(m+n)
+ */
+
+import { needlemanWunsch, DEFAULT_SCORES } from './alignmentLogic.js';
+import { createScorer } from './scoringMatrices.js';
+
+/**
+ * Last row of the Needleman-Wunsch matrix for a vs b, kept in two rows.
+ * @private
+ */
+function lastRowScores(a, b, scores, substitute, onRows) {
+  const n = b.length;
+  let prev = new Float64Array(n + 1);
+  let curr = new Float64Array(n + 1);
+
+  for (let j = 0; j <= n; j++) prev[j] = j * scores.gap;
+
+  for (let i = 1; i <= a.length; i++) {
+    curr[0] = i * scores.gap;
+    for (let j = 1; j <= n; j++) {
+      curr[j] = Math.max(
+        prev[j - 1] + substitute(a[i - 1], b[j - 1]),
+        prev[j] + scores.gap,
+        curr[j - 1] + scores.gap
+      );
+    }
+    [prev, curr] = [curr, prev];
+    onRows(1);
+  }
+
+  return prev;
+}
+
+const rowCounts = new Map([[0, 0], [1, 1]]);
+
+/**
+ * Number of DP rows the recursion fills for a seq1 slice of this length:
+ * both halves' score passes plus the rows of each half's own recursion.
+ * @private
+ */
+function recursionRows(length) {
+  if (!rowCounts.has(length)) {
+    const mid = Math.floor(length / 2);
+    rowCounts.set(length, length + recursionRows(mid) + recursionRows(length - mid));
+  }
+  return rowCounts.get(length);
+}
+
+const reverse = (text) => text.split('').reverse().join('');
+
+/**
+ * Recursive Hirschberg step, appending alignment columns to out1/out2.
+ * onRows(count) is told about every DP row filled; base cases report the
+ * rows their skipped recursion would have filled, so the total is always
+ * recursionRows(a.length).
+ * @private
+ */
+function hirschbergInto(a, b, scores, substitute, out1, out2, onRows) {
+  if (a.length === 0) {
+    for (const char of b) { out1.push('-'); out2.push(char); }
+    return;
+  }
+  if (b.length === 0) {
+    for (const char of a) { out1.push(char); out2.push('-'); }
+    onRows(recursionRows(a.length));
+    return;
+  }
+  if (a.length === 1 || b.length === 1) {
+    // A 2-row (or 2-column) matrix is already linear in size
+    const { alignedSeq1, alignedSeq2 } = needlemanWunsch(a, b, scores);
+    out1.push(...alignedSeq1);
+    out2.push(...alignedSeq2);
+    onRows(recursionRows(a.length));
+    return;
+  }
+
+  const mid = Math.floor(a.length / 2);
+  const upper = lastRowScores(a.slice(0, mid), b, scores, substitute, onRows);
+  const lower = lastRowScores(reverse(a.slice(mid)), reverse(b), scores, substitute, onRows);
+
+  // Column where the optimal path crosses the middle row
+  const n = b.length;
+  let split = 0;
+  let best = -Infinity;
+  for (let j = 0; j <= n; j++) {
+    const total = upper[j] + lower[n - j];
+    if (total > best) {
+      best = total;
+      split = j;
+    }
+  }
+
+  hirschbergInto(a.slice(0, mid), b.slice(0, split), scores, substitute, out1, out2, onRows);
+  hirschbergInto(a.slice(mid), b.slice(split), scores, substitute, out1, out2, onRows);
+}
+
+/**
+ * Score an alignment column by column under the linear gap model.
+ * @private
+ */
+function scoreColumns(aligned1, aligned2, scores, substitute) {
+  let score = 0;
+  for (let k = 0; k < aligned1.length; k++) {
+    if (aligned1[k] === '-' || aligned2[k] === '-') score += scores.gap;
+    else score += substitute(aligned1[k], aligned2[k]);
+  }
+  return score;
+}
+
+/**
+ * Hirschberg Algorithm (Linear-Space Global Alignment)
+ * Splits seq1 in half, finds where the optimal path crosses the middle row
+ * from a forward and a reverse score pass, and recurses on both halves.
+ * Produces an optimal Needleman-Wunsch alignment without storing the matrix.
+ *
+ * @param {string} seq1 - First sequence
+ * @param {string} seq2 - Second sequence
+ * @param {object} scores - {match, mismatch, gap} or {matrix, gap}
+ * @param {object} options - { onProgress(rowsDone, totalRows) }, called as
+ *   DP rows are filled across all levels of the recursion
+ * @returns {object} {alignedSeq1, alignedSeq2, score}
+ */
+export function hirschberg(
+  seq1,
+  seq2,
+  scores = DEFAULT_SCORES,
+  { onProgress } = {}
+) {
+  if (!seq1 || !seq2 || seq1.length === 0 || seq2.length === 0) {
+    throw new Error('Both sequences must be non-empty');
+  }
+
+  const substitute = createScorer(scores);
+  const out1 = [];
+  const out2 = [];
+  const totalRows = recursionRows(seq1.length);
+  let rowsDone = 0;
+  const onRows = (count) => {
+    rowsDone += count;
+    onProgress?.(rowsDone, totalRows);
+  };
+  hirschbergInto(seq1, seq2, scores, substitute, out1, out2, onRows);
+
+  const alignedSeq1 = out1.join('');
+  const alignedSeq2 = out2.join('');
+  return {
+    alignedSeq1,
+    alignedSeq2,
+    score: scoreColumns(alignedSeq1, alignedSeq2, scores, substitute),
+    linearSpace: true,
+    algorithm: 'Needleman-Wunsch (Hirschberg)'
+  };
+}
+
+/**
+ * Linear-Space Local Alignment
+ * 1. A forward Smith-Waterman pass over two rows finds the best score and its end cell.
+ * 2. A reverse pass anchored at that end cell finds where the alignment starts.
+ * 3. Hirschberg aligns the two substrings between start and end globally.
+ *
+ * Progress counts the m rows of the forward pass, then the Hirschberg
+ * step's rows scaled to another m.
+ *
+ * @param {string} seq1 - First sequence
+ * @param {string} seq2 - Second sequence
+ * @param {object} scores - {match, mismatch, gap} or {matrix, gap}
+ * @param {object} options - { onProgress(rowsDone, totalRows) }
+ * @returns {object} {alignedSeq1, alignedSeq2, score, startPos, endPos}
+ */
+export function hirschbergLocal(
+  seq1,
+  seq2,
+  scores = DEFAULT_SCORES,
+  { onProgress } = {}
+) {
+  if (!seq1 || !seq2 || seq1.length === 0 || seq2.length === 0) {
+    throw new Error('Both sequences must be non-empty');
+  }
+
+  const substitute = createScorer(scores);
+  const m = seq1.length;
+  const n = seq2.length;
+  const epsilon = 1e-10;
+
+  // Forward pass: best local score and where it ends
+  let prev = new Float64Array(n + 1);
+  let curr = new Float64Array(n + 1);
+  let maxScore = 0;
+  let endPos = { row: 0, col: 0 };
+  for (let i = 1; i <= m; i++) {
+    curr[0] = 0;
+    for (let j = 1; j <= n; j++) {
+      curr[j] = Math.max(
+        0,
+        prev[j - 1] + substitute(seq1[i - 1], seq2[j - 1]),
+        prev[j] + scores.gap,
+        curr[j - 1] + scores.gap
+      );
+      if (curr[j] > maxScore) {
+        maxScore = curr[j];
+        endPos = { row: i, col: j };
+      }
+    }
+    [prev, curr] = [curr, prev];
+    onProgress?.(i, 2 * m);
+  }
+
+  const result = {
+    alignedSeq1: '',
+    alignedSeq2: '',
+    score: maxScore,
+    startPos: endPos,
+    endPos,
+    linearSpace: true,
+    algorithm: 'Smith-Waterman (Linear Space)'
+  };
+  if (maxScore <= 0) {
+    onProgress?.(2 * m, 2 * m);
+    return result;
+  }
+
+  // Reverse pass: global scores anchored at the end cell, walking backwards
+  const a = reverse(seq1.slice(0, endPos.row));
+  const b = reverse(seq2.slice(0, endPos.col));
+  prev = new Float64Array(b.length + 1);
+  curr = new Float64Array(b.length + 1);
+  for (let j = 0; j <= b.length; j++) prev[j] = j * scores.gap;
+
+  let startPos = null;
+  for (let i = 1; i <= a.length && !startPos; i++) {
+    curr[0] = i * scores.gap;
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = Math.max(
+        prev[j - 1] + substitute(a[i - 1], b[j - 1]),
+        prev[j] + scores.gap,
+        curr[j - 1] + scores.gap
+      );
+      if (Math.abs(curr[j] - maxScore) < epsilon) {
+        startPos = { row: endPos.row - i, col: endPos.col - j };
+        break;
+      }
+    }
+    [prev, curr] = [curr, prev];
+  }
+
+  const aligned = hirschberg(
+    seq1.slice(startPos.row, endPos.row),
+    seq2.slice(startPos.col, endPos.col),
+    scores,
+    { onProgress: (done, total) => onProgress?.(m + Math.round((done / total) * m), 2 * m) }
+  );
+
+  return {
+    ...result,
+    alignedSeq1: aligned.alignedSeq1,
+    alignedSeq2: aligned.alignedSeq2,
+    startPos
+  };
+}
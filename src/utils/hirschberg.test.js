@@ -0,0 +1,179 @@
+/**
+ * =====================================================================
+ * LINEAR-SPACE ALIGNMENT TEST SUITE
+ * =====================================================================
+ * 
+ * Verifies that Hirschberg global alignment and the linear-space local
+ * variant reproduce the optimal scores of the full-matrix algorithms.
+ * =====================================================================
+ */
+
+import { hirschberg, hirschbergLocal } from './hirschberg.js';
+import { needlemanWunsch, smithWaterman, DEFAULT_SCORES } from './alignmentLogic.js';
+
+// Test helper function
+function runTest(testName, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ PASS: ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ FAIL: ${testName}`);
+    console.error(`   Error: ${error.message}`);
+    return false;
+  }
+}
+
+// Assertion helpers
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n  Expected: ${expected}\n  Actual: ${actual}`);
+  }
+}
+
+// Deterministic pseudo-random DNA so failures are reproducible
+function randomSequence(length, seed) {
+  let state = seed;
+  let sequence = '';
+  for (let i = 0; i < length; i++) {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    sequence += 'ACGT'[state % 4];
+  }
+  return sequence;
+}
+
+// =====================================================================
+// GLOBAL (HIRSCHBERG) TESTS
+// =====================================================================
+
+function testHirschberg_MatchesNeedlemanWunsch() {
+  const pairs = [
+    ['ACGTGATCA', 'AGCTACCA'],
+    ['GCATGCU', 'GATTACA'],
+    ['A', 'TTTT'],
+    [randomSequence(60, 1), randomSequence(45, 2)],
+  ];
+  
+  pairs.forEach(([a, b]) => {
+    const full = needlemanWunsch(a, b, DEFAULT_SCORES);
+    const linear = hirschberg(a, b, DEFAULT_SCORES);
+    assertEquals(linear.score, full.score, `Score for ${a}/${b}`);
+    assertEquals(linear.alignedSeq1.replace(/-/g, ''), a, 'All of seq1 aligned');
+    assertEquals(linear.alignedSeq2.replace(/-/g, ''), b, 'All of seq2 aligned');
+  });
+}
+
+function testHirschberg_SubstitutionMatrix() {
+  const scores = { matrix: 'BLOSUM50', gap: -8 };
+  const result = hirschberg('HEAGAWGHEE', 'PAWHEAE', scores);
+  
+  assertEquals(result.score, 1, 'Durbin global score');
+  assertEquals(result.linearSpace, true, 'Flagged as linear space');
+  assertEquals(result.matrix, undefined, 'No matrix returned');
+}
+
+// =====================================================================
+// LOCAL (LINEAR SPACE) TESTS
+// =====================================================================
+
+function testLocal_MatchesSmithWaterman() {
+  const pairs = [
+    ['ACGTACGTACGT', 'ACGT'],
+    ['AAAAAACGTGCGTGAAAAAAA', 'TTTTTCGTGCGTGTTTTT'],
+    [randomSequence(70, 3), randomSequence(50, 4)],
+  ];
+  
+  pairs.forEach(([a, b]) => {
+    const full = smithWaterman(a, b, DEFAULT_SCORES);
+    const linear = hirschbergLocal(a, b, DEFAULT_SCORES);
+    assertEquals(linear.score, full.score, `Score for ${a}/${b}`);
+    assertEquals(
+      linear.alignedSeq1.replace(/-/g, ''),
+      a.slice(linear.startPos.row, linear.endPos.row),
+      'Aligned seq1 spans startPos..endPos'
+    );
+  });
+}
+
+function testLocal_NoSimilarity() {
+  const result = hirschbergLocal('AAAA', 'TTTT', DEFAULT_SCORES);
+  
+  assertEquals(result.score, 0, 'No local hit');
+  assertEquals(result.alignedSeq1, '', 'Empty aligned seq1');
+}
+
+// =====================================================================
+// PROGRESS TESTS
+// =====================================================================
+
+function testProgress_ReportsEveryRow() {
+  const pairs = [
+    [randomSequence(37, 5), randomSequence(41, 6)],
+    [randomSequence(20, 7), 'AC'],
+  ];
+
+  pairs.forEach(([a, b]) => {
+    const reports = [];
+    hirschberg(a, b, DEFAULT_SCORES, { onProgress: (done, total) => reports.push([done, total]) });
+    const [lastDone, total] = reports[reports.length - 1];
+    assertEquals(lastDone, total, `Progress completes for ${a.length}×${b.length}`);
+    assertEquals(reports.every(([done], i) => i === 0 || done > reports[i - 1][0]), true, 'Rows only increase');
+
+    const localReports = [];
+    hirschbergLocal(a, b, DEFAULT_SCORES, { onProgress: (done, total) => localReports.push([done, total]) });
+    const [localDone, localTotal] = localReports[localReports.length - 1];
+    assertEquals(localTotal, 2 * a.length, 'Local progress spans two passes of seq1');
+    assertEquals(localDone, localTotal, 'Local progress completes');
+  });
+}
+
+function testLinear_EmptySequenceHandling() {
+  let errorThrown = false;
+  try {
+    hirschberg('', 'ACGT', DEFAULT_SCORES);
+  } catch {
+    errorThrown = true;
+  }
+  assertEquals(errorThrown, true, 'Should throw error for empty sequence');
+}
+
+// =====================================================================
+// RUN ALL TESTS
+// =====================================================================
+
+export function runAllTests() {
+  console.log('\n========================================');
+  console.log('LINEAR-SPACE ALIGNMENT TEST SUITE');
+  console.log('========================================\n');
+  
+  let passed = 0;
+  let failed = 0;
+  
+  const tests = [
+    ['Hirschberg: Matches Needleman-Wunsch', testHirschberg_MatchesNeedlemanWunsch],
+    ['Hirschberg: Substitution Matrix', testHirschberg_SubstitutionMatrix],
+    ['Local: Matches Smith-Waterman', testLocal_MatchesSmithWaterman],
+    ['Local: No Similarity', testLocal_NoSimilarity],
+    ['Progress: Reports Every Row', testProgress_ReportsEveryRow],
+    ['Edge: Empty Sequence', testLinear_EmptySequenceHandling],
+  ];
+  
+  tests.forEach(([name, testFn]) => {
+    if (runTest(name, testFn)) {
+      passed++;
+    } else {
+      failed++;
+    }
+  });
+  
+  console.log('\n========================================');
+  console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+  
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run tests if this file is executed directly
+if (import.meta.url === `file://${globalThis.process?.argv[1]}`) {
+  runAllTests();
+}
@@ -0,0 +1,300 @@
+/**
+ * Progressive Multiple Sequence Alignment
+ * All-pairs Needleman-Wunsch distances → guide tree (UPGMA or NJ) →
+ * profile–profile alignment up the tree, ClustalW style.
+ * Time: O(k²×L² + k×L²×A²) for k sequences of length L over alphabet A
+ */
+
+import { DEFAULT_SCORES } from './alignmentLogic.js';
+import { createScorer } from './scoringMatrices.js';
+import { TREE_METHODS, distanceMatrix } from './phylogeny.js';
+
+export const GUIDE_TREE_METHODS = TREE_METHODS;
+
+/**
+ * Check the input sequences and derive display names.
+ * @private
+ */
+function prepareSequences(sequences, names) {
+  if (!Array.isArray(sequences) || sequences.length < 2) {
+    throw new Error('At least two sequences are required');
+  }
+  return sequences.map((sequence, index) => {
+    if (!sequence) {
+      throw new Error(`Sequence ${index + 1} is empty`);
+    }
+    return {
+      name: names?.[index] || `Seq${index + 1}`,
+      sequence: sequence.toUpperCase(),
+    };
+  });
+}
+
+/**
+ * Pairwise p-distances: each pair is globally aligned and the distance is
+ * the fraction of mismatches among gap-free columns (1 when none remain).
+ *
+ * @param {string[]} sequences - Unaligned sequences
+ * @param {object} scores - Scoring scheme (linear gap)
+ * @param {object} options - { onPair() }, called after each pair is aligned
+ * @returns {number[][]} Symmetric distance matrix
+ */
+export function pairwiseDistances(sequences, scores = DEFAULT_SCORES, { onPair } = {}) {
+  return distanceMatrix(sequences, scores, { onPair }).distances;
+}
+
+/**
+ * Residue counts per column of a profile (a set of equal-length aligned rows).
+ * @private
+ */
+function columnCounts(rows) {
+  const length = rows[0].length;
+  const counts = [];
+  for (let col = 0; col < length; col++) {
+    const column = new Map();
+    for (const row of rows) {
+      column.set(row[col], (column.get(row[col]) || 0) + 1);
+    }
+    counts.push(column);
+  }
+  return counts;
+}
+
+/**
+ * Average sum-of-pairs score between two profile columns. Residue–gap pairs
+ * cost the gap penalty and gap–gap pairs score zero.
+ * @private
+ */
+function columnPairScore(columnA, columnB, sizeA, sizeB, scores, substitute) {
+  let total = 0;
+  for (const [a, countA] of columnA) {
+    for (const [b, countB] of columnB) {
+      let pair;
+      if (a === '-' && b === '-') pair = 0;
+      else if (a === '-' || b === '-') pair = scores.gap;
+      else pair = substitute(a, b);
+      total += pair * countA * countB;
+    }
+  }
+  return total / (sizeA * sizeB);
+}
+
+/**
+ * Cost of aligning a profile column against a column of new gaps.
+ * @private
+ */
+function columnGapScore(column, size, scores) {
+  const residues = size - (column.get('-') || 0);
+  return (scores.gap * residues) / size;
+}
+
+/**
+ * Needleman-Wunsch over two profiles. Gaps inserted into a profile are
+ * inserted into every one of its rows, so existing columns stay together.
+ *
+ * @param {string[]} profileA - Aligned rows of the first profile
+ * @param {string[]} profileB - Aligned rows of the second profile
+ * @param {object} scores - Scoring scheme (linear gap)
+ * @returns {{rowsA: string[], rowsB: string[], score: number}}
+ */
+export function alignProfiles(profileA, profileB, scores = DEFAULT_SCORES) {
+  const substitute = createScorer(scores);
+  const countsA = columnCounts(profileA);
+  const countsB = columnCounts(profileB);
+  const sizeA = profileA.length;
+  const sizeB = profileB.length;
+  const m = countsA.length;
+  const n = countsB.length;
+
+  const gapA = countsA.map(column => columnGapScore(column, sizeA, scores));
+  const gapB = countsB.map(column => columnGapScore(column, sizeB, scores));
+
+  const matrix = Array.from({ length: m + 1 }, () => new Array(n + 1).fill(0));
+  for (let i = 1; i <= m; i++) matrix[i][0] = matrix[i - 1][0] + gapA[i - 1];
+  for (let j = 1; j <= n; j++) matrix[0][j] = matrix[0][j - 1] + gapB[j - 1];
+
+  for (let i = 1; i <= m; i++) {
+    for (let j = 1; j <= n; j++) {
+      matrix[i][j] = Math.max(
+        matrix[i - 1][j - 1] + columnPairScore(countsA[i - 1], countsB[j - 1], sizeA, sizeB, scores, substitute),
+        matrix[i - 1][j] + gapA[i - 1],
+        matrix[i][j - 1] + gapB[j - 1]
+      );
+    }
+  }
+
+  // Traceback records which column (or a gap) each profile contributes
+  const columnsA = [];
+  const columnsB = [];
+  const epsilon = 1e-10;
+  let i = m;
+  let j = n;
+  while (i > 0 || j > 0) {
+    const diagonal = i > 0 && j > 0 &&
+      Math.abs(matrix[i][j] - (matrix[i - 1][j - 1] +
+        columnPairScore(countsA[i - 1], countsB[j - 1], sizeA, sizeB, scores, substitute))) < epsilon;
+    if (diagonal) {
+      columnsA.push(--i);
+      columnsB.push(--j);
+    } else if (i > 0 && (j === 0 || Math.abs(matrix[i][j] - (matrix[i - 1][j] + gapA[i - 1])) < epsilon)) {
+      columnsA.push(--i);
+      columnsB.push(null);
+    } else {
+      columnsA.push(null);
+      columnsB.push(--j);
+    }
+  }
+  columnsA.reverse();
+  columnsB.reverse();
+
+  const expand = (rows, columns) =>
+    rows.map(row => columns.map(col => (col === null ? '-' : row[col])).join(''));
+
+  return {
+    rowsA: expand(profileA, columnsA),
+    rowsB: expand(profileB, columnsB),
+    score: matrix[m][n],
+  };
+}
+
+/**
+ * Sum-of-pairs score of a finished alignment (gap–gap pairs score zero).
+ *
+ * @param {string[]} rows - Aligned rows
+ * @param {object} scores - Scoring scheme (linear gap)
+ * @returns {number} SP score
+ */
+export function sumOfPairsScore(rows, scores = DEFAULT_SCORES) {
+  const substitute = createScorer(scores);
+  let total = 0;
+  for (let a = 0; a < rows.length; a++) {
+    for (let b = a + 1; b < rows.length; b++) {
+      for (let col = 0; col < rows[a].length; col++) {
+        const x = rows[a][col];
+        const y = rows[b][col];
+        if (x === '-' && y === '-') continue;
+        total += x === '-' || y === '-' ? scores.gap : substitute(x, y);
+      }
+    }
+  }
+  return total;
+}
+
+// ClustalX "strong" and "weak" conservation groups for the ':' and '.' marks
+const STRONG_GROUPS = ['STA', 'NEQK', 'NHQK', 'NDEQ', 'QHRK', 'MILV', 'MILF', 'HY', 'FYW'];
+const WEAK_GROUPS = ['CSA', 'ATV', 'SAG', 'STNK', 'STPA', 'SGND', 'SNDEQK', 'NDEQHK', 'NEQHRK', 'FVLIM', 'HFY'];
+
+const allInGroup = (residues, groups) =>
+  groups.some(group => residues.every(residue => group.includes(residue)));
+
+/**
+ * Per-column conservation using Clustal symbols: '*' identical, ':' strongly
+ * similar, '.' weakly similar, ' ' otherwise. Any gap breaks conservation.
+ *
+ * @param {string[]} rows - Aligned rows
+ * @returns {{symbol: string, identity: number}[]} identity = fraction of rows
+ *   carrying the column's most common residue
+ */
+export function columnConservation(rows) {
+  return columnCounts(rows).map(column => {
+    let top = 0;
+    for (const [residue, count] of column) {
+      if (residue !== '-' && count > top) top = count;
+    }
+    const identity = top / rows.length;
+    const residues = [...column.keys()];
+
+    let symbol = ' ';
+    if (!column.has('-')) {
+      if (residues.length === 1) symbol = '*';
+      else if (allInGroup(residues, STRONG_GROUPS)) symbol = ':';
+      else if (allInGroup(residues, WEAK_GROUPS)) symbol = '.';
+    }
+    return { symbol, identity };
+  });
+}
+
+/**
+ * Majority consensus: the most common character of each column (gaps
+ * included), lower-cased when it falls below the threshold fraction.
+ *
+ * @param {string[]} rows - Aligned rows
+ * @param {number} threshold - Fraction of rows needed for an upper-case call
+ * @returns {string} Consensus sequence (same length as the alignment)
+ */
+export function consensusSequence(rows, threshold = 0.5) {
+  return columnCounts(rows).map(column => {
+    let best = '-';
+    let bestCount = 0;
+    for (const [residue, count] of column) {
+      // Prefer a residue over a gap when they tie
+      if (count > bestCount || (count === bestCount && best === '-')) {
+        best = residue;
+        bestCount = count;
+      }
+    }
+    return bestCount / rows.length >= threshold ? best : best.toLowerCase();
+  }).join('');
+}
+
+/**
+ * Progressive multiple sequence alignment. Sequences are merged in the order
+ * given by a post-order walk of the guide tree; rows are returned in input order.
+ *
+ * @param {string[]} sequences - Unaligned sequences (at least two)
+ * @param {object} scores - Scoring scheme (linear gap)
+ * @param {object} options - { treeMethod: 'upgma' | 'nj', names: string[],
+ *   onProgress(done, total) } where progress counts the n(n-1)/2 pairwise
+ *   alignments and n-1 profile merges completed
+ * @returns {object} Alignment rows, guide tree, distances, consensus,
+ *   conservation and sum-of-pairs score
+ */
+export function progressiveAlignment(
+  sequences,
+  scores = DEFAULT_SCORES,
+  { treeMethod = 'upgma', names, onProgress } = {}
+) {
+  const method = GUIDE_TREE_METHODS[treeMethod];
+  if (!method) {
+    throw new Error(`Unknown guide tree method: ${treeMethod}`);
+  }
+  const entries = prepareSequences(sequences, names);
+  const residues = entries.map(entry => entry.sequence);
+
+  const total = (entries.length * (entries.length - 1)) / 2 + entries.length - 1;
+  let done = 0;
+  const step = () => onProgress?.(++done, total);
+
+  const distances = pairwiseDistances(residues, scores, { onPair: step });
+  const tree = method.build(distances, entries.map(entry => entry.name));
+
+  // Each profile carries the input indices of its rows
+  const merge = (node) => {
+    if (!node.children) {
+      return { indices: [node.index], rows: [residues[node.index]] };
+    }
+    return node.children.map(merge).reduce((left, right) => {
+      const { rowsA, rowsB } = alignProfiles(left.rows, right.rows, scores);
+      step();
+      return { indices: [...left.indices, ...right.indices], rows: [...rowsA, ...rowsB] };
+    });
+  };
+  const profile = merge(tree);
+
+  const alignment = new Array(entries.length);
+  profile.indices.forEach((index, row) => {
+    alignment[index] = profile.rows[row];
+  });
+
+  return {
+    rows: entries.map((entry, index) => ({ ...entry, aligned: alignment[index] })),
+    alignment,
+    tree,
+    distances,
+    consensus: consensusSequence(alignment),
+    conservation: columnConservation(alignment),
+    score: sumOfPairsScore(alignment, scores),
+    treeMethod,
+    algorithm: `Progressive MSA (${method.label})`,
+  };
+}
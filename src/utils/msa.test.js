@@ -0,0 +1,186 @@
+/**
+ * =====================================================================
+ * MULTIPLE SEQUENCE ALIGNMENT TEST SUITE
+ * =====================================================================
+ * 
+ * Covers pairwise distances, profile-profile alignment, conservation and
+ * consensus rows, and the full progressive pipeline.
+ * =====================================================================
+ */
+
+import {
+  pairwiseDistances,
+  alignProfiles,
+  sumOfPairsScore,
+  columnConservation,
+  consensusSequence,
+  progressiveAlignment,
+} from './msa.js';
+import { needlemanWunsch, DEFAULT_SCORES } from './alignmentLogic.js';
+
+// Test helper function
+function runTest(testName, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ PASS: ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ FAIL: ${testName}`);
+    console.error(`   Error: ${error.message}`);
+    return false;
+  }
+}
+
+// Assertion helpers
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n  Expected: ${expected}\n  Actual: ${actual}`);
+  }
+}
+
+// =====================================================================
+// DISTANCE TESTS
+// =====================================================================
+
+function testDistances_Symmetric() {
+  const distances = pairwiseDistances(['GATTACA', 'GATTACA', 'GACTACA', 'TTTT']);
+  
+  assertEquals(distances[0][1], 0, 'Identical sequences');
+  assertEquals(distances[0][2], 1 / 7, 'One substitution in seven columns');
+  assertEquals(distances[2][0], distances[0][2], 'Symmetric');
+  assertEquals(distances[3][3], 0, 'Zero diagonal');
+}
+
+// =====================================================================
+// PROFILE ALIGNMENT TESTS
+// =====================================================================
+
+function testProfiles_SingleRowsMatchPairwise() {
+  const { rowsA, rowsB, score } = alignProfiles(['ACGTGATCA'], ['AGCTACCA'], DEFAULT_SCORES);
+  const pairwise = needlemanWunsch('ACGTGATCA', 'AGCTACCA', DEFAULT_SCORES);
+  
+  assertEquals(score, pairwise.score, 'Same score as Needleman-Wunsch');
+  assertEquals(rowsA[0].replace(/-/g, ''), 'ACGTGATCA', 'Seq1 residues kept');
+  assertEquals(rowsB[0].replace(/-/g, ''), 'AGCTACCA', 'Seq2 residues kept');
+}
+
+function testProfiles_KeepsColumnsTogether() {
+  const { rowsA, rowsB } = alignProfiles(['ACG-T', 'ACGAT'], ['ACGT'], DEFAULT_SCORES);
+  
+  assertEquals(rowsA.length, 2, 'Both rows of profile A returned');
+  assertEquals(rowsA[0].length, rowsB[0].length, 'Equal length');
+  assertEquals(rowsA[0].replace(/-/g, ''), 'ACGT', 'Row content preserved');
+  assertEquals(rowsA[1].replace(/-/g, ''), 'ACGAT', 'Row content preserved');
+  assertEquals(rowsB[0], 'ACG-T', 'Gap opposite the inserted A');
+}
+
+// =====================================================================
+// CONSERVATION / CONSENSUS TESTS
+// =====================================================================
+
+function testConservation_ClustalSymbols() {
+  const symbols = columnConservation(['AILSG', 'AVLGC', 'AMLN-']).map(col => col.symbol).join('');
+  
+  assertEquals(symbols, '*:*. ', 'Identical, strong, identical, weak, gapped');
+}
+
+function testConsensus_Majority() {
+  const rows = ['ACGT-', 'ACCTA', 'AGGA-', 'TCGTA'];
+  
+  assertEquals(consensusSequence(rows), 'ACGTA', 'Majority residues; ties prefer residues');
+  assertEquals(consensusSequence(rows, 0.8), 'acgta', 'Lower case below threshold');
+}
+
+// =====================================================================
+// PROGRESSIVE ALIGNMENT TESTS
+// =====================================================================
+
+function testProgressive_PreservesSequences() {
+  const sequences = ['GATTACA', 'GATCACA', 'GTTACA', 'GATTACCA'];
+  ['upgma', 'nj'].forEach(treeMethod => {
+    const result = progressiveAlignment(sequences, DEFAULT_SCORES, { treeMethod });
+    const width = result.alignment[0].length;
+    
+    result.alignment.forEach((row, index) => {
+      assertEquals(row.length, width, `${treeMethod}: row ${index + 1} width`);
+      assertEquals(row.replace(/-/g, ''), sequences[index], `${treeMethod}: row ${index + 1} residues in input order`);
+    });
+    assertEquals(result.score, sumOfPairsScore(result.alignment, DEFAULT_SCORES), 'SP score reported');
+    assertEquals(result.consensus.length, width, 'Consensus spans the alignment');
+  });
+}
+
+function testProgressive_NamesAndTree() {
+  const result = progressiveAlignment(
+    ['HEAGAWGHEE', 'PAWHEAE', 'HEAGAWHEE'],
+    { matrix: 'BLOSUM62', gap: -8 },
+    { treeMethod: 'nj', names: ['alpha', 'beta'] }
+  );
+  
+  assertEquals(result.rows[0].name, 'alpha', 'Given name used');
+  assertEquals(result.rows[2].name, 'Seq3', 'Missing names default');
+  assertEquals(result.algorithm, 'Progressive MSA (Neighbour-Joining)', 'Algorithm label');
+  assertEquals(result.tree.children.length, 3, 'NJ guide tree root');
+}
+
+function testProgressive_Validation() {
+  const messageOf = (fn) => {
+    try {
+      fn();
+      return '';
+    } catch (error) {
+      return error.message;
+    }
+  };
+  
+  assertEquals(messageOf(() => progressiveAlignment(['ACGT'])), 'At least two sequences are required', 'Too few');
+  assertEquals(messageOf(() => progressiveAlignment(['ACGT', ''])), 'Sequence 2 is empty', 'Empty input');
+  assertEquals(
+    messageOf(() => progressiveAlignment(['AC', 'GT'], DEFAULT_SCORES, { treeMethod: 'wpgma' })),
+    'Unknown guide tree method: wpgma',
+    'Bad tree method'
+  );
+}
+
+// =====================================================================
+// RUN ALL TESTS
+// =====================================================================
+
+export function runAllTests() {
+  console.log('\n========================================');
+  console.log('MULTIPLE SEQUENCE ALIGNMENT TEST SUITE');
+  console.log('========================================\n');
+  
+  let passed = 0;
+  let failed = 0;
+  
+  const tests = [
+    ['Distances: Symmetric p-distance', testDistances_Symmetric],
+    ['Profiles: Single Rows Match Pairwise', testProfiles_SingleRowsMatchPairwise],
+    ['Profiles: Keeps Columns Together', testProfiles_KeepsColumnsTogether],
+    ['Conservation: Clustal Symbols', testConservation_ClustalSymbols],
+    ['Consensus: Majority', testConsensus_Majority],
+    ['Progressive: Preserves Sequences', testProgressive_PreservesSequences],
+    ['Progressive: Names And Tree', testProgressive_NamesAndTree],
+    ['Progressive: Validation', testProgressive_Validation],
+  ];
+  
+  tests.forEach(([name, testFn]) => {
+    if (runTest(name, testFn)) {
+      passed++;
+    } else {
+      failed++;
+    }
+  });
+  
+  console.log('\n========================================');
+  console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+  
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run tests if this file is executed directly
+if (import.meta.url === `file://${globalThis.process?.argv[1]}`) {
+  runAllTests();
+}
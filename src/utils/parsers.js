@@ -0,0 +1,271 @@
+/**
+ * Sequence File Parsers
+ * FASTA / multi-FASTA, GenBank flat files and FASTQ. Every parser returns
+ * records of the form
+ *   { id, description, sequence, qualities?, features? }
+ * where qualities are Phred scores (FASTQ) and features are GenBank
+ * feature-table entries.
+ */
+
+import { cleanSequence } from './sequence.js';
+
+export const FILE_FORMATS = {
+  fasta: { label: 'FASTA', extensions: ['.fa', '.fasta', '.fna', '.faa', '.ffn', '.fas'] },
+  genbank: { label: 'GenBank', extensions: ['.gb', '.gbk', '.genbank'] },
+  fastq: { label: 'FASTQ', extensions: ['.fq', '.fastq'] },
+};
+
+// FASTQ qualities are Phred+33 encoded
+const PHRED_OFFSET = 33;
+
+const splitLines = (text) => text.replace(/\r\n?/g, '\n').split('\n');
+
+/**
+ * Split a header line (without its '>' or '@') into id and description.
+ * @private
+ */
+function parseHeader(header) {
+  const trimmed = header.trim();
+  const space = trimmed.search(/\s/);
+  if (space === -1) return { id: trimmed, description: '' };
+  return { id: trimmed.slice(0, space), description: trimmed.slice(space + 1).trim() };
+}
+
+/**
+ * Parse FASTA or multi-FASTA text. Blank lines and ';' comment lines are
+ * skipped; sequence lines are cleaned of whitespace and digits.
+ *
+ * @param {string} text - File contents
+ * @returns {object[]} Records in file order
+ */
+export function parseFasta(text) {
+  const records = [];
+  let current = null;
+
+  splitLines(text).forEach((line, index) => {
+    if (!line.trim() || line.startsWith(';')) return;
+    if (line.startsWith('>')) {
+      current = { ...parseHeader(line.slice(1)), sequence: '' };
+      records.push(current);
+    } else if (!current) {
+      throw new Error(`FASTA line ${index + 1}: expected a '>' header before sequence data`);
+    } else {
+      current.sequence += cleanSequence(line);
+    }
+  });
+
+  if (records.length === 0) {
+    throw new Error('No FASTA records found');
+  }
+  return records;
+}
+
+/**
+ * Parse FASTQ text. Sequence and quality may each wrap over several lines;
+ * the quality block ends once it is as long as the sequence.
+ *
+ * @param {string} text - File contents
+ * @returns {object[]} Records with Phred quality arrays
+ */
+export function parseFastq(text) {
+  const lines = splitLines(text);
+  const records = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    if (!lines[i].trim()) {
+      i++;
+      continue;
+    }
+    if (!lines[i].startsWith('@')) {
+      throw new Error(`FASTQ line ${i + 1}: expected an '@' header`);
+    }
+    const record = { ...parseHeader(lines[i].slice(1)), sequence: '', qualities: [] };
+    i++;
+
+    while (i < lines.length && !lines[i].startsWith('+')) {
+      record.sequence += cleanSequence(lines[i]);
+      i++;
+    }
+    if (i >= lines.length) {
+      throw new Error(`FASTQ record ${record.id}: missing '+' separator line`);
+    }
+    i++;
+
+    let quality = '';
+    while (i < lines.length && quality.length < record.sequence.length) {
+      quality += lines[i].trim();
+      i++;
+    }
+    if (quality.length !== record.sequence.length) {
+      throw new Error(
+        `FASTQ record ${record.id}: quality length ${quality.length} does not match sequence length ${record.sequence.length}`
+      );
+    }
+    record.qualities = Array.from(quality, char => char.charCodeAt(0) - PHRED_OFFSET);
+    records.push(record);
+  }
+
+  if (records.length === 0) {
+    throw new Error('No FASTQ records found');
+  }
+  return records;
+}
+
+/**
+ * Parse a GenBank feature location such as "complement(join(12..78,134..202))"
+ * or "<1..>240". Start and end span every range, 1-based and inclusive.
+ *
+ * @param {string} location - Location string
+ * @returns {{location: string, start: number, end: number, strand: number}}
+ */
+export function parseLocation(location) {
+  const positions = (location.match(/\d+/g) || []).map(Number);
+  if (positions.length === 0) {
+    throw new Error(`Unrecognised feature location: ${location}`);
+  }
+  return {
+    location,
+    start: Math.min(...positions),
+    end: Math.max(...positions),
+    strand: location.includes('complement(') ? -1 : 1,
+  };
+}
+
+// Feature keys start at column 6, locations and qualifiers at column 22
+const FEATURE_KEY = /^ {5}(\S+)\s+(\S.*)$/;
+const QUALIFIER_INDENT = /^ {21}/;
+
+/**
+ * Parse the FEATURES table of one GenBank record.
+ * @private
+ */
+function parseFeatures(lines) {
+  const features = [];
+  let feature = null;
+  let qualifier = null;
+
+  for (const line of lines) {
+    const key = line.match(FEATURE_KEY);
+    if (key) {
+      feature = { type: key[1], location: key[2].trim(), qualifiers: {} };
+      features.push(feature);
+      qualifier = null;
+      continue;
+    }
+    if (!feature || !QUALIFIER_INDENT.test(line)) continue;
+
+    const content = line.trim();
+    const start = content.match(/^\/([^=]+)(?:=(.*))?$/);
+    if (start) {
+      qualifier = start[1];
+      feature.qualifiers[qualifier] = start[2] === undefined ? true : start[2];
+    } else if (qualifier) {
+      // Continuation of a quoted qualifier value (translations are unspaced)
+      const joiner = qualifier === 'translation' ? '' : ' ';
+      feature.qualifiers[qualifier] += joiner + content;
+    } else {
+      feature.location += content;
+    }
+  }
+
+  return features.map(({ type, location, qualifiers }) => {
+    for (const [name, value] of Object.entries(qualifiers)) {
+      if (typeof value === 'string') qualifiers[name] = value.replace(/^"|"$/g, '');
+    }
+    return { type, ...parseLocation(location), qualifiers };
+  });
+}
+
+/**
+ * Parse a GenBank flat file (one or more LOCUS … // records). The id is the
+ * VERSION (or ACCESSION, or LOCUS name); the description is DEFINITION.
+ *
+ * @param {string} text - File contents
+ * @returns {object[]} Records with feature tables
+ */
+export function parseGenBank(text) {
+  const records = [];
+  let record = null;
+  let section = null;
+  let featureLines = [];
+  let ids = {};
+
+  const finish = () => {
+    record.id = ids.version || ids.accession || ids.locus;
+    record.features = parseFeatures(featureLines);
+    records.push(record);
+    record = null;
+  };
+
+  splitLines(text).forEach((line, index) => {
+    if (line.startsWith('LOCUS')) {
+      if (record) finish();
+      ids = { locus: line.slice(5).trim().split(/\s+/)[0] || `record${records.length + 1}` };
+      record = { id: ids.locus, description: '', sequence: '', features: [] };
+      section = 'LOCUS';
+      featureLines = [];
+      return;
+    }
+    if (!line.trim()) return;
+    if (!record) {
+      throw new Error(`GenBank line ${index + 1}: expected a LOCUS line`);
+    }
+    if (line.startsWith('//')) {
+      finish();
+      return;
+    }
+
+    // Top-level keywords start in column 1; continuation lines are indented
+    const keyword = line.match(/^([A-Z][A-Z ]*?)\s{2,}(.*)$|^([A-Z]+)$/);
+    if (keyword) {
+      section = (keyword[1] || keyword[3]).trim();
+      const value = (keyword[2] || '').trim();
+      if (section === 'DEFINITION') record.description = value;
+      if (section === 'ACCESSION' && value) ids.accession = value.split(/\s+/)[0];
+      if (section === 'VERSION' && value) ids.version = value.split(/\s+/)[0];
+      return;
+    }
+
+    if (section === 'DEFINITION') record.description += ` ${line.trim()}`;
+    else if (section === 'FEATURES') featureLines.push(line);
+    else if (section === 'ORIGIN') record.sequence += cleanSequence(line);
+  });
+
+  if (record) finish();
+  if (records.length === 0) {
+    throw new Error('No GenBank records found');
+  }
+  return records;
+}
+
+/**
+ * Guess a file's format from its first non-blank line.
+ *
+ * @param {string} text - File contents
+ * @returns {string|null} 'fasta' | 'genbank' | 'fastq', or null if unknown
+ */
+export function detectFormat(text) {
+  const first = splitLines(text).find(line => line.trim());
+  if (!first) return null;
+  if (first.startsWith('>') || first.startsWith(';')) return 'fasta';
+  if (first.startsWith('@')) return 'fastq';
+  if (first.startsWith('LOCUS')) return 'genbank';
+  return null;
+}
+
+const PARSERS = { fasta: parseFasta, genbank: parseGenBank, fastq: parseFastq };
+
+/**
+ * Parse a sequence file of any supported format.
+ *
+ * @param {string} text - File contents
+ * @returns {{format: string, records: object[]}}
+ */
+export function parseSequenceFile(text) {
+  const format = detectFormat(text);
+  if (!format) {
+    throw new Error('Unrecognised file format: expected FASTA, GenBank or FASTQ');
+  }
+  return { format, records: PARSERS[format](text) };
+}
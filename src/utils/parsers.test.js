@@ -0,0 +1,188 @@
+/**
+ * =====================================================================
+ * SEQUENCE FILE PARSER TEST SUITE
+ * =====================================================================
+ * 
+ * Covers FASTA, FASTQ and GenBank parsing, feature locations and format
+ * detection.
+ * =====================================================================
+ */
+
+import {
+  parseFasta,
+  parseFastq,
+  parseGenBank,
+  parseLocation,
+  detectFormat,
+  parseSequenceFile,
+} from './parsers.js';
+
+// Test helper function
+function runTest(testName, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ PASS: ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ FAIL: ${testName}`);
+    console.error(`   Error: ${error.message}`);
+    return false;
+  }
+}
+
+// Assertion helpers
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n  Expected: ${expected}\n  Actual: ${actual}`);
+  }
+}
+
+function assertThrows(fn, expectedMessage, message = '') {
+  let thrown = null;
+  try {
+    fn();
+  } catch (error) {
+    thrown = error.message;
+  }
+  assertEquals(thrown, expectedMessage, message);
+}
+
+const GENBANK_RECORD = `LOCUS       SCU49845                  30 bp    DNA     linear   PLN 21-JUN-1999
+DEFINITION  Saccharomyces cerevisiae TCP1-beta gene, partial cds, and Axl2p
+            (AXL2) genes.
+ACCESSION   U49845
+VERSION     U49845.1  GI:1293613
+SOURCE      Saccharomyces cerevisiae (baker's yeast)
+  ORGANISM  Saccharomyces cerevisiae
+FEATURES             Location/Qualifiers
+     source          1..30
+                     /organism="Saccharomyces cerevisiae"
+     CDS             complement(join(<3..12,
+                     20..>28))
+                     /gene="AXL2"
+                     /note="a note that wraps
+                     onto a second line"
+                     /pseudo
+ORIGIN      
+        1 gatcctccat atacaacggt atctccacct
+//
+`;
+
+// =====================================================================
+// FASTA TESTS
+// =====================================================================
+
+function testFasta_MultipleRecords() {
+  const records = parseFasta('>seq1 Human beta-globin\nACGT\nacgt\n\n;comment\n>seq2\nMKV LAA 12\n');
+  
+  assertEquals(records.length, 2, 'Two records');
+  assertEquals(records[0].id, 'seq1', 'First id');
+  assertEquals(records[0].description, 'Human beta-globin', 'First description');
+  assertEquals(records[0].sequence, 'ACGTACGT', 'Wrapped lines joined and upper-cased');
+  assertEquals(records[1].description, '', 'No description');
+  assertEquals(records[1].sequence, 'MKVLAA', 'Spaces and digits removed');
+}
+
+function testFasta_Errors() {
+  assertThrows(() => parseFasta('ACGT\n>seq1\nACGT'), "FASTA line 1: expected a '>' header before sequence data", 'Data before header');
+  assertThrows(() => parseFasta('\n\n'), 'No FASTA records found', 'Empty file');
+}
+
+// =====================================================================
+// FASTQ TESTS
+// =====================================================================
+
+function testFastq_Qualities() {
+  const records = parseFastq('@read1 lane 3\nACGT\n+\nII#5\n@read2\nAC\nGT\n+read2\n@@\n+I\n');
+  
+  assertEquals(records.length, 2, 'Two reads');
+  assertEquals(records[0].description, 'lane 3', 'Description');
+  assertEquals(records[0].qualities.join(','), '40,40,2,20', 'Phred+33 decoding');
+  assertEquals(records[1].sequence, 'ACGT', 'Wrapped sequence');
+  assertEquals(records[1].qualities.join(','), '31,31,10,40', "Quality lines may start with '@' or '+'");
+  assertThrows(() => parseFastq('@r\nACGT\n+\nII\n'), 'FASTQ record r: quality length 2 does not match sequence length 4', 'Short quality');
+}
+
+// =====================================================================
+// GENBANK TESTS
+// =====================================================================
+
+function testGenBank_Record() {
+  const [record] = parseGenBank(GENBANK_RECORD);
+  
+  assertEquals(record.id, 'U49845.1', 'VERSION used as id');
+  assertEquals(record.description, 'Saccharomyces cerevisiae TCP1-beta gene, partial cds, and Axl2p (AXL2) genes.', 'DEFINITION continued');
+  assertEquals(record.sequence, 'GATCCTCCATATACAACGGTATCTCCACCT', 'ORIGIN block');
+  assertEquals(record.features.length, 2, 'Two features');
+  
+  const cds = record.features[1];
+  assertEquals(cds.type, 'CDS', 'Feature type');
+  assertEquals(cds.location, 'complement(join(<3..12,20..>28))', 'Wrapped location joined');
+  assertEquals(`${cds.start}-${cds.end}:${cds.strand}`, '3-28:-1', 'Span and strand');
+  assertEquals(cds.qualifiers.gene, 'AXL2', 'Quotes stripped');
+  assertEquals(cds.qualifiers.note, 'a note that wraps onto a second line', 'Wrapped qualifier');
+  assertEquals(cds.qualifiers.pseudo, true, 'Flag qualifier');
+}
+
+function testGenBank_MultipleRecords() {
+  const records = parseGenBank(`${GENBANK_RECORD}LOCUS       SECOND  4 bp\nORIGIN\n        1 acgt\n//\n`);
+  
+  assertEquals(records.length, 2, 'Two records');
+  assertEquals(records[1].id, 'SECOND', 'LOCUS name when no VERSION');
+  assertEquals(records[1].sequence, 'ACGT', 'Second sequence');
+  assertEquals(parseLocation('5').start, 5, 'Single base location');
+}
+
+// =====================================================================
+// FORMAT DETECTION TESTS
+// =====================================================================
+
+function testDetect_Formats() {
+  assertEquals(detectFormat('\n>x\nACGT'), 'fasta', 'FASTA');
+  assertEquals(detectFormat('@r\nACGT\n+\nIIII'), 'fastq', 'FASTQ');
+  assertEquals(detectFormat(GENBANK_RECORD), 'genbank', 'GenBank');
+  assertEquals(detectFormat('ACGT'), null, 'Raw residues');
+  assertEquals(parseSequenceFile('>x\nAC').records[0].sequence, 'AC', 'Dispatch to parser');
+  assertThrows(() => parseSequenceFile('ACGT'), 'Unrecognised file format: expected FASTA, GenBank or FASTQ', 'Unknown format');
+}
+
+// =====================================================================
+// RUN ALL TESTS
+// =====================================================================
+
+export function runAllTests() {
+  console.log('\n========================================');
+  console.log('SEQUENCE FILE PARSER TEST SUITE');
+  console.log('========================================\n');
+  
+  let passed = 0;
+  let failed = 0;
+  
+  const tests = [
+    ['FASTA: Multiple Records', testFasta_MultipleRecords],
+    ['FASTA: Errors', testFasta_Errors],
+    ['FASTQ: Qualities', testFastq_Qualities],
+    ['GenBank: Record', testGenBank_Record],
+    ['GenBank: Multiple Records', testGenBank_MultipleRecords],
+    ['Detect: Formats', testDetect_Formats],
+  ];
+  
+  tests.forEach(([name, testFn]) => {
+    if (runTest(name, testFn)) {
+      passed++;
+    } else {
+      failed++;
+    }
+  });
+  
+  console.log('\n========================================');
+  console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+  
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run tests if this file is executed directly
+if (import.meta.url === `file://${globalThis.process?.argv[1]}`) {
+  runAllTests();
+}
@@ -0,0 +1,399 @@
+/**
+ * Phylogenetic Trees
+ * All-vs-all pairwise distances with evolutionary corrections, UPGMA and
+ * neighbour-joining tree construction from a distance matrix, plus Newick
+ * and PHYLIP serialisation. Also used to build MSA guide trees.
+ * Time: O(n³) for the trees, O(n²×L²) for the distances; Space: O(n²)
+ */
+
+import { needlemanWunsch, smithWaterman, DEFAULT_SCORES } from './alignmentLogic.js';
+
+/**
+ * Tree nodes are plain objects:
+ *   leaf:     { name, index, branchLength }
+ *   internal: { children: [...], branchLength, height? }
+ * `index` points back into the input distance matrix / label list.
+ */
+
+/**
+ * Check that a distance matrix is square, symmetric and matches the labels.
+ * @private
+ */
+function validateDistances(distances, labels) {
+  const n = distances.length;
+  if (n < 2) {
+    throw new Error('At least two taxa are required to build a tree');
+  }
+  if (labels && labels.length !== n) {
+    throw new Error(`Expected ${n} labels, got ${labels.length}`);
+  }
+  distances.forEach((row, i) => {
+    if (row.length !== n) {
+      throw new Error(`Distance matrix row ${i + 1} has ${row.length} entries, expected ${n}`);
+    }
+    row.forEach((value, j) => {
+      if (!Number.isFinite(value)) {
+        throw new Error(`Distance (${i + 1}, ${j + 1}) is not a finite number`);
+      }
+      if (Math.abs(value - distances[j][i]) > 1e-9) {
+        throw new Error(`Distance matrix is not symmetric at (${i + 1}, ${j + 1})`);
+      }
+    });
+  });
+}
+
+const createLeaves = (n, labels) =>
+  Array.from({ length: n }, (_, index) => ({
+    name: labels ? labels[index] : `Seq${index + 1}`,
+    index,
+    branchLength: 0,
+    height: 0,
+  }));
+
+/**
+ * UPGMA (average-linkage) clustering. Produces a rooted ultrametric tree:
+ * every leaf sits at the same distance from the root.
+ *
+ * @param {number[][]} distances - Symmetric distance matrix
+ * @param {string[]} labels - Optional taxon names
+ * @returns {object} Root node
+ */
+export function upgma(distances, labels) {
+  validateDistances(distances, labels);
+
+  let clusters = createLeaves(distances.length, labels).map(node => ({ node, size: 1 }));
+  let matrix = distances.map(row => [...row]);
+
+  while (clusters.length > 1) {
+    let best = { i: 0, j: 1, distance: Infinity };
+    for (let i = 0; i < clusters.length; i++) {
+      for (let j = i + 1; j < clusters.length; j++) {
+        if (matrix[i][j] < best.distance) best = { i, j, distance: matrix[i][j] };
+      }
+    }
+
+    const { i, j, distance } = best;
+    const a = clusters[i];
+    const b = clusters[j];
+    const height = distance / 2;
+    // Clamp so rounding in the averages never yields a negative branch
+    a.node.branchLength = Math.max(0, height - a.node.height);
+    b.node.branchLength = Math.max(0, height - b.node.height);
+    const merged = {
+      node: { children: [a.node, b.node], branchLength: 0, height },
+      size: a.size + b.size,
+    };
+
+    const keep = clusters.map((_, k) => k).filter(k => k !== i && k !== j);
+    const mergedRow = keep.map(k =>
+      (matrix[i][k] * a.size + matrix[j][k] * b.size) / merged.size
+    );
+    matrix = [
+      ...keep.map((k, row) => [...keep.map(l => matrix[k][l]), mergedRow[row]]),
+      [...mergedRow, 0],
+    ];
+    clusters = [...keep.map(k => clusters[k]), merged];
+  }
+
+  return clusters[0].node;
+}
+
+/**
+ * Saitou–Nei neighbour-joining. The result is unrooted in principle; it is
+ * returned rooted at the final join, whose node has three children.
+ * Negative branch lengths are clamped to zero.
+ *
+ * @param {number[][]} distances - Symmetric distance matrix
+ * @param {string[]} labels - Optional taxon names
+ * @returns {object} Root node
+ */
+export function neighborJoining(distances, labels) {
+  validateDistances(distances, labels);
+
+  let nodes = createLeaves(distances.length, labels);
+  let matrix = distances.map(row => [...row]);
+
+  if (nodes.length === 2) {
+    nodes[0].branchLength = matrix[0][1] / 2;
+    nodes[1].branchLength = matrix[0][1] / 2;
+    return { children: nodes, branchLength: 0 };
+  }
+
+  while (nodes.length > 3) {
+    const n = nodes.length;
+    const rowSums = matrix.map(row => row.reduce((sum, value) => sum + value, 0));
+
+    let best = { i: 0, j: 1, q: Infinity };
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const q = (n - 2) * matrix[i][j] - rowSums[i] - rowSums[j];
+        if (q < best.q) best = { i, j, q };
+      }
+    }
+
+    const { i, j } = best;
+    const dij = matrix[i][j];
+    const limbI = dij / 2 + (rowSums[i] - rowSums[j]) / (2 * (n - 2));
+    nodes[i].branchLength = Math.max(0, limbI);
+    nodes[j].branchLength = Math.max(0, dij - limbI);
+    const joined = { children: [nodes[i], nodes[j]], branchLength: 0 };
+
+    const keep = nodes.map((_, k) => k).filter(k => k !== i && k !== j);
+    const joinedRow = keep.map(k => (matrix[i][k] + matrix[j][k] - dij) / 2);
+    matrix = [
+      ...keep.map((k, row) => [...keep.map(l => matrix[k][l]), joinedRow[row]]),
+      [...joinedRow, 0],
+    ];
+    nodes = [...keep.map(k => nodes[k]), joined];
+  }
+
+  // Three nodes left: solve their limb lengths exactly and join at the root
+  const [d01, d02, d12] = [matrix[0][1], matrix[0][2], matrix[1][2]];
+  nodes[0].branchLength = Math.max(0, (d01 + d02 - d12) / 2);
+  nodes[1].branchLength = Math.max(0, (d01 + d12 - d02) / 2);
+  nodes[2].branchLength = Math.max(0, (d02 + d12 - d01) / 2);
+  return { children: nodes, branchLength: 0 };
+}
+
+export const TREE_METHODS = {
+  upgma: { label: 'UPGMA', build: upgma },
+  nj: { label: 'Neighbour-Joining', build: neighborJoining },
+};
+
+/**
+ * Leaves of a tree in left-to-right order.
+ *
+ * @param {object} tree - Root node
+ * @returns {object[]} Leaf nodes
+ */
+export function treeLeaves(tree) {
+  if (!tree.children) return [tree];
+  return tree.children.flatMap(treeLeaves);
+}
+
+// Newick reserves whitespace, parentheses, brackets, colons, semicolons and commas
+const newickLabel = (name) => String(name).replace(/[\s()[\]:;,']/g, '_');
+
+const formatLength = (value) => Number(value.toFixed(6)).toString();
+
+/**
+ * Serialise a tree in Newick format, e.g. "((A:0.1,B:0.2):0.05,C:0.3);".
+ *
+ * @param {object} tree - Root node
+ * @returns {string} Newick string
+ */
+export function toNewick(tree) {
+  const write = (node, isRoot) => {
+    const label = node.children
+      ? `(${node.children.map(child => write(child, false)).join(',')})`
+      : newickLabel(node.name);
+    return isRoot ? label : `${label}:${formatLength(node.branchLength)}`;
+  };
+  return `${write(tree, true)};`;
+}
+
+/**
+ * Serialise a distance matrix in (strict) PHYLIP format: the taxon count,
+ * then one row per taxon with its name padded or truncated to 10 characters.
+ *
+ * @param {number[][]} distances - Symmetric distance matrix
+ * @param {string[]} labels - Taxon names
+ * @returns {string} PHYLIP text
+ */
+export function toPhylip(distances, labels) {
+  validateDistances(distances, labels);
+  const rows = distances.map((row, i) => {
+    const name = String(labels[i]).replace(/\s+/g, '_').slice(0, 10).padEnd(10);
+    return `${name}${row.map(value => value.toFixed(6)).join(' ')}`;
+  });
+  return [String(distances.length).padStart(5), ...rows].join('\n') + '\n';
+}
+
+// =====================================================================
+// Pairwise distances
+// =====================================================================
+
+/** Pairwise alignments used to compare two sequences */
+export const DISTANCE_ALIGNMENTS = {
+  global: { label: 'Global (Needleman-Wunsch)', align: needlemanWunsch },
+  local: { label: 'Local (Smith-Waterman)', align: smithWaterman },
+};
+
+/**
+ * Evolutionary distance corrections of the observed differences. `kind`
+ * says which sequences they model; correct() returns NaN or Infinity once
+ * the sequences are too divergent for the model.
+ */
+export const DISTANCE_CORRECTIONS = {
+  p: {
+    label: 'p-distance',
+    kind: 'any',
+    correct: ({ p }) => p,
+  },
+  jc69: {
+    label: 'Jukes–Cantor',
+    kind: 'nucleotide',
+    correct: ({ p }) => -0.75 * Math.log(1 - (4 / 3) * p),
+  },
+  k2p: {
+    label: 'Kimura 2-parameter',
+    kind: 'nucleotide',
+    // P transitions and Q transversions per site
+    correct: ({ P, Q }) => -0.5 * Math.log(1 - 2 * P - Q) - 0.25 * Math.log(1 - 2 * Q),
+  },
+  poisson: {
+    label: 'Poisson',
+    kind: 'protein',
+    correct: ({ p }) => -Math.log(1 - p),
+  },
+};
+
+const PURINES = 'AG';
+const PYRIMIDINES = 'CT';
+
+/**
+ * Differences between two aligned rows over the columns where both have a
+ * residue. A difference between two purines (A, G) or two pyrimidines (C,
+ * T/U) is a transition; every other difference counts as a transversion.
+ *
+ * @param {string} alignedA - First aligned row
+ * @param {string} alignedB - Second aligned row
+ * @returns {object} { sites, differences, transitions, transversions }
+ */
+export function siteDifferences(alignedA, alignedB) {
+  let sites = 0;
+  let differences = 0;
+  let transitions = 0;
+  for (let k = 0; k < alignedA.length; k++) {
+    if (alignedA[k] === '-' || alignedB[k] === '-') continue;
+    sites++;
+    const a = alignedA[k].toUpperCase().replace('U', 'T');
+    const b = alignedB[k].toUpperCase().replace('U', 'T');
+    if (a === b) continue;
+    differences++;
+    if ((PURINES.includes(a) && PURINES.includes(b)) || (PYRIMIDINES.includes(a) && PYRIMIDINES.includes(b))) {
+      transitions++;
+    }
+  }
+  return { sites, differences, transitions, transversions: differences - transitions };
+}
+
+/**
+ * Corrected distance from site differences. Pairs without a gap-free
+ * column are treated as entirely different (p = 1).
+ * @private
+ */
+function correctedDistance(correction, { sites, differences, transitions, transversions }) {
+  const p = sites === 0 ? 1 : differences / sites;
+  const P = sites === 0 ? 0 : transitions / sites;
+  const Q = sites === 0 ? 1 : transversions / sites;
+  return { p, distance: correction.correct({ p, P, Q }) };
+}
+
+/**
+ * All-vs-all distances: every pair is aligned and the differences in its
+ * gap-free columns are corrected for multiple substitutions.
+ *
+ * @param {string[]} sequences - Unaligned sequences
+ * @param {object} scores - Scoring scheme (linear gap)
+ * @param {object} options - { alignment: key of DISTANCE_ALIGNMENTS,
+ *   correction: key of DISTANCE_CORRECTIONS, names, onPair() } where
+ *   onPair is called after each pair is aligned
+ * @returns {object} { distances, pDistances, sites } as symmetric matrices,
+ *   sites holding the gap-free columns compared
+ */
+export function distanceMatrix(sequences, scores = DEFAULT_SCORES, {
+  alignment = 'global',
+  correction = 'p',
+  names,
+  onPair,
+} = {}) {
+  const aligner = DISTANCE_ALIGNMENTS[alignment];
+  if (!aligner) {
+    throw new Error(`Unknown alignment: ${alignment}`);
+  }
+  const model = DISTANCE_CORRECTIONS[correction];
+  if (!model) {
+    throw new Error(`Unknown distance correction: ${correction}`);
+  }
+
+  const n = sequences.length;
+  const square = () => Array.from({ length: n }, () => new Array(n).fill(0));
+  const distances = square();
+  const pDistances = square();
+  const sites = square();
+  const nameOf = (index) => names?.[index] || `Seq${index + 1}`;
+
+  for (let i = 0; i < n; i++) {
+    sites[i][i] = sequences[i].length;
+    for (let j = i + 1; j < n; j++) {
+      const { alignedSeq1, alignedSeq2 } = aligner.align(sequences[i], sequences[j], scores);
+      const counts = siteDifferences(alignedSeq1, alignedSeq2);
+      const { p, distance } = correctedDistance(model, counts);
+      if (!Number.isFinite(distance)) {
+        throw new Error(
+          `${model.label} distance between ${nameOf(i)} and ${nameOf(j)} is undefined `
+          + `(p = ${p.toFixed(3)}): the sequences are too divergent for the model`
+        );
+      }
+      distances[i][j] = distances[j][i] = distance;
+      pDistances[i][j] = pDistances[j][i] = p;
+      sites[i][j] = sites[j][i] = counts.sites;
+      onPair?.();
+    }
+  }
+
+  return { distances, pDistances, sites };
+}
+
+/**
+ * Distance matrix and tree of a set of sequences.
+ *
+ * @param {string[]} sequences - Unaligned sequences (at least two)
+ * @param {object} scores - Scoring scheme (linear gap)
+ * @param {object} options - { alignment, correction, treeMethod: key of
+ *   TREE_METHODS, names, onProgress(done, total) } where progress counts
+ *   the n(n-1)/2 pairwise alignments
+ * @returns {object} { labels, distances, pDistances, sites, tree,
+ *   alignment, correction, treeMethod, algorithm }
+ */
+export function buildPhylogeny(sequences, scores = DEFAULT_SCORES, {
+  alignment = 'global',
+  correction = 'p',
+  treeMethod = 'nj',
+  names,
+  onProgress,
+} = {}) {
+  const method = TREE_METHODS[treeMethod];
+  if (!method) {
+    throw new Error(`Unknown tree method: ${treeMethod}`);
+  }
+  if (!Array.isArray(sequences) || sequences.length < 2) {
+    throw new Error('At least two sequences are required');
+  }
+  const labels = sequences.map((sequence, index) => {
+    if (!sequence) {
+      throw new Error(`Sequence ${index + 1} is empty`);
+    }
+    return names?.[index] || `Seq${index + 1}`;
+  });
+
+  const total = (sequences.length * (sequences.length - 1)) / 2;
+  let done = 0;
+  const matrices = distanceMatrix(sequences.map(sequence => sequence.toUpperCase()), scores, {
+    alignment,
+    correction,
+    names: labels,
+    onPair: () => onProgress?.(++done, total),
+  });
+
+  return {
+    labels,
+    ...matrices,
+    tree: method.build(matrices.distances, labels),
+    alignment,
+    correction,
+    treeMethod,
+    algorithm: `${method.label} tree (${DISTANCE_CORRECTIONS[correction].label})`,
+  };
+}
@@ -0,0 +1,243 @@
+/**
+ * =====================================================================
+ * PHYLOGENETIC TREE TEST SUITE
+ * =====================================================================
+ * 
+ * Checks UPGMA and neighbour-joining against textbook examples, the
+ * distance corrections, and the Newick and PHYLIP serialisations.
+ * =====================================================================
+ */
+
+import {
+  upgma,
+  neighborJoining,
+  treeLeaves,
+  toNewick,
+  toPhylip,
+  siteDifferences,
+  distanceMatrix,
+  buildPhylogeny,
+  DISTANCE_CORRECTIONS,
+} from './phylogeny.js';
+
+// Test helper function
+function runTest(testName, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ PASS: ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ FAIL: ${testName}`);
+    console.error(`   Error: ${error.message}`);
+    return false;
+  }
+}
+
+// Assertion helpers
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n  Expected: ${expected}\n  Actual: ${actual}`);
+  }
+}
+
+const LABELS = ['a', 'b', 'c', 'd', 'e'];
+
+const leafLengths = (tree) =>
+  Object.fromEntries(treeLeaves(tree).map(leaf => [leaf.name, leaf.branchLength]));
+
+// =====================================================================
+// UPGMA TESTS
+// =====================================================================
+
+// 5S rRNA example from the UPGMA literature
+function testUpgma_TextbookExample() {
+  const distances = [
+    [0, 17, 21, 31, 23],
+    [17, 0, 30, 34, 21],
+    [21, 30, 0, 28, 39],
+    [31, 34, 28, 0, 43],
+    [23, 21, 39, 43, 0],
+  ];
+  const tree = upgma(distances, LABELS);
+  const lengths = leafLengths(tree);
+  
+  assertEquals(tree.height, 16.5, 'Root height');
+  assertEquals(lengths.a, 8.5, 'a limb');
+  assertEquals(lengths.e, 11, 'e limb');
+  assertEquals(lengths.c, 14, 'c limb');
+  assertEquals(toNewick(tree), '((e:11,(a:8.5,b:8.5):2.5):5.5,(c:14,d:14):2.5);', 'Newick');
+}
+
+function testUpgma_Ultrametric() {
+  const distances = [
+    [0, 0.2, 0.5, 0.6],
+    [0.2, 0, 0.45, 0.7],
+    [0.5, 0.45, 0, 0.3],
+    [0.6, 0.7, 0.3, 0],
+  ];
+  const tree = upgma(distances);
+  const depth = (node, target, sum = 0) => {
+    if (node === target) return sum + node.branchLength;
+    return (node.children || []).reduce(
+      (found, child) => found ?? depth(child, target, sum + (node === tree ? 0 : node.branchLength)),
+      null
+    );
+  };
+  
+  treeLeaves(tree).forEach(leaf => {
+    assertEquals(Math.abs(depth(tree, leaf) - tree.height) < 1e-9, true, `${leaf.name} at root height`);
+  });
+  assertEquals(treeLeaves(tree)[0].name.startsWith('Seq'), true, 'Default labels');
+}
+
+// =====================================================================
+// NEIGHBOUR-JOINING TESTS
+// =====================================================================
+
+// Additive example: NJ must recover the exact limb lengths
+function testNeighborJoining_AdditiveTree() {
+  const distances = [
+    [0, 5, 9, 9, 8],
+    [5, 0, 10, 10, 9],
+    [9, 10, 0, 8, 7],
+    [9, 10, 8, 0, 3],
+    [8, 9, 7, 3, 0],
+  ];
+  const tree = neighborJoining(distances, LABELS);
+  const lengths = leafLengths(tree);
+  
+  assertEquals(tree.children.length, 3, 'Unrooted trifurcation at root');
+  assertEquals(lengths.a, 2, 'a limb');
+  assertEquals(lengths.b, 3, 'b limb');
+  assertEquals(lengths.c, 4, 'c limb');
+  assertEquals(lengths.d, 2, 'd limb');
+  assertEquals(lengths.e, 1, 'e limb');
+}
+
+// =====================================================================
+// EDGE CASES
+// =====================================================================
+
+function testTree_InvalidMatrix() {
+  let message = '';
+  try {
+    upgma([[0, 1], [2, 0]]);
+  } catch (error) {
+    message = error.message;
+  }
+  assertEquals(message.includes('not symmetric'), true, 'Asymmetric matrix rejected');
+  
+  message = '';
+  try {
+    neighborJoining([[0]]);
+  } catch (error) {
+    message = error.message;
+  }
+  assertEquals(message, 'At least two taxa are required to build a tree', 'Single taxon rejected');
+}
+
+function testNewick_EscapesLabels() {
+  const tree = neighborJoining([[0, 0.4], [0.4, 0]], ['human (chr1)', 'mouse:x']);
+  
+  assertEquals(toNewick(tree), '(human__chr1_:0.2,mouse_x:0.2);', 'Reserved characters replaced');
+}
+
+// =====================================================================
+// DISTANCE TESTS
+// =====================================================================
+
+const close = (actual, expected, message) => assertEquals(Math.abs(actual - expected) < 1e-6, true, `${message}: ${actual}`);
+
+function testDistance_Corrections() {
+  const counts = siteDifferences('ACGTACGTAC', 'GCGTACGAAC');
+  assertEquals(`${counts.sites}/${counts.differences}/${counts.transitions}/${counts.transversions}`, '10/2/1/1', 'A↔G transition, T↔A transversion');
+
+  const p = 0.2;
+  close(DISTANCE_CORRECTIONS.jc69.correct({ p }), -0.75 * Math.log(1 - 0.8 / 3), 'Jukes–Cantor');
+  close(DISTANCE_CORRECTIONS.k2p.correct({ P: 0.1, Q: 0.1 }), -0.5 * Math.log(0.7) - 0.25 * Math.log(0.8), 'Kimura 2-parameter');
+  close(DISTANCE_CORRECTIONS.poisson.correct({ p }), -Math.log(0.8), 'Poisson');
+  assertEquals(DISTANCE_CORRECTIONS.jc69.correct({ p: 0 }) === 0, true, 'Identical sequences are 0 apart');
+  assertEquals(DISTANCE_CORRECTIONS.k2p.correct({ P: 0, Q: 0 }) === 0, true, 'K2P is 0 for identical sequences');
+}
+
+function testDistance_Matrix() {
+  const sequences = ['ACGTACGTAC', 'ACGTACGTAA', 'GCGTACGAAC'];
+  const { distances, pDistances, sites } = distanceMatrix(sequences, undefined, { correction: 'jc69' });
+
+  close(pDistances[0][1], 0.1, 'One difference in ten');
+  close(distances[0][1], -0.75 * Math.log(1 - 0.4 / 3), 'Corrected distance');
+  assertEquals(distances[1][0], distances[0][1], 'Symmetric');
+  assertEquals(distances[2][2], 0, 'Zero diagonal');
+  assertEquals(sites[0][2], 10, 'Gap-free columns compared');
+  assertEquals(pDistances[0][1] < distances[0][1], true, 'Correction lengthens distances');
+
+  let message = '';
+  try {
+    distanceMatrix(['ACGT', 'GTCA'], undefined, { correction: 'jc69', names: ['x', 'y'] });
+  } catch (error) {
+    message = error.message;
+  }
+  assertEquals(message.startsWith('Jukes–Cantor distance between x and y is undefined'), true, 'Saturation reported');
+}
+
+function testDistance_BuildsTree() {
+  const reports = [];
+  const result = buildPhylogeny(
+    ['ACGTACGTACGT', 'ACGTACGTACGA', 'TCGAACGTTCGA', 'TCGAACGTTCGT'],
+    undefined,
+    { treeMethod: 'upgma', names: ['a', 'b', 'c', 'd'], onProgress: (done, total) => reports.push(`${done}/${total}`) }
+  );
+
+  assertEquals(reports.join(' '), '1/6 2/6 3/6 4/6 5/6 6/6', 'Progress per pair');
+  assertEquals(toNewick(result.tree).replace(/:[\d.]+/g, ''), '((a,b),(c,d));', 'Closest pairs cluster first');
+  assertEquals(result.algorithm, 'UPGMA tree (p-distance)', 'Method and correction named');
+}
+
+function testPhylip_Format() {
+  const text = toPhylip([[0, 0.25], [0.25, 0]], ['Homo sapiens sapiens', 'Mus']);
+  assertEquals(text, '    2\nHomo_sapie0.000000 0.250000\nMus       0.250000 0.000000\n', 'Strict PHYLIP square matrix');
+}
+
+// =====================================================================
+// RUN ALL TESTS
+// =====================================================================
+
+export function runAllTests() {
+  console.log('\n========================================');
+  console.log('PHYLOGENETIC TREE TEST SUITE');
+  console.log('========================================\n');
+  
+  let passed = 0;
+  let failed = 0;
+  
+  const tests = [
+    ['UPGMA: Textbook Example', testUpgma_TextbookExample],
+    ['UPGMA: Ultrametric', testUpgma_Ultrametric],
+    ['NJ: Additive Tree', testNeighborJoining_AdditiveTree],
+    ['Edge: Invalid Matrix', testTree_InvalidMatrix],
+    ['Newick: Escapes Labels', testNewick_EscapesLabels],
+    ['Distance: Corrections', testDistance_Corrections],
+    ['Distance: Matrix', testDistance_Matrix],
+    ['Distance: Builds Tree', testDistance_BuildsTree],
+    ['PHYLIP: Format', testPhylip_Format],
+  ];
+  
+  tests.forEach(([name, testFn]) => {
+    if (runTest(name, testFn)) {
+      passed++;
+    } else {
+      failed++;
+    }
+  });
+  
+  console.log('\n========================================');
+  console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+  
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run tests if this file is executed directly
+if (import.meta.url === `file://${globalThis.process?.argv[1]}`) {
+  runAllTests();
+}
@@ -0,0 +1,391 @@
+/**
+ * Read Mapping
+ * Places short reads on one reference by seed-and-extend: the reference is
+ * indexed by its k-mers, every k-mer of a read (and of its reverse
+ * complement) votes for the diagonal it hits, and the best-supported
+ * diagonals are extended with dynamic programming in a window around them.
+ *
+ * Extension either fits the whole read into the window (semi-global,
+ * end-to-end) or aligns it locally inside a band around the diagonal, soft
+ * clipping ends that do not match. The best placement gives the CIGAR; its
+ * score gap to the second best gives the mapping quality. Results can be
+ * laid out as a pileup and written as SAM.
+ */
+
+import { DEFAULT_SCORES, END_GAP_PRESETS, semiGlobal } from './alignmentLogic.js';
+import { bandedAlignment } from './banded.js';
+import { createScorer } from './scoringMatrices.js';
+import { karlinAltschulParameters } from './significance.js';
+import { SAM_REVERSE, samName, samPlacement } from './exporters.js';
+import { reverseComplement } from './sequence.js';
+import { STRANDS } from './strands.js';
+
+export const MAPPING_EXTENSIONS = {
+  semiglobal: { label: 'Semi-global (end-to-end)' },
+  banded: { label: 'Banded local (soft-clipped)' },
+};
+
+export const MAPPING_DEFAULTS = {
+  seedLength: 11,
+  // Seeds hitting more places than this are repeats and cast no votes
+  maxSeedHits: 100,
+  // Diagonals extended per read and strand
+  maxCandidates: 5,
+  // Window margin either side of the diagonal, and half-width of the band
+  band: 8,
+  extension: 'semiglobal',
+  // Placements scoring below this fraction of a perfect match are dropped
+  minScoreRatio: 0.5,
+};
+
+// Mapping quality of a placement with no competitor
+export const MAX_MAPQ = 60;
+
+// SAM's MAPQ for a quality that cannot be computed
+export const MAPQ_UNAVAILABLE = 255;
+
+// Background the scores are read against for mapping quality
+const UNIFORM_BASES = { A: 0.25, C: 0.25, G: 0.25, T: 0.25 };
+
+// SAM FLAG bit for a read that did not map
+const SAM_UNMAPPED = 4;
+
+/**
+ * Positions of every k-mer of the reference.
+ *
+ * @param {string} reference - Upper-case reference
+ * @param {number} seedLength - k
+ * @returns {Map<string, number[]>} k-mer → 0-based start positions
+ */
+export function buildSeedIndex(reference, seedLength) {
+  const index = new Map();
+  for (let i = 0; i + seedLength <= reference.length; i++) {
+    const seed = reference.slice(i, i + seedLength);
+    const positions = index.get(seed);
+    if (positions) positions.push(i);
+    else index.set(seed, [i]);
+  }
+  return index;
+}
+
+/**
+ * Diagonals (reference start of the read) supported by its seeds, grouped
+ * so that diagonals within `band` of each other count once, best supported
+ * first.
+ * @private
+ */
+function seedCandidates(read, index, { seedLength, maxSeedHits, maxCandidates, band }) {
+  const votes = new Map();
+  for (let j = 0; j + seedLength <= read.length; j++) {
+    const positions = index.get(read.slice(j, j + seedLength));
+    if (!positions || positions.length > maxSeedHits) continue;
+    for (const position of positions) {
+      const diagonal = position - j;
+      votes.set(diagonal, (votes.get(diagonal) || 0) + 1);
+    }
+  }
+
+  const clusters = [];
+  [...votes.keys()].sort((a, b) => a - b).forEach(diagonal => {
+    const last = clusters[clusters.length - 1];
+    const count = votes.get(diagonal);
+    if (last && diagonal - last.end <= band) {
+      last.end = diagonal;
+      last.votes += count;
+      if (count > votes.get(last.diagonal)) last.diagonal = diagonal;
+    } else {
+      clusters.push({ diagonal, end: diagonal, votes: count });
+    }
+  });
+  return clusters.sort((a, b) => b.votes - a.votes).slice(0, maxCandidates);
+}
+
+/**
+ * Align a read in the reference window around one diagonal and express the
+ * result on the whole reference as samPlacement does: aligned rows trimmed
+ * to the read's aligned residues, refStart (0-based), soft clips at either
+ * end and the CIGAR.
+ * @private
+ */
+function extendSeed(reference, read, diagonal, scores, { band, extension }) {
+  const windowStart = Math.max(0, diagonal - band);
+  const windowEnd = Math.min(reference.length, diagonal + read.length + band);
+  if (windowEnd <= windowStart) return null;
+  const window = reference.slice(windowStart, windowEnd);
+
+  let result;
+  let refOffset;
+  if (extension === 'banded') {
+    result = bandedAlignment(window, read, scores, { bandWidth: band, offset: windowStart - diagonal, local: true });
+    refOffset = result.startPos.row;
+  } else {
+    result = semiGlobal(window, read, scores, END_GAP_PRESETS.seq2InSeq1);
+    refOffset = result.path[0].row;
+  }
+
+  // Reference overhangs become part of the position rather than deletions
+  const placement = samPlacement(result.alignedSeq1, result.alignedSeq2, {
+    refStart: windowStart + refOffset,
+    queryStart: extension === 'banded' ? result.startPos.col : 0,
+    queryLength: read.length,
+  });
+  if (!placement) return null;
+  const { alignedQuery, ...placed } = placement;
+  return { ...placed, score: result.score, alignedRead: alignedQuery };
+}
+
+/**
+ * λ of a scoring scheme over equal base frequencies, or null when it has
+ * none (fractional scores, or a non-negative expected score).
+ *
+ * @param {object} scores - {match, mismatch, gap} or {matrix, gap}
+ * @returns {number|null}
+ */
+export function mappingLambda(scores) {
+  try {
+    return karlinAltschulParameters(scores, UNIFORM_BASES).lambda;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Phred-scaled mapping quality, −10·log10 P(the best placement is wrong).
+ * Scores are log-odds in units of 1/λ, so the second placement is
+ * e^(−λ·(best − second)) times as likely as the best and
+ * P(wrong) = 1 / (1 + e^(λ·(best − second))). A unique placement gets
+ * MAX_MAPQ and a tie 0, as aligners report repeats; without λ a contested
+ * placement gets MAPQ_UNAVAILABLE.
+ *
+ * @param {number} best - Best placement score
+ * @param {number|null} second - Second-best score, null when there is none
+ * @param {number|null} lambda - mappingLambda of the scoring scheme
+ * @returns {number} MAPQ, 0 to MAX_MAPQ or MAPQ_UNAVAILABLE
+ */
+export function mappingQuality(best, second, lambda) {
+  if (second === null) return MAX_MAPQ;
+  if (second >= best) return 0;
+  if (!lambda) return MAPQ_UNAVAILABLE;
+  // 10·log10(1 + e^x), kept finite for large x
+  const x = lambda * (best - second);
+  const phred = (10 / Math.LN10) * (x + Math.log1p(Math.exp(-x)));
+  return Math.min(MAX_MAPQ, Math.round(phred));
+}
+
+/**
+ * Place one read on the reference.
+ *
+ * @param {object} read - { id, sequence, qualities? }
+ * @param {string} reference - Upper-case reference
+ * @param {Map} index - buildSeedIndex(reference, seedLength)
+ * @param {object} scores - {match, mismatch, gap} or {matrix, gap}
+ * @param {object} options - MAPPING_DEFAULTS fields, plus lambda (see
+ *   mappingLambda) to save working it out for every read
+ * @returns {object} Mapped read (see mapReads)
+ */
+export function mapRead(read, reference, index, scores = DEFAULT_SCORES, options = {}) {
+  const settings = { ...MAPPING_DEFAULTS, ...options };
+  const lambda = settings.lambda === undefined ? mappingLambda(scores) : settings.lambda;
+  const sequence = read.sequence.toUpperCase();
+  const substitute = createScorer(scores);
+  const perfect = [...sequence].reduce((sum, base) => sum + substitute(base, base), 0);
+  const unmapped = { id: read.id, sequence, qualities: read.qualities || null, mapped: false, mapq: 0 };
+  if (sequence.length < settings.seedLength) return unmapped;
+
+  const placements = [];
+  const strands = [[STRANDS.plus, sequence], [STRANDS.minus, reverseComplement(sequence)]];
+  for (const [strand, oriented] of strands) {
+    for (const { diagonal } of seedCandidates(oriented, index, settings)) {
+      const placement = extendSeed(reference, oriented, diagonal, scores, settings);
+      // Neighbouring diagonals can settle on the same placement
+      if (placement && !placements.some(other => other.strand === strand && other.refStart === placement.refStart)) {
+        placements.push({ ...placement, strand });
+      }
+    }
+  }
+  placements.sort((a, b) => b.score - a.score || a.refStart - b.refStart);
+
+  const [best, next] = placements;
+  if (!best || best.score < settings.minScoreRatio * perfect) return unmapped;
+
+  const reverse = best.strand === STRANDS.minus;
+  let editDistance = 0;
+  for (let k = 0; k < best.alignedReference.length; k++) {
+    if (best.alignedReference[k] !== best.alignedRead[k]) editDistance++;
+  }
+  return {
+    ...unmapped,
+    mapped: true,
+    strand: best.strand,
+    // SAM stores reverse-strand reads as their reverse complement
+    mappedSequence: reverse ? strands[1][1] : sequence,
+    mappedQualities: read.qualities && reverse ? [...read.qualities].reverse() : unmapped.qualities,
+    position: best.refStart + 1,
+    refStart: best.refStart,
+    refEnd: best.refEnd,
+    clipStart: best.clipStart,
+    clipEnd: best.clipEnd,
+    alignedReference: best.alignedReference,
+    alignedRead: best.alignedRead,
+    cigar: best.cigar,
+    score: best.score,
+    secondScore: next ? next.score : null,
+    mapq: mappingQuality(best.score, next ? next.score : null, lambda),
+    editDistance,
+  };
+}
+
+/**
+ * Map reads against a reference.
+ *
+ * @param {string} reference - Reference sequence
+ * @param {object[]} reads - [{ id, sequence, qualities? }] as parsed from
+ *   FASTA or FASTQ
+ * @param {object} scores - {match, mismatch, gap} or {matrix, gap}
+ * @param {object} options - MAPPING_DEFAULTS fields, plus onProgress(readsDone, totalReads)
+ * @returns {object} { reads, coverage, mapped, meanCoverage, seedLength,
+ *   extension, algorithm } where reads keep the input order and each mapped
+ *   read has { strand, position, refStart, refEnd, cigar, mapq, score,
+ *   secondScore, editDistance, alignedReference, alignedRead, clipStart,
+ *   clipEnd, mappedSequence, mappedQualities }; coverage counts the read
+ *   bases aligned to each reference position
+ */
+export function mapReads(reference, reads, scores = DEFAULT_SCORES, { onProgress = () => {}, ...options } = {}) {
+  const settings = { ...MAPPING_DEFAULTS, ...options };
+  if (!reference) {
+    throw new Error('The reference must be non-empty');
+  }
+  if (!reads || reads.length === 0) {
+    throw new Error('No reads to map');
+  }
+  if (!Number.isInteger(settings.seedLength) || settings.seedLength < 4) {
+    throw new Error('Seed length must be an integer of at least 4');
+  }
+  if (!MAPPING_EXTENSIONS[settings.extension]) {
+    throw new Error(`Unknown extension: ${settings.extension}`);
+  }
+
+  const upper = reference.toUpperCase();
+  const index = buildSeedIndex(upper, settings.seedLength);
+  const coverage = new Array(upper.length).fill(0);
+  const lambda = mappingLambda(scores);
+  const mappedReads = reads.map((read, done) => {
+    onProgress(done, reads.length);
+    const mapped = mapRead(read, upper, index, scores, { ...settings, lambda });
+    if (mapped.mapped) {
+      let position = mapped.refStart;
+      for (let k = 0; k < mapped.alignedReference.length; k++) {
+        if (mapped.alignedReference[k] === '-') continue;
+        if (mapped.alignedRead[k] !== '-') coverage[position]++;
+        position++;
+      }
+    }
+    return mapped;
+  });
+  onProgress(reads.length, reads.length);
+
+  return {
+    reads: mappedReads,
+    coverage,
+    mapped: mappedReads.filter(read => read.mapped).length,
+    meanCoverage: coverage.reduce((sum, depth) => sum + depth, 0) / upper.length,
+    seedLength: settings.seedLength,
+    extension: settings.extension,
+    algorithm: `Seed-and-extend (k = ${settings.seedLength}, ${MAPPING_EXTENSIONS[settings.extension].label.toLowerCase()})`,
+  };
+}
+
+/**
+ * Pack mapped reads into pileup rows, each read on the first row where it
+ * does not touch the read before it.
+ *
+ * @param {object[]} reads - mapReads reads
+ * @returns {number[][]} Rows of read indices, left to right
+ */
+export function pileupRows(reads) {
+  const rows = [];
+  const ends = [];
+  reads
+    .map((read, index) => ({ read, index }))
+    .filter(({ read }) => read.mapped)
+    .sort((a, b) => a.read.refStart - b.read.refStart || a.read.refEnd - b.read.refEnd)
+    .forEach(({ read, index }) => {
+      let row = ends.findIndex(end => end < read.refStart);
+      if (row === -1) {
+        row = rows.length;
+        rows.push([]);
+      }
+      rows[row].push(index);
+      ends[row] = read.refEnd;
+    });
+  return rows;
+}
+
+/**
+ * A mapped read column by column on the reference: one entry per reference
+ * position it spans with the read base ('-' for a deletion), whether it
+ * differs from the reference, and any bases inserted after it.
+ *
+ * @param {object} read - Mapped read
+ * @returns {object[]} [{ position, base, mismatch, insertion }] with 0-based positions
+ */
+export function readColumns(read) {
+  const columns = [];
+  let position = read.refStart;
+  for (let k = 0; k < read.alignedReference.length; k++) {
+    const refBase = read.alignedReference[k];
+    const base = read.alignedRead[k];
+    if (refBase === '-') {
+      const previous = columns[columns.length - 1];
+      if (previous) previous.insertion += base;
+      continue;
+    }
+    columns.push({ position, base, mismatch: base !== '-' && base !== refBase, insertion: '' });
+    position++;
+  }
+  return columns;
+}
+
+/**
+ * SAM file of mapped reads against one reference, sorted by position with
+ * unmapped reads last.
+ *
+ * @param {object} mapping - mapReads result
+ * @param {object} options - { referenceName, referenceLength }
+ * @returns {string} SAM text
+ */
+export function toMappingSam(mapping, { referenceName = 'ref', referenceLength } = {}) {
+  const rname = samName(referenceName);
+  const quality = (qualities) => (qualities ? String.fromCharCode(...qualities.map(q => q + 33)) : '*');
+  const ordered = [...mapping.reads].sort((a, b) => {
+    if (a.mapped !== b.mapped) return a.mapped ? -1 : 1;
+    return a.mapped ? a.refStart - b.refStart : 0;
+  });
+
+  const records = ordered.map(read => (read.mapped
+    ? [
+      samName(read.id),
+      read.strand === STRANDS.minus ? SAM_REVERSE : 0,
+      rname,
+      read.position,
+      read.mapq,
+      read.cigar,
+      '*',
+      0,
+      0,
+      read.mappedSequence,
+      quality(read.mappedQualities),
+      `AS:i:${Math.round(read.score)}`,
+      ...(read.secondScore !== null ? [`XS:i:${Math.round(read.secondScore)}`] : []),
+      `NM:i:${read.editDistance}`,
+    ]
+    : [samName(read.id), SAM_UNMAPPED, '*', 0, 0, '*', '*', 0, 0, read.sequence, quality(read.qualities)]
+  ).join('\t'));
+
+  return [
+    '@HD\tVN:1.6\tSO:coordinate',
+    `@SQ\tSN:${rname}\tLN:${referenceLength ?? mapping.coverage.length}`,
+    `@PG\tID:seqsync\tPN:SeqSync\tDS:${mapping.algorithm}`,
+    ...records,
+  ].join('\n') + '\n';
+}
@@ -0,0 +1,221 @@
+/**
+ * =====================================================================
+ * READ MAPPING TEST SUITE
+ * =====================================================================
+ *
+ * Verifies the seed index, placement of reads on either strand with their
+ * CIGAR and mapping quality, soft clipping, pileup layout, coverage and
+ * the SAM output.
+ * =====================================================================
+ */
+
+import {
+  buildSeedIndex,
+  mapReads,
+  mappingLambda,
+  mappingQuality,
+  pileupRows,
+  readColumns,
+  toMappingSam,
+  MAX_MAPQ,
+  MAPQ_UNAVAILABLE,
+} from './readMapping.js';
+import { reverseComplement } from './sequence.js';
+
+// Test helper function
+function runTest(testName, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ PASS: ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ FAIL: ${testName}`);
+    console.error(`   Error: ${error.message}`);
+    return false;
+  }
+}
+
+// Assertion helpers
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n  Expected: ${expected}\n  Actual: ${actual}`);
+  }
+}
+
+// Reproducible random bases, so seeds are unique in the reference
+function randomBases(length, seed) {
+  let state = seed;
+  let bases = '';
+  for (let i = 0; i < length; i++) {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    bases += 'ACGT'[Math.floor(state / 65536) % 4];
+  }
+  return bases;
+}
+
+const REFERENCE = randomBases(300, 7);
+const read = (id, sequence, qualities) => ({ id, sequence, ...(qualities ? { qualities } : {}) });
+const mapOne = (sequence, options) => mapReads(REFERENCE, [read('r1', sequence)], undefined, options).reads[0];
+
+// =====================================================================
+// SEED INDEX TESTS
+// =====================================================================
+
+function testSeeds_IndexPositions() {
+  const index = buildSeedIndex('ACGTACGTTT', 4);
+  assertEquals(index.get('ACGT').join(','), '0,4', 'Repeated k-mer lists both positions');
+  assertEquals(index.get('CGTT').join(','), '5', 'Unique k-mer');
+  assertEquals(index.size, 6, 'One entry per distinct k-mer');
+}
+
+// =====================================================================
+// PLACEMENT TESTS
+// =====================================================================
+
+function testPlacement_ExactForwardRead() {
+  const mapped = mapOne(REFERENCE.slice(100, 140));
+  assertEquals(mapped.mapped, true, 'Read placed');
+  assertEquals(mapped.strand, '+', 'Forward strand');
+  assertEquals(mapped.position, 101, '1-based position');
+  assertEquals(mapped.cigar, '40M', 'No gaps');
+  assertEquals(mapped.editDistance, 0, 'Exact match');
+  assertEquals(mapped.mapq, MAX_MAPQ, 'Unique placement');
+}
+
+function testPlacement_ReverseStrand() {
+  const mapped = mapOne(reverseComplement(REFERENCE.slice(50, 90)));
+  assertEquals(mapped.strand, '-', 'Minus strand');
+  assertEquals(mapped.position, 51, 'Placed where its reverse complement lies');
+  assertEquals(mapped.mappedSequence, REFERENCE.slice(50, 90), 'Stored as the reference strand');
+}
+
+function testPlacement_IndelsAndMismatches() {
+  const original = REFERENCE.slice(150, 200);
+  // Substitute base 10, delete bases 20-21 and insert two bases after 35
+  const substituted = original[10] === 'A' ? 'C' : 'A';
+  const sequence = `${original.slice(0, 10)}${substituted}${original.slice(11, 20)}${original.slice(22, 35)}GG${original.slice(35)}`;
+  const mapped = mapOne(sequence);
+
+  assertEquals(mapped.position, 151, 'Start unchanged');
+  // Linear gaps may split the deletion around a matching base at equal score
+  const total = (op) => [...mapped.cigar.matchAll(new RegExp(`(\\d+)${op}`, 'g'))].reduce((sum, [, n]) => sum + Number(n), 0);
+  assertEquals(`${total('D')}D ${total('I')}I`, '2D 2I', `Indel lengths in ${mapped.cigar}`);
+  assertEquals(mapped.editDistance, 5, 'One substitution and four indel bases');
+  assertEquals(mapped.refEnd - mapped.refStart, 50, 'Spans the original 50 reference bases');
+}
+
+function testPlacement_BandedSoftClips() {
+  const sequence = REFERENCE.slice(200, 240) + reverseComplement(REFERENCE.slice(200, 212));
+  const mapped = mapOne(sequence, { extension: 'banded' });
+  const clipped = mapped.cigar.match(/(\d+)S$/);
+  assertEquals(mapped.position, 201, 'Placed on the matching part');
+  assertEquals(clipped !== null && Number(clipped[1]) >= 8, true, `Foreign tail soft-clipped in ${mapped.cigar}`);
+  assertEquals(mapped.clipStart + mapped.alignedRead.replace(/-/g, '').length + mapped.clipEnd, 52, 'Clips and aligned bases cover the read');
+}
+
+function testPlacement_RepeatsAndUnmapped() {
+  const repeat = randomBases(30, 99);
+  const reference = `${randomBases(60, 3)}${repeat}${randomBases(60, 5)}${repeat}${randomBases(60, 11)}`;
+  const { reads } = mapReads(reference, [read('repeat', repeat), read('foreign', randomBases(40, 1234))]);
+
+  assertEquals(reads[0].mapped, true, 'Repeat read placed');
+  assertEquals(reads[0].mapq, 0, 'Equally good elsewhere');
+  assertEquals(reads[1].mapped, false, 'Foreign read left unmapped');
+}
+
+function testPlacement_PhredMappingQuality() {
+  const lambda = mappingLambda({ match: 2, mismatch: -1, gap: -2 });
+  assertEquals(Math.abs(0.25 * Math.exp(2 * lambda) + 0.75 * Math.exp(-lambda) - 1) < 1e-9, true, 'λ of +2/−1');
+  // A 10-point lead makes the runner-up e^(−10λ) times as likely
+  const wrong = 1 / (1 + Math.exp(10 * lambda));
+  assertEquals(mappingQuality(40, 30, lambda), Math.round(-10 * Math.log10(wrong)), 'MAPQ is −10·log10 P(wrong)');
+  assertEquals(mappingQuality(400, 100, lambda), MAX_MAPQ, 'Capped');
+  assertEquals(mappingQuality(40, 40, lambda), 0, 'Tie');
+  assertEquals(mappingLambda({ match: 5, mismatch: -1, gap: -2 }), null, 'No λ with a positive expected score');
+  assertEquals(mappingQuality(40, 30, null), MAPQ_UNAVAILABLE, 'Unavailable without λ');
+}
+
+// =====================================================================
+// PILEUP AND OUTPUT TESTS
+// =====================================================================
+
+function testPileup_RowsColumnsAndCoverage() {
+  const reads = [
+    read('a', REFERENCE.slice(0, 30)),
+    read('b', REFERENCE.slice(20, 50)),
+    read('c', REFERENCE.slice(35, 65)),
+  ];
+  const mapping = mapReads(REFERENCE, reads);
+
+  assertEquals(pileupRows(mapping.reads).map(row => row.join(',')).join(' | '), '0,2 | 1', 'Overlapping reads stack');
+  assertEquals(mapping.coverage[25], 2, 'Two reads over position 26');
+  assertEquals(mapping.coverage[70], 0, 'No reads past 65');
+
+  const columns = readColumns({ refStart: 4, alignedReference: 'AC-GT', alignedRead: 'ATTG-' });
+  assertEquals(columns.map(({ base }) => base).join(''), 'ATG-', 'One column per reference base');
+  assertEquals(columns[1].mismatch && columns[1].insertion === 'T', true, 'Mismatch carrying an insertion');
+  assertEquals(columns[3].position, 7, 'Reference positions');
+}
+
+function testOutput_Sam() {
+  const forward = REFERENCE.slice(120, 150);
+  const mapping = mapReads(REFERENCE, [
+    read('unplaced read', randomBases(30, 4321)),
+    read('minus', reverseComplement(forward), Array.from({ length: 30 }, (_, k) => k + 10)),
+    read('plus', REFERENCE.slice(10, 40)),
+  ]);
+  const lines = toMappingSam(mapping, { referenceName: 'chr 1' }).trimEnd().split('\n');
+
+  assertEquals(lines[0], '@HD\tVN:1.6\tSO:coordinate', 'Coordinate-sorted header');
+  assertEquals(lines[1], '@SQ\tSN:chr_1\tLN:300', 'Reference line');
+  const records = lines.filter(line => !line.startsWith('@')).map(line => line.split('\t'));
+  assertEquals(records.map(record => record[0]).join(','), 'plus,minus,unplaced_read', 'Sorted with unmapped last');
+  assertEquals(records[1].slice(1, 6).join(' '), `16 chr_1 121 ${MAX_MAPQ} 30M`, 'Reverse flag, position, MAPQ and CIGAR');
+  assertEquals(records[1][9], forward, 'SEQ on the reference strand');
+  assertEquals(records[1][10][0], String.fromCharCode(39 + 33), 'QUAL reversed with the read');
+  assertEquals(records[2].slice(1, 6).join(' '), '4 * 0 0 *', 'Unmapped record');
+}
+
+// =====================================================================
+// RUN ALL TESTS
+// =====================================================================
+
+export function runAllTests() {
+  console.log('\n========================================');
+  console.log('READ MAPPING TEST SUITE');
+  console.log('========================================\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    ['Seeds: Index Positions', testSeeds_IndexPositions],
+    ['Placement: Exact Forward Read', testPlacement_ExactForwardRead],
+    ['Placement: Reverse Strand', testPlacement_ReverseStrand],
+    ['Placement: Indels and Mismatches', testPlacement_IndelsAndMismatches],
+    ['Placement: Banded Soft Clips', testPlacement_BandedSoftClips],
+    ['Placement: Repeats and Unmapped', testPlacement_RepeatsAndUnmapped],
+    ['Placement: Phred Mapping Quality', testPlacement_PhredMappingQuality],
+    ['Pileup: Rows, Columns and Coverage', testPileup_RowsColumnsAndCoverage],
+    ['Output: SAM', testOutput_Sam],
+  ];
+
+  tests.forEach(([name, testFn]) => {
+    if (runTest(name, testFn)) {
+      passed++;
+    } else {
+      failed++;
+    }
+  });
+
+  console.log('\n========================================');
+  console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run tests if this file is executed directly
+if (import.meta.url === `file://${globalThis.process?.argv[1]}`) {
+  runAllTests();
+}
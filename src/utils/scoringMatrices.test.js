@@ -0,0 +1,213 @@
+/**
+ * =====================================================================
+ * SUBSTITUTION MATRIX TEST SUITE
+ * =====================================================================
+ * 
+ * Tests for the built-in BLOSUM/PAM/NUC.4.4 matrices, the NCBI matrix
+ * parser and matrix-based scoring in the alignment functions.
+ * =====================================================================
+ */
+
+import {
+  SUBSTITUTION_MATRICES,
+  parseMatrix,
+  getPairScore,
+  createScorer,
+  isIntegerScoring,
+} from './scoringMatrices.js';
+import { needlemanWunsch, smithWaterman } from './alignmentLogic.js';
+
+// Test helper function
+function runTest(testName, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ PASS: ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ FAIL: ${testName}`);
+    console.error(`   Error: ${error.message}`);
+    return false;
+  }
+}
+
+// Assertion helpers
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n  Expected: ${expected}\n  Actual: ${actual}`);
+  }
+}
+
+function assertThrows(fn, message = '') {
+  let errorThrown = false;
+  try {
+    fn();
+  } catch {
+    errorThrown = true;
+  }
+  assertEquals(errorThrown, true, message);
+}
+
+// =====================================================================
+// BUILT-IN MATRIX TESTS
+// =====================================================================
+
+function testMatrices_KnownValues() {
+  const { BLOSUM62, BLOSUM50, PAM250 } = SUBSTITUTION_MATRICES;
+  
+  assertEquals(getPairScore(BLOSUM62, 'W', 'W'), 11, 'BLOSUM62 W/W');
+  assertEquals(getPairScore(BLOSUM62, 'A', 'R'), -1, 'BLOSUM62 A/R');
+  assertEquals(getPairScore(BLOSUM50, 'H', 'P'), -2, 'BLOSUM50 H/P');
+  assertEquals(getPairScore(PAM250, 'W', 'W'), 17, 'PAM250 W/W');
+  assertEquals(getPairScore(SUBSTITUTION_MATRICES['NUC.4.4'], 'A', 'R'), 1, 'NUC.4.4 A/R');
+}
+
+function testMatrices_Symmetric() {
+  Object.values(SUBSTITUTION_MATRICES).forEach(matrix => {
+    matrix.alphabet.forEach(a => {
+      matrix.alphabet.forEach(b => {
+        assertEquals(matrix.scores[a][b], matrix.scores[b][a], `${matrix.name} ${a}/${b}`);
+      });
+    });
+  });
+}
+
+function testMatrices_UnknownResidue() {
+  // Residues outside the alphabet are scored as X
+  const { BLOSUM62 } = SUBSTITUTION_MATRICES;
+  assertEquals(getPairScore(BLOSUM62, 'U', 'A'), getPairScore(BLOSUM62, 'X', 'A'), 'U scored as X');
+  assertEquals(getPairScore(BLOSUM62, 'a', 'a'), 4, 'Lowercase residues');
+}
+
+function testMatrices_RnaOnNucleotideMatrix() {
+  const nuc = createScorer({ matrix: 'NUC.4.4' });
+  assertEquals(nuc('U', 'U'), 5, 'U/U scores as T/T');
+  assertEquals(nuc('U', 't'), 5, 'U/T match');
+  assertEquals(nuc('U', 'A'), -4, 'U/A mismatch');
+}
+
+// =====================================================================
+// PARSER TESTS
+// =====================================================================
+
+function testParser_NcbiFormat() {
+  const matrix = parseMatrix(`
+# A small test matrix
+   A  C
+A  3 -2
+C -2  4
+`, 'Tiny');
+  
+  assertEquals(matrix.name, 'Tiny', 'Matrix name');
+  assertEquals(matrix.alphabet.join(''), 'AC', 'Alphabet');
+  assertEquals(matrix.scores.C.C, 4, 'C/C');
+  assertEquals(matrix.min, -2, 'Minimum score');
+  assertEquals(matrix.max, 4, 'Maximum score');
+}
+
+function testParser_Errors() {
+  assertThrows(() => parseMatrix('# only a comment'), 'Missing rows');
+  assertThrows(() => parseMatrix('  A C\nA 1'), 'Short row');
+  assertThrows(() => parseMatrix('  A C\nA 1 x'), 'Non-numeric score');
+}
+
+// =====================================================================
+// SCORING SCHEME TESTS
+// =====================================================================
+
+function testScorer_Schemes() {
+  const simple = createScorer({ match: 2, mismatch: -1 });
+  assertEquals(simple('A', 'A'), 2, 'Match');
+  assertEquals(simple('A', 'C'), -1, 'Mismatch');
+  
+  const byName = createScorer({ matrix: 'BLOSUM62' });
+  assertEquals(byName('W', 'W'), 11, 'Matrix by name');
+  
+  assertThrows(() => createScorer({ matrix: 'BLOSUM99' }), 'Unknown matrix name');
+}
+
+function testScorer_IupacPartialMatches() {
+  const scores = { match: 2, mismatch: -1, gap: -2, iupac: true };
+  const iupac = createScorer(scores);
+  assertEquals(iupac('A', 'A'), 2, 'Exact match');
+  assertEquals(iupac('A', 'R'), 0.5, 'A/R half match');
+  assertEquals(iupac('T', 'U'), 2, 'U reads as T');
+  assertEquals(iupac('N', 'N'), -0.25, 'N/N quarter match');
+  assertEquals(iupac('A', 'Y'), -1, 'Disjoint codes');
+  
+  // One ambiguous position costs less than a mismatch
+  const ambiguous = needlemanWunsch('ACGTACGT', 'ACGNACGT', scores);
+  const plain = needlemanWunsch('ACGTACGT', 'ACGNACGT', { ...scores, iupac: false });
+  assertEquals(ambiguous.score, 13.75, 'T/N scores -0.25');
+  assertEquals(plain.score, 13, 'T/N scores as a mismatch without IUPAC');
+}
+
+function testScorer_IntegerSchemes() {
+  assertEquals(isIntegerScoring({ match: 2, mismatch: -1, gap: -2 }), true, 'Match/mismatch');
+  assertEquals(isIntegerScoring({ match: 1.5, mismatch: -1, gap: -2 }), false, 'Fractional match');
+  const iupac = { match: 2, mismatch: -1, gap: -2, iupac: true };
+  assertEquals(isIntegerScoring(iupac), false, 'IUPAC with unknown sequences');
+  assertEquals(isIntegerScoring(iupac, ['ACGT', 'ACNT']), false, 'IUPAC partial matches');
+  assertEquals(isIntegerScoring(iupac, ['ACGT', 'acgu']), true, 'IUPAC without ambiguity codes');
+  assertEquals(isIntegerScoring({ matrix: 'BLOSUM62', gap: -8 }), true, 'Built-in matrix');
+  assertEquals(isIntegerScoring({ matrix: 'BLOSUM62', gap: -0.5 }), false, 'Fractional gap');
+  const custom = parseMatrix('   A   C\nA 1.5 0\nC 0 1');
+  assertEquals(isIntegerScoring({ matrix: custom, gap: -1 }), false, 'Fractional custom matrix');
+}
+
+function testScorer_DurbinExample() {
+  // Durbin et al. (1998) HEAGAWGHEE vs PAWHEAE with BLOSUM50 and gap -8
+  const scores = { matrix: 'BLOSUM50', gap: -8 };
+  
+  const global = needlemanWunsch('HEAGAWGHEE', 'PAWHEAE', scores);
+  assertEquals(global.score, 1, 'Global score');
+  
+  const local = smithWaterman('HEAGAWGHEE', 'PAWHEAE', scores);
+  assertEquals(local.score, 28, 'Local score');
+  assertEquals(local.alignedSeq1, 'AWGHE', 'Local aligned seq1');
+  assertEquals(local.alignedSeq2, 'AW-HE', 'Local aligned seq2');
+}
+
+// =====================================================================
+// RUN ALL TESTS
+// =====================================================================
+
+export function runAllTests() {
+  console.log('\n========================================');
+  console.log('SUBSTITUTION MATRIX TEST SUITE');
+  console.log('========================================\n');
+  
+  let passed = 0;
+  let failed = 0;
+  
+  const tests = [
+    ['Matrices: Known Values', testMatrices_KnownValues],
+    ['Matrices: Symmetric', testMatrices_Symmetric],
+    ['Matrices: Unknown Residue', testMatrices_UnknownResidue],
+    ['Matrices: RNA On Nucleotide Matrix', testMatrices_RnaOnNucleotideMatrix],
+    ['Parser: NCBI Format', testParser_NcbiFormat],
+    ['Parser: Errors', testParser_Errors],
+    ['Scorer: Schemes', testScorer_Schemes],
+    ['Scorer: IUPAC Partial Matches', testScorer_IupacPartialMatches],
+    ['Scorer: Integer Schemes', testScorer_IntegerSchemes],
+    ['Scorer: Durbin Example', testScorer_DurbinExample],
+  ];
+  
+  tests.forEach(([name, testFn]) => {
+    if (runTest(name, testFn)) {
+      passed++;
+    } else {
+      failed++;
+    }
+  });
+  
+  console.log('\n========================================');
+  console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+  
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run tests if this file is executed directly
+if (import.meta.url === `file://${globalThis.process?.argv[1]}`) {
+  runAllTests();
+}
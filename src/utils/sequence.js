@@ -0,0 +1,163 @@
+/**
+ * Sequence Alphabets
+ * DNA/RNA/protein alphabet detection, input cleaning, per-position validation,
+ * IUPAC nucleotide ambiguity codes with partial-match scoring, and reverse /
+ * complement / reverse-complement strand utilities.
+ */
+
+/** IUPAC nucleotide codes and the bases each one stands for (U reads as T) */
+export const IUPAC_CODES = {
+  A: 'A', C: 'C', G: 'G', T: 'T', U: 'T',
+  R: 'AG', Y: 'CT', S: 'CG', W: 'AT', K: 'GT', M: 'AC',
+  B: 'CGT', D: 'AGT', H: 'ACT', V: 'ACG',
+  N: 'ACGT',
+};
+
+/** Complement of each IUPAC code (ambiguity codes map to their complement set) */
+const COMPLEMENTS = {
+  A: 'T', C: 'G', G: 'C', T: 'A', U: 'A',
+  R: 'Y', Y: 'R', S: 'S', W: 'W', K: 'M', M: 'K',
+  B: 'V', V: 'B', D: 'H', H: 'D',
+  N: 'N',
+};
+
+/**
+ * Valid symbols per alphabet. Nucleotide alphabets include the ambiguity
+ * codes; protein includes B/Z/X (ambiguous residues), U/O (selenocysteine,
+ * pyrrolysine) and '*' (stop).
+ */
+export const ALPHABETS = {
+  dna: { label: 'DNA', unit: 'bp', symbols: 'ACGTRYSWKMBDHVN' },
+  rna: { label: 'RNA', unit: 'nt', symbols: 'ACGURYSWKMBDHVN' },
+  protein: { label: 'Protein', unit: 'aa', symbols: 'ACDEFGHIKLMNPQRSTVWYBZXUO*' },
+};
+
+// Share of A/C/G/T/U/N needed before text is treated as nucleotides
+const NUCLEOTIDE_THRESHOLD = 0.9;
+
+/**
+ * Normalise pasted text: upper-case and drop whitespace and digits (as in
+ * GenBank-style numbered sequence blocks).
+ *
+ * @param {string} text - Raw input
+ * @returns {string} Cleaned sequence
+ */
+export function cleanSequence(text) {
+  return text.replace(/[\s\d]/g, '').toUpperCase();
+}
+
+/**
+ * Guess the alphabet of a sequence. Mostly A/C/G/T/U/N is nucleotide (RNA
+ * when it has U but no T); anything else is protein.
+ *
+ * @param {string} sequence - Cleaned sequence
+ * @returns {string|null} 'dna' | 'rna' | 'protein', or null when empty
+ */
+export function detectAlphabet(sequence) {
+  if (!sequence) return null;
+  const upper = sequence.toUpperCase();
+  const nucleotides = upper.match(/[ACGTUN]/g)?.length || 0;
+  if (nucleotides / upper.length < NUCLEOTIDE_THRESHOLD) return 'protein';
+  return upper.includes('U') && !upper.includes('T') ? 'rna' : 'dna';
+}
+
+/**
+ * Alphabet shared by several sequences: protein if any is protein, RNA only
+ * if all are RNA, otherwise DNA.
+ *
+ * @param {string[]} sequences - Cleaned sequences (empty ones are ignored)
+ * @returns {string|null} Common alphabet, or null when all are empty
+ */
+export function commonAlphabet(sequences) {
+  const detected = sequences.map(detectAlphabet).filter(Boolean);
+  if (detected.length === 0) return null;
+  if (detected.includes('protein')) return 'protein';
+  return detected.every(alphabet => alphabet === 'rna') ? 'rna' : 'dna';
+}
+
+/**
+ * Check every position against an alphabet.
+ *
+ * @param {string} sequence - Cleaned sequence
+ * @param {string} alphabet - Key of ALPHABETS
+ * @returns {{position: number, char: string, message: string}[]} Errors with
+ *   1-based positions; empty when the sequence is valid
+ */
+export function validateSequence(sequence, alphabet) {
+  const spec = ALPHABETS[alphabet];
+  if (!spec) {
+    throw new Error(`Unknown alphabet: ${alphabet}`);
+  }
+  const errors = [];
+  for (let i = 0; i < sequence.length; i++) {
+    const char = sequence[i].toUpperCase();
+    if (!spec.symbols.includes(char)) {
+      errors.push({
+        position: i + 1,
+        char: sequence[i],
+        message: `Invalid ${spec.label} character '${sequence[i]}' at position ${i + 1}`,
+      });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Probability that two IUPAC codes denote the same base, drawing each base
+ * uniformly from its code: |a ∩ b| / (|a|×|b|). A/R = 0.5, N/N = 0.25.
+ * Non-IUPAC characters only match themselves.
+ *
+ * @param {string} a - Nucleotide code
+ * @param {string} b - Nucleotide code
+ * @returns {number} Match probability in [0, 1]
+ */
+export function iupacMatchFraction(a, b) {
+  const basesA = IUPAC_CODES[a.toUpperCase()];
+  const basesB = IUPAC_CODES[b.toUpperCase()];
+  if (!basesA || !basesB) return a.toUpperCase() === b.toUpperCase() ? 1 : 0;
+  let shared = 0;
+  for (const base of basesA) {
+    if (basesB.includes(base)) shared++;
+  }
+  return shared / (basesA.length * basesB.length);
+}
+
+/**
+ * Sequence read backwards.
+ *
+ * @param {string} sequence - Any sequence
+ * @returns {string} Reversed sequence
+ */
+export function reverseSequence(sequence) {
+  return [...sequence].reverse().join('');
+}
+
+/**
+ * Complement of a nucleotide sequence, IUPAC codes included. RNA (U and no
+ * T) complements A to U; case is preserved and characters without a
+ * complement (gaps) are kept as they are.
+ *
+ * @param {string} sequence - Nucleotide sequence
+ * @returns {string} Complement, in the same orientation
+ */
+export function complement(sequence) {
+  const rna = /u/i.test(sequence) && !/t/i.test(sequence);
+  let result = '';
+  for (const char of sequence) {
+    let base = COMPLEMENTS[char.toUpperCase()] || char;
+    if (rna && base === 'T') base = 'U';
+    result += char === char.toUpperCase() ? base : base.toLowerCase();
+  }
+  return result;
+}
+
+/**
+ * Reverse complement of a nucleotide sequence: the opposite strand read
+ * 5'→3'.
+ *
+ * @param {string} sequence - Nucleotide sequence
+ * @returns {string} Reverse complement
+ */
+export function reverseComplement(sequence) {
+  return reverseSequence(complement(sequence));
+}
@@ -0,0 +1,145 @@
+/**
+ * =====================================================================
+ * SEQUENCE ALPHABET TEST SUITE
+ * =====================================================================
+ * 
+ * Covers input cleaning, alphabet detection, per-position validation and
+ * IUPAC ambiguity-code matching.
+ * =====================================================================
+ */
+
+import {
+  cleanSequence,
+  detectAlphabet,
+  commonAlphabet,
+  validateSequence,
+  iupacMatchFraction,
+  reverseSequence,
+  complement,
+  reverseComplement,
+} from './sequence.js';
+
+// Test helper function
+function runTest(testName, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ PASS: ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ FAIL: ${testName}`);
+    console.error(`   Error: ${error.message}`);
+    return false;
+  }
+}
+
+// Assertion helpers
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n  Expected: ${expected}\n  Actual: ${actual}`);
+  }
+}
+
+// =====================================================================
+// CLEANING / DETECTION TESTS
+// =====================================================================
+
+function testClean_StripsWhitespaceAndNumbers() {
+  assertEquals(cleanSequence('  1 acgtacgtac gtacg\n 61 ttagc'), 'ACGTACGTACGTACGTTAGC', 'GenBank block');
+  assertEquals(cleanSequence('mkv\tlaa'), 'MKVLAA', 'Tabs removed, upper-cased');
+}
+
+function testDetect_Alphabets() {
+  assertEquals(detectAlphabet('ACGTACGTNN'), 'dna', 'DNA');
+  assertEquals(detectAlphabet('ACGUACGU'), 'rna', 'RNA');
+  assertEquals(detectAlphabet('HEAGAWGHEE'), 'protein', 'Protein');
+  assertEquals(detectAlphabet('ACGTACGTACGTACGTACGR'), 'dna', 'One ambiguity code in twenty');
+  assertEquals(detectAlphabet(''), null, 'Empty');
+}
+
+function testDetect_CommonAlphabet() {
+  assertEquals(commonAlphabet(['ACGT', 'ACGU']), 'dna', 'DNA with RNA');
+  assertEquals(commonAlphabet(['ACGU', 'GGCU']), 'rna', 'All RNA');
+  assertEquals(commonAlphabet(['ACGT', 'MKVLAA']), 'protein', 'Any protein');
+  assertEquals(commonAlphabet(['', '']), null, 'Nothing entered');
+}
+
+// =====================================================================
+// VALIDATION TESTS
+// =====================================================================
+
+function testValidate_ReportsPositions() {
+  const errors = validateSequence('ACGXTJ', 'dna');
+  
+  assertEquals(errors.length, 2, 'Two invalid characters');
+  assertEquals(errors[0].position, 4, 'X at position 4');
+  assertEquals(errors[1].char, 'J', 'J reported');
+  assertEquals(errors[0].message, "Invalid DNA character 'X' at position 4", 'Message');
+  assertEquals(validateSequence('ACGRYN', 'dna').length, 0, 'Ambiguity codes are valid');
+  assertEquals(validateSequence('ACGT', 'rna')[0].position, 4, 'T is not RNA');
+  assertEquals(validateSequence('MKV*', 'protein').length, 0, 'Stop symbol allowed');
+}
+
+// =====================================================================
+// IUPAC TESTS
+// =====================================================================
+
+function testIupac_MatchFractions() {
+  assertEquals(iupacMatchFraction('A', 'A'), 1, 'Identical bases');
+  assertEquals(iupacMatchFraction('A', 'C'), 0, 'Different bases');
+  assertEquals(iupacMatchFraction('R', 'A'), 0.5, 'R = A/G');
+  assertEquals(iupacMatchFraction('R', 'R'), 0.5, 'R vs R');
+  assertEquals(iupacMatchFraction('N', 'A'), 0.25, 'N vs A');
+  assertEquals(iupacMatchFraction('u', 't'), 1, 'Case-insensitive, U = T');
+  assertEquals(iupacMatchFraction('-', '-'), 1, 'Non-IUPAC symbols match themselves');
+}
+
+function testStrands_ReverseAndComplement() {
+  assertEquals(reverseSequence('ATGCC'), 'CCGTA', 'Reverse');
+  assertEquals(complement('ATGCC'), 'TACGG', 'Complement');
+  assertEquals(reverseComplement('ATGCC'), 'GGCAT', 'DNA');
+  assertEquals(reverseComplement('AUGCC'), 'GGCAU', 'RNA keeps U');
+  assertEquals(reverseComplement('RYKMBVDHN'), 'NDHBVKMRY', 'Ambiguity codes');
+  assertEquals(reverseComplement('acGT-'), '-ACgt', 'Case and gaps kept');
+  assertEquals(reverseComplement(reverseComplement('GATTACA')), 'GATTACA', 'Involution');
+}
+
+// =====================================================================
+// RUN ALL TESTS
+// =====================================================================
+
+export function runAllTests() {
+  console.log('\n========================================');
+  console.log('SEQUENCE ALPHABET TEST SUITE');
+  console.log('========================================\n');
+  
+  let passed = 0;
+  let failed = 0;
+  
+  const tests = [
+    ['Clean: Strips Whitespace And Numbers', testClean_StripsWhitespaceAndNumbers],
+    ['Detect: Alphabets', testDetect_Alphabets],
+    ['Detect: Common Alphabet', testDetect_CommonAlphabet],
+    ['Validate: Reports Positions', testValidate_ReportsPositions],
+    ['IUPAC: Match Fractions', testIupac_MatchFractions],
+    ['Strands: Reverse And Complement', testStrands_ReverseAndComplement],
+  ];
+  
+  tests.forEach(([name, testFn]) => {
+    if (runTest(name, testFn)) {
+      passed++;
+    } else {
+      failed++;
+    }
+  });
+  
+  console.log('\n========================================');
+  console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+  
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run tests if this file is executed directly
+if (import.meta.url === `file://${globalThis.process?.argv[1]}`) {
+  runAllTests();
+}
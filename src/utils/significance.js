@@ -0,0 +1,256 @@
+/**
+ * Alignment Significance
+ * Karlin–Altschul statistics (λ, K, H, bit scores, E- and P-values) for
+ * local alignment scores, and an empirical shuffle test giving a Z-score,
+ * an extreme-value fit and a score histogram.
+ *
+ * λ and K are the ungapped values for the scoring scheme. Gapped
+ * Smith-Waterman scores follow the same extreme-value form with somewhat
+ * smaller parameters, so analytic E-values for gapped hits are
+ * optimistic; the shuffle test measures the gapped distribution directly.
+ */
+
+import { alignmentScore, DEFAULT_SCORES } from './alignmentLogic.js';
+import { createScorer } from './scoringMatrices.js';
+
+// Terms of the K series are summed until they fall below this
+const K_SERIES_TOLERANCE = 1e-10;
+const K_SERIES_MAX_TERMS = 200;
+
+const EULER_GAMMA = 0.5772156649;
+
+/**
+ * Residue frequencies pooled over one or more sequences (gaps ignored).
+ *
+ * @param {string[]} sequences - Sequences to count
+ * @returns {object} { residue: frequency }, summing to 1
+ */
+export function residueFrequencies(sequences) {
+  const counts = {};
+  let total = 0;
+  for (const sequence of sequences) {
+    for (const char of sequence.toUpperCase()) {
+      if (char === '-') continue;
+      counts[char] = (counts[char] || 0) + 1;
+      total++;
+    }
+  }
+  if (total === 0) {
+    throw new Error('Cannot compute residue frequencies of empty sequences');
+  }
+  for (const residue of Object.keys(counts)) counts[residue] /= total;
+  return counts;
+}
+
+/**
+ * Probability of each pair score when both residues are drawn from the
+ * background frequencies.
+ * @private
+ */
+function scoreProbabilities(frequencies, scores) {
+  const substitute = createScorer(scores);
+  const residues = Object.keys(frequencies);
+  const probabilities = new Map();
+  for (const a of residues) {
+    for (const b of residues) {
+      const score = substitute(a, b);
+      if (!Number.isInteger(score)) {
+        throw new Error('Karlin–Altschul statistics need integer substitution scores');
+      }
+      probabilities.set(score, (probabilities.get(score) || 0) + frequencies[a] * frequencies[b]);
+    }
+  }
+  return [...probabilities].filter(([, p]) => p > 0).sort((x, y) => x[0] - y[0]);
+}
+
+const gcd = (a, b) => (b === 0 ? Math.abs(a) : gcd(b, a % b));
+
+/**
+ * Karlin–Altschul parameters for a scoring scheme and background.
+ * λ solves Σ p(s)·e^(λs) = 1; H = λ·Σ p(s)·s·e^(λs) is the relative
+ * entropy per aligned pair; K comes from the Karlin–Altschul (1990) series
+ *   σ = Σ_k (1/k)·(E[e^(λS_k); S_k < 0] + P(S_k ≥ 0)),
+ *   K = δ·λ·e^(−2σ) / (H·(1 − e^(−λδ)))
+ * for scores on a lattice of span δ.
+ *
+ * @param {object} scores - Scoring scheme (integer pair scores)
+ * @param {object} frequencies - Background residue frequencies
+ * @returns {{lambda: number, K: number, H: number, expectedScore: number}}
+ */
+export function karlinAltschulParameters(scores, frequencies) {
+  const distribution = scoreProbabilities(frequencies, scores);
+  const expectedScore = distribution.reduce((sum, [s, p]) => sum + s * p, 0);
+  if (expectedScore >= 0) {
+    throw new Error('The expected pair score must be negative for local alignment statistics');
+  }
+  if (distribution[distribution.length - 1][0] <= 0) {
+    throw new Error('At least one pair score must be positive');
+  }
+
+  const moment = (lambda) => distribution.reduce((sum, [s, p]) => sum + p * Math.exp(lambda * s), 0);
+
+  // Bracket the positive root, then bisect
+  let low = 0;
+  let high = 1;
+  while (moment(high) < 1) high *= 2;
+  for (let iteration = 0; iteration < 100; iteration++) {
+    const mid = (low + high) / 2;
+    if (moment(mid) > 1) high = mid;
+    else low = mid;
+  }
+  const lambda = (low + high) / 2;
+  const H = lambda * distribution.reduce((sum, [s, p]) => sum + p * s * Math.exp(lambda * s), 0);
+
+  // Distribution of S_k, stored as probabilities offset by k·minScore
+  const minScore = distribution[0][0];
+  const span = distribution.reduce((d, [s]) => gcd(d, s), 0);
+  let sumDistribution = [1];
+  let sigma = 0;
+  for (let k = 1; k <= K_SERIES_MAX_TERMS; k++) {
+    const next = new Array(sumDistribution.length + distribution[distribution.length - 1][0] - minScore).fill(0);
+    sumDistribution.forEach((p, offset) => {
+      if (p === 0) return;
+      for (const [s, q] of distribution) next[offset + s - minScore] += p * q;
+    });
+    sumDistribution = next;
+
+    let term = 0;
+    sumDistribution.forEach((p, offset) => {
+      const total = offset + k * minScore;
+      term += total < 0 ? p * Math.exp(lambda * total) : p;
+    });
+    sigma += term / k;
+    if (term / k < K_SERIES_TOLERANCE) break;
+  }
+  const K = (span * lambda * Math.exp(-2 * sigma)) / (H * (1 - Math.exp(-lambda * span)));
+
+  return { lambda, K, H, expectedScore };
+}
+
+/**
+ * Bit score, E-value and P-value of a local alignment score for a search
+ * space of m×n (no edge-effect correction).
+ *
+ * @param {number} score - Raw alignment score
+ * @param {number} m - Length of sequence 1
+ * @param {number} n - Length of sequence 2
+ * @param {{lambda: number, K: number}} parameters - Karlin–Altschul parameters
+ * @returns {{bitScore: number, eValue: number, pValue: number}}
+ */
+export function scoreSignificance(score, m, n, { lambda, K }) {
+  const bitScore = (lambda * score - Math.log(K)) / Math.LN2;
+  const eValue = K * m * n * Math.exp(-lambda * score);
+  return { bitScore, eValue, pValue: -Math.expm1(-eValue) };
+}
+
+/**
+ * Karlin–Altschul significance of a Smith-Waterman score, with background
+ * frequencies taken from the two sequences.
+ *
+ * @param {number} score - Raw alignment score
+ * @param {string} seq1 - First sequence
+ * @param {string} seq2 - Second sequence
+ * @param {object} scores - Scoring scheme
+ * @returns {object} { lambda, K, H, bitScore, eValue, pValue }
+ */
+export function localSignificance(score, seq1, seq2, scores = DEFAULT_SCORES) {
+  const parameters = karlinAltschulParameters(scores, residueFrequencies([seq1, seq2]));
+  return { ...parameters, ...scoreSignificance(score, seq1.length, seq2.length, parameters) };
+}
+
+/**
+ * Small seeded PRNG (mulberry32) so shuffle tests are reproducible.
+ * @private
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Fisher–Yates shuffle of a sequence's residues.
+ *
+ * @param {string} sequence - Sequence to shuffle
+ * @param {function} random - Uniform [0, 1) generator
+ * @returns {string} Shuffled sequence with the same composition
+ */
+export function shuffleSequence(sequence, random = Math.random) {
+  const residues = sequence.split('');
+  for (let i = residues.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [residues[i], residues[j]] = [residues[j], residues[i]];
+  }
+  return residues.join('');
+}
+
+/**
+ * Empirical significance: Smith-Waterman scores of seq1 against N shuffles
+ * of seq2, computed score-only in linear memory. Reports the Z-score, the
+ * empirical P-value (with +1 smoothing), a Gumbel fit by moments and a
+ * histogram of the shuffled scores.
+ *
+ * @param {string} seq1 - First sequence
+ * @param {string} seq2 - Second sequence (the one shuffled)
+ * @param {object} scores - Scoring scheme (linear gap)
+ * @param {object} options - { shuffles = 100, bins = 20, seed = 1, onProgress(done, total) }
+ *   where progress counts the shuffles aligned so far
+ * @returns {object} { observed, scores, mean, sd, zScore, empiricalP, gumbel, histogram }
+ */
+export function shuffleTest(
+  seq1,
+  seq2,
+  scores = DEFAULT_SCORES,
+  { shuffles = 100, bins = 20, seed = 1, onProgress } = {}
+) {
+  if (!seq1 || !seq2) {
+    throw new Error('Both sequences must be non-empty');
+  }
+  if (!Number.isInteger(shuffles) || shuffles < 2) {
+    throw new Error('At least two shuffles are required');
+  }
+
+  // Only scores are needed, so no matrix or traceback is kept
+  const localScore = (other) => alignmentScore(seq1, other, scores, { mode: 'local' }).score;
+  const observed = localScore(seq2);
+  const random = createRandom(seed);
+  const shuffled = [];
+  for (let i = 0; i < shuffles; i++) {
+    shuffled.push(localScore(shuffleSequence(seq2, random)));
+    onProgress?.(i + 1, shuffles);
+  }
+
+  const mean = shuffled.reduce((sum, s) => sum + s, 0) / shuffles;
+  const sd = Math.sqrt(shuffled.reduce((sum, s) => sum + (s - mean) ** 2, 0) / (shuffles - 1));
+  const atLeast = shuffled.filter(s => s >= observed).length;
+
+  // Gumbel (extreme value) fit by the method of moments
+  let gumbel = null;
+  if (sd > 0) {
+    const lambda = Math.PI / (sd * Math.sqrt(6));
+    const mu = mean - EULER_GAMMA / lambda;
+    gumbel = { lambda, mu, pValue: -Math.expm1(-Math.exp(-lambda * (observed - mu))) };
+  }
+
+  const low = Math.min(...shuffled, observed);
+  const high = Math.max(...shuffled, observed);
+  const width = (high - low) / bins || 1;
+  const counts = new Array(bins).fill(0);
+  for (const s of shuffled) counts[Math.min(bins - 1, Math.floor((s - low) / width))]++;
+
+  return {
+    observed,
+    scores: shuffled,
+    mean,
+    sd,
+    zScore: sd > 0 ? (observed - mean) / sd : null,
+    empiricalP: (atLeast + 1) / (shuffles + 1),
+    gumbel,
+    histogram: counts.map((count, bin) => ({ start: low + bin * width, end: low + (bin + 1) * width, count })),
+  };
+}
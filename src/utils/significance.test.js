@@ -0,0 +1,185 @@
+/**
+ * =====================================================================
+ * ALIGNMENT SIGNIFICANCE TEST SUITE
+ * =====================================================================
+ * 
+ * Covers residue frequencies, Karlin–Altschul λ/K/H against published
+ * values, E-values and bit scores, and the shuffle test.
+ * =====================================================================
+ */
+
+import {
+  residueFrequencies,
+  karlinAltschulParameters,
+  scoreSignificance,
+  localSignificance,
+  shuffleSequence,
+  shuffleTest,
+} from './significance.js';
+
+// Test helper function
+function runTest(testName, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ PASS: ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ FAIL: ${testName}`);
+    console.error(`   Error: ${error.message}`);
+    return false;
+  }
+}
+
+// Assertion helpers
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n  Expected: ${expected}\n  Actual: ${actual}`);
+  }
+}
+
+function assertThrows(fn, expectedMessage, message = '') {
+  let thrown = null;
+  try {
+    fn();
+  } catch (error) {
+    thrown = error.message;
+  }
+  assertEquals(thrown, expectedMessage, message);
+}
+
+function assertClose(actual, expected, tolerance, message = '') {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(`${message}\n  Expected: ${expected} ± ${tolerance}\n  Actual: ${actual}`);
+  }
+}
+
+const UNIFORM_DNA = { A: 0.25, C: 0.25, G: 0.25, T: 0.25 };
+
+// =====================================================================
+// KARLIN-ALTSCHUL TESTS
+// =====================================================================
+
+function testFrequencies_Pooled() {
+  const frequencies = residueFrequencies(['AAC-', 'gt']);
+  
+  assertEquals(frequencies.A, 0.4, 'A: 2 of 5');
+  assertEquals(frequencies.G, 0.2, 'Lower case counted, gap ignored');
+  assertThrows(() => residueFrequencies(['', '--']), 'Cannot compute residue frequencies of empty sequences', 'Empty');
+}
+
+function testKarlin_PublishedParameters() {
+  // NCBI BLAST ungapped values for +1/-3 on uniform DNA
+  const blastn = karlinAltschulParameters({ match: 1, mismatch: -3 }, UNIFORM_DNA);
+  assertClose(blastn.lambda, 1.374, 0.001, 'λ for +1/-3');
+  assertClose(blastn.K, 0.711, 0.001, 'K for +1/-3');
+  assertClose(blastn.H, 1.31, 0.01, 'H for +1/-3');
+  assertEquals(blastn.expectedScore, -2, 'Expected pair score');
+  
+  // +1/-2 has the closed form e^λ = (3 + √21) / 2
+  const closedForm = karlinAltschulParameters({ match: 1, mismatch: -2 }, UNIFORM_DNA);
+  assertClose(closedForm.lambda, Math.log((3 + Math.sqrt(21)) / 2), 1e-9, 'λ for +1/-2');
+}
+
+function testKarlin_InvalidSchemes() {
+  assertThrows(
+    () => karlinAltschulParameters({ match: 2, mismatch: -1 }, { A: 0.5, T: 0.5 }),
+    'The expected pair score must be negative for local alignment statistics',
+    'Positive expected score'
+  );
+  assertThrows(
+    () => karlinAltschulParameters({ match: 0, mismatch: -1 }, UNIFORM_DNA),
+    'At least one pair score must be positive',
+    'No positive score'
+  );
+  assertThrows(
+    () => karlinAltschulParameters({ match: 2, mismatch: -1, iupac: true }, { ...UNIFORM_DNA, A: 0.2, N: 0.05 }),
+    'Karlin–Altschul statistics need integer substitution scores',
+    'Fractional IUPAC scores'
+  );
+}
+
+function testKarlin_EValueAndBits() {
+  const parameters = { lambda: 1.374, K: 0.711 };
+  const { bitScore, eValue, pValue } = scoreSignificance(20, 1000, 500, parameters);
+  
+  assertClose(eValue, 0.711 * 1000 * 500 * Math.exp(-1.374 * 20), 1e-12, 'E = Kmn·e^(−λS)');
+  assertClose(eValue, 1000 * 500 * 2 ** -bitScore, 1e-12, 'E = mn·2^(−S′)');
+  assertClose(pValue, 1 - Math.exp(-eValue), 1e-15, 'P = 1 − e^(−E)');
+  
+  const higher = scoreSignificance(30, 1000, 500, parameters);
+  assertEquals(higher.eValue < eValue, true, 'Higher scores are more significant');
+  
+  const local = localSignificance(8, 'ACGTACGT', 'ACGTTCGA');
+  assertEquals(local.lambda > 0 && local.eValue > 0, true, 'Frequencies from the sequences');
+}
+
+// =====================================================================
+// SHUFFLE TESTS
+// =====================================================================
+
+function testShuffle_PreservesComposition() {
+  let state = 0;
+  const random = () => (state = (state * 9301 + 49297) % 233280) / 233280;
+  const shuffled = shuffleSequence('AACCCGGGGT', random);
+  
+  assertEquals(shuffled.length, 10, 'Same length');
+  assertEquals(shuffled.split('').sort().join(''), 'AACCCGGGGT', 'Same residues');
+}
+
+function testShuffle_RelatedSequencesAreSignificant() {
+  const seq1 = 'ACGTGATCAGGCTAGCATCG';
+  const seq2 = 'ACGTGATCAGCCTAGCTTCG';
+  const result = shuffleTest(seq1, seq2, { match: 2, mismatch: -1, gap: -2 }, { shuffles: 50, bins: 10, seed: 7 });
+  
+  assertEquals(result.scores.length, 50, 'One score per shuffle');
+  assertEquals(result.histogram.length, 10, 'Bins');
+  assertEquals(result.histogram.reduce((sum, bin) => sum + bin.count, 0), 50, 'Histogram counts every shuffle');
+  assertEquals(result.zScore > 3, true, 'Observed score far above the shuffles');
+  assertEquals(result.empiricalP, 1 / 51, 'No shuffle reaches the observed score');
+  assertEquals(result.gumbel.pValue < 0.01, true, 'Gumbel fit agrees');
+  
+  const again = shuffleTest(seq1, seq2, { match: 2, mismatch: -1, gap: -2 }, { shuffles: 50, bins: 10, seed: 7 });
+  assertEquals(again.scores.join(','), result.scores.join(','), 'Seeded shuffles are reproducible');
+  assertThrows(() => shuffleTest(seq1, seq2, undefined, { shuffles: 1 }), 'At least two shuffles are required', 'Too few shuffles');
+}
+
+// =====================================================================
+// RUN ALL TESTS
+// =====================================================================
+
+export function runAllTests() {
+  console.log('\n========================================');
+  console.log('ALIGNMENT SIGNIFICANCE TEST SUITE');
+  console.log('========================================\n');
+  
+  let passed = 0;
+  let failed = 0;
+  
+  const tests = [
+    ['Frequencies: Pooled', testFrequencies_Pooled],
+    ['Karlin: Published Parameters', testKarlin_PublishedParameters],
+    ['Karlin: Invalid Schemes', testKarlin_InvalidSchemes],
+    ['Karlin: E-value And Bits', testKarlin_EValueAndBits],
+    ['Shuffle: Preserves Composition', testShuffle_PreservesComposition],
+    ['Shuffle: Related Sequences Are Significant', testShuffle_RelatedSequencesAreSignificant],
+  ];
+  
+  tests.forEach(([name, testFn]) => {
+    if (runTest(name, testFn)) {
+      passed++;
+    } else {
+      failed++;
+    }
+  });
+  
+  console.log('\n========================================');
+  console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+  
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run tests if this file is executed directly
+if (import.meta.url === `file://${globalThis.process?.argv[1]}`) {
+  runAllTests();
+}
@@ -0,0 +1,78 @@
+/**
+ * Both-Strand Alignment
+ * Aligns Sequence 1 against Sequence 2 as typed (+) and against its reverse
+ * complement (−), keeping whichever strand scores higher, and maps result
+ * coordinates back onto Sequence 2 as typed.
+ *
+ * A minus-strand result is an ordinary result for Sequence 1 against the
+ * reverse complement: its rows, path and matrices are in that orientation,
+ * and only strandCoordinates() translates them.
+ */
+
+import { reverseComplement } from './sequence.js';
+
+export const STRANDS = { plus: '+', minus: '-' };
+
+/**
+ * Run an aligner on both strands of seq2 and return the better result,
+ * tagged with `strand` and the score of each strand. Ties go to the plus
+ * strand.
+ *
+ * @param {function} align - (seq1, target, onProgress) => result with a score
+ * @param {string} seq1 - First sequence
+ * @param {string} seq2 - Second sequence, as typed (nucleotides)
+ * @param {object} options - { onProgress(done, total) } spanning both runs,
+ *   for aligners that report their own (done, total)
+ * @returns {object} Best result plus { strand, strandScores: { '+', '-' } }
+ */
+export function alignBothStrands(align, seq1, seq2, { onProgress } = {}) {
+  const plus = align(seq1, seq2, (done, total) => onProgress?.(done, 2 * total));
+  const minus = align(seq1, reverseComplement(seq2), (done, total) => onProgress?.(total + done, 2 * total));
+
+  const best = minus.score > plus.score ? minus : plus;
+  // Tag in place so lazily built properties of the result survive
+  return Object.assign(best, {
+    strand: best === minus ? STRANDS.minus : STRANDS.plus,
+    strandScores: { [STRANDS.plus]: plus.score, [STRANDS.minus]: minus.score },
+  });
+}
+
+/**
+ * The sequence a result's Sequence 2 rows refer to: seq2 itself, or its
+ * reverse complement for a minus-strand result.
+ *
+ * @param {object} result - Alignment result (strand optional)
+ * @param {string} seq2 - Second sequence, as typed
+ * @returns {string}
+ */
+export function alignedTarget(result, seq2) {
+  return result?.strand === STRANDS.minus ? reverseComplement(seq2) : seq2;
+}
+
+const countResidues = (text) => text.replace(/-/g, '').length;
+
+/**
+ * 1-based, inclusive coordinates of the aligned region on each input as
+ * typed. On the minus strand Sequence 2 is read backwards, so its start is
+ * the higher position (start ≥ end).
+ *
+ * @param {object} result - Alignment result with aligned rows and, for
+ *   local results, startPos
+ * @param {number} length2 - Length of Sequence 2
+ * @returns {object} { seq1: { start, end }, seq2: { start, end }, strand }
+ *   where an input with no aligned residues has start > end on its strand
+ */
+export function strandCoordinates(result, length2) {
+  const row = result.startPos?.row || 0;
+  const col = result.startPos?.col || 0;
+  const end1 = row + countResidues(result.alignedSeq1);
+  const end2 = col + countResidues(result.alignedSeq2);
+  const strand = result.strand || STRANDS.plus;
+
+  // Reverse-complement position p (0-based) is position length2 - p of seq2 (1-based)
+  const seq2 = strand === STRANDS.minus
+    ? { start: length2 - col, end: length2 - end2 + 1 }
+    : { start: col + 1, end: end2 };
+
+  return { seq1: { start: row + 1, end: end1 }, seq2, strand };
+}
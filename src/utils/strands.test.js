@@ -0,0 +1,147 @@
+/**
+ * =====================================================================
+ * BOTH-STRAND ALIGNMENT TEST SUITE
+ * =====================================================================
+ *
+ * Verifies strand choice, progress across both runs and the mapping of
+ * minus-strand coordinates back onto Sequence 2 as typed.
+ * =====================================================================
+ */
+
+import { alignBothStrands, alignedTarget, strandCoordinates, STRANDS } from './strands.js';
+import { needlemanWunsch, smithWaterman } from './alignmentLogic.js';
+import { hirschberg } from './hirschberg.js';
+import { reverseComplement } from './sequence.js';
+
+// Test helper function
+function runTest(testName, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ PASS: ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ FAIL: ${testName}`);
+    console.error(`   Error: ${error.message}`);
+    return false;
+  }
+}
+
+// Assertion helpers
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n  Expected: ${expected}\n  Actual: ${actual}`);
+  }
+}
+
+const local = (a, b) => smithWaterman(a, b);
+
+// =====================================================================
+// STRAND CHOICE TESTS
+// =====================================================================
+
+function testStrand_MinusWhenReverseComplemented() {
+  const gene = 'ATGGCGTACGTTAGC';
+  const result = alignBothStrands(local, gene, `TT${reverseComplement(gene)}TT`);
+
+  assertEquals(result.strand, STRANDS.minus, 'The opposite strand holds the match');
+  assertEquals(result.alignedSeq1, gene, 'Whole gene aligned');
+  assertEquals(result.alignedSeq2, gene, 'Against the reverse complement');
+  assertEquals(result.strandScores[STRANDS.minus], result.score, 'Best score reported for its strand');
+  assertEquals(result.strandScores[STRANDS.plus] < result.score, true, 'Plus strand scores lower');
+}
+
+function testStrand_PlusWinsTies() {
+  // A reverse-complement palindrome scores the same on both strands
+  const palindrome = 'GAATTC';
+  const result = alignBothStrands(local, palindrome, palindrome);
+  assertEquals(result.strand, STRANDS.plus, 'Ties stay on the strand as typed');
+  assertEquals(result.strandScores[STRANDS.minus], result.score, 'Both strands tie');
+}
+
+function testStrand_ProgressSpansBothRuns() {
+  const seq1 = 'ACGGTTGCAACTT';
+  const reports = [];
+  const result = alignBothStrands(
+    (a, b, onProgress) => hirschberg(a, b, undefined, { onProgress }),
+    seq1,
+    reverseComplement(seq1),
+    { onProgress: (done, total) => reports.push([done, total]) }
+  );
+
+  const [done, total] = reports[reports.length - 1];
+  assertEquals(done, total, 'Progress completes');
+  assertEquals(reports.every(([d], i) => i === 0 || d >= reports[i - 1][0]), true, 'Progress only increases');
+  assertEquals(result.strand, STRANDS.minus, 'Linear-space results are tagged too');
+}
+
+function testStrand_KeepsLazyMatrixView() {
+  const result = alignBothStrands(needlemanWunsch, 'ACGT', 'ACGA');
+  assertEquals(result.matrix.length, 5, 'Nested matrix still available');
+}
+
+// =====================================================================
+// COORDINATE TESTS
+// =====================================================================
+
+function testCoordinates_PlusStrand() {
+  const result = smithWaterman('TTACGTT', 'GGACGGG');
+  const coordinates = strandCoordinates(result, 7);
+  assertEquals(`${coordinates.seq1.start}-${coordinates.seq1.end}`, '3-5', 'Sequence 1 range');
+  assertEquals(`${coordinates.seq2.start}-${coordinates.seq2.end}`, '3-5', 'Sequence 2 range');
+  assertEquals(coordinates.strand, STRANDS.plus, 'Untagged results are plus strand');
+}
+
+function testCoordinates_MinusStrand() {
+  // AGGTCAA is the end of the reverse complement AAAGGTCAA, i.e. 7 down to 1 of TTGACCTTT
+  const seq2 = 'TTGACCTTT';
+  const result = alignBothStrands(local, 'CCAGGTCAA', seq2);
+  assertEquals(alignedTarget(result, seq2), reverseComplement(seq2), 'Rows refer to the reverse complement');
+
+  const coordinates = strandCoordinates(result, seq2.length);
+  assertEquals(coordinates.strand, STRANDS.minus, 'Minus strand');
+  const { start, end } = coordinates.seq2;
+  assertEquals(`${start}-${end}`, '7-1', 'Read backwards');
+  const typed = seq2.slice(end - 1, start);
+  assertEquals(reverseComplement(typed), result.alignedSeq2.replace(/-/g, ''), 'Range covers the aligned residues');
+}
+
+// =====================================================================
+// RUN ALL TESTS
+// =====================================================================
+
+export function runAllTests() {
+  console.log('\n========================================');
+  console.log('BOTH-STRAND ALIGNMENT TEST SUITE');
+  console.log('========================================\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    ['Strand: Minus When Reverse Complemented', testStrand_MinusWhenReverseComplemented],
+    ['Strand: Plus Wins Ties', testStrand_PlusWinsTies],
+    ['Strand: Progress Spans Both Runs', testStrand_ProgressSpansBothRuns],
+    ['Strand: Keeps Lazy Matrix View', testStrand_KeepsLazyMatrixView],
+    ['Coordinates: Plus Strand', testCoordinates_PlusStrand],
+    ['Coordinates: Minus Strand', testCoordinates_MinusStrand],
+  ];
+
+  tests.forEach(([name, testFn]) => {
+    if (runTest(name, testFn)) {
+      passed++;
+    } else {
+      failed++;
+    }
+  });
+
+  console.log('\n========================================');
+  console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run tests if this file is executed directly
+if (import.meta.url === `file://${globalThis.process?.argv[1]}`) {
+  runAllTests();
+}
@@ -0,0 +1,208 @@
+/**
+ * String Distances
+ * Levenshtein edit distance, Damerau-Levenshtein (optimal string alignment:
+ * adjacent transpositions that are not edited again), longest common
+ * subsequence and Hamming distance as dynamic programs.
+ *
+ * Every mode returns the same shape as the alignment functions (nested
+ * matrix and pointers, path, aligned strings, score) so the matrix view can
+ * draw them, plus the edit script that turns Sequence 1 into Sequence 2.
+ * Edits cost 1 each; the LCS score is the subsequence length instead.
+ *
+ * Unlike the alignment fills these keep nested arrays rather than the flat
+ * storage of dpMatrix.js: the view needs every tied move per cell, and with
+ * transpositions there are four, which a 2-bit move cannot hold. They only
+ * run at sizes the matrix view draws.
+ */
+
+import { POINTER } from './alignmentLogic.js';
+
+/** Pointer flag for a transposition, from (i-2, j-2); extends POINTER */
+export const TRANSPOSE = 8;
+
+export const DISTANCE_MODES = {
+  levenshtein: { label: 'Levenshtein', badge: 'LEV', scoreLabel: 'Edit distance' },
+  damerau: { label: 'Damerau-Levenshtein', badge: 'DL', scoreLabel: 'Edit distance' },
+  lcs: { label: 'Longest Common Subsequence', badge: 'LCS', scoreLabel: 'LCS length' },
+  hamming: { label: 'Hamming', badge: 'HAM', scoreLabel: 'Hamming distance' },
+};
+
+/**
+ * Moves that could fill cell (row, col) of a mode's matrix, with what each
+ * adds to its source cell. Hamming only fills the diagonal, so other cells
+ * have no candidates.
+ *
+ * @param {string} mode - Key of DISTANCE_MODES
+ * @param {string} seq1 - First sequence (rows)
+ * @param {string} seq2 - Second sequence (columns)
+ * @param {number} row - Cell row
+ * @param {number} col - Cell column
+ * @returns {object[]} [{ flag, from: [row, col], add, edit }] where edit
+ *   names the operation ('match', 'substitute', 'delete', 'insert',
+ *   'transpose')
+ */
+export function distanceCandidates(mode, seq1, seq2, row, col) {
+  const same = row > 0 && col > 0 && seq1[row - 1] === seq2[col - 1];
+  const diagonal = { flag: POINTER.DIAGONAL, from: [row - 1, col - 1], edit: same ? 'match' : 'substitute' };
+  const up = { flag: POINTER.UP, from: [row - 1, col], edit: 'delete' };
+  const left = { flag: POINTER.LEFT, from: [row, col - 1], edit: 'insert' };
+
+  if (mode === 'hamming') {
+    return row === col && row > 0 ? [{ ...diagonal, add: same ? 0 : 1 }] : [];
+  }
+  if (mode === 'lcs') {
+    // Only identical residues extend the subsequence; gaps are free
+    return [
+      ...(same ? [{ ...diagonal, add: 1 }] : []),
+      ...(row > 0 ? [{ ...up, add: 0 }] : []),
+      ...(col > 0 ? [{ ...left, add: 0 }] : []),
+    ];
+  }
+
+  const candidates = [];
+  if (row > 0 && col > 0) candidates.push({ ...diagonal, add: same ? 0 : 1 });
+  const swapped = mode === 'damerau' && row > 1 && col > 1
+    && seq1[row - 1] === seq2[col - 2] && seq1[row - 2] === seq2[col - 1] && seq1[row - 1] !== seq1[row - 2];
+  if (swapped) candidates.push({ flag: TRANSPOSE, from: [row - 2, col - 2], add: 1, edit: 'transpose' });
+  if (row > 0) candidates.push({ ...up, add: 1 });
+  if (col > 0) candidates.push({ ...left, add: 1 });
+  return candidates;
+}
+
+/**
+ * Fill the matrix, recording every tied move. Cells without candidates
+ * (off the Hamming diagonal) stay null.
+ * @private
+ */
+function fillDistance(mode, seq1, seq2) {
+  const m = seq1.length;
+  const n = seq2.length;
+  const best = mode === 'lcs' ? Math.max : Math.min;
+  const matrix = Array.from({ length: m + 1 }, () => new Array(n + 1).fill(null));
+  const pointers = Array.from({ length: m + 1 }, () => new Array(n + 1).fill(0));
+  matrix[0][0] = 0;
+
+  for (let i = 0; i <= m; i++) {
+    for (let j = 0; j <= n; j++) {
+      if (i === 0 && j === 0) continue;
+      const scored = distanceCandidates(mode, seq1, seq2, i, j)
+        .filter(({ from: [r, c] }) => matrix[r][c] !== null)
+        .map(candidate => ({ ...candidate, value: matrix[candidate.from[0]][candidate.from[1]] + candidate.add }));
+      if (scored.length === 0) continue;
+      matrix[i][j] = best(...scored.map(({ value }) => value));
+      pointers[i][j] = scored
+        .filter(({ value }) => value === matrix[i][j])
+        .reduce((mask, { flag }) => mask | flag, 0);
+    }
+  }
+  return { matrix, pointers };
+}
+
+// Traceback preference among tied moves
+const TRACE_ORDER = [POINTER.DIAGONAL, TRANSPOSE, POINTER.UP, POINTER.LEFT];
+
+/**
+ * Steps of an edit script, applied left to right: each edit records its
+ * 1-based position in the string being edited and the string after it.
+ * @private
+ */
+function applyEdits(seq1, operations) {
+  let current = seq1;
+  let k = 0;
+  const script = [];
+  for (const { edit, from, to } of operations) {
+    if (edit === 'match') {
+      k++;
+      continue;
+    }
+    const position = k + 1;
+    if (edit === 'substitute') {
+      current = current.slice(0, k) + to + current.slice(k + 1);
+      k++;
+    } else if (edit === 'delete') {
+      current = current.slice(0, k) + current.slice(k + 1);
+    } else if (edit === 'insert') {
+      current = current.slice(0, k) + to + current.slice(k);
+      k++;
+    } else {
+      current = current.slice(0, k) + to + current.slice(k + 2);
+      k += 2;
+    }
+    script.push({ edit, position, from, to, result: current });
+  }
+  return script;
+}
+
+/**
+ * String distance or LCS of two sequences.
+ *
+ * @param {string} mode - Key of DISTANCE_MODES
+ * @param {string} seq1 - First sequence
+ * @param {string} seq2 - Second sequence (Hamming needs the same length)
+ * @returns {object} {matrix, pointers, path, alignedSeq1, alignedSeq2,
+ *   score, mode, algorithm, editScript} where pointers use POINTER plus
+ *   TRANSPOSE and editScript lists [{ edit, position, from, to, result }]
+ *   turning seq1 into seq2
+ */
+export function stringDistance(mode, seq1, seq2) {
+  const spec = DISTANCE_MODES[mode];
+  if (!spec) {
+    throw new Error(`Unknown distance mode: ${mode}`);
+  }
+  if (!seq1 || !seq2) {
+    throw new Error('Both sequences must be non-empty');
+  }
+  if (mode === 'hamming' && seq1.length !== seq2.length) {
+    throw new Error('Hamming distance needs sequences of equal length');
+  }
+
+  const m = seq1.length;
+  const n = seq2.length;
+  const { matrix, pointers } = fillDistance(mode, seq1, seq2);
+
+  const path = [];
+  const operations = [];
+  const aligned1 = [];
+  const aligned2 = [];
+  let i = m;
+  let j = n;
+  while (i > 0 || j > 0) {
+    path.push({ row: i, col: j });
+    const flag = TRACE_ORDER.find(move => pointers[i][j] & move);
+    const { edit } = distanceCandidates(mode, seq1, seq2, i, j).find(candidate => candidate.flag === flag);
+    if (flag === TRANSPOSE) {
+      aligned1.push(seq1.slice(i - 2, i));
+      aligned2.push(seq2.slice(j - 2, j));
+      operations.push({ edit, from: seq1.slice(i - 2, i), to: seq2.slice(j - 2, j) });
+      i -= 2; j -= 2;
+    } else if (flag === POINTER.DIAGONAL) {
+      aligned1.push(seq1[i - 1]);
+      aligned2.push(seq2[j - 1]);
+      operations.push({ edit, from: seq1[i - 1], to: seq2[j - 1] });
+      i--; j--;
+    } else if (flag === POINTER.UP) {
+      aligned1.push(seq1[i - 1]);
+      aligned2.push('-');
+      operations.push({ edit, from: seq1[i - 1], to: '' });
+      i--;
+    } else {
+      aligned1.push('-');
+      aligned2.push(seq2[j - 1]);
+      operations.push({ edit, from: '', to: seq2[j - 1] });
+      j--;
+    }
+  }
+  path.push({ row: 0, col: 0 });
+
+  return {
+    matrix,
+    pointers,
+    path: path.reverse(),
+    alignedSeq1: aligned1.reverse().join(''),
+    alignedSeq2: aligned2.reverse().join(''),
+    score: matrix[m][n],
+    mode,
+    algorithm: spec.label,
+    editScript: applyEdits(seq1, operations.reverse()),
+  };
+}
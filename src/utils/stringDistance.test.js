@@ -0,0 +1,140 @@
+/**
+ * =====================================================================
+ * STRING DISTANCE TEST SUITE
+ * =====================================================================
+ *
+ * Verifies Levenshtein, Damerau-Levenshtein, LCS and Hamming scores,
+ * tied pointers, the aligned strings and the step-by-step edit scripts.
+ * =====================================================================
+ */
+
+import { stringDistance, distanceCandidates, TRANSPOSE } from './stringDistance.js';
+import { POINTER } from './alignmentLogic.js';
+
+// Test helper function
+function runTest(testName, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ PASS: ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ FAIL: ${testName}`);
+    console.error(`   Error: ${error.message}`);
+    return false;
+  }
+}
+
+// Assertion helpers
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n  Expected: ${expected}\n  Actual: ${actual}`);
+  }
+}
+
+function assertThrows(fn, expectedMessage, message = '') {
+  let thrown = null;
+  try {
+    fn();
+  } catch (error) {
+    thrown = error.message;
+  }
+  assertEquals(thrown, expectedMessage, message);
+}
+
+// "substitute 1 K>S" per edit
+const describe = (script) => script.map(({ edit, position, from, to }) => `${edit} ${position} ${from}>${to}`).join(', ');
+
+// =====================================================================
+// EDIT DISTANCE TESTS
+// =====================================================================
+
+function testLevenshtein_KittenSitting() {
+  const result = stringDistance('levenshtein', 'KITTEN', 'SITTING');
+  assertEquals(result.score, 3, 'Classic distance');
+  assertEquals(result.matrix[0].join(','), '0,1,2,3,4,5,6,7', 'First row counts insertions');
+  assertEquals(describe(result.editScript), 'substitute 1 K>S, substitute 5 E>I, insert 7 >G', 'Edit script');
+  assertEquals(result.editScript.map(step => step.result).join(' '), 'SITTEN SITTIN SITTING', 'Each step applied');
+  assertEquals(result.alignedSeq1.replace(/-/g, ''), 'KITTEN', 'Aligned strings keep the input');
+  assertEquals(result.path[0].row + result.path[0].col, 0, 'Path starts at the origin');
+  assertEquals(result.algorithm, 'Levenshtein', 'Label');
+}
+
+function testLevenshtein_TiedPointers() {
+  const { pointers } = stringDistance('levenshtein', 'A', 'AA');
+  assertEquals(pointers[1][2], POINTER.DIAGONAL | POINTER.LEFT, 'Match after insertion ties insertion after match');
+}
+
+function testDamerau_Transposition() {
+  const swap = stringDistance('damerau', 'ACGT', 'AGCT');
+  assertEquals(swap.score, 1, 'One transposition');
+  assertEquals(stringDistance('levenshtein', 'ACGT', 'AGCT').score, 2, 'Two substitutions without it');
+  assertEquals(describe(swap.editScript), 'transpose 2 CG>GC', 'Transposition step');
+  assertEquals(swap.pointers[3][3] & TRANSPOSE, TRANSPOSE, 'Transpose pointer');
+  assertEquals(swap.path.map(({ row, col }) => `${row}${col}`).join(' '), '00 11 33 44', 'Path jumps two cells');
+
+  const candidates = distanceCandidates('damerau', 'ACGT', 'AGCT', 3, 3).map(({ edit }) => edit);
+  assertEquals(candidates.join(' '), 'substitute transpose delete insert', 'Inspector candidates');
+}
+
+// =====================================================================
+// LCS AND HAMMING TESTS
+// =====================================================================
+
+function testLcs_LengthAndScript() {
+  const result = stringDistance('lcs', 'ABCBDAB', 'BDCABA');
+  assertEquals(result.score, 4, 'LCS length');
+  const substituted = [...result.alignedSeq1].some((char, k) => char !== '-' && result.alignedSeq2[k] !== '-' && char !== result.alignedSeq2[k]);
+  assertEquals(substituted, false, 'Only identical residues aligned');
+  assertEquals(result.editScript.length, 7 + 6 - 2 * 4, 'Inserts and deletes around the subsequence');
+  assertEquals(result.editScript[result.editScript.length - 1].result, 'BDCABA', 'Script ends at Sequence 2');
+}
+
+function testHamming_Diagonal() {
+  const result = stringDistance('hamming', 'GGGCCGTTGGT', 'GGACCGTTGAC');
+  assertEquals(result.score, 3, 'Three mismatches');
+  assertEquals(result.matrix[1][2], null, 'Off-diagonal cells not computed');
+  assertEquals(result.alignedSeq1, 'GGGCCGTTGGT', 'No gaps');
+  assertEquals(result.editScript.every(({ edit }) => edit === 'substitute'), true, 'Substitutions only');
+  assertThrows(() => stringDistance('hamming', 'ACG', 'AC'), 'Hamming distance needs sequences of equal length', 'Unequal lengths');
+  assertThrows(() => stringDistance('jaro', 'A', 'A'), 'Unknown distance mode: jaro', 'Unknown mode');
+}
+
+// =====================================================================
+// RUN ALL TESTS
+// =====================================================================
+
+export function runAllTests() {
+  console.log('\n========================================');
+  console.log('STRING DISTANCE TEST SUITE');
+  console.log('========================================\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    ['Levenshtein: Kitten Sitting', testLevenshtein_KittenSitting],
+    ['Levenshtein: Tied Pointers', testLevenshtein_TiedPointers],
+    ['Damerau: Transposition', testDamerau_Transposition],
+    ['LCS: Length And Script', testLcs_LengthAndScript],
+    ['Hamming: Diagonal', testHamming_Diagonal],
+  ];
+
+  tests.forEach(([name, testFn]) => {
+    if (runTest(name, testFn)) {
+      passed++;
+    } else {
+      failed++;
+    }
+  });
+
+  console.log('\n========================================');
+  console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run tests if this file is executed directly
+if (import.meta.url === `file://${globalThis.process?.argv[1]}`) {
+  runAllTests();
+}
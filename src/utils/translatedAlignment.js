@@ -0,0 +1,147 @@
+/**
+ * Translated Alignment
+ * Compares a nucleotide sequence with a protein by translating the
+ * nucleotides in each reading frame and aligning every translation against
+ * the protein with a substitution matrix; the best-scoring frame is kept.
+ *
+ * Each translated residue keeps the codon it was read from, so the result
+ * can be drawn with codons beneath the translated row and mapped back onto
+ * the nucleotide sequence as typed.
+ */
+
+import {
+  needlemanWunsch,
+  smithWaterman,
+  needlemanWunschAffine,
+  smithWatermanAffine,
+} from './alignmentLogic.js';
+import { READING_FRAMES, sixFrameTranslation, codonRange } from './geneticCode.js';
+
+export const TRANSLATED_MODES = {
+  local: { label: 'Local', align: smithWaterman, affine: smithWatermanAffine },
+  global: { label: 'Global', align: needlemanWunsch, affine: needlemanWunschAffine },
+};
+
+const GAP_CODON = '---';
+
+/**
+ * Codon under each column of an aligned translation, '---' under gaps.
+ * @private
+ */
+function columnCodons(alignedTranslation, codons, firstResidue) {
+  let residue = firstResidue;
+  return [...alignedTranslation].map(char => {
+    if (char === '-') return GAP_CODON;
+    const codon = codons.slice(3 * residue, 3 * residue + 3);
+    residue++;
+    return codon;
+  });
+}
+
+/**
+ * Align a nucleotide sequence, translated in each requested frame, against
+ * a protein.
+ *
+ * @param {string} nucleotides - DNA or RNA sequence
+ * @param {string} protein - Protein sequence
+ * @param {object} scores - Protein scoring scheme ({ matrix, gap } or
+ *   { matrix, gapOpen, gapExtend } with affine)
+ * @param {object} options - { table, mode: 'local' | 'global', frames,
+ *   affine, onProgress(done, total) } where progress counts translated
+ *   residues aligned
+ * @returns {object} { frames: [{ frame, strand, translation, score }], best }
+ *   where best is the winning frame's alignment of its translation (row 1)
+ *   against the protein (row 2): { algorithm, score, alignedSeq1,
+ *   alignedSeq2, startPos, frame, strand, translation, codons, range } with
+ *   one codon per column and range the 1-based nucleotide span on the
+ *   sequence as typed (start > end on the minus strand); frames that
+ *   translate to nothing score null
+ */
+export function translatedAlignment(nucleotides, protein, scores, {
+  table = 1,
+  mode = 'local',
+  frames = READING_FRAMES,
+  affine = false,
+  onProgress,
+} = {}) {
+  if (!nucleotides || !protein) {
+    throw new Error('Both sequences must be non-empty');
+  }
+  const spec = TRANSLATED_MODES[mode];
+  if (!spec) {
+    throw new Error(`Unknown alignment mode: ${mode}`);
+  }
+  const align = affine ? spec.affine : spec.align;
+
+  const translations = sixFrameTranslation(nucleotides, { table, frames });
+  const total = translations.reduce((sum, { protein: translation }) => sum + translation.length, 0);
+  if (total === 0) {
+    throw new Error('The nucleotide sequence is shorter than one codon');
+  }
+
+  let done = 0;
+  let best = null;
+  const summary = translations.map(({ frame, strand, protein: translation, codons }) => {
+    if (!translation) return { frame, strand, translation, score: null };
+    const result = align(translation, protein, scores);
+    done += translation.length;
+    onProgress?.(done, total);
+    // Ties keep the earlier frame, in READING_FRAMES order
+    if (!best || result.score > best.result.score) best = { result, frame, strand, translation, codons };
+    return { frame, strand, translation, score: result.score };
+  });
+
+  const { result, frame, strand, translation, codons } = best;
+  const startPos = result.startPos || { row: 0, col: 0 };
+  const residues = result.alignedSeq1.replace(/-/g, '').length;
+  return {
+    frames: summary,
+    best: {
+      algorithm: result.algorithm,
+      score: result.score,
+      alignedSeq1: result.alignedSeq1,
+      alignedSeq2: result.alignedSeq2,
+      startPos,
+      frame,
+      strand,
+      translation,
+      codons: columnCodons(result.alignedSeq1, codons, startPos.row),
+      range: residues > 0 ? codonRange(frame, startPos.row, startPos.row + residues - 1, nucleotides.length) : null,
+    },
+  };
+}
+
+/**
+ * Text view of a translated alignment in blocks: the protein, a match line,
+ * the translated residues and the codons beneath them, three characters per
+ * column.
+ *
+ * @param {object} best - translatedAlignment(...).best
+ * @param {string[]} names - [nucleotide label, protein label]
+ * @param {number} width - Columns per block
+ * @returns {string} Formatted alignment
+ */
+export function formatTranslatedAlignment(best, names = ['Translated', 'Protein'], width = 20) {
+  const { alignedSeq1, alignedSeq2, codons } = best;
+  const margin = Math.max(names[0].length, names[1].length);
+  const label = (name) => name.padEnd(margin);
+  const cell = (char) => ` ${char} `;
+
+  const blocks = [];
+  for (let start = 0; start < alignedSeq1.length; start += width) {
+    const columns = [...alignedSeq1.slice(start, start + width)].map((char, k) => {
+      const other = alignedSeq2[start + k];
+      let match = ':';
+      if (char === other) match = '|';
+      else if (char === '-' || other === '-') match = ' ';
+      return { translated: cell(char), protein: cell(other), match: cell(match) };
+    });
+    blocks.push([
+      `${label(names[1])}  ${columns.map(column => column.protein).join('')}`,
+      `${label('')}  ${columns.map(column => column.match).join('')}`,
+      `${label(names[0])}  ${columns.map(column => column.translated).join('')}`,
+      `${label('')}  ${codons.slice(start, start + width).join('')}`,
+    ].map(line => line.trimEnd()).join('\n'));
+  }
+  return blocks.join('\n\n');
+}
@@ -0,0 +1,151 @@
+/**
+ * =====================================================================
+ * TRANSLATED ALIGNMENT TEST SUITE
+ * =====================================================================
+ *
+ * Verifies frame choice on both strands, alternate genetic codes, codons
+ * under gapped columns, nucleotide coordinates and the text view.
+ * =====================================================================
+ */
+
+import { translatedAlignment, formatTranslatedAlignment } from './translatedAlignment.js';
+import { DEFAULT_SCORES } from './alignmentLogic.js';
+import { reverseComplement } from './sequence.js';
+
+// Test helper function
+function runTest(testName, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ PASS: ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ FAIL: ${testName}`);
+    console.error(`   Error: ${error.message}`);
+    return false;
+  }
+}
+
+// Assertion helpers
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n  Expected: ${expected}\n  Actual: ${actual}`);
+  }
+}
+
+function assertThrows(fn, expectedMessage, message = '') {
+  let thrown = null;
+  try {
+    fn();
+  } catch (error) {
+    thrown = error.message;
+  }
+  assertEquals(thrown, expectedMessage, message);
+}
+
+const SCORES = { ...DEFAULT_SCORES, matrix: 'BLOSUM62', gap: -4 };
+
+// MKWVTF
+const GENE = 'ATGAAATGGGTTACCTTT';
+
+// =====================================================================
+// FRAME TESTS
+// =====================================================================
+
+function testFrames_MinusStrandGene() {
+  const nucleotides = `CC${reverseComplement(GENE)}G`;
+  const reports = [];
+  const { frames, best } = translatedAlignment(nucleotides, 'MKWVTF', SCORES, {
+    onProgress: (done, total) => reports.push(`${done}/${total}`),
+  });
+
+  assertEquals(frames.length, 6, 'Every frame scored');
+  assertEquals(best.frame, -2, 'Reverse complement, second frame');
+  assertEquals(best.strand, '-', 'Minus strand');
+  assertEquals(best.alignedSeq1, 'MKWVTF', 'Translated row');
+  assertEquals(best.codons.join(''), GENE, 'Codons beneath the residues');
+  assertEquals(`${best.range.start}-${best.range.end}`, '20-3', 'Nucleotides as typed, read backwards');
+  assertEquals(best.score, Math.max(...frames.map(({ score }) => score)), 'Best frame kept');
+  assertEquals(reports[reports.length - 1], '38/38', 'Progress counts translated residues');
+}
+
+function testFrames_AlternateCode() {
+  // TGA is a stop in the standard code and tryptophan in vertebrate mitochondria
+  const options = { mode: 'global', frames: [1] };
+  const standard = translatedAlignment('ATGTGAAAA', 'MWK', SCORES, options).best;
+  const mitochondrial = translatedAlignment('ATGTGAAAA', 'MWK', SCORES, { ...options, table: 2 }).best;
+  assertEquals(standard.translation, 'M*K', 'Standard code');
+  assertEquals(mitochondrial.translation, 'MWK', 'Vertebrate mitochondrial code');
+  assertEquals(mitochondrial.score > standard.score, true, 'Scores follow the code');
+}
+
+// =====================================================================
+// LAYOUT TESTS
+// =====================================================================
+
+function testLayout_GapCodons() {
+  const { best } = translatedAlignment(GENE, 'MKWGGVTF', SCORES, { frames: [1] });
+  assertEquals(best.alignedSeq2, 'MKWGGVTF', 'Protein row');
+  assertEquals(best.alignedSeq1.replace(/-/g, ''), 'MKWVTF', 'Translation gapped');
+  [...best.alignedSeq1].forEach((char, k) => {
+    if (char === '-') assertEquals(best.codons[k], '---', 'Gap columns have no codon');
+  });
+  assertEquals(best.codons.filter(codon => codon !== '---').join(''), GENE, 'Codons stay in order');
+  assertEquals(`${best.range.start}-${best.range.end}`, '1-18', 'Plus strand range');
+}
+
+function testLayout_Text() {
+  const best = { alignedSeq1: 'MK-', alignedSeq2: 'MRL', codons: ['ATG', 'AAA', '---'] };
+  assertEquals(
+    formatTranslatedAlignment(best, ['dna +1', 'prot']),
+    ['prot     M  R  L', '         |  :', 'dna +1   M  K  -', '        ATGAAA---'].join('\n'),
+    'Codons under the translated row'
+  );
+  const blocks = formatTranslatedAlignment({ ...best, alignedSeq1: 'MKM', alignedSeq2: 'MKM' }, undefined, 2);
+  assertEquals(blocks.split('\n\n').length, 2, 'Wrapped into blocks');
+}
+
+function testOptions_Validation() {
+  assertThrows(() => translatedAlignment('AT', 'M', SCORES), 'The nucleotide sequence is shorter than one codon', 'No codon');
+  assertThrows(() => translatedAlignment('ATG', '', SCORES), 'Both sequences must be non-empty', 'Empty protein');
+  assertThrows(() => translatedAlignment('ATG', 'M', SCORES, { mode: 'semiglobal' }), 'Unknown alignment mode: semiglobal', 'Mode');
+}
+
+// =====================================================================
+// RUN ALL TESTS
+// =====================================================================
+
+export function runAllTests() {
+  console.log('\n========================================');
+  console.log('TRANSLATED ALIGNMENT TEST SUITE');
+  console.log('========================================\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    ['Frames: Minus Strand Gene', testFrames_MinusStrandGene],
+    ['Frames: Alternate Code', testFrames_AlternateCode],
+    ['Layout: Gap Codons', testLayout_GapCodons],
+    ['Layout: Text', testLayout_Text],
+    ['Options: Validation', testOptions_Validation],
+  ];
+
+  tests.forEach(([name, testFn]) => {
+    if (runTest(name, testFn)) {
+      passed++;
+    } else {
+      failed++;
+    }
+  });
+
+  console.log('\n========================================');
+  console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run tests if this file is executed directly
+if (import.meta.url === `file://${globalThis.process?.argv[1]}`) {
+  runAllTests();
+}
@@ -0,0 +1,289 @@
+/**
+ * Variant Calling
+ * Extracts the differences between a reference (Sequence 1) and a sample
+ * (Sequence 2) from their pairwise alignment, and writes them as VCF 4.3
+ * records and HGVS-style descriptions.
+ *
+ * Runs of alignment columns of one kind become one variant: substitutions
+ * (SNV, or MNV when adjacent), deletions (gap in the sample) and insertions
+ * (gap in the reference). Positions are 1-based on the reference as typed.
+ * The free end gaps of a semi-global alignment are overhangs rather than
+ * variants and are left out.
+ *
+ * An indel in a repeat can be placed anywhere along it. VCF records are
+ * left-normalised (shifted to the leftmost equivalent position) while HGVS
+ * follows its 3' rule (rightmost); either way an indel never moves past a
+ * neighbouring variant, whose bases differ in the sample.
+ */
+
+import { countResidues } from './exporters.js';
+
+export const VARIANT_TYPES = {
+  SNV: 'Single-nucleotide variant',
+  MNV: 'Multi-nucleotide variant',
+  INS: 'Insertion',
+  DEL: 'Deletion',
+};
+
+export const VCF_VERSION = 'VCFv4.3';
+
+
+/**
+ * Kind of an alignment column: 'DEL', 'INS', 'SUB' or null for a match.
+ * @private
+ */
+function columnKind(refChar, sampleChar) {
+  if (refChar === '-' && sampleChar === '-') return null;
+  if (sampleChar === '-') return 'DEL';
+  if (refChar === '-') return 'INS';
+  return refChar.toUpperCase() === sampleChar.toUpperCase() ? null : 'SUB';
+}
+
+/**
+ * Runs of differing columns, in alignment order, before normalisation.
+ * start is the 0-based reference index of the first affected base; an
+ * insertion sits between start - 1 and start.
+ * @private
+ */
+function differenceRuns(alignedRef, alignedSample, offset, from, to) {
+  const runs = [];
+  let refIndex = offset;
+  let run = null;
+  for (let column = from; column < to; column++) {
+    const refChar = alignedRef[column];
+    const sampleChar = alignedSample[column];
+    const kind = columnKind(refChar, sampleChar);
+    if (run && kind !== run.kind) {
+      runs.push(run);
+      run = null;
+    }
+    if (kind) {
+      if (!run) run = { kind, start: refIndex, ref: '', alt: '', columns: [column, column] };
+      if (refChar !== '-') run.ref += refChar.toUpperCase();
+      if (sampleChar !== '-') run.alt += sampleChar.toUpperCase();
+      run.columns[1] = column;
+    }
+    if (refChar !== '-') refIndex++;
+  }
+  if (run) runs.push(run);
+  return runs;
+}
+
+/**
+ * Alignment columns [from, to) left after trimming the free end gaps of a
+ * semi-global result: leading and trailing overhangs of either sequence
+ * whose end the alignment left free.
+ * @private
+ */
+function alignedColumns(alignedRef, alignedSample, endGaps) {
+  let from = 0;
+  let to = alignedRef.length;
+  if (!endGaps) return { from, to };
+  const free = (column, refFree, sampleFree) => (alignedSample[column] === '-' && refFree)
+    || (alignedRef[column] === '-' && sampleFree);
+  while (from < to && free(from, endGaps.seq1Start, endGaps.seq2Start)) from++;
+  while (to > from && free(to - 1, endGaps.seq1End, endGaps.seq2End)) to--;
+  return { from, to };
+}
+
+/**
+ * Slide an indel along the reference between floor and ceiling (0-based,
+ * the reference bases it may not cross) one base at a time while the
+ * sequence it leaves behind is unchanged.
+ * @private
+ */
+function shiftIndel(reference, { kind, start, ref, alt }, direction, floor, ceiling) {
+  let position = start;
+  let bases = kind === 'DEL' ? ref : alt;
+  const length = bases.length;
+  if (direction < 0) {
+    while (position > floor) {
+      const previous = reference[position - 1];
+      if (previous !== bases[length - 1]) break;
+      if (kind === 'INS') bases = previous + bases.slice(0, -1);
+      position--;
+      if (kind === 'DEL') bases = reference.slice(position, position + length);
+    }
+  } else {
+    const end = () => position + (kind === 'DEL' ? length : 0);
+    while (end() < ceiling) {
+      const next = reference[end()];
+      if (next !== bases[0]) break;
+      if (kind === 'INS') bases = bases.slice(1) + next;
+      position++;
+      if (kind === 'DEL') bases = reference.slice(position, position + length);
+    }
+  }
+  return { start: position, bases };
+}
+
+/**
+ * VCF POS/REF/ALT of a left-normalised variant. Indels carry the reference
+ * base before them, or the one after when they start the sequence.
+ * @private
+ */
+function vcfRecord(reference, type, start, ref, alt) {
+  if (type === 'SNV' || type === 'MNV') return { pos: start + 1, ref, alt };
+  const changed = type === 'DEL' ? ref : alt;
+  if (start > 0) {
+    const anchor = reference[start - 1];
+    return type === 'DEL'
+      ? { pos: start, ref: anchor + changed, alt: anchor }
+      : { pos: start, ref: anchor, alt: anchor + changed };
+  }
+  const anchor = reference[type === 'DEL' ? changed.length : 0];
+  if (!anchor) {
+    throw new Error('A deletion of the whole reference cannot be written as VCF');
+  }
+  return type === 'DEL'
+    ? { pos: 1, ref: changed + anchor, alt: anchor }
+    : { pos: 1, ref: anchor, alt: changed + anchor };
+}
+
+/**
+ * HGVS-style description of a variant placed by the 3' rule, without the
+ * reference prefix: 5A>G, 5_6delinsTT, 5del, 5_7del, 5dup, 5_6insCC.
+ * There is no position 0 for an insertion before the first base to follow,
+ * so it becomes a delins of that base: 1delinsGA.
+ * @private
+ */
+function hgvsChange(reference, type, start, ref, alt) {
+  const range = (first, last) => (first === last ? `${first}` : `${first}_${last}`);
+  if (type === 'SNV') return `${start + 1}${ref}>${alt}`;
+  if (type === 'MNV') return `${range(start + 1, start + ref.length)}delins${alt}`;
+  if (type === 'DEL') return `${range(start + 1, start + ref.length)}del`;
+  // An insertion repeating the bases just before it is a duplication
+  if (start >= alt.length && reference.slice(start - alt.length, start) === alt) {
+    return `${range(start - alt.length + 1, start)}dup`;
+  }
+  if (start === 0) return `1delins${alt}${reference[0]}`;
+  return `${start}_${start + 1}ins${alt}`;
+}
+
+/**
+ * Variants of the sample against the reference in a pairwise alignment.
+ *
+ * @param {object} result - Alignment result with Sequence 1 (alignedSeq1) as
+ *   the reference and Sequence 2 (alignedSeq2) as the sample; startPos
+ *   places local alignments on the reference; endGaps marks the free
+ *   ends of a semi-global alignment
+ * @param {string} reference - Full reference sequence, used to normalise
+ *   indels and anchor VCF records
+ * @param {object} options - { referenceName } for the HGVS prefix
+ * @returns {object[]} [{ type, position, end, ref, alt, columns, vcf, hgvs }]
+ *   in reference order where position..end is the 1-based, left-normalised
+ *   span of reference bases changed (for insertions, the bases either side),
+ *   ref/alt are the changed bases ('' for the missing side of an indel),
+ *   columns are the first and last alignment columns of the variant, vcf is
+ *   { pos, ref, alt } and hgvs the 3'-shifted description
+ */
+export function callVariants(result, reference, { referenceName = 'ref' } = {}) {
+  const { alignedSeq1, alignedSeq2 } = result;
+  const upper = reference.toUpperCase();
+  const { from, to } = alignedColumns(alignedSeq1, alignedSeq2, result.mode === 'semiglobal' && result.endGaps);
+  // Trimmed reference overhangs move the start rather than becoming deletions
+  const offset = (result.startPos?.row || 0) + countResidues(alignedSeq1.slice(0, from));
+  const alignedEnd = offset + countResidues(alignedSeq1.slice(from, to));
+  const runs = differenceRuns(alignedSeq1, alignedSeq2, offset, from, to);
+
+  return runs.map((run, index) => {
+    // Indels slide only within the aligned region and between their neighbours
+    const previous = runs[index - 1];
+    const next = runs[index + 1];
+    const floor = previous ? previous.start + previous.ref.length : offset;
+    const ceiling = next ? next.start : alignedEnd;
+
+    let type = run.kind;
+    let { start, ref, alt } = run;
+    let hgvs;
+    if (type === 'SUB') {
+      type = ref.length === 1 ? 'SNV' : 'MNV';
+      hgvs = hgvsChange(upper, type, start, ref, alt);
+    } else {
+      const left = shiftIndel(upper, run, -1, floor, ceiling);
+      const right = shiftIndel(upper, run, 1, floor, ceiling);
+      start = left.start;
+      if (type === 'DEL') ref = left.bases;
+      else alt = left.bases;
+      hgvs = type === 'DEL'
+        ? hgvsChange(upper, type, right.start, right.bases, '')
+        : hgvsChange(upper, type, right.start, '', right.bases);
+    }
+
+    return {
+      type,
+      position: type === 'INS' ? start : start + 1,
+      end: type === 'INS' ? start + 1 : start + ref.length,
+      ref,
+      alt,
+      columns: run.columns,
+      vcf: vcfRecord(upper, type, start, ref, alt),
+      hgvs: `${referenceName}:g.${hgvs}`,
+    };
+  });
+}
+
+// VCF identifiers may not hold whitespace, commas, angle brackets or '='
+const vcfName = (name) => name.replace(/[^\w.|:-]+/g, '_');
+
+// VCF bases are A, C, G, T or N: RNA reads as DNA and ambiguity codes become N
+const vcfBases = (bases) => bases.replace(/U/g, 'T').replace(/[^ACGTN]/g, 'N');
+
+// INFO values may not hold whitespace, ';', '=' or ','
+const infoValue = (value) => value.replace(/[\s;=,]+/g, '_');
+
+const vcfDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+
+/**
+ * VCF 4.3 file of called variants with one haploid sample.
+ *
+ * @param {object[]} variants - callVariants output
+ * @param {object} options - { referenceName, referenceLength, sampleName,
+ *   date } where date (default now) fills ##fileDate
+ * @returns {string} VCF text
+ */
+export function formatVcf(variants, {
+  referenceName = 'ref',
+  referenceLength,
+  sampleName = 'sample',
+  date = new Date(),
+} = {}) {
+  const chrom = vcfName(referenceName);
+  const header = [
+    `##fileformat=${VCF_VERSION}`,
+    `##fileDate=${vcfDate(date)}`,
+    '##source=SeqSync',
+    `##contig=<ID=${chrom}${referenceLength ? `,length=${referenceLength}` : ''}>`,
+    '##INFO=<ID=TYPE,Number=1,Type=String,Description="Variant class: SNV, MNV, INS or DEL">',
+    '##INFO=<ID=HGVS,Number=1,Type=String,Description="HGVS-style description, placed by the 3\' rule">',
+    '##FORMAT=<ID=GT,Number=1,Type=String,Description="Genotype">',
+    ['#CHROM', 'POS', 'ID', 'REF', 'ALT', 'QUAL', 'FILTER', 'INFO', 'FORMAT', vcfName(sampleName)].join('\t'),
+  ];
+
+  const records = [...variants]
+    .sort((a, b) => a.vcf.pos - b.vcf.pos)
+    .map(({ type, vcf, hgvs }) => [
+      chrom,
+      vcf.pos,
+      '.',
+      vcfBases(vcf.ref),
+      vcfBases(vcf.alt),
+      '.',
+      '.',
+      `TYPE=${type};HGVS=${infoValue(hgvs)}`,
+      'GT',
+      '1',
+    ].join('\t'));
+
+  return [...header, ...records].join('\n') + '\n';
+}
+
+/**
+ * HGVS-style descriptions, one per line.
+ *
+ * @param {object[]} variants - callVariants output
+ * @returns {string} Text listing
+ */
+export function formatHgvs(variants) {
+  return variants.map(({ hgvs }) => hgvs).join('\n') + '\n';
+}
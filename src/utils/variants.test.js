@@ -0,0 +1,198 @@
+/**
+ * =====================================================================
+ * VARIANT CALLING TEST SUITE
+ * =====================================================================
+ *
+ * Verifies variant classes and positions, left normalisation of indels,
+ * HGVS descriptions under the 3' rule, semi-global end gaps and the VCF
+ * 4.3 output.
+ * =====================================================================
+ */
+
+import { callVariants, formatVcf, formatHgvs } from './variants.js';
+import { semiGlobal, END_GAP_PRESETS } from './alignmentLogic.js';
+
+// Test helper function
+function runTest(testName, testFunction) {
+  try {
+    testFunction();
+    console.log(`✅ PASS: ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ FAIL: ${testName}`);
+    console.error(`   Error: ${error.message}`);
+    return false;
+  }
+}
+
+// Assertion helpers
+function assertEquals(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n  Expected: ${expected}\n  Actual: ${actual}`);
+  }
+}
+
+// Reference and sample rows of a gapped alignment, reference ungapped
+const call = (alignedRef, alignedSample, options) => callVariants(
+  { alignedSeq1: alignedRef, alignedSeq2: alignedSample },
+  alignedRef.replace(/-/g, ''),
+  options
+);
+
+const vcfText = ({ vcf }) => `${vcf.pos}:${vcf.ref}>${vcf.alt}`;
+
+// =====================================================================
+// SUBSTITUTION TESTS
+// =====================================================================
+
+function testSubstitutions_SnvAndMnv() {
+  const variants = call('ACGTACGTAC', 'ACCTACTAGC', { referenceName: 'NC_1' });
+
+  assertEquals(variants.map(({ type }) => type).join(','), 'SNV,MNV', 'Adjacent substitutions merge');
+  const [snv, mnv] = variants;
+  assertEquals(`${snv.position}${snv.ref}>${snv.alt}`, '3G>C', 'SNV on the reference');
+  assertEquals(snv.hgvs, 'NC_1:g.3G>C', 'HGVS substitution');
+  assertEquals(`${mnv.position}-${mnv.end} ${mnv.ref}>${mnv.alt}`, '7-9 GTA>TAG', 'MNV span');
+  assertEquals(mnv.hgvs, 'NC_1:g.7_9delinsTAG', 'HGVS delins');
+  assertEquals(vcfText(mnv), '7:GTA>TAG', 'MNV written as one VCF record');
+  assertEquals(mnv.columns.join('-'), '6-8', 'Alignment columns for highlighting');
+}
+
+function testSubstitutions_LocalOffset() {
+  const variants = callVariants(
+    { alignedSeq1: 'CGTA', alignedSeq2: 'CGAA', startPos: { row: 4, col: 0 } },
+    'TTTTCGTATT'
+  );
+  assertEquals(variants[0].position, 7, 'Positions count from the start of the reference');
+  assertEquals(variants[0].columns[0], 2, 'Columns stay local to the alignment');
+}
+
+// =====================================================================
+// INDEL TESTS
+// =====================================================================
+
+function testIndels_DeletionNormalisedBothWays() {
+  // One T of a TTT run deleted, aligned at its right end
+  const [deletion] = call('ACGTTTA', 'ACGTT-A');
+
+  assertEquals(deletion.type, 'DEL', 'Deletion');
+  assertEquals(deletion.position, 4, 'Left-normalised to the first T');
+  assertEquals(vcfText(deletion), '3:GT>G', 'VCF anchors on the base before');
+  assertEquals(deletion.hgvs, 'ref:g.6del', 'HGVS places it on the last T');
+}
+
+function testIndels_InsertionsAndDuplications() {
+  const [dup] = call('ACG-TA', 'ACGTTA');
+  assertEquals(vcfText(dup), '3:G>GT', 'Insertion anchored on the base before');
+  assertEquals(dup.hgvs, 'ref:g.4dup', 'A repeated base is a duplication');
+
+  const [insertion] = call('ACG--A', 'ACGCCA');
+  assertEquals(`${insertion.position}_${insertion.end} ${insertion.alt}`, '3_4 CC', 'Flanking positions');
+  assertEquals(insertion.hgvs, 'ref:g.3_4insCC', 'HGVS insertion');
+}
+
+function testIndels_AnchorsAtSequenceStart() {
+  const [deletion] = call('AACGT', '-ACGT');
+  assertEquals(vcfText(deletion), '1:AA>A', 'Anchored on the following base');
+  assertEquals(deletion.hgvs, 'ref:g.2del', '3\' rule still applies');
+
+  const [insertion] = call('-ACGT', 'GACGT');
+  assertEquals(vcfText(insertion), '1:A>GA', 'Insertion anchored on the following base');
+  assertEquals(insertion.hgvs, 'ref:g.1delinsGA', 'No position 0 in HGVS');
+}
+
+// =====================================================================
+// SEMI-GLOBAL TESTS
+// =====================================================================
+
+function testSemiGlobal_EndGapsAreNotVariants() {
+  const reference = 'TTTTTACGTACGTTTTT';
+  const fitted = semiGlobal(reference, 'ACGAACGT', undefined, END_GAP_PRESETS.seq2InSeq1);
+  const variants = callVariants(fitted, reference);
+  assertEquals(variants.map(vcfText).join(' '), '9:T>A', 'Only the internal SNV');
+  assertEquals(variants[0].columns[0], 8, 'Columns index the whole alignment');
+
+  // The sample's overhang at each end is free too
+  const overlapReference = 'GGGGACGTACGT';
+  const overlap = semiGlobal(overlapReference, 'ACGTACCTCCCC', undefined, END_GAP_PRESETS.overlap);
+  assertEquals(callVariants(overlap, overlapReference).map(vcfText).join(' '), '11:G>C', 'Overhangs dropped');
+}
+
+function testIndels_StopAtNeighbouringVariant() {
+  // The T>A at position 2 changes a base the deletion would otherwise slide onto
+  const variants = call('GTTTTG', 'GATT-G');
+  assertEquals(variants.map(vcfText).join(' '), '2:T>A 2:TT>T', 'Deletion kept right of the SNV');
+}
+
+// =====================================================================
+// OUTPUT TESTS
+// =====================================================================
+
+function testOutput_Vcf() {
+  const variants = call('ACGT-ACGTTA', 'ACCTGACG-TA', { referenceName: 'chr 1' });
+  const vcf = formatVcf(variants, {
+    referenceName: 'chr 1',
+    referenceLength: 10,
+    sampleName: 'patient A',
+    date: new Date('2024-03-05T12:00:00Z'),
+  });
+  const lines = vcf.trimEnd().split('\n');
+
+  assertEquals(lines[0], '##fileformat=VCFv4.3', 'Version line first');
+  assertEquals(lines.includes('##fileDate=20240305'), true, 'File date');
+  assertEquals(lines.includes('##contig=<ID=chr_1,length=10>'), true, 'Contig with a valid ID');
+  const header = lines.find(line => line.startsWith('#CHROM'));
+  assertEquals(header.split('\t').length, 10, 'Fixed columns plus one sample');
+  assertEquals(header.endsWith('\tpatient_A'), true, 'Sample name without spaces');
+
+  const records = lines.filter(line => !line.startsWith('#')).map(line => line.split('\t'));
+  assertEquals(records.length, 3, 'One record per variant');
+  assertEquals(records.map(record => record[1]).join(','), '3,4,7', 'Sorted by POS');
+  assertEquals(records[0].slice(3, 5).join('>'), 'G>C', 'SNV REF and ALT');
+  assertEquals(records[1][7], 'TYPE=INS;HGVS=chr_1:g.4_5insG', 'INFO holds the type and HGVS');
+  assertEquals(records.every(record => record[9] === '1'), true, 'Haploid genotype');
+  assertEquals(formatHgvs(variants).split('\n')[2], 'chr 1:g.9del', 'HGVS listing');
+}
+
+// =====================================================================
+// RUN ALL TESTS
+// =====================================================================
+
+export function runAllTests() {
+  console.log('\n========================================');
+  console.log('VARIANT CALLING TEST SUITE');
+  console.log('========================================\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    ['Substitutions: SNV and MNV', testSubstitutions_SnvAndMnv],
+    ['Substitutions: Local Offset', testSubstitutions_LocalOffset],
+    ['Indels: Deletion Normalised Both Ways', testIndels_DeletionNormalisedBothWays],
+    ['Indels: Insertions and Duplications', testIndels_InsertionsAndDuplications],
+    ['Indels: Anchors at Sequence Start', testIndels_AnchorsAtSequenceStart],
+    ['Indels: Stop at Neighbouring Variant', testIndels_StopAtNeighbouringVariant],
+    ['Semi-Global: End Gaps Are Not Variants', testSemiGlobal_EndGapsAreNotVariants],
+    ['Output: VCF', testOutput_Vcf],
+  ];
+
+  tests.forEach(([name, testFn]) => {
+    if (runTest(name, testFn)) {
+      passed++;
+    } else {
+      failed++;
+    }
+  });
+
+  console.log('\n========================================');
+  console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+  console.log('========================================\n');
+
+  return { passed, failed, total: tests.length };
+}
+
+// Auto-run tests if this file is executed directly
+if (import.meta.url === `file://${globalThis.process?.argv[1]}`) {
+  runAllTests();
+}